@@ -0,0 +1,7 @@
+// Runtime configuration. Override this file per environment to point the
+// frontend at a different backend without rebuilding the image.
+window.__APP_CONFIG__ = {
+  // apiBaseUrl: 'https://todo.example.com/api',
+  // Server event stream for live task updates; defaults to `${apiBaseUrl}/tasks/events`
+  // eventsUrl: 'https://todo.example.com/api/tasks/events'
+};
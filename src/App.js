@@ -1,46 +1,131 @@
-import React, { useState, useEffect } from 'react';
-import { useDispatch, useSelector } from 'react-redux';
-import { fetchTasks, clearError } from './store/slices/tasksSlice';
+import React, {
+  useState,
+  useEffect,
+  useCallback,
+  useMemo
+} from 'react';
+import { useDispatch, useSelector, useStore } from 'react-redux';
+import { fetchTasks, selectTaskById, selectTaskCounts } from './store/slices/tasksSlice';
+import {
+  resetFilters,
+  setGroupBy,
+  setSort,
+  setStatusFilter
+} from './store/slices/filtersSlice';
+import {
+  fetchLists,
+  selectSelectedList,
+  selectSelectedListId
+} from './store/slices/listsSlice';
+import { deleteTaskWithUndo, toggleTaskWithUndo } from './notifications/undo';
+import { focusSearch, getFocusedTaskId, moveTaskFocus } from './shortcuts';
 import TaskList from './components/TaskList';
 import TaskForm from './components/TaskForm';
+import ConnectionStatus from './components/ConnectionStatus';
+import ReminderSettings from './components/ReminderSettings';
+import Toaster from './components/Toaster';
+import CommandPalette from './components/CommandPalette';
+import ShortcutHelp from './components/ShortcutHelp';
+import Announcer from './components/Announcer';
+import QuickAdd from './components/QuickAdd';
+import UserMenu from './components/UserMenu';
+import ListSidebar from './components/ListSidebar';
+import TagManager from './components/TagManager';
+import useFilterQuerySync from './hooks/useFilterQuerySync';
+import useKeyboardShortcuts from './hooks/useKeyboardShortcuts';
 import './App.css';
 
 function App() {
   const [showTaskForm, setShowTaskForm] = useState(false);
   const [editingTask, setEditingTask] = useState(null);
+  const [showPalette, setShowPalette] = useState(false);
+  const [showHelp, setShowHelp] = useState(false);
+  const [showTagManager, setShowTagManager] = useState(false);
   const dispatch = useDispatch();
-  const { tasks, loading, error } = useSelector((state) => state.tasks);
+  const store = useStore();
+  const taskCounts = useSelector(selectTaskCounts);
+  const selectedListId = useSelector(selectSelectedListId);
+  const selectedList = useSelector(selectSelectedList);
+  const listName = selectedList ? selectedList.name : 'All tasks';
+
+  useFilterQuerySync();
 
   useEffect(() => {
-    dispatch(fetchTasks());
+    dispatch(fetchLists());
   }, [dispatch]);
 
+  // The counts and the task list follow the selected list
   useEffect(() => {
-    if (error) {
-      const timer = setTimeout(() => {
-        dispatch(clearError());
-      }, 5000);
-      return () => clearTimeout(timer);
-    }
-  }, [error, dispatch]);
+    dispatch(fetchTasks());
+  }, [dispatch, selectedListId]);
 
-  const handleAddTask = () => {
+  const handleAddTask = useCallback(() => {
     setEditingTask(null);
     setShowTaskForm(true);
-  };
+  }, []);
 
-  const handleEditTask = (task) => {
+  // Stable so memoized TaskItems don't re-render when App does
+  const handleEditTask = useCallback((task) => {
     setEditingTask(task);
     setShowTaskForm(true);
-  };
+  }, []);
 
   const handleCloseTaskForm = () => {
     setShowTaskForm(false);
     setEditingTask(null);
   };
 
-  const completedTasks = tasks.filter(task => task.completed);
-  const pendingTasks = tasks.filter(task => !task.completed);
+  // x, e and # act on the task that has the focus (moved there with j/k);
+  // archived tasks can't be toggled or edited
+  const withFocusedTask = (run) => () => {
+    const task = selectTaskById(store.getState(), getFocusedTaskId());
+    if (task && !task.archived) {
+      run(task);
+    }
+  };
+
+  // Global shortcuts are off while a dialog is open; dialogs close on Escape
+  useKeyboardShortcuts({
+    n: handleAddTask,
+    '/': focusSearch,
+    j: () => moveTaskFocus(1),
+    k: () => moveTaskFocus(-1),
+    x: withFocusedTask((task) => dispatch(toggleTaskWithUndo(task._id))),
+    e: withFocusedTask(handleEditTask),
+    '#': withFocusedTask((task) => dispatch(deleteTaskWithUndo(task._id))),
+    '?': () => setShowHelp(true),
+    'mod+k': () => setShowPalette(true)
+  }, !showTaskForm && !showPalette && !showHelp && !showTagManager);
+
+  const paletteActions = useMemo(() => [
+    { id: 'new', label: 'New task', run: handleAddTask },
+    { id: 'search', label: 'Search tasks', run: focusSearch },
+    { id: 'all', label: 'Show all tasks', run: () => dispatch(setStatusFilter('all')) },
+    { id: 'pending', label: 'Show pending tasks', run: () => dispatch(setStatusFilter('pending')) },
+    {
+      id: 'completed',
+      label: 'Show completed tasks',
+      run: () => dispatch(setStatusFilter('completed'))
+    },
+    {
+      id: 'archived',
+      label: 'Show archived tasks',
+      run: () => dispatch(setStatusFilter('archived'))
+    },
+    { id: 'group-due', label: 'Group by due date', run: () => dispatch(setGroupBy('dueDate')) },
+    {
+      id: 'group-priority',
+      label: 'Group by priority',
+      run: () => dispatch(setGroupBy('priority'))
+    },
+    {
+      id: 'manual',
+      label: 'Sort manually',
+      run: () => dispatch(setSort({ sortBy: 'position', sortOrder: 'asc' }))
+    },
+    { id: 'clear-filters', label: 'Clear filters', run: () => dispatch(resetFilters()) },
+    { id: 'shortcuts', label: 'Keyboard shortcuts', run: () => setShowHelp(true) }
+  ], [dispatch, handleAddTask]);
 
   return (
     <div className="app">
@@ -48,51 +133,58 @@ function App() {
         <div className="header-content">
           <h1>K8 Todo App</h1>
           <p>Simple and intuitive task management</p>
+          <ConnectionStatus />
+          <ReminderSettings />
         </div>
-        <div className="task-stats">
+        <UserMenu />
+        <div className="task-stats" role="group" aria-label={`Task counts: ${listName}`}>
           <div className="stat">
-            <span className="stat-number">{pendingTasks.length}</span>
+            <span className="stat-number">{taskCounts.pending}</span>
             <span className="stat-label">Pending</span>
           </div>
           <div className="stat">
-            <span className="stat-number">{completedTasks.length}</span>
+            <span className="stat-number">{taskCounts.completed}</span>
             <span className="stat-label">Completed</span>
           </div>
           <div className="stat">
-            <span className="stat-number">{tasks.length}</span>
+            <span className="stat-number">{taskCounts.total}</span>
             <span className="stat-label">Total</span>
           </div>
+          <div className="stat stat-high-priority">
+            <span className="stat-number">{taskCounts.highPriorityPending}</span>
+            <span className="stat-label">High priority pending</span>
+          </div>
         </div>
       </header>
 
-      <main className="app-main">
-        <div className="main-header">
-          <h2>Your Tasks</h2>
-          <button
-            onClick={handleAddTask}
-            className="btn btn-primary add-task-btn"
-            disabled={loading}
-            type="button"
-          >
-            + Add New Task
-          </button>
-        </div>
+      <div className="app-body">
+        <ListSidebar />
 
-        {error && (
-          <div className="error-banner">
-            <span>{error}</span>
+        <main className="app-main">
+          <div className="main-header">
+            <h2>{selectedList ? selectedList.name : 'Your Tasks'}</h2>
+            <button
+              onClick={() => setShowHelp(true)}
+              className="shortcuts-btn"
+              title="Keyboard shortcuts (?)"
+              aria-label="Keyboard shortcuts"
+              type="button"
+            >
+              ?
+            </button>
             <button
-              onClick={() => dispatch(clearError())}
-              className="close-btn"
+              onClick={handleAddTask}
+              className="btn btn-primary add-task-btn"
               type="button"
             >
-              ×
+              + Add New Task
             </button>
+            <QuickAdd />
           </div>
-        )}
 
-        <TaskList onEditTask={handleEditTask} />
-      </main>
+          <TaskList onEditTask={handleEditTask} onManageTags={() => setShowTagManager(true)} />
+        </main>
+      </div>
 
       {showTaskForm && (
         <TaskForm
@@ -100,6 +192,21 @@ function App() {
           onCancel={handleCloseTaskForm}
         />
       )}
+
+      {showPalette && (
+        <CommandPalette
+          actions={paletteActions}
+          onOpenTask={handleEditTask}
+          onClose={() => setShowPalette(false)}
+        />
+      )}
+
+      {showHelp && <ShortcutHelp onClose={() => setShowHelp(false)} />}
+
+      {showTagManager && <TagManager onClose={() => setShowTagManager(false)} />}
+
+      <Toaster />
+      <Announcer />
     </div>
   );
 }
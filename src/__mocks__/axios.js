@@ -4,7 +4,12 @@ const axios = {
   put: jest.fn(() => Promise.resolve({ data: {} })),
   patch: jest.fn(() => Promise.resolve({ data: {} })),
   delete: jest.fn(() => Promise.resolve({ data: {} })),
+  request: jest.fn(() => Promise.resolve({ data: {} })),
   create: jest.fn(() => axios),
+  interceptors: {
+    request: { use: jest.fn(), eject: jest.fn() },
+    response: { use: jest.fn(), eject: jest.fn() }
+  },
   defaults: {
     baseURL: '',
     headers: {
@@ -1,23 +1,75 @@
 import React, { act } from 'react';
-import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import {
+  render,
+  screen,
+  fireEvent,
+  waitFor,
+  within
+} from '@testing-library/react';
 import { Provider } from 'react-redux';
 import { configureStore } from '@reduxjs/toolkit';
 import userEvent from '@testing-library/user-event';
 import App from '../App';
-import tasksReducer from '../store/slices/tasksSlice';
+import filtersReducer from '../store/slices/filtersSlice';
+import offlineReducer from '../store/slices/offlineSlice';
+import notificationsReducer from '../store/slices/notificationsSlice';
+import remindersReducer from '../store/slices/remindersSlice';
+import announcementsReducer from '../store/slices/announcementsSlice';
+import authReducer from '../store/slices/authSlice';
+import listsReducer, { listsAdapter } from '../store/slices/listsSlice';
+import tasksReducer, { tasksAdapter } from '../store/slices/tasksSlice';
 
 // Mock store
 const createMockStore = (initialState = {}) => {
+  const {
+    tasks = [],
+    notifications = [],
+    lists = [],
+    selectedListId = null,
+    ...taskState
+  } = initialState;
   return configureStore({
     reducer: {
-      tasks: tasksReducer
+      tasks: tasksReducer,
+      filters: filtersReducer,
+      offline: offlineReducer,
+      notifications: notificationsReducer,
+      reminders: remindersReducer,
+      announcements: announcementsReducer,
+      auth: authReducer,
+      lists: listsReducer
     },
     preloadedState: {
       tasks: {
-        tasks: [],
-        loading: false,
+        ...tasksAdapter.setAll(tasksAdapter.getInitialState(), tasks),
+        status: {
+          fetch: 'idle',
+          add: 'idle',
+          hasFetched: false,
+          byId: {}
+        },
+        pagination: {
+          page: 1,
+          limit: 20,
+          hasMore: false,
+          nextCursor: null
+        },
         error: null,
-        ...initialState
+        listId: null,
+        rollbacks: {},
+        scheduledDeletes: {},
+        ...taskState
+      },
+      notifications: { items: notifications },
+      lists: {
+        ...listsAdapter.setAll(listsReducer(undefined, { type: 'init' }), lists),
+        selectedListId
+      },
+      auth: {
+        ...authReducer(undefined, { type: 'init' }),
+        user: { id: 'u1', name: 'Ada Lovelace', email: 'ada@example.com' },
+        accessToken: 'access-1',
+        refreshToken: 'refresh-1'
       }
     }
   });
@@ -39,6 +91,18 @@ const renderWithProvider = (initialState = {}) => {
   );
 };
 
+const failedToggle = {
+  id: 'n1',
+  message: 'Failed to toggle task',
+  severity: 'error',
+  action: { label: 'Retry', type: 'retry', arg: { thunk: 'tasks/toggleTask', arg: '1' } },
+  duration: null,
+  source: 'tasks/toggleTask',
+  httpStatus: 500,
+  requestId: 'req-1',
+  createdAt: '2023-01-01T00:00:00.000Z'
+};
+
 describe('App', () => {
   beforeEach(() => {
     mockDispatch.mockClear();
@@ -50,6 +114,19 @@ describe('App', () => {
     expect(screen.getByText('K8 Todo App')).toBeInTheDocument();
     expect(screen.getByText('Simple and intuitive task management')).toBeInTheDocument();
     expect(screen.getByText('Your Tasks')).toBeInTheDocument();
+    expect(screen.getByText('Online')).toBeInTheDocument();
+  });
+
+  test('shows the current user with a logout menu in the header', async () => {
+    const user = userEvent.setup();
+    renderWithProvider();
+
+    await act(async () => {
+      await user.click(screen.getByRole('button', { name: 'Ada Lovelace' }));
+    });
+
+    expect(screen.getByRole('menu', { name: 'Account: Ada Lovelace' })).toBeInTheDocument();
+    expect(screen.getByRole('menuitem', { name: 'Log out' })).toHaveFocus();
   });
 
   test('displays correct task statistics', () => {
@@ -66,6 +143,68 @@ describe('App', () => {
     expect(screen.getByText('3')).toBeInTheDocument(); // Total
   });
 
+  test('leaves archived tasks out of the header counts', () => {
+    renderWithProvider({
+      tasks: [
+        { _id: '1', title: 'Task 1', completed: false },
+        { _id: '2', title: 'Task 2', completed: true },
+        { _id: '3', title: 'Task 3', completed: true, archived: true }
+      ]
+    });
+
+    const statOf = (label) => screen.getByText(label, { selector: '.stat-label' }).closest('.stat');
+    expect(statOf('Total')).toHaveTextContent('2');
+    expect(statOf('Completed')).toHaveTextContent('1');
+  });
+
+  test('counts pending high-priority tasks in the header', () => {
+    renderWithProvider({
+      tasks: [
+        { _id: '1', title: 'Task 1', completed: false, priority: 'urgent' },
+        { _id: '2', title: 'Task 2', completed: false, priority: 'high' },
+        { _id: '3', title: 'Task 3', completed: true, priority: 'high' }
+      ]
+    });
+
+    const stat = screen.getByText('High priority pending').closest('.stat');
+    expect(stat).toHaveTextContent('2');
+  });
+
+  test('shows the selected list with its own counts in the header', () => {
+    renderWithProvider({
+      lists: [{ _id: 'l1', name: 'Sprint 42', position: 0 }],
+      selectedListId: 'l1',
+      tasks: [
+        {
+          _id: '1',
+          title: 'Task 1',
+          completed: false,
+          listId: 'l1'
+        },
+        {
+          _id: '2',
+          title: 'Task 2',
+          completed: true,
+          listId: 'l1'
+        },
+        {
+          _id: '3',
+          title: 'Task 3',
+          completed: false,
+          listId: 'l2'
+        }
+      ]
+    });
+
+    const stats = screen.getByRole('group', { name: 'Task counts: Sprint 42' });
+    const statOf = (label) => within(stats).getByText(label).closest('.stat');
+    expect(statOf('Pending')).toHaveTextContent('1');
+    expect(statOf('Total')).toHaveTextContent('2');
+    expect(screen.getByRole('heading', { name: 'Sprint 42' })).toBeInTheDocument();
+    expect(screen.queryByText('Task 3')).not.toBeInTheDocument();
+    expect(screen.getByRole('navigation', { name: 'Task lists' })).toBeInTheDocument();
+  });
+
   test('shows add task button', () => {
     renderWithProvider();
     
@@ -101,28 +240,26 @@ describe('App', () => {
     expect(screen.queryByText('Add New Task')).not.toBeInTheDocument();
   });
 
-  test('displays error banner when there is an error', () => {
-    const errorMessage = 'Failed to fetch tasks';
-    renderWithProvider({ error: errorMessage });
-    
-    expect(screen.getByText(errorMessage)).toBeInTheDocument();
-    expect(screen.getByRole('button', { name: '×' })).toBeInTheDocument();
+  test('shows failed requests in the notification center without hiding the list', () => {
+    renderWithProvider({
+      tasks: [{ _id: '1', title: 'Write docs', completed: false }],
+      notifications: [failedToggle]
+    });
+
+    expect(screen.getByText('Write docs')).toBeInTheDocument();
+    expect(screen.getByRole('alert')).toHaveTextContent('Failed to toggle task');
+    expect(screen.getByText('toggleTask · HTTP 500 · Request req-1')).toBeInTheDocument();
   });
 
-  test('clears error when close button is clicked', async () => {
+  test('retries a failed request from its notification', async () => {
     const user = userEvent.setup();
-    const errorMessage = 'Failed to fetch tasks';
-    renderWithProvider({ error: errorMessage });
-    
+    renderWithProvider({ notifications: [failedToggle] });
+
     await act(async () => {
-      await user.click(screen.getByRole('button', { name: '×' }));
+      await user.click(screen.getByRole('button', { name: 'Retry' }));
     });
-    
-    expect(mockDispatch).toHaveBeenCalledWith(
-      expect.objectContaining({
-        type: 'tasks/clearError'
-      })
-    );
+
+    expect(mockDispatch).toHaveBeenCalledWith(expect.any(Function));
   });
 
   test('dispatches fetchTasks on mount', () => {
@@ -133,14 +270,18 @@ describe('App', () => {
     );
   });
 
-  test('disables add task button when loading', () => {
-    renderWithProvider({ loading: true });
-    
-    expect(screen.getByRole('button', { name: '+ Add New Task' })).toBeDisabled();
+  test('keeps add task button enabled while requests are pending', () => {
+    renderWithProvider({
+      status: { fetch: 'pending', add: 'pending', hasFetched: true, byId: { 1: { toggling: true } } }
+    });
+
+    expect(screen.getByRole('button', { name: '+ Add New Task' })).toBeEnabled();
   });
 
   test('shows loading state in task list', () => {
-    renderWithProvider({ loading: true });
+    renderWithProvider({
+      status: { fetch: 'pending', add: 'idle', hasFetched: false, byId: {} }
+    });
     
     expect(screen.getByText('Loading tasks...')).toBeInTheDocument();
   });
@@ -178,4 +319,122 @@ describe('App', () => {
     // The actual edit functionality is tested in TaskItem component
     expect(screen.getByText('Task 1')).toBeInTheDocument();
   });
+
+  describe('keyboard shortcuts', () => {
+    const tasks = [
+      { _id: '1', title: 'Task 1', completed: false },
+      { _id: '2', title: 'Task 2', completed: false }
+    ];
+
+    test('opens the task form with n and closes it with Escape', async () => {
+      const user = userEvent.setup();
+      renderWithProvider();
+
+      await act(async () => {
+        await user.keyboard('n');
+      });
+      expect(screen.getByText('Add New Task')).toBeInTheDocument();
+      // Typing in the form doesn't trigger shortcuts
+      await act(async () => {
+        await user.type(screen.getByLabelText('Title *'), 'n');
+      });
+      expect(screen.getByLabelText('Title *')).toHaveValue('n');
+
+      await act(async () => {
+        await user.keyboard('{Escape}');
+      });
+      expect(screen.queryByText('Add New Task')).not.toBeInTheDocument();
+    });
+
+    test('focuses the search with /', async () => {
+      const user = userEvent.setup();
+      renderWithProvider({ tasks });
+
+      await act(async () => {
+        await user.keyboard('/');
+      });
+
+      expect(screen.getByLabelText('Search tasks')).toHaveFocus();
+      expect(screen.getByLabelText('Search tasks')).toHaveValue('');
+    });
+
+    test('moves between tasks with j/k and acts on the focused one', async () => {
+      const user = userEvent.setup();
+      renderWithProvider({ tasks });
+
+      await act(async () => {
+        await user.keyboard('jjk');
+      });
+      expect(screen.getByText('Task 1').closest('.task-item')).toHaveFocus();
+
+      await act(async () => {
+        await user.keyboard('x');
+      });
+      expect(mockDispatch).toHaveBeenCalledWith(expect.any(Function));
+
+      await act(async () => {
+        await user.keyboard('e');
+      });
+      expect(screen.getByText('Edit Task')).toBeInTheDocument();
+      expect(screen.getByLabelText('Title *')).toHaveValue('Task 1');
+    });
+
+    test('shows the shortcut help with ?', async () => {
+      const user = userEvent.setup();
+      renderWithProvider();
+
+      await act(async () => {
+        await user.keyboard('?');
+      });
+      expect(screen.getByRole('dialog', { name: 'Keyboard shortcuts' }))
+        .toHaveTextContent('Command palette');
+
+      await act(async () => {
+        await user.click(screen.getByRole('button', { name: 'Close' }));
+      });
+      expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+    });
+
+    test('turns the shortcuts off while the tag manager is open', async () => {
+      const user = userEvent.setup();
+      renderWithProvider({ tasks: [{ ...tasks[0], tags: ['ops'] }] });
+
+      await act(async () => {
+        await user.click(screen.getByRole('button', { name: 'Manage tags' }));
+      });
+      await act(async () => {
+        await user.keyboard('{Control>}k{/Control}');
+      });
+      expect(screen.queryByRole('dialog', { name: 'Command palette' })).not.toBeInTheDocument();
+
+      await act(async () => {
+        await user.keyboard('{Escape}');
+      });
+      expect(screen.queryByRole('dialog', { name: 'Manage tags' })).not.toBeInTheDocument();
+      expect(screen.getByRole('button', { name: 'Manage tags' })).toHaveFocus();
+
+      await act(async () => {
+        await user.keyboard('?');
+      });
+      expect(screen.getByRole('dialog', { name: 'Keyboard shortcuts' })).toBeInTheDocument();
+    });
+
+    test('opens a task from the command palette', async () => {
+      const user = userEvent.setup();
+      renderWithProvider({ tasks });
+
+      await act(async () => {
+        await user.keyboard('{Control>}k{/Control}');
+      });
+      await act(async () => {
+        await user.type(screen.getByLabelText('Search tasks and actions'), 'task 1');
+      });
+      await act(async () => {
+        await user.keyboard('{Enter}');
+      });
+
+      expect(screen.queryByRole('dialog', { name: 'Command palette' })).not.toBeInTheDocument();
+      expect(screen.getByLabelText('Title *')).toHaveValue('Task 1');
+    });
+  });
 });
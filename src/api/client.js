@@ -0,0 +1,9 @@
+import axios from 'axios';
+import { getAppConfig } from '../config/appConfig';
+
+// Shared axios instance used by every thunk
+const apiClient = axios.create({
+  baseURL: getAppConfig().apiBaseUrl
+});
+
+export default apiClient;
@@ -0,0 +1,178 @@
+import { configureStore } from '@reduxjs/toolkit';
+import apiClient from '../../api/client';
+import authReducer, { login, logout, selectIsAuthenticated } from '../../store/slices/authSlice';
+import { setupAuth } from '..';
+
+const STORAGE_KEY = 'k8-todo:auth';
+
+const createStorage = (initial = {}) => {
+  const data = { ...initial };
+  return {
+    data,
+    getItem: (key) => (key in data ? data[key] : null),
+    setItem: (key, value) => {
+      data[key] = value;
+    },
+    removeItem: (key) => {
+      delete data[key];
+    }
+  };
+};
+
+const createStore = () => configureStore({ reducer: { auth: authReducer } });
+
+const savedSession = (overrides = {}) => JSON.stringify({
+  user: { id: 'u1', name: 'Ada Lovelace' },
+  accessToken: 'access-1',
+  refreshToken: 'refresh-1',
+  expiresAt: null,
+  ...overrides
+});
+
+// The handlers setupAuth registered on the API client
+const requestInterceptor = () => apiClient.interceptors.request.use.mock.calls[0][0];
+const responseErrorInterceptor = () => apiClient.interceptors.response.use.mock.calls[0][1];
+
+const unauthorized = (url = '/tasks') => ({ config: { url }, response: { status: 401 } });
+
+describe('setupAuth', () => {
+  let cleanup;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2024-05-10T12:00:00.000Z'));
+  });
+
+  afterEach(() => {
+    if (cleanup) cleanup();
+    cleanup = null;
+    jest.useRealTimers();
+  });
+
+  test('restores the saved session', () => {
+    const store = createStore();
+    cleanup = setupAuth(store, { storage: createStorage({ [STORAGE_KEY]: savedSession() }) });
+
+    expect(store.getState().auth.accessToken).toBe('access-1');
+  });
+
+  test('ignores a saved session it can\'t read', () => {
+    const store = createStore();
+    cleanup = setupAuth(store, { storage: createStorage({ [STORAGE_KEY]: '{oops' }) });
+
+    expect(selectIsAuthenticated(store.getState())).toBe(false);
+  });
+
+  test('saves the session on login and forgets it on logout', async () => {
+    const store = createStore();
+    const storage = createStorage();
+    cleanup = setupAuth(store, { storage });
+    apiClient.post.mockResolvedValueOnce({
+      data: { user: { id: 'u1' }, accessToken: 'access-1', refreshToken: 'refresh-1' }
+    });
+
+    await store.dispatch(login({ email: 'ada@example.com', password: 'secret' }));
+    expect(JSON.parse(storage.data[STORAGE_KEY]).accessToken).toBe('access-1');
+
+    apiClient.post.mockResolvedValueOnce({ data: {} });
+    await store.dispatch(logout());
+    expect(storage.data[STORAGE_KEY]).toBeUndefined();
+  });
+
+  test('sends the access token with every request', () => {
+    const store = createStore();
+    cleanup = setupAuth(store, { storage: createStorage({ [STORAGE_KEY]: savedSession() }) });
+
+    expect(requestInterceptor()({ url: '/tasks', headers: { Accept: 'application/json' } }))
+      .toEqual({
+        url: '/tasks',
+        headers: { Accept: 'application/json', Authorization: 'Bearer access-1' }
+      });
+  });
+
+  test('sends requests as they are while logged out', () => {
+    cleanup = setupAuth(createStore(), { storage: createStorage() });
+
+    expect(requestInterceptor()({ url: '/auth/login' })).toEqual({ url: '/auth/login' });
+  });
+
+  test('refreshes the session on a 401 and retries the request once', async () => {
+    const store = createStore();
+    cleanup = setupAuth(store, { storage: createStorage({ [STORAGE_KEY]: savedSession() }) });
+    apiClient.post.mockResolvedValueOnce({ data: { accessToken: 'access-2' } });
+    apiClient.request.mockResolvedValue({ data: [] });
+
+    const responses = await Promise.all([
+      responseErrorInterceptor()(unauthorized()),
+      responseErrorInterceptor()(unauthorized('/tasks/1'))
+    ]);
+
+    expect(responses).toEqual([{ data: [] }, { data: [] }]);
+    // Both 401s shared the one refresh
+    expect(apiClient.post).toHaveBeenCalledTimes(1);
+    expect(apiClient.request).toHaveBeenCalledWith({ url: '/tasks', authRetried: true });
+    expect(apiClient.request).toHaveBeenCalledWith({ url: '/tasks/1', authRetried: true });
+    expect(store.getState().auth.accessToken).toBe('access-2');
+  });
+
+  test('expires the session when the refresh is refused', async () => {
+    const store = createStore();
+    cleanup = setupAuth(store, { storage: createStorage({ [STORAGE_KEY]: savedSession() }) });
+    apiClient.post.mockRejectedValueOnce({ response: { status: 401, data: {} } });
+    const error = unauthorized();
+
+    await expect(responseErrorInterceptor()(error)).rejects.toBe(error);
+
+    expect(apiClient.request).not.toHaveBeenCalled();
+    expect(selectIsAuthenticated(store.getState())).toBe(false);
+    expect(store.getState().auth.sessionExpired).toBe(true);
+  });
+
+  test('expires the session when a retried request is still turned down', async () => {
+    const store = createStore();
+    cleanup = setupAuth(store, {
+      storage: createStorage({ [STORAGE_KEY]: savedSession({ refreshToken: null }) })
+    });
+    const error = unauthorized();
+
+    await expect(responseErrorInterceptor()(error)).rejects.toBe(error);
+
+    expect(store.getState().auth.sessionExpired).toBe(true);
+  });
+
+  test('leaves failed logins and other errors alone', async () => {
+    const store = createStore();
+    cleanup = setupAuth(store, { storage: createStorage({ [STORAGE_KEY]: savedSession() }) });
+    const failedLogin = unauthorized('/auth/login');
+    const serverError = { config: { url: '/tasks' }, response: { status: 500 } };
+
+    await expect(responseErrorInterceptor()(failedLogin)).rejects.toBe(failedLogin);
+    await expect(responseErrorInterceptor()(serverError)).rejects.toBe(serverError);
+
+    expect(apiClient.post).not.toHaveBeenCalled();
+    expect(selectIsAuthenticated(store.getState())).toBe(true);
+  });
+
+  test('refreshes the access token a minute before it runs out', () => {
+    const expiresAt = Date.now() + 15 * 60 * 1000;
+    cleanup = setupAuth(createStore(), {
+      storage: createStorage({ [STORAGE_KEY]: savedSession({ expiresAt }) })
+    });
+    apiClient.post.mockResolvedValueOnce({ data: { accessToken: 'access-2', expiresIn: 900 } });
+
+    jest.advanceTimersByTime(13 * 60 * 1000);
+    expect(apiClient.post).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(60 * 1000);
+    expect(apiClient.post).toHaveBeenCalledWith('/auth/refresh', { refreshToken: 'refresh-1' });
+  });
+
+  test('unhooks the API client on cleanup', () => {
+    apiClient.interceptors.request.use.mockReturnValue(1);
+    apiClient.interceptors.response.use.mockReturnValue(2);
+    setupAuth(createStore(), { storage: createStorage() })();
+
+    expect(apiClient.interceptors.request.eject).toHaveBeenCalledWith(1);
+    expect(apiClient.interceptors.response.eject).toHaveBeenCalledWith(2);
+  });
+});
@@ -0,0 +1,126 @@
+import apiClient from '../api/client';
+import {
+  refreshSession,
+  selectAuth,
+  sessionExpired,
+  sessionRestored
+} from '../store/slices/authSlice';
+
+const STORAGE_KEY = 'k8-todo:auth';
+// Refresh this long before the access token runs out
+const REFRESH_MARGIN_MS = 60000;
+// setTimeout overflows past ~24.8 days
+const MAX_TIMEOUT_MS = 2147483647;
+
+const loadSession = (storage) => {
+  try {
+    const raw = storage.getItem(STORAGE_KEY);
+    const saved = raw ? JSON.parse(raw) : null;
+    return saved && saved.accessToken ? saved : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const saveSession = ({
+  user,
+  accessToken,
+  refreshToken,
+  expiresAt
+}, storage) => {
+  try {
+    if (accessToken) {
+      storage.setItem(STORAGE_KEY, JSON.stringify({
+        user,
+        accessToken,
+        refreshToken,
+        expiresAt
+      }));
+    } else {
+      storage.removeItem(STORAGE_KEY);
+    }
+  } catch (error) {
+    // Storage disabled: the session just won't survive a reload
+  }
+};
+
+// Logging in and refreshing answer 401 for bad credentials; that's not an
+// expired session
+const isAuthRequest = (config) => String(config.url || '').startsWith('/auth/');
+
+// Restores the saved session, keeps it saved, refreshes the access token
+// before it runs out, and hooks the API client up to it: requests carry the
+// access token, and a 401 refreshes the session and retries the request once.
+// A 401 that can't be fixed that way expires the session, which takes the app
+// back to the login screen (see AuthGate). Returns a cleanup function.
+export const setupAuth = (store, { storage = window.localStorage, client = apiClient } = {}) => {
+  const saved = loadSession(storage);
+  if (saved) {
+    store.dispatch(sessionRestored(saved));
+  }
+
+  // Concurrent 401s share one refresh
+  let refreshing = null;
+  const refreshOnce = () => {
+    if (!refreshing) {
+      refreshing = store.dispatch(refreshSession())
+        .then((result) => refreshSession.fulfilled.match(result))
+        .finally(() => {
+          refreshing = null;
+        });
+    }
+    return refreshing;
+  };
+
+  const requestInterceptor = client.interceptors.request.use((config) => {
+    const { accessToken } = selectAuth(store.getState());
+    if (!accessToken) return config;
+    return {
+      ...config,
+      headers: { ...config.headers, Authorization: `Bearer ${accessToken}` }
+    };
+  });
+
+  const responseInterceptor = client.interceptors.response.use(null, async (error) => {
+    const { config, response } = error;
+    if (response?.status !== 401 || !config || isAuthRequest(config)) {
+      throw error;
+    }
+    if (!config.authRetried && await refreshOnce()) {
+      return client.request({ ...config, authRetried: true });
+    }
+    if (selectAuth(store.getState()).accessToken) {
+      store.dispatch(sessionExpired());
+    }
+    throw error;
+  });
+
+  let timer = null;
+  let lastAuth = null;
+  // Saves the session and schedules its refresh whenever the tokens change
+  const handleChange = () => {
+    const auth = selectAuth(store.getState());
+    if (lastAuth && auth.accessToken === lastAuth.accessToken
+      && auth.refreshToken === lastAuth.refreshToken) {
+      return;
+    }
+    lastAuth = auth;
+    saveSession(auth, storage);
+
+    clearTimeout(timer);
+    timer = null;
+    if (auth.refreshToken && auth.expiresAt) {
+      const delay = Math.max(auth.expiresAt - Date.now() - REFRESH_MARGIN_MS, 0);
+      timer = setTimeout(refreshOnce, Math.min(delay, MAX_TIMEOUT_MS));
+    }
+  };
+  const unsubscribe = store.subscribe(handleChange);
+  handleChange();
+
+  return () => {
+    unsubscribe();
+    clearTimeout(timer);
+    client.interceptors.request.eject(requestInterceptor);
+    client.interceptors.response.eject(responseInterceptor);
+  };
+};
@@ -0,0 +1,18 @@
+import React from 'react';
+import { useSelector } from 'react-redux';
+import { selectAnnouncement } from '../store/slices/announcementsSlice';
+
+// Polite live region that reads out task results (see announcementsSlice).
+// The region itself stays mounted; only its content is swapped, keyed by the
+// announcement id so a repeated message is read again.
+const Announcer = () => {
+  const { message, id } = useSelector(selectAnnouncement);
+
+  return (
+    <div className="visually-hidden" role="status" aria-live="polite" aria-atomic="true">
+      {message && <span key={id}>{message}</span>}
+    </div>
+  );
+};
+
+export default Announcer;
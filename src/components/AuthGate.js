@@ -0,0 +1,13 @@
+import React from 'react';
+import { useSelector } from 'react-redux';
+import { selectIsAuthenticated } from '../store/slices/authSlice';
+import LoginScreen from './LoginScreen';
+
+// Renders the app only once someone is logged in. Logging out or an expired
+// session unmounts it, so the next user starts from a fresh fetch.
+const AuthGate = ({ children }) => {
+  const isAuthenticated = useSelector(selectIsAuthenticated);
+  return isAuthenticated ? children : <LoginScreen />;
+};
+
+export default AuthGate;
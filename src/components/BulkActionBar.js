@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { bulkUpdateTasks, selectTagCounts } from '../store/slices/tasksSlice';
+import { deleteTasksWithUndo } from '../notifications/undo';
+import './BulkActionBar.css';
+
+// Actions for the tasks picked in the list's selection mode. After an action
+// only the tasks that failed stay selected, so they can be tried again; a
+// delete clears the selection and reports failures once its undo window closes.
+const BulkActionBar = ({ selectedIds, onSelectionChange, onClose }) => {
+  const dispatch = useDispatch();
+  const tagCounts = useSelector(selectTagCounts);
+  const [tag, setTag] = useState('');
+  const [isRunning, setIsRunning] = useState(false);
+  const count = selectedIds.length;
+
+  const run = async (action, extra = {}) => {
+    setIsRunning(true);
+    const result = await dispatch(bulkUpdateTasks({ action, ids: selectedIds, ...extra }));
+    setIsRunning(false);
+    if (bulkUpdateTasks.fulfilled.match(result)) {
+      onSelectionChange(result.payload.failures.map((failure) => failure.id));
+    }
+  };
+
+  // The tasks disappear at once; the DELETEs wait out the Undo toast
+  const handleDelete = () => {
+    dispatch(deleteTasksWithUndo(selectedIds));
+    onSelectionChange([]);
+  };
+
+  const handleTag = (e) => {
+    e.preventDefault();
+    if (!tag.trim()) return;
+    run('tag', { tag });
+    setTag('');
+  };
+
+  const disabled = count === 0 || isRunning;
+
+  return (
+    <div className="bulk-action-bar" role="toolbar" aria-label="Bulk actions">
+      <span className="bulk-count">{`${count} selected`}</span>
+      <button
+        onClick={() => run('complete')}
+        className="btn bulk-btn"
+        disabled={disabled}
+        type="button"
+      >
+        Complete
+      </button>
+      <button
+        onClick={() => run('reopen')}
+        className="btn bulk-btn"
+        disabled={disabled}
+        type="button"
+      >
+        Reopen
+      </button>
+      <button
+        onClick={() => run('archive')}
+        className="btn bulk-btn"
+        disabled={disabled}
+        type="button"
+      >
+        Archive
+      </button>
+      <button
+        onClick={() => run('restore')}
+        className="btn bulk-btn"
+        disabled={disabled}
+        type="button"
+      >
+        Restore
+      </button>
+      <button
+        onClick={handleDelete}
+        className="btn bulk-btn bulk-delete-btn"
+        disabled={disabled}
+        type="button"
+      >
+        Delete
+      </button>
+      <form className="bulk-tag-form" onSubmit={handleTag}>
+        <input
+          type="text"
+          value={tag}
+          onChange={(e) => setTag(e.target.value)}
+          placeholder="Tag..."
+          aria-label="Tag for selected tasks"
+          list="bulk-tag-suggestions"
+          disabled={disabled}
+        />
+        <datalist id="bulk-tag-suggestions">
+          {tagCounts.map((item) => (
+            <option key={item.tag} value={item.tag}>{item.tag}</option>
+          ))}
+        </datalist>
+        <button type="submit" className="btn bulk-btn" disabled={disabled || !tag.trim()}>
+          Add tag
+        </button>
+      </form>
+      <button onClick={onClose} className="btn btn-secondary bulk-done-btn" type="button">
+        Done
+      </button>
+    </div>
+  );
+};
+
+export default BulkActionBar;
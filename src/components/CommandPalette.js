@@ -0,0 +1,108 @@
+import React, { useMemo, useState } from 'react';
+import { useSelector } from 'react-redux';
+import { selectActiveTasks } from '../store/slices/tasksSlice';
+import { fuzzyFilter } from '../utils/fuzzy';
+import useKeyboardShortcuts from '../hooks/useKeyboardShortcuts';
+import useDialogFocus from '../hooks/useDialogFocus';
+import './CommandPalette.css';
+
+const MAX_RESULTS = 10;
+
+// Ctrl+K palette: fuzzy-searches the given actions ({ id, label, run }) and
+// the active tasks, which open in the edit form
+const CommandPalette = ({ actions, onOpenTask, onClose }) => {
+  const tasks = useSelector(selectActiveTasks);
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  const results = useMemo(() => {
+    const entries = [
+      ...actions.map((action) => ({
+        key: `action-${action.id}`,
+        kind: 'Action',
+        label: action.label,
+        run: action.run
+      })),
+      ...tasks.map((task) => ({
+        key: `task-${task._id}`,
+        kind: 'Task',
+        label: task.title,
+        run: () => onOpenTask(task)
+      }))
+    ];
+    return fuzzyFilter(entries, query, (entry) => entry.label).slice(0, MAX_RESULTS);
+  }, [actions, tasks, query, onOpenTask]);
+
+  useKeyboardShortcuts({ Escape: onClose });
+  // The search field is the first focusable element, so it gets the focus
+  const dialogRef = useDialogFocus();
+
+  const runEntry = (entry) => {
+    onClose();
+    entry.run();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActiveIndex((index) => (index + step + results.length) % Math.max(results.length, 1));
+    } else if (e.key === 'Enter' && results[activeIndex]) {
+      e.preventDefault();
+      runEntry(results[activeIndex]);
+    }
+  };
+
+  return (
+    <div className="command-palette-overlay">
+      <div
+        ref={dialogRef}
+        className="command-palette"
+        role="dialog"
+        aria-modal="true"
+        aria-label="Command palette"
+        tabIndex={-1}
+      >
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setActiveIndex(0);
+          }}
+          onKeyDown={handleKeyDown}
+          placeholder="Search tasks and actions..."
+          aria-label="Search tasks and actions"
+          role="combobox"
+          aria-expanded={results.length > 0}
+          aria-controls={results.length > 0 ? 'command-palette-results' : undefined}
+          aria-activedescendant={results[activeIndex] ? results[activeIndex].key : undefined}
+        />
+        {results.length === 0 ? (
+          <p className="command-palette-empty">No matches</p>
+        ) : (
+          <ul id="command-palette-results" className="command-palette-results" role="listbox">
+            {results.map((entry, index) => (
+              <li
+                key={entry.key}
+                id={entry.key}
+                className={`command-palette-result ${index === activeIndex ? 'active' : ''}`}
+                role="option"
+                aria-selected={index === activeIndex}
+                tabIndex={-1}
+                onClick={() => runEntry(entry)}
+                onKeyDown={(e) => e.key === 'Enter' && runEntry(entry)}
+                onMouseEnter={() => setActiveIndex(index)}
+              >
+                <span className="command-palette-label">{entry.label}</span>
+                <span className="command-palette-kind">{entry.kind}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CommandPalette;
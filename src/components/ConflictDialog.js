@@ -0,0 +1,197 @@
+import React, { useState } from 'react';
+import {
+  CONFLICT_FIELD_LABELS,
+  getConflictingFields,
+  getEditableFields,
+  mergeFields
+} from '../utils/conflicts';
+import { PRIORITY_LABELS } from '../utils/priority';
+import useKeyboardShortcuts from '../hooks/useKeyboardShortcuts';
+import useDialogFocus from '../hooks/useDialogFocus';
+import './ConflictDialog.css';
+
+const formatDueDate = (dueDate) => new Date(dueDate).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+const EMPTY_LABELS = {
+  title: 'No title',
+  description: 'No description',
+  dueDate: 'No due date',
+  listId: 'No list',
+  tags: 'No tags',
+  subtasks: 'No subtasks'
+};
+
+const FieldValue = ({ field, value, lists }) => {
+  const isEmpty = !value || value.length === 0;
+  if (isEmpty) {
+    return <span className="conflict-value-empty">{EMPTY_LABELS[field]}</span>;
+  }
+  switch (field) {
+  case 'dueDate':
+    return formatDueDate(value);
+  case 'priority':
+    return PRIORITY_LABELS[value];
+  case 'listId':
+    return lists.find((list) => list._id === value)?.name || 'Unknown list';
+  case 'tags':
+    return value.map((tag) => `#${tag}`).join(' ');
+  case 'subtasks':
+    return (
+      <span className="conflict-subtasks">
+        {value.map((subtask) => (
+          <span key={subtask.id}>{`${subtask.completed ? '✓' : '○'} ${subtask.title}`}</span>
+        ))}
+      </span>
+    );
+  default:
+    return <span className="conflict-value-text">{value}</span>;
+  }
+};
+
+// Shown by the task form when saving is refused because someone else changed
+// the task since it was opened. Lists `mine` (the form's values) against
+// `theirs` (the server's task) for each field both changed since `base`, the
+// task the form was opened with; changes only one side made are kept as they
+// are. Keep mine and Merge call `onResolve(taskData)`, which saves over their
+// version and returns a promise; the dialog stays open with the error shown if
+// it rejects. `lists` gives the names shown for the List field.
+const ConflictDialog = ({
+  mine,
+  theirs,
+  base = null,
+  onResolve,
+  onTakeTheirs,
+  onCancel,
+  lists = []
+}) => {
+  // Field -> 'mine' | 'theirs', for Merge
+  const [choices, setChoices] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const fields = getConflictingFields(mine, theirs, base);
+  const mineFields = getEditableFields(mine);
+  const theirFields = getEditableFields(theirs);
+
+  useKeyboardShortcuts({ Escape: onCancel });
+  const dialogRef = useDialogFocus();
+
+  const resolve = async (taskData) => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      await onResolve(taskData);
+    } catch (saveError) {
+      setError(typeof saveError === 'string' ? saveError : 'Couldn\'t save the task');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const choose = (field, side) => setChoices((current) => ({ ...current, [field]: side }));
+
+  return (
+    <div className="conflict-dialog-overlay">
+      <div
+        ref={dialogRef}
+        className="conflict-dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="conflict-dialog-heading"
+        aria-describedby="conflict-dialog-description"
+        tabIndex={-1}
+      >
+        <h2 id="conflict-dialog-heading">This task was changed</h2>
+        <p id="conflict-dialog-description">
+          Someone else saved this task while you were editing it. Keep your version,
+          take theirs, or pick a version of each field and merge them.
+        </p>
+
+        {fields.length === 0 && (
+          <p>None of their changes clash with yours, so saving keeps both.</p>
+        )}
+
+        {fields.length > 0 && (
+          <table className="conflict-table">
+            <thead>
+              <tr>
+                <th scope="col">Field</th>
+                <th scope="col">Mine</th>
+                <th scope="col">Theirs</th>
+              </tr>
+            </thead>
+            <tbody>
+              {fields.map((field) => {
+                const label = CONFLICT_FIELD_LABELS[field].toLowerCase();
+                const choice = choices[field] || 'mine';
+                return (
+                  <tr key={field}>
+                    <th scope="row">{CONFLICT_FIELD_LABELS[field]}</th>
+                    <td className={choice === 'mine' ? 'chosen' : ''}>
+                      <label className="conflict-choice">
+                        <input
+                          type="radio"
+                          name={`conflict-${field}`}
+                          checked={choice === 'mine'}
+                          onChange={() => choose(field, 'mine')}
+                          aria-label={`Use my ${label}`}
+                        />
+                        <FieldValue field={field} value={mineFields[field]} lists={lists} />
+                      </label>
+                    </td>
+                    <td className={choice === 'theirs' ? 'chosen' : ''}>
+                      <label className="conflict-choice">
+                        <input
+                          type="radio"
+                          name={`conflict-${field}`}
+                          checked={choice === 'theirs'}
+                          onChange={() => choose(field, 'theirs')}
+                          aria-label={`Use their ${label}`}
+                        />
+                        <FieldValue field={field} value={theirFields[field]} lists={lists} />
+                      </label>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+
+        {error && <p className="conflict-error" role="alert">{error}</p>}
+
+        <div className="conflict-actions">
+          <button type="button" onClick={onCancel} className="btn btn-secondary" disabled={isSaving}>
+            Back to editing
+          </button>
+          <button type="button" onClick={onTakeTheirs} className="btn btn-secondary" disabled={isSaving}>
+            Take theirs
+          </button>
+          <button
+            type="button"
+            onClick={() => resolve(mergeFields(mine, theirs, choices, base))}
+            className="btn btn-secondary"
+            disabled={isSaving}
+          >
+            Merge
+          </button>
+          <button
+            type="button"
+            onClick={() => resolve(mergeFields(mine, theirs, {}, base))}
+            className="btn btn-primary"
+            disabled={isSaving}
+          >
+            {isSaving ? 'Saving...' : 'Keep mine'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ConflictDialog;
@@ -0,0 +1,53 @@
+import React from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  selectIsOnline,
+  selectIsSyncing,
+  selectQueuedMutations,
+  selectSyncErrors
+} from '../store/slices/offlineSlice';
+import { reconnect } from '../offline/sync';
+import './ConnectionStatus.css';
+
+const ConnectionStatus = () => {
+  const dispatch = useDispatch();
+  const isOnline = useSelector(selectIsOnline);
+  const isSyncing = useSelector(selectIsSyncing);
+  const queuedCount = useSelector(selectQueuedMutations).length;
+  const syncErrors = useSelector(selectSyncErrors);
+
+  let label = 'Online';
+  if (isSyncing) {
+    label = 'Syncing...';
+  } else if (!isOnline) {
+    label = 'Offline';
+  }
+
+  return (
+    <div className={`connection-status ${isOnline ? 'online' : 'offline'}`}>
+      <span className="connection-dot" />
+      <span className="connection-label">{label}</span>
+      {queuedCount > 0 && (
+        <span className="connection-queue">
+          {`${queuedCount} change${queuedCount === 1 ? '' : 's'} pending`}
+        </span>
+      )}
+      {syncErrors.length > 0 && (
+        <span className="connection-errors" title={syncErrors.join('\n')}>
+          {`${syncErrors.length} not synced`}
+        </span>
+      )}
+      {!isOnline && !isSyncing && (
+        <button
+          onClick={() => dispatch(reconnect())}
+          className="btn connection-retry-btn"
+          type="button"
+        >
+          Retry
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ConnectionStatus;
@@ -0,0 +1,163 @@
+import React, { useEffect, useRef, useState } from 'react';
+import './InlineEdit.css';
+
+// Text that turns into an input on double-click or Enter. Enter or blur saves,
+// Escape cancels; with `multiline`, Shift+Enter adds a line break instead.
+// `onSave(value)` gets the trimmed value and returns a promise: the field
+// stays open with the error shown if it rejects. `validate(value)` returns an
+// error message, or null when the value can be saved. `children` replaces the
+// plain text display, e.g. with rendered Markdown; it opens on double-click or
+// with the Edit button shown next to it.
+const InlineEdit = ({
+  value,
+  onSave,
+  validate,
+  label,
+  multiline = false,
+  children
+}) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState(value || '');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const inputRef = useRef(null);
+  const textRef = useRef(null);
+  // Set once the edit is saved or cancelled, so the blur that follows is ignored
+  const isClosingRef = useRef(false);
+  const wasEditingRef = useRef(false);
+
+  useEffect(() => {
+    if (isEditing) {
+      inputRef.current.focus();
+    } else if (wasEditingRef.current && document.activeElement === document.body) {
+      // The input took the focus with it; put it back on the text
+      textRef.current.focus();
+    }
+    wasEditingRef.current = isEditing;
+  }, [isEditing]);
+
+  const startEditing = () => {
+    isClosingRef.current = false;
+    setDraft(value || '');
+    setError(null);
+    setIsEditing(true);
+  };
+
+  const close = () => {
+    isClosingRef.current = true;
+    setError(null);
+    setIsEditing(false);
+  };
+
+  const save = async () => {
+    if (isClosingRef.current || isSaving) return;
+    const trimmed = draft.trim();
+    if (trimmed === (value || '')) {
+      close();
+      return;
+    }
+    const validationError = validate ? validate(trimmed) : null;
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      await onSave(trimmed);
+      close();
+    } catch (saveError) {
+      setError(typeof saveError === 'string' ? saveError : 'Couldn\'t save the change');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      // Keep the key from reaching the global shortcuts
+      e.preventDefault();
+      e.stopPropagation();
+      close();
+    } else if (e.key === 'Enter' && !(multiline && e.shiftKey)) {
+      e.preventDefault();
+      save();
+    }
+  };
+
+  const handleTextKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      startEditing();
+    }
+  };
+
+  if (children && !isEditing) {
+    // Rich content can hold links and buttons, so it can't be a button itself;
+    // keyboard users get a separate one
+    const editLabel = `Edit ${label.toLowerCase()}`;
+    return (
+      <div className="inline-edit-rich">
+        <div
+          className="inline-edit-text"
+          title="Double-click to edit"
+          onDoubleClick={startEditing}
+        >
+          {children}
+        </div>
+        <button
+          ref={textRef}
+          onClick={startEditing}
+          className="inline-edit-button"
+          title={editLabel}
+          aria-label={editLabel}
+          type="button"
+        >
+          <span aria-hidden="true">✏️</span>
+        </button>
+      </div>
+    );
+  }
+
+  if (!isEditing) {
+    return (
+      <span
+        ref={textRef}
+        className="inline-edit-text"
+        role="button"
+        tabIndex={0}
+        title="Double-click or press Enter to edit"
+        onDoubleClick={startEditing}
+        onKeyDown={handleTextKeyDown}
+      >
+        {value}
+      </span>
+    );
+  }
+
+  const Field = multiline ? 'textarea' : 'input';
+
+  return (
+    <span className={`inline-edit ${isSaving ? 'saving' : ''} ${error ? 'invalid' : ''}`}>
+      <Field
+        ref={inputRef}
+        className="inline-edit-input"
+        type={multiline ? undefined : 'text'}
+        rows={multiline ? 3 : undefined}
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onKeyDown={handleKeyDown}
+        onBlur={save}
+        // Read-only rather than disabled, so the field keeps the focus while saving
+        readOnly={isSaving}
+        aria-label={label}
+        aria-invalid={Boolean(error)}
+        aria-busy={isSaving}
+      />
+      {isSaving && <span className="inline-edit-status">Saving...</span>}
+      {error && <span className="inline-edit-error" role="alert">{error}</span>}
+    </span>
+  );
+};
+
+export default InlineEdit;
@@ -0,0 +1,196 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  createList,
+  deleteList,
+  listSelected,
+  listsErrorDismissed,
+  moveList,
+  selectAllLists,
+  selectListsError,
+  selectSelectedListId,
+  updateList
+} from '../store/slices/listsSlice';
+import './ListSidebar.css';
+
+// The user's task lists: picks the list the task view shows, and creates,
+// renames, reorders and deletes lists
+const ListSidebar = () => {
+  const dispatch = useDispatch();
+  const lists = useSelector(selectAllLists);
+  const selectedListId = useSelector(selectSelectedListId);
+  const error = useSelector(selectListsError);
+  const [newName, setNewName] = useState('');
+  const [isCreating, setIsCreating] = useState(false);
+  // { id, name } of the list being renamed
+  const [renaming, setRenaming] = useState(null);
+  const renameInputRef = useRef(null);
+  const renamingId = renaming?.id;
+
+  useEffect(() => {
+    if (renamingId) {
+      renameInputRef.current.focus();
+    }
+  }, [renamingId]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const name = newName.trim();
+    if (!name) return;
+
+    setIsCreating(true);
+    const result = await dispatch(createList(name));
+    setIsCreating(false);
+    if (createList.fulfilled.match(result)) {
+      setNewName('');
+      dispatch(listSelected(result.payload._id));
+    }
+  };
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    const name = renaming.name.trim();
+    const list = lists.find((item) => item._id === renaming.id);
+    if (!name || name === list?.name) {
+      setRenaming(null);
+      return;
+    }
+
+    const result = await dispatch(updateList({ id: renaming.id, changes: { name } }));
+    if (updateList.fulfilled.match(result)) {
+      setRenaming(null);
+    }
+  };
+
+  const handleRenameKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      // Keep the key from reaching the global shortcuts
+      e.preventDefault();
+      e.stopPropagation();
+      setRenaming(null);
+    }
+  };
+
+  const handleDelete = (list) => {
+    if (window.confirm(`Delete the list "${list.name}" and all of its tasks?`)) {
+      dispatch(deleteList(list._id));
+    }
+  };
+
+  return (
+    <nav className="list-sidebar" aria-label="Task lists">
+      <h2 className="list-sidebar-heading">Lists</h2>
+      <ul className="list-sidebar-items">
+        <li className={`list-sidebar-item ${selectedListId === null ? 'selected' : ''}`}>
+          <button
+            onClick={() => dispatch(listSelected(null))}
+            className="list-sidebar-select"
+            aria-current={selectedListId === null ? 'true' : undefined}
+            type="button"
+          >
+            All tasks
+          </button>
+        </li>
+        {lists.map((list, index) => (
+          <li
+            key={list._id}
+            className={`list-sidebar-item ${selectedListId === list._id ? 'selected' : ''}`}
+          >
+            {renamingId === list._id ? (
+              <form className="list-sidebar-rename" onSubmit={handleRename}>
+                <input
+                  ref={renameInputRef}
+                  type="text"
+                  value={renaming.name}
+                  onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                  onKeyDown={handleRenameKeyDown}
+                  aria-label={`New name for ${list.name}`}
+                />
+                <button type="submit" className="btn btn-secondary">Save</button>
+              </form>
+            ) : (
+              <>
+                <button
+                  onClick={() => dispatch(listSelected(list._id))}
+                  className="list-sidebar-select"
+                  aria-current={selectedListId === list._id ? 'true' : undefined}
+                  type="button"
+                >
+                  {list.name}
+                </button>
+                <div className="list-sidebar-actions">
+                  <button
+                    onClick={() => dispatch(moveList({ id: list._id, offset: -1 }))}
+                    title="Move up"
+                    aria-label={`Move ${list.name} up`}
+                    disabled={index === 0}
+                    type="button"
+                  >
+                    <span aria-hidden="true">↑</span>
+                  </button>
+                  <button
+                    onClick={() => dispatch(moveList({ id: list._id, offset: 1 }))}
+                    title="Move down"
+                    aria-label={`Move ${list.name} down`}
+                    disabled={index === lists.length - 1}
+                    type="button"
+                  >
+                    <span aria-hidden="true">↓</span>
+                  </button>
+                  <button
+                    onClick={() => setRenaming({ id: list._id, name: list.name })}
+                    title="Rename list"
+                    aria-label={`Rename ${list.name}`}
+                    type="button"
+                  >
+                    <span aria-hidden="true">✏️</span>
+                  </button>
+                  <button
+                    onClick={() => handleDelete(list)}
+                    title="Delete list"
+                    aria-label={`Delete ${list.name}`}
+                    type="button"
+                  >
+                    <span aria-hidden="true">🗑️</span>
+                  </button>
+                </div>
+              </>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      <form className="list-sidebar-create" onSubmit={handleCreate}>
+        <input
+          type="text"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          placeholder="New list"
+          aria-label="New list name"
+        />
+        <button
+          type="submit"
+          className="btn btn-secondary"
+          disabled={!newName.trim() || isCreating}
+        >
+          {isCreating ? 'Adding...' : 'Add list'}
+        </button>
+      </form>
+
+      {error && (
+        <div className="list-sidebar-error" role="alert">
+          {error}
+          <button
+            onClick={() => dispatch(listsErrorDismissed())}
+            aria-label="Dismiss"
+            type="button"
+          >
+            <span aria-hidden="true">×</span>
+          </button>
+        </div>
+      )}
+    </nav>
+  );
+};
+
+export default ListSidebar;
@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { login, register, selectAuth } from '../store/slices/authSlice';
+import './LoginScreen.css';
+
+const MODE_LABELS = { login: 'Log in', register: 'Create account' };
+
+// Shown instead of the app until there is a session (see AuthGate). Logs in,
+// or creates an account when switched to "Create account".
+const LoginScreen = () => {
+  const dispatch = useDispatch();
+  const { status, error, sessionExpired } = useSelector(selectAuth);
+  const [mode, setMode] = useState('login');
+  const [name, setName] = useState('');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const isPending = status === 'pending';
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (mode === 'register') {
+      dispatch(register({ name: name.trim(), email: email.trim(), password }));
+    } else {
+      dispatch(login({ email: email.trim(), password }));
+    }
+  };
+
+  const switchMode = () => setMode(mode === 'login' ? 'register' : 'login');
+
+  return (
+    <main className="login-screen">
+      <form className="login-card" onSubmit={handleSubmit} aria-labelledby="login-heading">
+        <h1>K8 Todo App</h1>
+        <h2 id="login-heading">{MODE_LABELS[mode]}</h2>
+
+        {sessionExpired && (
+          <p className="login-notice" role="status">
+            Your session expired. Please log in again.
+          </p>
+        )}
+
+        {mode === 'register' && (
+          <div className="form-group">
+            <label htmlFor="login-name">Name</label>
+            <input
+              id="login-name"
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              autoComplete="name"
+              required
+            />
+          </div>
+        )}
+
+        <div className="form-group">
+          <label htmlFor="login-email">Email</label>
+          <input
+            id="login-email"
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            autoComplete="email"
+            required
+          />
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="login-password">Password</label>
+          <input
+            id="login-password"
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete={mode === 'register' ? 'new-password' : 'current-password'}
+            required
+          />
+        </div>
+
+        {error && <p className="login-error" role="alert">{error}</p>}
+
+        <button type="submit" className="btn btn-primary" disabled={isPending}>
+          {isPending ? 'Please wait...' : MODE_LABELS[mode]}
+        </button>
+        <button type="button" className="login-switch" onClick={switchMode}>
+          {mode === 'login' ? 'New here? Create an account' : 'Have an account? Log in'}
+        </button>
+      </form>
+    </main>
+  );
+};
+
+export default LoginScreen;
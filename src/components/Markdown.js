@@ -0,0 +1,47 @@
+import React, { useMemo } from 'react';
+import { renderMarkdown } from '../utils/markdown';
+import './Markdown.css';
+
+const COPIED_RESET_MS = 2000;
+
+// Copies the code next to the clicked button; the button says so for a moment
+const copyCode = async (button) => {
+  const code = button.parentElement.querySelector('pre');
+  if (!code || !navigator.clipboard) return;
+  try {
+    await navigator.clipboard.writeText(code.textContent);
+    button.textContent = 'Copied';
+  } catch (error) {
+    button.textContent = 'Copy failed';
+  }
+  setTimeout(() => {
+    button.textContent = 'Copy';
+  }, COPIED_RESET_MS);
+};
+
+// Sanitized Markdown (see utils/markdown). The copy buttons on code blocks are
+// part of the generated HTML, so their clicks are handled here.
+const Markdown = ({ text, className = '' }) => {
+  const html = useMemo(() => renderMarkdown(text), [text]);
+
+  const handleClick = (e) => {
+    const button = e.target.closest('.code-copy');
+    if (button) {
+      copyCode(button);
+    }
+  };
+
+  return (
+    // Only listens for clicks bubbling up from the generated copy buttons,
+    // which are real buttons and work from the keyboard
+    <div
+      className={`markdown ${className}`}
+      role="presentation"
+      onClick={handleClick}
+      // eslint-disable-next-line react/no-danger
+      dangerouslySetInnerHTML={{ __html: html }}
+    />
+  );
+};
+
+export default Markdown;
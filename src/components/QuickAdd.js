@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+import { useDispatch } from 'react-redux';
+import { addTask } from '../store/slices/tasksSlice';
+import { parseQuickAdd } from '../utils/quickAdd';
+import { DEFAULT_PRIORITY, PRIORITY_LABELS } from '../utils/priority';
+import { validateTitle } from '../utils/validation';
+import './QuickAdd.css';
+
+const formatDue = (isoString) => new Date(isoString).toLocaleString('en-US', {
+  weekday: 'short',
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+// Always-visible single-line add: the text is parsed as the user types (see
+// utils/quickAdd) and the parsed fields are previewed before it is submitted
+const QuickAdd = () => {
+  const dispatch = useDispatch();
+  const [text, setText] = useState('');
+  const [isAdding, setIsAdding] = useState(false);
+  const [error, setError] = useState(null);
+  const parsed = parseQuickAdd(text);
+  const priority = parsed.priority || DEFAULT_PRIORITY;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const titleError = validateTitle(parsed.title);
+    if (titleError) {
+      setError(titleError);
+      return;
+    }
+
+    setIsAdding(true);
+    try {
+      await dispatch(addTask({
+        title: parsed.title,
+        description: '',
+        dueDate: parsed.dueDate,
+        priority,
+        tags: parsed.tags
+      })).unwrap();
+      setText('');
+      setError(null);
+    } catch (addError) {
+      setError(typeof addError === 'string' ? addError : 'Couldn\'t add the task');
+    } finally {
+      setIsAdding(false);
+    }
+  };
+
+  return (
+    <form className="quick-add" onSubmit={handleSubmit}>
+      <div className="quick-add-row">
+        <input
+          type="text"
+          className="quick-add-input"
+          value={text}
+          onChange={(e) => {
+            setText(e.target.value);
+            setError(null);
+          }}
+          placeholder="Quick add: Deploy ingress tomorrow 5pm #infra !high"
+          aria-label="Quick add task"
+          aria-describedby="quick-add-preview"
+          aria-invalid={Boolean(error)}
+        />
+        <button type="submit" className="btn quick-add-btn" disabled={isAdding}>
+          {isAdding ? 'Adding...' : 'Add'}
+        </button>
+      </div>
+      <div id="quick-add-preview" className="quick-add-preview">
+        {text.trim() && (
+          <>
+            <span className="quick-add-field">
+              {'Title: '}
+              {parsed.title || <em>missing</em>}
+            </span>
+            {parsed.dueDate && (
+              <span className="quick-add-field">{`Due: ${formatDue(parsed.dueDate)}`}</span>
+            )}
+            <span className={`quick-add-field priority-${priority}`}>
+              {`Priority: ${PRIORITY_LABELS[priority]}`}
+            </span>
+            {parsed.tags.map((tag) => (
+              <span key={tag} className="quick-add-field quick-add-tag">{`#${tag}`}</span>
+            ))}
+          </>
+        )}
+      </div>
+      {error && <p className="quick-add-error" role="alert">{error}</p>}
+    </form>
+  );
+};
+
+export default QuickAdd;
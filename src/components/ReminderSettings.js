@@ -0,0 +1,66 @@
+import React from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  REMINDER_LEAD_TIMES,
+  reminderLeadTimeChanged,
+  remindersToggled,
+  selectReminderSettings
+} from '../store/slices/remindersSlice';
+import { isNotificationSupported } from '../reminders';
+import './ReminderSettings.css';
+
+const formatLeadTime = (minutes) => {
+  if (minutes === 0) return 'At due time';
+  if (minutes % 1440 === 0) return `${minutes / 1440} day before`;
+  if (minutes % 60 === 0) return `${minutes / 60} hour before`;
+  return `${minutes} min before`;
+};
+
+const ReminderSettings = () => {
+  const dispatch = useDispatch();
+  const { enabled, leadMinutes } = useSelector(selectReminderSettings);
+
+  if (!isNotificationSupported()) {
+    return null;
+  }
+
+  const handleToggle = async (e) => {
+    if (!e.target.checked) {
+      dispatch(remindersToggled(false));
+      return;
+    }
+    // Only ask for permission once the user opts in
+    const permission = window.Notification.permission === 'granted'
+      ? 'granted'
+      : await window.Notification.requestPermission();
+    dispatch(remindersToggled(permission === 'granted'));
+  };
+
+  return (
+    <div className="reminder-settings">
+      <label htmlFor="reminders-enabled" className="reminder-toggle">
+        <input
+          id="reminders-enabled"
+          type="checkbox"
+          checked={enabled}
+          onChange={handleToggle}
+        />
+        Reminders
+      </label>
+      <select
+        value={leadMinutes}
+        onChange={(e) => dispatch(reminderLeadTimeChanged(Number(e.target.value)))}
+        disabled={!enabled}
+        aria-label="Remind me"
+      >
+        {REMINDER_LEAD_TIMES.map((minutes) => (
+          <option key={minutes} value={minutes}>
+            {formatLeadTime(minutes)}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default ReminderSettings;
@@ -0,0 +1,41 @@
+import React from 'react';
+import { SHORTCUTS } from '../shortcuts';
+import useKeyboardShortcuts from '../hooks/useKeyboardShortcuts';
+import useDialogFocus from '../hooks/useDialogFocus';
+import './ShortcutHelp.css';
+
+// `?` overlay listing the global keyboard shortcuts
+const ShortcutHelp = ({ onClose }) => {
+  useKeyboardShortcuts({ Escape: onClose });
+  const dialogRef = useDialogFocus();
+
+  return (
+    <div className="shortcut-help-overlay">
+      <div
+        ref={dialogRef}
+        className="shortcut-help"
+        role="dialog"
+        aria-modal="true"
+        aria-label="Keyboard shortcuts"
+        tabIndex={-1}
+      >
+        <h2>Keyboard Shortcuts</h2>
+        <dl className="shortcut-help-list">
+          {SHORTCUTS.map(({ keys, description }) => (
+            <div key={description} className="shortcut-help-row">
+              <dt>
+                {keys.map((key) => <kbd key={key}>{key}</kbd>)}
+              </dt>
+              <dd>{description}</dd>
+            </div>
+          ))}
+        </dl>
+        <button onClick={onClose} className="btn btn-secondary" type="button">
+          Close
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ShortcutHelp;
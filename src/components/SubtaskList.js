@@ -0,0 +1,143 @@
+import React, { useEffect, useState } from 'react';
+import { createSubtask } from '../utils/subtasks';
+import { moveItem } from '../utils/ordering';
+import './SubtaskList.css';
+
+// Title edits are kept locally and only committed on blur or Enter, so
+// inline editing doesn't send an update per keystroke
+const SubtaskRow = ({
+  subtask,
+  index,
+  count,
+  onUpdate,
+  onMove,
+  onRemove
+}) => {
+  const [title, setTitle] = useState(subtask.title);
+
+  useEffect(() => {
+    setTitle(subtask.title);
+  }, [subtask.title]);
+
+  const commitTitle = () => {
+    const trimmed = title.trim();
+    if (!trimmed) {
+      setTitle(subtask.title);
+    } else if (trimmed !== subtask.title) {
+      onUpdate({ ...subtask, title: trimmed });
+    }
+  };
+
+  return (
+    <li className={`subtask-row ${subtask.completed ? 'completed' : ''}`}>
+      <input
+        type="checkbox"
+        checked={subtask.completed}
+        onChange={() => onUpdate({ ...subtask, completed: !subtask.completed })}
+        aria-label={`Complete ${subtask.title}`}
+      />
+      <input
+        type="text"
+        className="subtask-title"
+        value={title}
+        onChange={(e) => setTitle(e.target.value)}
+        onBlur={commitTitle}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') {
+            e.preventDefault();
+            commitTitle();
+          }
+        }}
+        aria-label={`Subtask ${index + 1}`}
+      />
+      <button
+        onClick={() => onMove(index, index - 1)}
+        className="subtask-btn"
+        disabled={index === 0}
+        aria-label={`Move ${subtask.title} up`}
+        type="button"
+      >
+        ↑
+      </button>
+      <button
+        onClick={() => onMove(index, index + 1)}
+        className="subtask-btn"
+        disabled={index === count - 1}
+        aria-label={`Move ${subtask.title} down`}
+        type="button"
+      >
+        ↓
+      </button>
+      <button
+        onClick={() => onRemove(subtask.id)}
+        className="subtask-btn subtask-remove-btn"
+        aria-label={`Remove ${subtask.title}`}
+        type="button"
+      >
+        ×
+      </button>
+    </li>
+  );
+};
+
+// Ordered checklist editor shared by TaskForm and the inline view in TaskItem
+const SubtaskList = ({ id, subtasks, onChange }) => {
+  const [draft, setDraft] = useState('');
+
+  const addSubtask = () => {
+    if (!draft.trim()) return;
+    onChange([...subtasks, createSubtask(draft)]);
+    setDraft('');
+  };
+
+  const updateSubtask = (updated) => {
+    onChange(subtasks.map((subtask) => (subtask.id === updated.id ? updated : subtask)));
+  };
+
+  return (
+    <div className="subtask-list">
+      {subtasks.length > 0 && (
+        <ul>
+          {subtasks.map((subtask, index) => (
+            <SubtaskRow
+              key={subtask.id}
+              subtask={subtask}
+              index={index}
+              count={subtasks.length}
+              onUpdate={updateSubtask}
+              onMove={(from, to) => onChange(moveItem(subtasks, from, to))}
+              onRemove={(removedId) => onChange(subtasks.filter((item) => item.id !== removedId))}
+            />
+          ))}
+        </ul>
+      )}
+      <div className="subtask-add">
+        <input
+          id={id}
+          type="text"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              // Keep Enter from submitting the surrounding form
+              e.preventDefault();
+              addSubtask();
+            }
+          }}
+          placeholder="Add a subtask..."
+          aria-label="New subtask"
+        />
+        <button
+          onClick={addSubtask}
+          className="subtask-btn subtask-add-btn"
+          disabled={!draft.trim()}
+          type="button"
+        >
+          Add
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SubtaskList;
@@ -0,0 +1,43 @@
+import React from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { selectTagCounts } from '../store/slices/tasksSlice';
+import { selectFilters, setTagFilter } from '../store/slices/filtersSlice';
+import './TagBar.css';
+
+// All tags in the store with their task counts; clicking one filters the list.
+// Manage tags calls `onManageTags`, which opens the TagManager dialog.
+const TagBar = ({ onManageTags }) => {
+  const dispatch = useDispatch();
+  const tagCounts = useSelector(selectTagCounts);
+  const { tag: activeTag } = useSelector(selectFilters);
+
+  if (tagCounts.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="tag-bar">
+      <span className="tag-bar-label">Tags</span>
+      {tagCounts.map(({ tag, count }) => (
+        <button
+          key={tag}
+          onClick={() => dispatch(setTagFilter(tag === activeTag ? '' : tag))}
+          className={`tag-bar-tag ${tag === activeTag ? 'active' : ''}`}
+          aria-pressed={tag === activeTag}
+          type="button"
+        >
+          {`#${tag} (${count})`}
+        </button>
+      ))}
+      <button
+        onClick={onManageTags}
+        className="tag-bar-manage-btn"
+        type="button"
+      >
+        Manage tags
+      </button>
+    </div>
+  );
+};
+
+export default TagBar;
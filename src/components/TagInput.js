@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import { normalizeTag } from '../utils/tags';
+import './TagInput.css';
+
+const MAX_SUGGESTIONS = 6;
+
+// Chip-style input for a task's tags. Enter or comma adds the typed tag,
+// Backspace on an empty input removes the last one, and existing tags from
+// `suggestions` are offered as the user types.
+const TagInput = ({
+  id,
+  value,
+  onChange,
+  suggestions = []
+}) => {
+  const [draft, setDraft] = useState('');
+  const query = normalizeTag(draft);
+  const matches = query
+    ? suggestions
+      .filter((tag) => tag.startsWith(query) && !value.includes(tag))
+      .slice(0, MAX_SUGGESTIONS)
+    : [];
+
+  const addTag = (tag) => {
+    const normalized = normalizeTag(tag);
+    if (normalized && !value.includes(normalized)) {
+      onChange([...value, normalized]);
+    }
+    setDraft('');
+  };
+
+  const removeTag = (tag) => {
+    onChange(value.filter((item) => item !== tag));
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      // Keep Enter from submitting the surrounding form
+      e.preventDefault();
+      addTag(draft);
+    } else if (e.key === 'Backspace' && draft === '' && value.length > 0) {
+      removeTag(value[value.length - 1]);
+    }
+  };
+
+  return (
+    <div className="tag-input">
+      <div className="tag-input-field">
+        {value.map((tag) => (
+          <span key={tag} className="tag-chip">
+            {`#${tag}`}
+            <button
+              onClick={() => removeTag(tag)}
+              className="tag-chip-remove"
+              aria-label={`Remove tag ${tag}`}
+              type="button"
+            >
+              ×
+            </button>
+          </span>
+        ))}
+        <input
+          id={id}
+          type="text"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={handleKeyDown}
+          onBlur={() => draft.trim() && addTag(draft)}
+          placeholder={value.length === 0 ? 'Add tags...' : ''}
+          autoComplete="off"
+        />
+      </div>
+      {matches.length > 0 && (
+        <ul className="tag-suggestions" aria-label="Tag suggestions">
+          {matches.map((tag) => (
+            <li key={tag}>
+              <button
+                // Runs before the input's blur so the suggestion wins over the draft
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => addTag(tag)}
+                className="tag-suggestion"
+                type="button"
+              >
+                {`#${tag}`}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TagInput;
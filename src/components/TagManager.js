@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { renameTag, selectTagCounts } from '../store/slices/tasksSlice';
+import { selectFilters, setTagFilter } from '../store/slices/filtersSlice';
+import { normalizeTag } from '../utils/tags';
+import useKeyboardShortcuts from '../hooks/useKeyboardShortcuts';
+import useDialogFocus from '../hooks/useDialogFocus';
+import './TagManager.css';
+
+// Renames a tag across the loaded tasks, or merges it into another by renaming
+// it to a tag that already exists. Tasks on pages or lists not loaded yet are
+// neither counted nor renamed, and the dialog says so.
+const TagManager = ({ onClose }) => {
+  const dispatch = useDispatch();
+  const tagCounts = useSelector(selectTagCounts);
+  const { tag: activeTag } = useSelector(selectFilters);
+  const [drafts, setDrafts] = useState({});
+  const [savingTag, setSavingTag] = useState(null);
+
+  useKeyboardShortcuts({ Escape: onClose });
+  const dialogRef = useDialogFocus();
+
+  const handleRename = async (from) => {
+    const to = normalizeTag(drafts[from]);
+    setSavingTag(from);
+    await dispatch(renameTag({ from, to }));
+    if (activeTag === from) {
+      dispatch(setTagFilter(to));
+    }
+    setDrafts((current) => {
+      const rest = { ...current };
+      delete rest[from];
+      return rest;
+    });
+    setSavingTag(null);
+  };
+
+  return (
+    <div className="tag-manager-overlay">
+      <div
+        ref={dialogRef}
+        className="tag-manager"
+        role="dialog"
+        aria-modal="true"
+        aria-label="Manage tags"
+        tabIndex={-1}
+      >
+        <h2>Manage Tags</h2>
+        <p className="tag-manager-hint">
+          Renames a tag on the tasks loaded so far, the only ones counted here.
+          Tasks not loaded yet keep the old name. Renaming to an existing tag merges the two.
+        </p>
+
+        <ul className="tag-manager-list">
+          {tagCounts.map(({ tag, count }) => {
+            const target = normalizeTag(drafts[tag] ?? tag);
+            const isMerge = target !== tag && tagCounts.some((item) => item.tag === target);
+            let label = isMerge ? 'Merge' : 'Rename';
+            if (savingTag === tag) {
+              label = 'Saving...';
+            }
+            return (
+              <li key={tag} className="tag-manager-row">
+                <input
+                  type="text"
+                  value={drafts[tag] ?? tag}
+                  onChange={(e) => setDrafts({ ...drafts, [tag]: e.target.value })}
+                  aria-label={`New name for ${tag}`}
+                />
+                <span className="tag-manager-count">
+                  {`${count} task${count === 1 ? '' : 's'}`}
+                </span>
+                <button
+                  onClick={() => handleRename(tag)}
+                  className="btn btn-secondary"
+                  disabled={!target || target === tag || savingTag !== null}
+                  type="button"
+                >
+                  {label}
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+
+        <div className="form-actions">
+          <button type="button" onClick={onClose} className="btn btn-primary">
+            Done
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TagManager;
@@ -1,35 +1,99 @@
 import React, { useState } from 'react';
-import { useDispatch } from 'react-redux';
-import { addTask, updateTask } from '../store/slices/tasksSlice';
+import { useDispatch, useSelector } from 'react-redux';
+import { unwrapResult } from '@reduxjs/toolkit';
+import { addTask, updateTask, selectTagCounts } from '../store/slices/tasksSlice';
+import { selectAllLists, selectSelectedListId } from '../store/slices/listsSlice';
+import { fromDateTimeInputValue, toDateTimeInputValue } from '../utils/dueDates';
+import {
+  DEFAULT_PRIORITY,
+  PRIORITIES,
+  PRIORITY_LABELS,
+  getPriority
+} from '../utils/priority';
+import { getTags } from '../utils/tags';
+import { getSubtasks } from '../utils/subtasks';
+import { validateTitle } from '../utils/validation';
+import TagInput from './TagInput';
+import SubtaskList from './SubtaskList';
+import Markdown from './Markdown';
+import ConflictDialog from './ConflictDialog';
+import useKeyboardShortcuts from '../hooks/useKeyboardShortcuts';
+import useDialogFocus from '../hooks/useDialogFocus';
 import './TaskForm.css';
 
+const DESCRIPTION_TABS = ['write', 'preview'];
+const DESCRIPTION_TAB_LABELS = { write: 'Write', preview: 'Preview' };
+
 const TaskForm = ({ task = null, onCancel }) => {
   const [title, setTitle] = useState(task ? task.title : '');
-  const [description, setDescription] = useState(task ? task.description : '');
+  const [description, setDescription] = useState(task?.description || '');
+  const [dueDate, setDueDate] = useState(toDateTimeInputValue(task?.dueDate));
+  const [priority, setPriority] = useState(task ? getPriority(task) : DEFAULT_PRIORITY);
+  const [tags, setTags] = useState(task ? getTags(task) : []);
+  const [subtasks, setSubtasks] = useState(getSubtasks(task));
+  const lists = useSelector(selectAllLists);
+  const selectedListId = useSelector(selectSelectedListId);
+  // New tasks start out in the selected list
+  const [listId, setListId] = useState((task ? task.listId : selectedListId) || '');
+  const [descriptionTab, setDescriptionTab] = useState('write');
+  // { mine, theirs, base } while saving is held up by someone else's change
+  const [conflict, setConflict] = useState(null);
+  const tagCounts = useSelector(selectTagCounts);
   const dispatch = useDispatch();
 
+  // Saves the edited task against `base`, the version it was edited from.
+  // Resolves true once saved; when someone else changed the task since, opens
+  // the conflict dialog instead and resolves false.
+  const saveChanges = async (taskData, base) => {
+    const result = await dispatch(updateTask({
+      id: task._id,
+      taskData,
+      baseUpdatedAt: base.updatedAt,
+      handlesConflict: true
+    }));
+    if (updateTask.rejected.match(result) && result.meta.serverTask) {
+      setConflict({ mine: taskData, theirs: result.meta.serverTask, base });
+      return false;
+    }
+    unwrapResult(result);
+    return true;
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
 
-    if (!title.trim()) {
-      alert('Please enter a task title');
+    const titleError = validateTitle(title);
+    if (titleError) {
+      alert(titleError);
       return;
     }
 
     const taskData = {
       title: title.trim(),
-      description: description.trim()
+      description: description.trim(),
+      dueDate: fromDateTimeInputValue(dueDate),
+      priority,
+      tags,
+      subtasks
     };
+    // Edits always carry the list, so a conflicting edit can compare it
+    if (task || lists.length > 0) {
+      taskData.listId = listId || null;
+    }
 
     try {
       if (task) {
-        await dispatch(updateTask({ id: task._id, taskData })).unwrap();
+        const saved = await saveChanges(taskData, task);
+        if (!saved) return;
       } else {
         await dispatch(addTask(taskData)).unwrap();
       }
 
       setTitle('');
       setDescription('');
+      setDueDate('');
+      setTags([]);
+      setSubtasks([]);
       if (onCancel) onCancel();
     } catch (error) {
       console.error('Error saving task:', error);
@@ -39,13 +103,42 @@ const TaskForm = ({ task = null, onCancel }) => {
   const handleCancel = () => {
     setTitle('');
     setDescription('');
+    setDueDate('');
+    setTags([]);
+    setSubtasks([]);
     if (onCancel) onCancel();
   };
 
+  // Keep mine and Merge save over their version, which the server now has
+  const handleResolveConflict = async (taskData) => {
+    if (await saveChanges(taskData, conflict.theirs)) {
+      handleCancel();
+    }
+  };
+
+  // Arrow keys move between the Write and Preview tabs
+  const handleTabKeyDown = (e) => {
+    if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+    e.preventDefault();
+    const next = descriptionTab === 'write' ? 'preview' : 'write';
+    setDescriptionTab(next);
+    document.getElementById(`description-tab-${next}`).focus();
+  };
+
+  useKeyboardShortcuts({ Escape: handleCancel }, !conflict);
+  const dialogRef = useDialogFocus();
+
   return (
     <div className="task-form-overlay">
-      <div className="task-form">
-        <h2>{task ? 'Edit Task' : 'Add New Task'}</h2>
+      <div
+        ref={dialogRef}
+        className="task-form"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="task-form-heading"
+        tabIndex={-1}
+      >
+        <h2 id="task-form-heading">{task ? 'Edit Task' : 'Add New Task'}</h2>
         <form onSubmit={handleSubmit}>
           <div className="form-group">
             <label htmlFor="title">Title *</label>
@@ -60,16 +153,110 @@ const TaskForm = ({ task = null, onCancel }) => {
           </div>
 
           <div className="form-group">
-            <label htmlFor="description">Description</label>
-            <textarea
-              id="description"
-              value={description}
-              onChange={(e) => setDescription(e.target.value)}
-              placeholder="Enter task description (optional)..."
-              rows="3"
+            <div className="description-header">
+              <label htmlFor="description">Description</label>
+              <div className="description-tabs" role="tablist" aria-label="Description mode">
+                {DESCRIPTION_TABS.map((tab) => (
+                  <button
+                    key={tab}
+                    id={`description-tab-${tab}`}
+                    onClick={() => setDescriptionTab(tab)}
+                    onKeyDown={handleTabKeyDown}
+                    className={`description-tab ${descriptionTab === tab ? 'active' : ''}`}
+                    role="tab"
+                    aria-selected={descriptionTab === tab}
+                    aria-controls={`description-panel-${tab}`}
+                    tabIndex={descriptionTab === tab ? 0 : -1}
+                    type="button"
+                  >
+                    {DESCRIPTION_TAB_LABELS[tab]}
+                  </button>
+                ))}
+              </div>
+            </div>
+            {/* The textarea stays mounted so the label always has its field */}
+            <div
+              id="description-panel-write"
+              role="tabpanel"
+              aria-labelledby="description-tab-write"
+              hidden={descriptionTab !== 'write'}
+            >
+              <textarea
+                id="description"
+                value={description}
+                onChange={(e) => setDescription(e.target.value)}
+                placeholder="Enter task description (optional)... Markdown is supported"
+                rows="6"
+              />
+            </div>
+            {descriptionTab === 'preview' && (
+              <div
+                id="description-panel-preview"
+                className="description-preview"
+                role="tabpanel"
+                aria-labelledby="description-tab-preview"
+              >
+                {description.trim()
+                  ? <Markdown text={description} />
+                  : <p className="description-preview-empty">Nothing to preview</p>}
+              </div>
+            )}
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="dueDate">Due date</label>
+            <input
+              type="datetime-local"
+              id="dueDate"
+              value={dueDate}
+              onChange={(e) => setDueDate(e.target.value)}
             />
           </div>
 
+          <div className="form-group">
+            <label htmlFor="priority">Priority</label>
+            <select
+              id="priority"
+              value={priority}
+              onChange={(e) => setPriority(e.target.value)}
+            >
+              {PRIORITIES.map((value) => (
+                <option key={value} value={value}>{PRIORITY_LABELS[value]}</option>
+              ))}
+            </select>
+          </div>
+
+          {lists.length > 0 && (
+            <div className="form-group">
+              <label htmlFor="list">List</label>
+              <select
+                id="list"
+                value={listId}
+                onChange={(e) => setListId(e.target.value)}
+              >
+                <option value="">No list</option>
+                {lists.map((list) => (
+                  <option key={list._id} value={list._id}>{list.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <div className="form-group">
+            <label htmlFor="tags">Tags</label>
+            <TagInput
+              id="tags"
+              value={tags}
+              onChange={setTags}
+              suggestions={tagCounts.map(({ tag }) => tag)}
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="subtasks">Subtasks</label>
+            <SubtaskList id="subtasks" subtasks={subtasks} onChange={setSubtasks} />
+          </div>
+
           <div className="form-actions">
             <button type="button" onClick={handleCancel} className="btn btn-secondary">
               Cancel
@@ -80,6 +267,20 @@ const TaskForm = ({ task = null, onCancel }) => {
           </div>
         </form>
       </div>
+      {conflict && (
+        <ConflictDialog
+          // A fresh dialog for each new version of theirs
+          key={conflict.theirs.updatedAt}
+          mine={conflict.mine}
+          theirs={conflict.theirs}
+          base={conflict.base}
+          lists={lists}
+          onResolve={handleResolveConflict}
+          // The store already shows their version
+          onTakeTheirs={handleCancel}
+          onCancel={() => setConflict(null)}
+        />
+      )}
     </div>
   );
 };
@@ -1,30 +1,68 @@
 import React, { useState } from 'react';
-import { useDispatch } from 'react-redux';
-import { toggleTask, deleteTask } from '../store/slices/tasksSlice';
+import { useDispatch, useSelector } from 'react-redux';
+import { bulkUpdateTasks, selectTaskStatus, updateTask } from '../store/slices/tasksSlice';
+import { setTagFilter } from '../store/slices/filtersSlice';
+import { selectAllLists } from '../store/slices/listsSlice';
+import { deleteTaskWithUndo, toggleTaskWithUndo } from '../notifications/undo';
+import { updateChecklist } from '../notifications/checklist';
+import { isOverdue } from '../utils/dueDates';
+import { PRIORITY_LABELS, getPriority } from '../utils/priority';
+import { getTags } from '../utils/tags';
+import { getSubtaskProgress, getSubtasks } from '../utils/subtasks';
+import { validateTitle } from '../utils/validation';
+import { isLongText } from '../utils/markdown';
+import SubtaskList from './SubtaskList';
+import InlineEdit from './InlineEdit';
+import Markdown from './Markdown';
 import './TaskItem.css';
 
-const TaskItem = ({ task, onEdit }) => {
-  const [isDeleting, setIsDeleting] = useState(false);
+// `onMove(id, offset)` enables the keyboard-accessible move up/down buttons;
+// `onSelect(id, range)` shows the selection checkbox of the list's selection mode
+const TaskItem = ({
+  task,
+  onEdit,
+  onMove,
+  isFirst,
+  isLast,
+  onSelect,
+  selected
+}) => {
   const dispatch = useDispatch();
+  const { toggling, deleting, updating } = useSelector(
+    (state) => selectTaskStatus(state, task._id)
+  );
+  const lists = useSelector(selectAllLists);
+
+  const overdue = isOverdue(task);
+  const priority = getPriority(task);
+  const tags = getTags(task);
+  const progress = getSubtaskProgress(task);
+  const [showChecklist, setShowChecklist] = useState(false);
+  // Long descriptions are clipped until "Show more" is clicked
+  const isLongDescription = isLongText(task.description);
+  const [showFullDescription, setShowFullDescription] = useState(false);
+  const isCollapsed = isLongDescription && !showFullDescription;
 
   const handleToggle = async () => {
     try {
-      await dispatch(toggleTask(task._id)).unwrap();
+      await dispatch(toggleTaskWithUndo(task._id)).unwrap();
     } catch (error) {
       console.error('Error toggling task:', error);
     }
   };
 
-  const handleDelete = async () => {
-    if (window.confirm('Are you sure you want to delete this task?')) {
-      setIsDeleting(true);
-      try {
-        await dispatch(deleteTask(task._id)).unwrap();
-      } catch (error) {
-        console.error('Error deleting task:', error);
-        setIsDeleting(false);
-      }
-    }
+  // No confirmation: the delete is held back while an Undo toast is shown
+  const handleDelete = () => {
+    dispatch(deleteTaskWithUndo(task._id));
+  };
+
+  // Inline edits of the title and description; InlineEdit shows the error if
+  // the update is rejected
+  const saveField = (taskData) => dispatch(updateTask({ id: task._id, taskData })).unwrap();
+
+  // Moved out of the selected list, the task leaves the view once saved
+  const handleMoveToList = (e) => {
+    dispatch(updateTask({ id: task._id, taskData: { listId: e.target.value || null } }));
   };
 
   const formatDate = (dateString) => {
@@ -38,36 +76,211 @@ const TaskItem = ({ task, onEdit }) => {
   };
 
   return (
-    <div className={`task-item ${task.completed ? 'completed' : ''} ${isDeleting ? 'deleting' : ''}`}>
+    // Focusable for the j/k shortcuts (see src/shortcuts), not in the tab order
+    <div
+      className={`task-item ${task.completed ? 'completed' : ''} ${overdue ? 'overdue' : ''} ${deleting ? 'deleting' : ''} ${updating ? 'updating' : ''} ${selected ? 'selected' : ''}`}
+      data-task-id={task._id}
+      tabIndex={-1}
+    >
       <div className="task-content">
         <div className="task-header">
-          <h3 className="task-title">{task.title}</h3>
+          {onSelect && (
+            <input
+              type="checkbox"
+              className="task-select"
+              checked={Boolean(selected)}
+              // Checkbox changes come from a click, which carries the Shift key
+              onChange={(e) => onSelect(task._id, e.nativeEvent.shiftKey)}
+              aria-label={`Select ${task.title}`}
+            />
+          )}
+          <h3 className="task-title">
+            {task.archived ? task.title : (
+              <InlineEdit
+                value={task.title}
+                onSave={(title) => saveField({ title })}
+                validate={validateTitle}
+                label="Task title"
+              />
+            )}
+          </h3>
+          <span className={`task-priority-badge priority-${priority}`}>
+            {PRIORITY_LABELS[priority]}
+          </span>
           <div className="task-actions">
-            <button
-              onClick={() => onEdit(task)}
-              className="btn btn-edit"
-              title="Edit task"
-              type="button"
-            >
-              ✏️
-            </button>
+            {onMove && (
+              <>
+                <button
+                  onClick={() => onMove(task._id, -1)}
+                  className="btn btn-move"
+                  title="Move up"
+                  aria-label={`Move ${task.title} up`}
+                  disabled={isFirst}
+                  type="button"
+                >
+                  <span aria-hidden="true">↑</span>
+                </button>
+                <button
+                  onClick={() => onMove(task._id, 1)}
+                  className="btn btn-move"
+                  title="Move down"
+                  aria-label={`Move ${task.title} down`}
+                  disabled={isLast}
+                  type="button"
+                >
+                  <span aria-hidden="true">↓</span>
+                </button>
+              </>
+            )}
+            {task.archived ? (
+              <button
+                onClick={() => dispatch(bulkUpdateTasks({ action: 'restore', ids: [task._id] }))}
+                className="btn btn-archive"
+                title="Restore task"
+                aria-label={`Restore ${task.title}`}
+                disabled={updating}
+                type="button"
+              >
+                <span aria-hidden="true">↩️</span>
+              </button>
+            ) : (
+              <>
+                <button
+                  onClick={() => onEdit(task)}
+                  className="btn btn-edit"
+                  title="Edit task"
+                  aria-label={`Edit ${task.title}`}
+                  type="button"
+                >
+                  <span aria-hidden="true">✏️</span>
+                </button>
+                <button
+                  onClick={() => dispatch(bulkUpdateTasks({ action: 'archive', ids: [task._id] }))}
+                  className="btn btn-archive"
+                  title="Archive task"
+                  aria-label={`Archive ${task.title}`}
+                  disabled={updating}
+                  type="button"
+                >
+                  <span aria-hidden="true">📦</span>
+                </button>
+              </>
+            )}
             <button
               onClick={handleDelete}
               className="btn btn-delete"
-              title="Delete task"
-              disabled={isDeleting}
+              title={task.archived ? 'Delete permanently' : 'Delete task'}
+              aria-label={`Delete ${task.title}${task.archived ? ' permanently' : ''}`}
+              disabled={deleting}
+              aria-busy={deleting}
               type="button"
             >
-              {isDeleting ? '⏳' : '🗑️'}
+              <span aria-hidden="true">{deleting ? '⏳' : '🗑️'}</span>
             </button>
           </div>
         </div>
 
         {task.description && (
-          <p className="task-description">{task.description}</p>
+          <div className={`task-description ${isCollapsed ? 'collapsed' : ''}`}>
+            {task.archived ? <Markdown text={task.description} /> : (
+              <InlineEdit
+                value={task.description}
+                onSave={(description) => saveField({ description })}
+                label="Task description"
+                multiline
+              >
+                <Markdown text={task.description} />
+              </InlineEdit>
+            )}
+            {isLongDescription && (
+              <button
+                onClick={() => setShowFullDescription(!showFullDescription)}
+                className="task-description-toggle"
+                aria-expanded={showFullDescription}
+                type="button"
+              >
+                {showFullDescription ? 'Show less' : 'Show more'}
+              </button>
+            )}
+          </div>
+        )}
+
+        <div className="task-progress">
+          {progress.total > 0 && (
+            <div
+              className="task-progress-bar"
+              role="progressbar"
+              aria-label="Subtasks done"
+              aria-valuemin={0}
+              aria-valuemax={progress.total}
+              aria-valuenow={progress.done}
+            >
+              <div
+                className="task-progress-fill"
+                style={{ width: `${(progress.done / progress.total) * 100}%` }}
+              />
+            </div>
+          )}
+          <button
+            onClick={() => setShowChecklist(!showChecklist)}
+            className="task-progress-toggle"
+            aria-expanded={showChecklist}
+            title={showChecklist ? 'Hide checklist' : 'Show checklist'}
+            type="button"
+          >
+            {progress.total > 0 ? `${progress.done}/${progress.total}` : '+ Checklist'}
+          </button>
+        </div>
+
+        {showChecklist && (
+          <SubtaskList
+            subtasks={getSubtasks(task)}
+            onChange={(subtasks) => dispatch(updateChecklist(task._id, subtasks))}
+          />
+        )}
+
+        {tags.length > 0 && (
+          <div className="task-tags">
+            {tags.map((tag) => (
+              <button
+                key={tag}
+                onClick={() => dispatch(setTagFilter(tag))}
+                className="task-tag"
+                title={`Show tasks tagged ${tag}`}
+                type="button"
+              >
+                {`#${tag}`}
+              </button>
+            ))}
+          </div>
         )}
 
         <div className="task-footer">
+          {lists.length > 0 && !task.archived && (
+            <select
+              className="task-list-select"
+              value={task.listId || ''}
+              onChange={handleMoveToList}
+              disabled={updating}
+              aria-label={`Move ${task.title} to list`}
+            >
+              <option value="">No list</option>
+              {lists.map((list) => (
+                <option key={list._id} value={list._id}>{list.name}</option>
+              ))}
+            </select>
+          )}
+          {task.dueDate && (
+            <span className="task-due">
+              Due: {formatDate(task.dueDate)}
+              {overdue && <span className="task-overdue-badge">Overdue</span>}
+            </span>
+          )}
+          {task.pendingSync && (
+            <span className="task-unsynced" title="Saved locally, waiting to sync">
+              Not synced
+            </span>
+          )}
           <span className="task-date">
             Created: {formatDate(task.createdAt)}
           </span>
@@ -79,18 +292,29 @@ const TaskItem = ({ task, onEdit }) => {
         </div>
       </div>
 
-      <div className="task-toggle">
-        <button
-          onClick={handleToggle}
-          className={`toggle-btn ${task.completed ? 'completed' : ''}`}
-          title={task.completed ? 'Mark as incomplete' : 'Mark as complete'}
-          type="button"
-        >
-          {task.completed ? '✓' : '○'}
-        </button>
-      </div>
+      {/* Archived tasks can only be restored or deleted. The toggle is a
+          checkbox to assistive tech; the title describes what a click does */}
+      {!task.archived && (
+        <div className="task-toggle">
+          <button
+            onClick={handleToggle}
+            className={`toggle-btn ${task.completed ? 'completed' : ''} ${toggling ? 'pending' : ''}`}
+            title={task.completed ? 'Mark as incomplete' : 'Mark as complete'}
+            role="checkbox"
+            aria-checked={Boolean(task.completed)}
+            aria-label={`Complete ${task.title}`}
+            aria-busy={toggling}
+            disabled={toggling}
+            type="button"
+          >
+            {toggling && <span className="toggle-spinner" />}
+            {!toggling && <span aria-hidden="true">{task.completed ? '✓' : '○'}</span>}
+          </button>
+        </div>
+      )}
     </div>
   );
 };
 
-export default TaskItem;
\ No newline at end of file
+// Memoized: with normalized state, only the task that changed gets a new object
+export default React.memo(TaskItem);
\ No newline at end of file
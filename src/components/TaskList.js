@@ -1,12 +1,161 @@
-import React from 'react';
-import { useSelector } from 'react-redux';
+import React, {
+  useCallback,
+  useMemo,
+  useRef,
+  useState
+} from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  fetchTasks,
+  fetchMoreTasks,
+  moveTask,
+  bulkUpdateTasks,
+  selectCompletedTasks,
+  selectHasMoreTasks,
+  selectIsFetchingMore,
+  selectIsInitialLoading,
+  selectListTasks
+} from '../store/slices/tasksSlice';
+import {
+  TASK_SECTIONS,
+  selectFilters,
+  selectVisibleTaskSections
+} from '../store/slices/filtersSlice';
+import { toggleTaskWithUndo } from '../notifications/undo';
 import TaskItem from './TaskItem';
+import TaskToolbar from './TaskToolbar';
+import TagBar from './TagBar';
+import BulkActionBar from './BulkActionBar';
+import useInfiniteScroll from '../hooks/useInfiniteScroll';
+import useNow from '../hooks/useNow';
+import useSelection from '../hooks/useSelection';
 import './TaskList.css';
 
-const TaskList = ({ onEditTask }) => {
-  const { tasks, loading, error } = useSelector((state) => state.tasks);
+const SECTION_TITLES = {
+  overdue: 'Overdue',
+  today: 'Due Today',
+  upcoming: 'Upcoming',
+  pending: 'Pending Tasks',
+  urgent: 'Urgent',
+  high: 'High Priority',
+  medium: 'Medium Priority',
+  low: 'Low Priority',
+  completed: 'Completed Tasks',
+  archived: 'Archived'
+};
+
+const TaskList = ({ onEditTask, onManageTags }) => {
+  const error = useSelector((state) => state.tasks.error);
+  // Tasks of other lists stay cached but don't count here
+  const totalTasks = useSelector((state) => selectListTasks(state).length);
+  const isInitialLoading = useSelector(selectIsInitialLoading);
+  const now = useNow();
+  const sections = useSelector((state) => selectVisibleTaskSections(state, now));
+  const { groupBy, sortBy } = useSelector(selectFilters);
+  // Pending tasks can be dragged (or moved with their up/down buttons) while
+  // the list is in manual order, and dropped on Completed to complete them
+  const isManualOrder = sortBy === 'position';
+  const [draggedId, setDraggedId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  // Rendered in grouping order; empty sections are skipped, except Completed
+  // while it can take a drop
+  const visibleSections = TASK_SECTIONS[groupBy].filter((key) => sections[key].length > 0
+    || (key === 'completed' && draggedId !== null));
+  // Selection mode: checkboxes on every task plus the bulk action bar
+  const [isSelecting, setIsSelecting] = useState(false);
+  const selection = useSelection();
+  const orderedIds = useMemo(
+    () => TASK_SECTIONS[groupBy].flatMap((key) => sections[key].map((task) => task._id)),
+    [groupBy, sections]
+  );
+  // Tasks that were deleted or filtered out drop out of the selection
+  const selectedIds = selection.selectedIds.filter((id) => orderedIds.includes(id));
+  const completedTasks = useSelector(selectCompletedTasks);
+  const hasMore = useSelector(selectHasMoreTasks);
+  const isFetchingMore = useSelector(selectIsFetchingMore);
+  const dispatch = useDispatch();
+
+  const loadMore = useCallback(() => {
+    dispatch(fetchMoreTasks());
+  }, [dispatch]);
+  const sectionOf = (id) => TASK_SECTIONS[groupBy]
+    .find((key) => sections[key].some((task) => task._id === id));
+
+  // The task callbacks read the sections through refs so they keep their
+  // identity across task changes and the memoized TaskItems skip re-rendering
+  const sectionsRef = useRef(sections);
+  sectionsRef.current = sections;
+  const orderedIdsRef = useRef(orderedIds);
+  orderedIdsRef.current = orderedIds;
+
+  // Moves a task past its neighbour in the section it is shown in
+  const handleMove = useCallback((id, offset) => {
+    const tasks = Object.values(sectionsRef.current)
+      .find((list) => list.some((task) => task._id === id));
+    const neighbour = tasks[tasks.findIndex((task) => task._id === id) + offset];
+    if (neighbour) {
+      dispatch(moveTask({ id, toId: neighbour._id }));
+    }
+  }, [dispatch]);
+
+  const { toggle: toggleSelected } = selection;
+  const handleSelect = useCallback((id, range) => {
+    toggleSelected(id, orderedIdsRef.current, range);
+  }, [toggleSelected]);
+
+  const stopSelecting = () => {
+    setIsSelecting(false);
+    selection.replace([]);
+  };
+
+  // Archives every completed task, not just the ones the filters show
+  const clearCompleted = () => {
+    dispatch(bulkUpdateTasks({ action: 'archive', ids: completedTasks.map((task) => task._id) }));
+  };
+
+  const endDrag = () => {
+    setDraggedId(null);
+    setDropTarget(null);
+  };
+
+  const handleDragStart = (event, id) => {
+    event.dataTransfer.effectAllowed = 'move';
+    event.dataTransfer.setData('text/plain', id);
+    setDraggedId(id);
+  };
 
-  if (loading) {
+  // Tasks only take drops from their own section
+  const handleTaskDragOver = (event, id) => {
+    if (draggedId === null || draggedId === id || sectionOf(draggedId) !== sectionOf(id)) {
+      return;
+    }
+    event.preventDefault();
+    setDropTarget(id);
+  };
+
+  const handleTaskDrop = (event, id) => {
+    event.preventDefault();
+    event.stopPropagation();
+    dispatch(moveTask({ id: draggedId, toId: id }));
+    endDrag();
+  };
+
+  const handleCompletedDragOver = (event) => {
+    if (draggedId === null) return;
+    event.preventDefault();
+    setDropTarget('completed');
+  };
+
+  const handleCompletedDrop = (event) => {
+    event.preventDefault();
+    dispatch(toggleTaskWithUndo(draggedId));
+    endDrag();
+  };
+
+  // Re-arming after each page makes the observer fire again if the sentinel is still visible
+  const sentinelRef = useInfiniteScroll(loadMore, hasMore && !error && !isFetchingMore);
+
+  if (isInitialLoading) {
     return (
       <div className="task-list">
         <div className="loading">
@@ -17,17 +166,26 @@ const TaskList = ({ onEditTask }) => {
     );
   }
 
-  if (error) {
+  // Only a failed fetch with nothing to show replaces the list; every failure
+  // also lands in the notification center
+  if (error && totalTasks === 0) {
     return (
       <div className="task-list">
         <div className="error">
           <p>Error: {error}</p>
+          <button
+            onClick={() => dispatch(fetchTasks())}
+            className="btn btn-secondary"
+            type="button"
+          >
+            Try again
+          </button>
         </div>
       </div>
     );
   }
 
-  if (tasks.length === 0) {
+  if (totalTasks === 0) {
     return (
       <div className="task-list">
         <div className="empty-state">
@@ -39,38 +197,123 @@ const TaskList = ({ onEditTask }) => {
     );
   }
 
-  const completedTasks = tasks.filter(task => task.completed);
-  const pendingTasks = tasks.filter(task => !task.completed);
-
   return (
     <div className="task-list">
-      {pendingTasks.length > 0 && (
-        <div className="task-section">
-          <h2 className="section-title">
-            Pending Tasks ({pendingTasks.length})
-          </h2>
-          {pendingTasks.map((task) => (
-            <TaskItem
-              key={task._id}
-              task={task}
-              onEdit={onEditTask}
-            />
-          ))}
+      <TaskToolbar />
+      <TagBar onManageTags={onManageTags} />
+      {isSelecting ? (
+        <BulkActionBar
+          selectedIds={selectedIds}
+          onSelectionChange={selection.replace}
+          onClose={stopSelecting}
+        />
+      ) : (
+        <button
+          onClick={() => setIsSelecting(true)}
+          className="select-mode-btn"
+          type="button"
+        >
+          Select tasks
+        </button>
+      )}
+
+      {visibleSections.length === 0 && (
+        <div className="empty-state">
+          <div className="empty-icon">🔍</div>
+          <h3>No matching tasks</h3>
+          <p>Try a different search or filter.</p>
         </div>
       )}
 
-      {completedTasks.length > 0 && (
-        <div className="task-section">
-          <h2 className="section-title">
-            Completed Tasks ({completedTasks.length})
-          </h2>
-          {completedTasks.map((task) => (
-            <TaskItem
-              key={task._id}
-              task={task}
-              onEdit={onEditTask}
-            />
-          ))}
+      {visibleSections.map((key) => {
+        const isCompleted = key === 'completed';
+        const isReorderable = isManualOrder && !isCompleted && key !== 'archived';
+        const sectionIds = sections[key].map((task) => task._id);
+        const isSectionSelected = sectionIds.length > 0
+          && sectionIds.every((id) => selectedIds.includes(id));
+
+        return (
+          <div
+            key={key}
+            className={`task-section task-section-${key} ${dropTarget === key ? 'drop-target' : ''}`}
+            onDragOver={isCompleted ? handleCompletedDragOver : undefined}
+            onDragLeave={isCompleted ? () => setDropTarget(null) : undefined}
+            onDrop={isCompleted ? handleCompletedDrop : undefined}
+          >
+            <h2 className="section-title">
+              {isSelecting && sectionIds.length > 0 && (
+                <input
+                  type="checkbox"
+                  className="section-select"
+                  checked={isSectionSelected}
+                  onChange={(e) => selection.setMany(sectionIds, e.target.checked)}
+                  aria-label={`Select all ${SECTION_TITLES[key]}`}
+                />
+              )}
+              {`${SECTION_TITLES[key]} (${sections[key].length})`}
+              {isCompleted && sectionIds.length > 0 && (
+                <button
+                  onClick={clearCompleted}
+                  className="clear-completed-btn"
+                  title="Archive all completed tasks"
+                  type="button"
+                >
+                  Clear completed
+                </button>
+              )}
+            </h2>
+            {sections[key].length === 0 && (
+              <p className="task-section-empty">Drop a task here to complete it</p>
+            )}
+            <ul className="task-section-list" aria-label={SECTION_TITLES[key]}>
+              {sections[key].map((task, index) => (isReorderable ? (
+                <li
+                  key={task._id}
+                  className={`task-draggable ${draggedId === task._id ? 'dragging' : ''} ${dropTarget === task._id ? 'drop-target' : ''}`}
+                  draggable
+                  onDragStart={(event) => handleDragStart(event, task._id)}
+                  onDragOver={(event) => handleTaskDragOver(event, task._id)}
+                  onDrop={(event) => handleTaskDrop(event, task._id)}
+                  onDragEnd={endDrag}
+                >
+                  <TaskItem
+                    task={task}
+                    onEdit={onEditTask}
+                    onMove={handleMove}
+                    isFirst={index === 0}
+                    isLast={index === sections[key].length - 1}
+                    onSelect={isSelecting ? handleSelect : undefined}
+                    selected={selectedIds.includes(task._id)}
+                  />
+                </li>
+              ) : (
+                <li key={task._id}>
+                  <TaskItem
+                    task={task}
+                    onEdit={onEditTask}
+                    onSelect={isSelecting ? handleSelect : undefined}
+                    selected={selectedIds.includes(task._id)}
+                  />
+                </li>
+              )))}
+            </ul>
+          </div>
+        );
+      })}
+
+      {hasMore && (
+        <div ref={sentinelRef} className="load-more">
+          {isFetchingMore ? (
+            <div className="spinner small" />
+          ) : (
+            <button
+              onClick={loadMore}
+              className="btn btn-secondary load-more-btn"
+              type="button"
+            >
+              Load more
+            </button>
+          )}
         </div>
       )}
     </div>
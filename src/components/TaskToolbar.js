@@ -0,0 +1,114 @@
+import React from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  selectFilters,
+  selectHasActiveFilters,
+  setSearch,
+  setStatusFilter,
+  setSort,
+  setGroupBy,
+  resetFilters
+} from '../store/slices/filtersSlice';
+import { SEARCH_INPUT_ID } from '../shortcuts';
+import './TaskToolbar.css';
+
+const SORT_LABELS = {
+  createdAt: 'Created',
+  updatedAt: 'Updated',
+  title: 'Title',
+  priority: 'Priority',
+  position: 'Manual'
+};
+
+const GROUP_LABELS = {
+  dueDate: 'Due date',
+  priority: 'Priority'
+};
+
+const TaskToolbar = () => {
+  const dispatch = useDispatch();
+  const {
+    search,
+    status,
+    sortBy,
+    sortOrder,
+    groupBy
+  } = useSelector(selectFilters);
+  const hasActiveFilters = useSelector(selectHasActiveFilters);
+
+  const toggleSortOrder = () => {
+    dispatch(setSort({ sortBy, sortOrder: sortOrder === 'asc' ? 'desc' : 'asc' }));
+  };
+
+  return (
+    <div className="task-toolbar">
+      <input
+        type="search"
+        id={SEARCH_INPUT_ID}
+        className="toolbar-search"
+        value={search}
+        onChange={(e) => dispatch(setSearch(e.target.value))}
+        placeholder="Search tasks..."
+        aria-label="Search tasks"
+      />
+
+      <select
+        className="toolbar-select"
+        value={status}
+        onChange={(e) => dispatch(setStatusFilter(e.target.value))}
+        aria-label="Filter by status"
+      >
+        <option value="all">All</option>
+        <option value="pending">Pending</option>
+        <option value="completed">Completed</option>
+        <option value="archived">Archived</option>
+      </select>
+
+      <select
+        className="toolbar-select"
+        value={sortBy}
+        onChange={(e) => dispatch(setSort({ sortBy: e.target.value, sortOrder }))}
+        aria-label="Sort by"
+      >
+        {Object.entries(SORT_LABELS).map(([value, label]) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+
+      {/* The manual order has no direction */}
+      {sortBy !== 'position' && (
+        <button
+          onClick={toggleSortOrder}
+          className="btn toolbar-order-btn"
+          title={sortOrder === 'asc' ? 'Ascending' : 'Descending'}
+          type="button"
+        >
+          {sortOrder === 'asc' ? '↑' : '↓'}
+        </button>
+      )}
+
+      <select
+        className="toolbar-select"
+        value={groupBy}
+        onChange={(e) => dispatch(setGroupBy(e.target.value))}
+        aria-label="Group by"
+      >
+        {Object.entries(GROUP_LABELS).map(([value, label]) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+
+      {hasActiveFilters && (
+        <button
+          onClick={() => dispatch(resetFilters())}
+          className="btn btn-secondary toolbar-clear-btn"
+          type="button"
+        >
+          Clear filters
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default TaskToolbar;
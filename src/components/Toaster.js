@@ -0,0 +1,104 @@
+import React, { useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  notificationDismissed,
+  notificationsCleared,
+  selectNotifications
+} from '../store/slices/notificationsSlice';
+import { runNotificationAction } from '../notifications/actions';
+import './Toaster.css';
+
+const Toast = ({ notification }) => {
+  const dispatch = useDispatch();
+  const {
+    id,
+    message,
+    severity,
+    action,
+    duration,
+    source,
+    httpStatus,
+    requestId,
+    failures = []
+  } = notification;
+  // e.g. "toggleTask · HTTP 500 · Request 7f3a..." for failed requests
+  const details = [
+    source && source.replace(/^tasks\//, ''),
+    httpStatus && `HTTP ${httpStatus}`,
+    requestId && `Request ${requestId}`
+  ].filter(Boolean).join(' · ');
+
+  useEffect(() => {
+    if (!duration) {
+      return undefined;
+    }
+    const timer = setTimeout(() => dispatch(notificationDismissed(id)), duration);
+    return () => clearTimeout(timer);
+  }, [dispatch, id, duration]);
+
+  return (
+    <div
+      className={`toast toast-${severity}`}
+      role={severity === 'error' ? 'alert' : 'status'}
+    >
+      <div className="toast-body">
+        <span className="toast-message">{message}</span>
+        {failures.length > 0 && (
+          <ul className="toast-failures">
+            {failures.map((failure) => (
+              <li key={failure.id}>
+                {`${failure.title}: ${failure.message}${failure.httpStatus ? ` (HTTP ${failure.httpStatus})` : ''}`}
+              </li>
+            ))}
+          </ul>
+        )}
+        {details && <span className="toast-details">{details}</span>}
+      </div>
+      {action && (
+        <button
+          onClick={() => dispatch(runNotificationAction(notification))}
+          className="btn toast-action-btn"
+          type="button"
+        >
+          {action.label}
+        </button>
+      )}
+      <button
+        onClick={() => dispatch(notificationDismissed(id))}
+        className="toast-close-btn"
+        title="Dismiss"
+        type="button"
+      >
+        ×
+      </button>
+    </div>
+  );
+};
+
+const Toaster = () => {
+  const notifications = useSelector(selectNotifications);
+  const dispatch = useDispatch();
+
+  if (notifications.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="toaster" aria-label="Notifications">
+      {notifications.length > 1 && (
+        <button
+          onClick={() => dispatch(notificationsCleared())}
+          className="toaster-clear-btn"
+          type="button"
+        >
+          Dismiss all
+        </button>
+      )}
+      {notifications.map((notification) => (
+        <Toast key={notification.id} notification={notification} />
+      ))}
+    </div>
+  );
+};
+
+export default Toaster;
@@ -0,0 +1,91 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { logout, selectCurrentUser } from '../store/slices/authSlice';
+import { flushScheduledDeletes } from '../notifications/undo';
+import './UserMenu.css';
+
+// The logged-in user's name in the header, opening a menu to log out
+const UserMenu = () => {
+  const dispatch = useDispatch();
+  const user = useSelector(selectCurrentUser);
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
+  const logoutRef = useRef(null);
+  const buttonRef = useRef(null);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    logoutRef.current.focus();
+
+    const handleClickOutside = (e) => {
+      if (!containerRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  if (!user) {
+    return null;
+  }
+
+  const close = () => {
+    setIsOpen(false);
+    buttonRef.current.focus();
+  };
+
+  const handleMenuKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      // Keep the key from reaching the global shortcuts
+      e.preventDefault();
+      e.stopPropagation();
+      close();
+    }
+  };
+
+  // Deletes still inside their undo window go out while the session lasts
+  const handleLogout = () => {
+    setIsOpen(false);
+    dispatch(flushScheduledDeletes());
+    dispatch(logout());
+  };
+
+  const displayName = user.name || user.email;
+
+  return (
+    <div ref={containerRef} className="user-menu">
+      <button
+        ref={buttonRef}
+        type="button"
+        className="user-menu-button"
+        title={user.email}
+        onClick={() => setIsOpen(!isOpen)}
+        aria-haspopup="menu"
+        aria-expanded={isOpen}
+        aria-controls={isOpen ? 'user-menu-list' : undefined}
+      >
+        <span className="user-menu-avatar" aria-hidden="true">
+          {displayName.charAt(0).toUpperCase()}
+        </span>
+        {displayName}
+      </button>
+      {isOpen && (
+        <div
+          id="user-menu-list"
+          className="user-menu-list"
+          role="menu"
+          aria-label={`Account: ${displayName}`}
+          onKeyDown={handleMenuKeyDown}
+          tabIndex={-1}
+        >
+          <button ref={logoutRef} type="button" role="menuitem" onClick={handleLogout}>
+            Log out
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default UserMenu;
@@ -0,0 +1,64 @@
+import React, { act } from 'react';
+import { render, screen } from '@testing-library/react';
+import { Provider } from 'react-redux';
+import { configureStore } from '@reduxjs/toolkit';
+import { axe } from 'jest-axe';
+import Announcer from '../Announcer';
+import announcementsReducer from '../../store/slices/announcementsSlice';
+import { addTask, deletionScheduled } from '../../store/slices/tasksSlice';
+
+const createStore = () => configureStore({
+  reducer: {
+    announcements: announcementsReducer
+  }
+});
+
+const setupAnnouncer = (store) => render(
+  <Provider store={store}>
+    <Announcer />
+  </Provider>
+);
+
+describe('Announcer', () => {
+  test('reads task results out in a polite live region', () => {
+    const store = createStore();
+    setupAnnouncer(store);
+    const region = screen.getByRole('status');
+
+    expect(region).toHaveAttribute('aria-live', 'polite');
+    expect(region).toBeEmptyDOMElement();
+
+    act(() => {
+      store.dispatch(addTask.fulfilled({ _id: '1', title: 'Rotate certs' }, 'req', {}));
+    });
+    expect(region).toHaveTextContent('Added task Rotate certs');
+
+    act(() => {
+      store.dispatch(deletionScheduled('1'));
+    });
+    expect(region).toHaveTextContent('Task deleted');
+  });
+
+  test('replaces the content when the same message repeats', () => {
+    const store = createStore();
+    setupAnnouncer(store);
+
+    act(() => {
+      store.dispatch(deletionScheduled('1'));
+    });
+    const first = screen.getByText('Task deleted');
+    act(() => {
+      store.dispatch(deletionScheduled('2'));
+    });
+
+    expect(screen.getByText('Task deleted')).not.toBe(first);
+  });
+
+  test('has no accessibility violations', async () => {
+    const store = createStore();
+    store.dispatch(deletionScheduled('1'));
+    const { container } = setupAnnouncer(store);
+
+    expect(await axe(container)).toHaveNoViolations();
+  });
+});
@@ -0,0 +1,32 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import { Provider } from 'react-redux';
+import { configureStore } from '@reduxjs/toolkit';
+import AuthGate from '../AuthGate';
+import authReducer, { sessionRestored } from '../../store/slices/authSlice';
+
+const renderGate = (store) => render(
+  <Provider store={store}>
+    <AuthGate>
+      <p>Task list</p>
+    </AuthGate>
+  </Provider>
+);
+
+describe('AuthGate', () => {
+  test('asks to log in first', () => {
+    renderGate(configureStore({ reducer: { auth: authReducer } }));
+
+    expect(screen.getByRole('heading', { name: 'Log in' })).toBeInTheDocument();
+    expect(screen.queryByText('Task list')).not.toBeInTheDocument();
+  });
+
+  test('shows the app once logged in', () => {
+    const store = configureStore({ reducer: { auth: authReducer } });
+    store.dispatch(sessionRestored({ user: { id: 'u1' }, accessToken: 'access-1' }));
+
+    renderGate(store);
+
+    expect(screen.getByText('Task list')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,122 @@
+import React, { act } from 'react';
+import { render, screen } from '@testing-library/react';
+import { Provider } from 'react-redux';
+import { configureStore } from '@reduxjs/toolkit';
+import userEvent from '@testing-library/user-event';
+import BulkActionBar from '../BulkActionBar';
+import tasksReducer, { tasksAdapter, selectAllTasks } from '../../store/slices/tasksSlice';
+import notificationsReducer, { selectNotifications } from '../../store/slices/notificationsSlice';
+import { UNDO_WINDOW_MS, flushScheduledDeletes } from '../../notifications/undo';
+import { runNotificationAction } from '../../notifications/actions';
+import apiClient from '../../api/client';
+
+const tasks = [
+  {
+    _id: '1',
+    title: 'Drain node',
+    completed: false,
+    tags: ['k8s']
+  },
+  { _id: '2', title: 'Rotate certs', completed: false }
+];
+
+const setupBar = (props = {}) => {
+  const store = configureStore({
+    reducer: { tasks: tasksReducer, notifications: notificationsReducer },
+    preloadedState: {
+      tasks: tasksAdapter.setAll(tasksReducer(undefined, { type: 'init' }), tasks)
+    }
+  });
+  const handlers = { onSelectionChange: jest.fn(), onClose: jest.fn() };
+  render(
+    <Provider store={store}>
+      <BulkActionBar selectedIds={['1', '2']} {...handlers} {...props} />
+    </Provider>
+  );
+  return { store, ...handlers };
+};
+
+describe('BulkActionBar', () => {
+  describe('delete', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    const deleteSelection = async () => {
+      const user = userEvent.setup({ advanceTimers: jest.advanceTimersByTime });
+      const bar = setupBar();
+      await act(async () => {
+        await user.click(screen.getByRole('button', { name: 'Delete' }));
+      });
+      return bar;
+    };
+
+    test('hides the selection and only deletes it after the undo window', async () => {
+      apiClient.delete.mockResolvedValueOnce({}).mockRejectedValueOnce({
+        response: { status: 500, data: {} }
+      });
+      const { store, onSelectionChange } = await deleteSelection();
+
+      expect(selectAllTasks(store.getState())).toEqual([]);
+      expect(onSelectionChange).toHaveBeenCalledWith([]);
+      expect(selectNotifications(store.getState())).toEqual([
+        expect.objectContaining({
+          message: '2 tasks deleted',
+          action: expect.objectContaining({ label: 'Undo', type: 'undoDeleteTasks' })
+        })
+      ]);
+      expect(apiClient.delete).not.toHaveBeenCalled();
+
+      await act(async () => {
+        jest.advanceTimersByTime(UNDO_WINDOW_MS);
+      });
+      expect(selectAllTasks(store.getState())).toEqual([tasks[1]]);
+      expect(apiClient.delete).toHaveBeenCalledWith('/tasks/1');
+      expect(apiClient.delete).toHaveBeenCalledWith('/tasks/2');
+      // The task that failed is back, with one notice to retry it
+      expect(selectNotifications(store.getState())).toContainEqual(expect.objectContaining({
+        message: 'Couldn\'t delete 1 of 2 tasks',
+        action: expect.objectContaining({ label: 'Retry' })
+      }));
+    });
+
+    test('undo brings the selection back without any request', async () => {
+      const { store } = await deleteSelection();
+
+      act(() => {
+        store.dispatch(runNotificationAction(selectNotifications(store.getState())[0]));
+        jest.advanceTimersByTime(UNDO_WINDOW_MS);
+      });
+
+      expect(apiClient.delete).not.toHaveBeenCalled();
+      expect(selectAllTasks(store.getState())).toEqual(tasks);
+      store.dispatch(flushScheduledDeletes());
+    });
+  });
+
+  test('adds a tag to the selected tasks that lack it', async () => {
+    const user = userEvent.setup();
+    apiClient.put.mockResolvedValueOnce({ data: { ...tasks[1], tags: ['k8s'] } });
+    const { store } = setupBar();
+
+    await act(async () => {
+      await user.type(screen.getByLabelText('Tag for selected tasks'), 'K8s{Enter}');
+    });
+
+    expect(apiClient.put).toHaveBeenCalledTimes(1);
+    expect(apiClient.put).toHaveBeenCalledWith('/tasks/2', { tags: ['k8s'] });
+    expect(store.getState().tasks.entities['2'].tags).toEqual(['k8s']);
+  });
+
+  test('disables the actions without a selection', () => {
+    setupBar({ selectedIds: [] });
+
+    expect(screen.getByText('0 selected')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Complete' })).toBeDisabled();
+    expect(screen.getByRole('button', { name: 'Done' })).toBeEnabled();
+  });
+});
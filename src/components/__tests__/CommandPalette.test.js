@@ -0,0 +1,97 @@
+import React, { act } from 'react';
+import { render, screen } from '@testing-library/react';
+import { Provider } from 'react-redux';
+import { configureStore } from '@reduxjs/toolkit';
+import userEvent from '@testing-library/user-event';
+import CommandPalette from '../CommandPalette';
+import tasksReducer, { tasksAdapter } from '../../store/slices/tasksSlice';
+
+const tasks = [
+  { _id: '1', title: 'Cluster upgrade', completed: false },
+  {
+    _id: '2',
+    title: 'Old runbook',
+    completed: true,
+    archived: true
+  }
+];
+
+const setupPalette = () => {
+  const store = configureStore({
+    reducer: { tasks: tasksReducer },
+    preloadedState: {
+      tasks: tasksAdapter.setAll(tasksReducer(undefined, { type: 'init' }), tasks)
+    }
+  });
+  const props = {
+    actions: [
+      { id: 'new', label: 'New task', run: jest.fn() },
+      { id: 'help', label: 'Keyboard shortcuts', run: jest.fn() }
+    ],
+    onOpenTask: jest.fn(),
+    onClose: jest.fn()
+  };
+  render(
+    <Provider store={store}>
+      <CommandPalette {...props} />
+    </Provider>
+  );
+  return props;
+};
+
+describe('CommandPalette', () => {
+  test('lists actions and active tasks with the search focused', () => {
+    setupPalette();
+
+    expect(screen.getByLabelText('Search tasks and actions')).toHaveFocus();
+    expect(screen.getAllByRole('option').map((option) => option.textContent)).toEqual([
+      'New taskAction',
+      'Keyboard shortcutsAction',
+      'Cluster upgradeTask'
+    ]);
+  });
+
+  test('fuzzy-searches and runs the chosen entry with the keyboard', async () => {
+    const user = userEvent.setup();
+    const { actions, onClose } = setupPalette();
+
+    await act(async () => {
+      await user.type(screen.getByLabelText('Search tasks and actions'), 'kb sh');
+    });
+    expect(screen.getAllByRole('option')).toHaveLength(1);
+
+    await act(async () => {
+      await user.keyboard('{Enter}');
+    });
+
+    expect(onClose).toHaveBeenCalled();
+    expect(actions[1].run).toHaveBeenCalled();
+  });
+
+  test('opens a task picked with the arrow keys', async () => {
+    const user = userEvent.setup();
+    const { onOpenTask } = setupPalette();
+
+    await act(async () => {
+      await user.keyboard('{ArrowDown}{ArrowDown}');
+    });
+    expect(screen.getByRole('option', { name: /Cluster upgrade/ }))
+      .toHaveAttribute('aria-selected', 'true');
+
+    await act(async () => {
+      await user.keyboard('{Enter}');
+    });
+    expect(onOpenTask).toHaveBeenCalledWith(tasks[0]);
+  });
+
+  test('closes on Escape', async () => {
+    const user = userEvent.setup();
+    const { onClose } = setupPalette();
+
+    await act(async () => {
+      await user.keyboard('{Escape}');
+    });
+
+    expect(onClose).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,127 @@
+import React, { act } from 'react';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { axe } from 'jest-axe';
+import ConflictDialog from '../ConflictDialog';
+
+const mine = {
+  title: 'Rotate certs',
+  description: 'Before Friday',
+  dueDate: null,
+  priority: 'high',
+  listId: null,
+  tags: ['ops'],
+  subtasks: [{ id: 'a', title: 'Renew', completed: true }]
+};
+const theirs = {
+  _id: '1',
+  title: 'Rotate certs',
+  description: '',
+  priority: 'low',
+  tags: ['ops'],
+  subtasks: [],
+  updatedAt: '2024-05-01T11:00:00.000Z'
+};
+
+const setupDialog = (props = {}) => {
+  const handlers = {
+    onResolve: jest.fn().mockResolvedValue(),
+    onTakeTheirs: jest.fn(),
+    onCancel: jest.fn()
+  };
+  const { container } = render(
+    <ConflictDialog mine={mine} theirs={theirs} {...handlers} {...props} />
+  );
+  return { ...handlers, container, user: userEvent.setup() };
+};
+
+describe('ConflictDialog', () => {
+  test('compares only the fields that differ', async () => {
+    const { container } = setupDialog();
+
+    expect(screen.getAllByRole('rowheader').map((cell) => cell.textContent))
+      .toEqual(['Description', 'Priority', 'Subtasks']);
+    expect(screen.getByText('No description')).toBeInTheDocument();
+    expect(screen.getByText('✓ Renew')).toBeInTheDocument();
+    expect(screen.getByText('Low')).toBeInTheDocument();
+    expect(screen.getByLabelText('Use my description')).toBeChecked();
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  test('keeps mine or merges the picked fields', async () => {
+    const { onResolve, user } = setupDialog();
+
+    await act(async () => {
+      await user.click(screen.getByRole('button', { name: 'Keep mine' }));
+    });
+    expect(onResolve).toHaveBeenLastCalledWith(mine);
+
+    await act(async () => {
+      await user.click(screen.getByLabelText('Use their subtasks'));
+    });
+    await act(async () => {
+      await user.click(screen.getByRole('button', { name: 'Merge' }));
+    });
+    expect(onResolve).toHaveBeenLastCalledWith({ ...mine, subtasks: [] });
+  });
+
+  test('names the list each version is in', () => {
+    setupDialog({
+      mine: { ...mine, listId: 'sprint' },
+      theirs: { ...theirs, listId: 'gone' },
+      lists: [{ _id: 'sprint', name: 'Sprint 42' }]
+    });
+
+    expect(screen.getByRole('rowheader', { name: 'List' })).toBeInTheDocument();
+    expect(screen.getByText('Sprint 42')).toBeInTheDocument();
+    expect(screen.getByText('Unknown list')).toBeInTheDocument();
+  });
+
+  test('takes theirs or goes back to editing', async () => {
+    const { onTakeTheirs, onCancel, user } = setupDialog();
+
+    await act(async () => {
+      await user.click(screen.getByRole('button', { name: 'Take theirs' }));
+      await user.click(screen.getByRole('button', { name: 'Back to editing' }));
+    });
+
+    expect(onTakeTheirs).toHaveBeenCalledTimes(1);
+    expect(onCancel).toHaveBeenCalledTimes(1);
+  });
+
+  test('shows why saving failed', async () => {
+    const { user } = setupDialog({ onResolve: jest.fn().mockRejectedValue('Server error') });
+
+    await act(async () => {
+      await user.click(screen.getByRole('button', { name: 'Keep mine' }));
+    });
+
+    expect(screen.getByRole('alert')).toHaveTextContent('Server error');
+    expect(screen.getByRole('button', { name: 'Keep mine' })).toBeEnabled();
+  });
+
+  test('says so when both versions match', () => {
+    setupDialog({ theirs: { ...mine, updatedAt: '2024-05-01T11:00:00.000Z' } });
+
+    expect(screen.queryByRole('table')).not.toBeInTheDocument();
+    expect(screen.getByText(/saving keeps both/)).toBeInTheDocument();
+  });
+
+  test('only offers the fields both sides changed since the base', async () => {
+    const base = {
+      ...theirs,
+      description: 'Before Friday',
+      priority: 'high',
+      subtasks: [{ id: 'b', title: 'Order', completed: false }]
+    };
+    const { onResolve, user } = setupDialog({ base });
+
+    expect(screen.getAllByRole('rowheader').map((cell) => cell.textContent))
+      .toEqual(['Subtasks']);
+
+    await act(async () => {
+      await user.click(screen.getByRole('button', { name: 'Keep mine' }));
+    });
+    expect(onResolve).toHaveBeenLastCalledWith({ ...mine, description: '', priority: 'low' });
+  });
+});
@@ -0,0 +1,74 @@
+import React, { act } from 'react';
+import { render, screen } from '@testing-library/react';
+import { Provider } from 'react-redux';
+import { configureStore } from '@reduxjs/toolkit';
+import userEvent from '@testing-library/user-event';
+import ConnectionStatus from '../ConnectionStatus';
+import offlineReducer from '../../store/slices/offlineSlice';
+
+const mockDispatch = jest.fn();
+jest.mock('react-redux', () => ({
+  ...jest.requireActual('react-redux'),
+  useDispatch: () => mockDispatch
+}));
+
+const renderWithProvider = (offlineState = {}) => {
+  const store = configureStore({
+    reducer: { offline: offlineReducer },
+    preloadedState: {
+      offline: {
+        isOnline: true,
+        queue: [],
+        syncing: false,
+        syncErrors: [],
+        ...offlineState
+      }
+    }
+  });
+  return render(
+    <Provider store={store}>
+      <ConnectionStatus />
+    </Provider>
+  );
+};
+
+describe('ConnectionStatus', () => {
+  beforeEach(() => {
+    mockDispatch.mockClear();
+  });
+
+  test('shows online state', () => {
+    renderWithProvider();
+
+    expect(screen.getByText('Online')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Retry' })).not.toBeInTheDocument();
+  });
+
+  test('shows offline state with queued changes', () => {
+    renderWithProvider({
+      isOnline: false,
+      queue: [{ id: 'a' }, { id: 'b' }]
+    });
+
+    expect(screen.getByText('Offline')).toBeInTheDocument();
+    expect(screen.getByText('2 changes pending')).toBeInTheDocument();
+  });
+
+  test('shows syncing state and sync failures', () => {
+    renderWithProvider({ syncing: true, syncErrors: ['Task not found'] });
+
+    expect(screen.getByText('Syncing...')).toBeInTheDocument();
+    expect(screen.getByText('1 not synced')).toHaveAttribute('title', 'Task not found');
+  });
+
+  test('retries the connection on demand', async () => {
+    const user = userEvent.setup();
+    renderWithProvider({ isOnline: false });
+
+    await act(async () => {
+      await user.click(screen.getByRole('button', { name: 'Retry' }));
+    });
+
+    expect(mockDispatch).toHaveBeenCalledWith(expect.any(Function));
+  });
+});
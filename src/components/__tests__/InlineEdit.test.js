@@ -0,0 +1,182 @@
+import React, { act } from 'react';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { axe } from 'jest-axe';
+import InlineEdit from '../InlineEdit';
+import { validateTitle } from '../../utils/validation';
+
+const setupInlineEdit = (props = {}) => {
+  const onSave = props.onSave || jest.fn().mockResolvedValue({});
+  render(
+    <InlineEdit
+      value="Rotate certs"
+      onSave={onSave}
+      validate={validateTitle}
+      label="Task title"
+      {...props}
+    />
+  );
+  return { onSave, user: userEvent.setup() };
+};
+
+describe('InlineEdit', () => {
+  test('opens on double-click and saves the trimmed value on Enter', async () => {
+    const { onSave, user } = setupInlineEdit();
+
+    await act(async () => {
+      await user.dblClick(screen.getByText('Rotate certs'));
+    });
+    const input = screen.getByLabelText('Task title');
+    expect(input).toHaveFocus();
+
+    await act(async () => {
+      await user.clear(input);
+      await user.type(input, '  Rotate TLS certs  {Enter}');
+    });
+
+    expect(onSave).toHaveBeenCalledWith('Rotate TLS certs');
+    expect(screen.queryByLabelText('Task title')).not.toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Rotate certs' })).toHaveFocus();
+  });
+
+  test('opens with Enter and saves on blur', async () => {
+    const { onSave, user } = setupInlineEdit();
+    screen.getByRole('button', { name: 'Rotate certs' }).focus();
+
+    await act(async () => {
+      await user.keyboard('{Enter}');
+    });
+    await act(async () => {
+      await user.type(screen.getByLabelText('Task title'), '!');
+    });
+    await act(async () => {
+      await user.tab();
+    });
+
+    expect(onSave).toHaveBeenCalledWith('Rotate certs!');
+  });
+
+  test('cancels on Escape without saving', async () => {
+    const { onSave, user } = setupInlineEdit();
+
+    await act(async () => {
+      await user.dblClick(screen.getByText('Rotate certs'));
+    });
+    await act(async () => {
+      await user.type(screen.getByLabelText('Task title'), ' later{Escape}');
+    });
+
+    expect(onSave).not.toHaveBeenCalled();
+    expect(screen.getByText('Rotate certs')).toBeInTheDocument();
+  });
+
+  test('does not save an unchanged value', async () => {
+    const { onSave, user } = setupInlineEdit();
+
+    await act(async () => {
+      await user.dblClick(screen.getByText('Rotate certs'));
+    });
+    await act(async () => {
+      await user.keyboard('{Enter}');
+    });
+
+    expect(onSave).not.toHaveBeenCalled();
+    expect(screen.queryByLabelText('Task title')).not.toBeInTheDocument();
+  });
+
+  test('validates like the task form', async () => {
+    const { onSave, user } = setupInlineEdit();
+
+    await act(async () => {
+      await user.dblClick(screen.getByText('Rotate certs'));
+    });
+    await act(async () => {
+      await user.clear(screen.getByLabelText('Task title'));
+      await user.keyboard('{Enter}');
+    });
+
+    expect(onSave).not.toHaveBeenCalled();
+    expect(screen.getByRole('alert')).toHaveTextContent('Please enter a task title');
+    expect(screen.getByLabelText('Task title')).toHaveAttribute('aria-invalid', 'true');
+  });
+
+  test('shows the saving state and keeps the field open when the save fails', async () => {
+    let rejectSave;
+    const onSave = jest.fn(() => new Promise((resolve, reject) => {
+      rejectSave = reject;
+    }));
+    const { user } = setupInlineEdit({ onSave });
+
+    await act(async () => {
+      await user.dblClick(screen.getByText('Rotate certs'));
+    });
+    await act(async () => {
+      await user.type(screen.getByLabelText('Task title'), '!{Enter}');
+    });
+
+    expect(screen.getByText('Saving...')).toBeInTheDocument();
+    expect(screen.getByLabelText('Task title')).toHaveAttribute('readonly');
+
+    await act(async () => {
+      rejectSave('Task is locked');
+    });
+
+    await waitFor(() => {
+      expect(screen.getByRole('alert')).toHaveTextContent('Task is locked');
+    });
+    expect(screen.getByLabelText('Task title')).toHaveValue('Rotate certs!');
+    expect(screen.queryByText('Saving...')).not.toBeInTheDocument();
+  });
+
+  test('keeps Shift+Enter as a line break in multiline fields', async () => {
+    const { onSave, user } = setupInlineEdit({ label: 'Task description', multiline: true });
+
+    await act(async () => {
+      await user.dblClick(screen.getByText('Rotate certs'));
+    });
+    await act(async () => {
+      await user.type(screen.getByLabelText('Task description'), '{Shift>}{Enter}{/Shift}staging{Enter}');
+    });
+
+    expect(onSave).toHaveBeenCalledWith('Rotate certs\nstaging');
+  });
+
+  test('edits rich content from its Edit button and goes back to it', async () => {
+    const { onSave, user } = setupInlineEdit({
+      label: 'Task description',
+      multiline: true,
+      children: <a href="https://k8s.io">Rotate certs</a>
+    });
+
+    await act(async () => {
+      await user.click(screen.getByRole('link', { name: 'Rotate certs' }));
+    });
+    expect(screen.queryByLabelText('Task description')).not.toBeInTheDocument();
+
+    await act(async () => {
+      await user.click(screen.getByRole('button', { name: 'Edit task description' }));
+    });
+    expect(screen.getByLabelText('Task description')).toHaveFocus();
+
+    await act(async () => {
+      await user.keyboard('{Escape}');
+    });
+    expect(onSave).not.toHaveBeenCalled();
+    expect(screen.getByRole('button', { name: 'Edit task description' })).toHaveFocus();
+  });
+
+  test('has no accessibility violations', async () => {
+    const { user } = setupInlineEdit();
+    const { container } = render(<InlineEdit value="Deploy" onSave={jest.fn()} label="Other" />);
+    expect(await axe(container)).toHaveNoViolations();
+    const { container: rich } = render(
+      <InlineEdit value="Notes" onSave={jest.fn()} label="Notes"><p>Notes</p></InlineEdit>
+    );
+    expect(await axe(rich)).toHaveNoViolations();
+
+    await act(async () => {
+      await user.dblClick(screen.getByText('Deploy'));
+    });
+    expect(await axe(container)).toHaveNoViolations();
+  });
+});
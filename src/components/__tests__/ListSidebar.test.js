@@ -0,0 +1,169 @@
+import React, { act } from 'react';
+import { render, screen } from '@testing-library/react';
+import { Provider } from 'react-redux';
+import { configureStore } from '@reduxjs/toolkit';
+import userEvent from '@testing-library/user-event';
+import { axe } from 'jest-axe';
+import ListSidebar from '../ListSidebar';
+import listsReducer, {
+  listsAdapter,
+  selectAllLists,
+  selectSelectedListId
+} from '../../store/slices/listsSlice';
+import apiClient from '../../api/client';
+
+const lists = [
+  { _id: 'sprint', name: 'Sprint 42', position: 0 },
+  { _id: 'cluster', name: 'Cluster migration', position: 1 }
+];
+
+const setupSidebar = (selectedListId = null) => {
+  const store = configureStore({
+    reducer: { lists: listsReducer },
+    preloadedState: {
+      lists: {
+        ...listsAdapter.setAll(listsReducer(undefined, { type: 'init' }), lists),
+        selectedListId
+      }
+    }
+  });
+  const { container } = render(
+    <Provider store={store}>
+      <ListSidebar />
+    </Provider>
+  );
+  return { store, container, user: userEvent.setup() };
+};
+
+const listNames = (store) => selectAllLists(store.getState()).map((list) => list.name);
+
+describe('ListSidebar', () => {
+  beforeEach(() => {
+    window.confirm = jest.fn();
+  });
+
+  test('lists all tasks first, then the lists, marking the selected one', async () => {
+    const { container } = setupSidebar('cluster');
+
+    expect(screen.getByRole('button', { name: 'All tasks' })).not.toHaveAttribute('aria-current');
+    expect(screen.getByRole('button', { name: 'Cluster migration' }))
+      .toHaveAttribute('aria-current', 'true');
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  test('selects a list and goes back to all tasks', async () => {
+    const { store, user } = setupSidebar();
+
+    await act(async () => {
+      await user.click(screen.getByRole('button', { name: 'Sprint 42' }));
+    });
+    expect(selectSelectedListId(store.getState())).toBe('sprint');
+
+    await act(async () => {
+      await user.click(screen.getByRole('button', { name: 'All tasks' }));
+    });
+    expect(selectSelectedListId(store.getState())).toBeNull();
+  });
+
+  test('creates a list and selects it', async () => {
+    const { store, user } = setupSidebar();
+    apiClient.post.mockResolvedValueOnce({ data: { _id: 'personal', name: 'Personal', position: 2 } });
+
+    await act(async () => {
+      await user.type(screen.getByRole('textbox', { name: 'New list name' }), ' Personal {Enter}');
+    });
+
+    expect(apiClient.post).toHaveBeenCalledWith('/lists', { name: 'Personal', position: 2 });
+    expect(selectSelectedListId(store.getState())).toBe('personal');
+    expect(screen.getByRole('textbox', { name: 'New list name' })).toHaveValue('');
+  });
+
+  test('renames a list', async () => {
+    const { store, user } = setupSidebar();
+    apiClient.put.mockResolvedValueOnce({ data: { ...lists[1], name: 'Cluster upgrade' } });
+
+    await act(async () => {
+      await user.click(screen.getByRole('button', { name: 'Rename Cluster migration' }));
+    });
+    const input = screen.getByRole('textbox', { name: 'New name for Cluster migration' });
+    expect(input).toHaveFocus();
+    await act(async () => {
+      await user.clear(input);
+      await user.type(input, 'Cluster upgrade{Enter}');
+    });
+
+    expect(apiClient.put).toHaveBeenCalledWith('/lists/cluster', { name: 'Cluster upgrade' });
+    expect(listNames(store)).toEqual(['Sprint 42', 'Cluster upgrade']);
+    expect(screen.queryByRole('textbox', { name: /New name for/ })).not.toBeInTheDocument();
+  });
+
+  test('cancels a rename on Escape', async () => {
+    const { user } = setupSidebar();
+
+    await act(async () => {
+      await user.click(screen.getByRole('button', { name: 'Rename Sprint 42' }));
+    });
+    await act(async () => {
+      await user.keyboard('{Escape}');
+    });
+
+    expect(screen.getByRole('button', { name: 'Sprint 42' })).toBeInTheDocument();
+    expect(apiClient.put).not.toHaveBeenCalled();
+  });
+
+  test('moves a list down', async () => {
+    const { store, user } = setupSidebar();
+    apiClient.put.mockImplementation((url, changes) => Promise.resolve({
+      data: { ...lists.find((list) => url.endsWith(list._id)), ...changes }
+    }));
+
+    expect(screen.getByRole('button', { name: 'Move Sprint 42 up' })).toBeDisabled();
+    await act(async () => {
+      await user.click(screen.getByRole('button', { name: 'Move Sprint 42 down' }));
+    });
+
+    expect(listNames(store)).toEqual(['Cluster migration', 'Sprint 42']);
+    expect(apiClient.put).toHaveBeenCalledTimes(1);
+    expect(apiClient.put).toHaveBeenCalledWith('/lists/sprint', { position: 2 });
+  });
+
+  test('deletes a list after confirming', async () => {
+    const { store, user } = setupSidebar('sprint');
+    window.confirm.mockReturnValue(true);
+    apiClient.delete.mockResolvedValueOnce({ data: {} });
+
+    await act(async () => {
+      await user.click(screen.getByRole('button', { name: 'Delete Sprint 42' }));
+    });
+
+    expect(window.confirm).toHaveBeenCalledWith('Delete the list "Sprint 42" and all of its tasks?');
+    expect(listNames(store)).toEqual(['Cluster migration']);
+    expect(selectSelectedListId(store.getState())).toBeNull();
+  });
+
+  test('keeps the list when the delete isn\'t confirmed', async () => {
+    const { user } = setupSidebar();
+    window.confirm.mockReturnValue(false);
+
+    await act(async () => {
+      await user.click(screen.getByRole('button', { name: 'Delete Sprint 42' }));
+    });
+
+    expect(apiClient.delete).not.toHaveBeenCalled();
+  });
+
+  test('shows why a list request failed until dismissed', async () => {
+    const { user } = setupSidebar();
+    apiClient.post.mockRejectedValueOnce({ response: { status: 500, data: {} } });
+
+    await act(async () => {
+      await user.type(screen.getByRole('textbox', { name: 'New list name' }), 'Ops{Enter}');
+    });
+    expect(screen.getByRole('alert')).toHaveTextContent('Couldn\'t create the list');
+
+    await act(async () => {
+      await user.click(screen.getByRole('button', { name: 'Dismiss' }));
+    });
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,91 @@
+import React, { act } from 'react';
+import { render, screen } from '@testing-library/react';
+import { Provider } from 'react-redux';
+import { configureStore } from '@reduxjs/toolkit';
+import userEvent from '@testing-library/user-event';
+import { axe } from 'jest-axe';
+import LoginScreen from '../LoginScreen';
+import authReducer, { sessionExpired } from '../../store/slices/authSlice';
+import apiClient from '../../api/client';
+
+const setupLoginScreen = () => {
+  const store = configureStore({ reducer: { auth: authReducer } });
+  const { container } = render(
+    <Provider store={store}>
+      <LoginScreen />
+    </Provider>
+  );
+  return { store, container, user: userEvent.setup() };
+};
+
+const session = {
+  user: { id: 'u1', name: 'Ada Lovelace', email: 'ada@example.com' },
+  accessToken: 'access-1',
+  refreshToken: 'refresh-1'
+};
+
+describe('LoginScreen', () => {
+  test('logs in with the email and password', async () => {
+    const { store, user } = setupLoginScreen();
+    apiClient.post.mockResolvedValueOnce({ data: session });
+
+    await act(async () => {
+      await user.type(screen.getByLabelText('Email'), ' ada@example.com ');
+      await user.type(screen.getByLabelText('Password'), 'secret');
+      await user.click(screen.getByRole('button', { name: 'Log in' }));
+    });
+
+    expect(apiClient.post).toHaveBeenCalledWith('/auth/login', {
+      email: 'ada@example.com',
+      password: 'secret'
+    });
+    expect(store.getState().auth.accessToken).toBe('access-1');
+  });
+
+  test('creates an account', async () => {
+    const { user } = setupLoginScreen();
+    apiClient.post.mockResolvedValueOnce({ data: session });
+
+    await act(async () => {
+      await user.click(screen.getByRole('button', { name: 'New here? Create an account' }));
+    });
+    await act(async () => {
+      await user.type(screen.getByLabelText('Name'), 'Ada Lovelace');
+      await user.type(screen.getByLabelText('Email'), 'ada@example.com');
+      await user.type(screen.getByLabelText('Password'), 'secret');
+      await user.click(screen.getByRole('button', { name: 'Create account' }));
+    });
+
+    expect(apiClient.post).toHaveBeenCalledWith('/auth/register', {
+      name: 'Ada Lovelace',
+      email: 'ada@example.com',
+      password: 'secret'
+    });
+  });
+
+  test('shows why logging in failed', async () => {
+    const { user } = setupLoginScreen();
+    apiClient.post.mockRejectedValueOnce({
+      response: { status: 401, data: { message: 'Wrong email or password' } }
+    });
+
+    await act(async () => {
+      await user.type(screen.getByLabelText('Email'), 'ada@example.com');
+      await user.type(screen.getByLabelText('Password'), 'nope');
+      await user.click(screen.getByRole('button', { name: 'Log in' }));
+    });
+
+    expect(screen.getByRole('alert')).toHaveTextContent('Wrong email or password');
+  });
+
+  test('says when the session expired', async () => {
+    const { store, container } = setupLoginScreen();
+
+    act(() => {
+      store.dispatch(sessionExpired());
+    });
+
+    expect(screen.getByRole('status')).toHaveTextContent('Your session expired');
+    expect(await axe(container)).toHaveNoViolations();
+  });
+});
@@ -0,0 +1,45 @@
+import React, { act } from 'react';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { axe } from 'jest-axe';
+import Markdown from '../Markdown';
+
+describe('Markdown', () => {
+  const description = [
+    'Roll out the **new** ingress, see [docs](https://kubernetes.io).',
+    '',
+    '- [x] Write chart',
+    '- [ ] Deploy',
+    '',
+    '```bash',
+    'kubectl apply -f ingress.yaml',
+    '```'
+  ].join('\n');
+
+  test('renders sanitized Markdown', () => {
+    const unsafe = 'Hi <img src="x" onerror="alert(1)">';
+    render(<Markdown text={unsafe} />);
+
+    expect(screen.getByRole('img')).not.toHaveAttribute('onerror');
+  });
+
+  test('copies a code block to the clipboard', async () => {
+    const user = userEvent.setup();
+    // user-event installs its own clipboard stub on setup
+    const writeText = jest.spyOn(navigator.clipboard, 'writeText');
+    render(<Markdown text={description} />);
+
+    await act(async () => {
+      await user.click(screen.getByRole('button', { name: 'Copy' }));
+    });
+
+    expect(writeText).toHaveBeenCalledWith('kubectl apply -f ingress.yaml');
+    expect(screen.getByRole('button', { name: 'Copied' })).toBeInTheDocument();
+  });
+
+  test('has no accessibility violations', async () => {
+    const { container } = render(<Markdown text={description} />);
+
+    expect(await axe(container)).toHaveNoViolations();
+  });
+});
@@ -0,0 +1,124 @@
+import React, { act } from 'react';
+import { render, screen, waitFor } from '@testing-library/react';
+import { Provider } from 'react-redux';
+import { configureStore } from '@reduxjs/toolkit';
+import userEvent from '@testing-library/user-event';
+import { axe } from 'jest-axe';
+import QuickAdd from '../QuickAdd';
+import tasksReducer from '../../store/slices/tasksSlice';
+import offlineReducer from '../../store/slices/offlineSlice';
+import apiClient from '../../api/client';
+
+const createStore = () => configureStore({
+  reducer: {
+    tasks: tasksReducer,
+    offline: offlineReducer
+  }
+});
+
+const setupQuickAdd = () => {
+  const store = createStore();
+  const { container } = render(
+    <Provider store={store}>
+      <QuickAdd />
+    </Provider>
+  );
+  return { store, container, user: userEvent.setup() };
+};
+
+describe('QuickAdd', () => {
+  test('previews the parsed fields and adds the task with them', async () => {
+    apiClient.post.mockImplementation((url, taskData) => Promise.resolve({
+      data: { ...taskData, _id: '9', completed: false }
+    }));
+    const { store, user } = setupQuickAdd();
+    const tomorrow = new Date();
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    tomorrow.setHours(17, 0, 0, 0);
+
+    await act(async () => {
+      await user.type(
+        screen.getByLabelText('Quick add task'),
+        'Deploy ingress tomorrow 5pm #infra !high'
+      );
+    });
+
+    expect(screen.getByText('Title: Deploy ingress')).toBeInTheDocument();
+    expect(screen.getByText(/^Due:/)).toBeInTheDocument();
+    expect(screen.getByText('Priority: High')).toBeInTheDocument();
+    expect(screen.getByText('#infra')).toBeInTheDocument();
+
+    await act(async () => {
+      await user.keyboard('{Enter}');
+    });
+
+    expect(apiClient.post).toHaveBeenCalledWith('/tasks', {
+      title: 'Deploy ingress',
+      description: '',
+      dueDate: tomorrow.toISOString(),
+      priority: 'high',
+      tags: ['infra']
+    });
+    await waitFor(() => {
+      expect(screen.getByLabelText('Quick add task')).toHaveValue('');
+    });
+    expect(store.getState().tasks.entities['9'].title).toBe('Deploy ingress');
+  });
+
+  test('defaults to medium priority without a due date', async () => {
+    apiClient.post.mockResolvedValue({ data: { _id: '9', title: 'Write runbook' } });
+    const { user } = setupQuickAdd();
+
+    await act(async () => {
+      await user.type(screen.getByLabelText('Quick add task'), 'Write runbook');
+    });
+    expect(screen.getByText('Priority: Medium')).toBeInTheDocument();
+    expect(screen.queryByText(/^Due:/)).not.toBeInTheDocument();
+
+    await act(async () => {
+      await user.click(screen.getByRole('button', { name: 'Add' }));
+    });
+
+    expect(apiClient.post).toHaveBeenCalledWith('/tasks', expect.objectContaining({
+      title: 'Write runbook',
+      dueDate: null,
+      priority: 'medium',
+      tags: []
+    }));
+  });
+
+  test('requires a title once the other fields are taken out', async () => {
+    const { user } = setupQuickAdd();
+
+    await act(async () => {
+      await user.type(screen.getByLabelText('Quick add task'), 'tomorrow #infra{Enter}');
+    });
+
+    expect(apiClient.post).not.toHaveBeenCalled();
+    expect(screen.getByRole('alert')).toHaveTextContent('Please enter a task title');
+    expect(screen.getByLabelText('Quick add task')).toHaveValue('tomorrow #infra');
+  });
+
+  test('keeps the text when the task could not be added', async () => {
+    apiClient.post.mockRejectedValue({
+      response: { status: 500, data: { message: 'Database is down' } }
+    });
+    const { user } = setupQuickAdd();
+
+    await act(async () => {
+      await user.type(screen.getByLabelText('Quick add task'), 'Write runbook{Enter}');
+    });
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Database is down');
+    expect(screen.getByLabelText('Quick add task')).toHaveValue('Write runbook');
+  });
+
+  test('has no accessibility violations', async () => {
+    const { container, user } = setupQuickAdd();
+    await act(async () => {
+      await user.type(screen.getByLabelText('Quick add task'), 'Deploy friday #infra');
+    });
+
+    expect(await axe(container)).toHaveNoViolations();
+  });
+});
@@ -0,0 +1,68 @@
+import React, { act } from 'react';
+import { render, screen } from '@testing-library/react';
+import { Provider } from 'react-redux';
+import { configureStore } from '@reduxjs/toolkit';
+import userEvent from '@testing-library/user-event';
+import ReminderSettings from '../ReminderSettings';
+import remindersReducer from '../../store/slices/remindersSlice';
+
+const createStore = () => configureStore({
+  reducer: {
+    reminders: remindersReducer
+  }
+});
+
+const setupSettings = () => {
+  const store = createStore();
+  render(
+    <Provider store={store}>
+      <ReminderSettings />
+    </Provider>
+  );
+  return store;
+};
+
+describe('ReminderSettings', () => {
+  afterEach(() => {
+    delete window.Notification;
+  });
+
+  test('renders nothing without the Notification API', () => {
+    setupSettings();
+    expect(screen.queryByLabelText('Reminders')).not.toBeInTheDocument();
+  });
+
+  test('asks for permission before enabling reminders', async () => {
+    const user = userEvent.setup();
+    window.Notification = { permission: 'default', requestPermission: jest.fn() };
+    window.Notification.requestPermission.mockResolvedValue('granted');
+    const store = setupSettings();
+
+    expect(screen.getByLabelText('Remind me')).toBeDisabled();
+
+    await act(async () => {
+      await user.click(screen.getByLabelText('Reminders'));
+    });
+
+    expect(window.Notification.requestPermission).toHaveBeenCalled();
+    expect(store.getState().reminders.enabled).toBe(true);
+
+    await act(async () => {
+      await user.selectOptions(screen.getByLabelText('Remind me'), '1 hour before');
+    });
+    expect(store.getState().reminders.leadMinutes).toBe(60);
+  });
+
+  test('stays off when permission is denied', async () => {
+    const user = userEvent.setup();
+    window.Notification = { permission: 'default', requestPermission: jest.fn() };
+    window.Notification.requestPermission.mockResolvedValue('denied');
+    const store = setupSettings();
+
+    await act(async () => {
+      await user.click(screen.getByLabelText('Reminders'));
+    });
+
+    expect(store.getState().reminders.enabled).toBe(false);
+  });
+});
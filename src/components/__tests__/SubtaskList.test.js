@@ -0,0 +1,83 @@
+import React, { act, useState } from 'react';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import SubtaskList from '../SubtaskList';
+
+const onChangeSpy = jest.fn();
+
+const Harness = ({ initial = [] }) => {
+  const [subtasks, setSubtasks] = useState(initial);
+  const handleChange = (next) => {
+    onChangeSpy(next);
+    setSubtasks(next);
+  };
+  return <SubtaskList subtasks={subtasks} onChange={handleChange} />;
+};
+
+describe('SubtaskList', () => {
+  const initial = [
+    { id: 'a', title: 'Write chart', completed: false },
+    { id: 'b', title: 'Deploy', completed: false }
+  ];
+  const lastChange = () => onChangeSpy.mock.calls[onChangeSpy.mock.calls.length - 1][0];
+
+  test('adds subtasks with Enter', async () => {
+    const user = userEvent.setup();
+    render(<Harness />);
+
+    await act(async () => {
+      await user.type(screen.getByLabelText('New subtask'), 'Drain nodes{Enter}');
+    });
+
+    expect(screen.getByLabelText('Subtask 1')).toHaveValue('Drain nodes');
+    expect(screen.getByLabelText('New subtask')).toHaveValue('');
+  });
+
+  test('checks, reorders and removes subtasks', async () => {
+    const user = userEvent.setup();
+    render(<Harness initial={initial} />);
+
+    await act(async () => {
+      await user.click(screen.getByLabelText('Complete Deploy'));
+    });
+    expect(lastChange()[1]).toEqual({ id: 'b', title: 'Deploy', completed: true });
+
+    await act(async () => {
+      await user.click(screen.getByRole('button', { name: 'Move Deploy up' }));
+    });
+    expect(lastChange().map((item) => item.id)).toEqual(['b', 'a']);
+
+    await act(async () => {
+      await user.click(screen.getByRole('button', { name: 'Remove Write chart' }));
+    });
+    expect(lastChange().map((item) => item.id)).toEqual(['b']);
+  });
+
+  test('commits renames on blur and ignores empty titles', async () => {
+    const user = userEvent.setup();
+    render(<Harness initial={initial} />);
+    const title = screen.getByLabelText('Subtask 1');
+
+    await act(async () => {
+      await user.clear(title);
+    });
+    expect(onChangeSpy).not.toHaveBeenCalled();
+    await act(async () => {
+      await user.type(title, 'Write Helm chart');
+    });
+    await act(async () => {
+      await user.tab();
+    });
+
+    expect(onChangeSpy).toHaveBeenCalledTimes(1);
+    expect(lastChange()[0].title).toBe('Write Helm chart');
+
+    await act(async () => {
+      await user.clear(screen.getByLabelText('Subtask 2'));
+    });
+    await act(async () => {
+      await user.tab();
+    });
+    expect(screen.getByLabelText('Subtask 2')).toHaveValue('Deploy');
+  });
+});
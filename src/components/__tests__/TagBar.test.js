@@ -0,0 +1,69 @@
+import React, { act } from 'react';
+import { render, screen } from '@testing-library/react';
+import { Provider } from 'react-redux';
+import { configureStore } from '@reduxjs/toolkit';
+import userEvent from '@testing-library/user-event';
+import TagBar from '../TagBar';
+import filtersReducer, { defaultFilters } from '../../store/slices/filtersSlice';
+import tasksReducer, { tasksAdapter } from '../../store/slices/tasksSlice';
+
+const setupTagBar = (tasks, filters = {}, onManageTags = jest.fn()) => {
+  const store = configureStore({
+    reducer: {
+      tasks: tasksReducer,
+      filters: filtersReducer
+    },
+    preloadedState: {
+      tasks: tasksAdapter.setAll(tasksReducer(undefined, { type: 'init' }), tasks),
+      filters: { ...defaultFilters, ...filters }
+    }
+  });
+  render(
+    <Provider store={store}>
+      <TagBar onManageTags={onManageTags} />
+    </Provider>
+  );
+  return store;
+};
+
+describe('TagBar', () => {
+  const tasks = [
+    { _id: '1', title: 'Task 1', tags: ['k8s', 'infra'] },
+    { _id: '2', title: 'Task 2', tags: ['k8s', 'fe'] }
+  ];
+
+  test('renders nothing without tags', () => {
+    setupTagBar([{ _id: '1', title: 'Task 1' }]);
+    expect(screen.queryByText('Tags')).not.toBeInTheDocument();
+  });
+
+  test('lists tags with counts and toggles the tag filter', async () => {
+    const user = userEvent.setup();
+    const store = setupTagBar(tasks);
+
+    expect(screen.getByRole('button', { name: '#k8s (2)' })).toBeInTheDocument();
+
+    await act(async () => {
+      await user.click(screen.getByRole('button', { name: '#infra (1)' }));
+    });
+    expect(store.getState().filters.tag).toBe('infra');
+    expect(screen.getByRole('button', { name: '#infra (1)' })).toHaveAttribute('aria-pressed', 'true');
+
+    await act(async () => {
+      await user.click(screen.getByRole('button', { name: '#infra (1)' }));
+    });
+    expect(store.getState().filters.tag).toBe('');
+  });
+
+  test('opens the tag manager', async () => {
+    const user = userEvent.setup();
+    const onManageTags = jest.fn();
+    setupTagBar(tasks, {}, onManageTags);
+
+    await act(async () => {
+      await user.click(screen.getByRole('button', { name: 'Manage tags' }));
+    });
+
+    expect(onManageTags).toHaveBeenCalledTimes(1);
+  });
+});
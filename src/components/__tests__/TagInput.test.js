@@ -0,0 +1,61 @@
+import React, { act, useState } from 'react';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import TagInput from '../TagInput';
+
+const Harness = ({ initial = [], suggestions = [] }) => {
+  const [tags, setTags] = useState(initial);
+  return (
+    <>
+      <label htmlFor="tags">Tags</label>
+      <TagInput id="tags" value={tags} onChange={setTags} suggestions={suggestions} />
+      <output>{tags.join(',')}</output>
+    </>
+  );
+};
+
+describe('TagInput', () => {
+  test('adds normalized tags on Enter and comma', async () => {
+    const user = userEvent.setup();
+    render(<Harness />);
+
+    await act(async () => {
+      await user.type(screen.getByLabelText('Tags'), 'K8s Infra{Enter}');
+    });
+    await act(async () => {
+      await user.type(screen.getByLabelText('Tags'), 'frontend,');
+    });
+
+    expect(screen.getByRole('status')).toHaveTextContent('k8s-infra,frontend');
+    expect(screen.getByLabelText('Tags')).toHaveValue('');
+  });
+
+  test('removes tags with the chip button and Backspace', async () => {
+    const user = userEvent.setup();
+    render(<Harness initial={['infra', 'k8s', 'frontend']} />);
+
+    await act(async () => {
+      await user.click(screen.getByRole('button', { name: 'Remove tag infra' }));
+    });
+    await act(async () => {
+      await user.type(screen.getByLabelText('Tags'), '{Backspace}');
+    });
+
+    expect(screen.getByRole('status')).toHaveTextContent(/^k8s$/);
+  });
+
+  test('suggests existing tags that are not already added', async () => {
+    const user = userEvent.setup();
+    render(<Harness initial={['k8s']} suggestions={['frontend', 'infra', 'k8s']} />);
+
+    await act(async () => {
+      await user.type(screen.getByLabelText('Tags'), 'in');
+    });
+    expect(screen.queryByRole('button', { name: '#k8s' })).not.toBeInTheDocument();
+
+    await act(async () => {
+      await user.click(screen.getByRole('button', { name: '#infra' }));
+    });
+    expect(screen.getByRole('status')).toHaveTextContent('k8s,infra');
+  });
+});
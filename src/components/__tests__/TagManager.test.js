@@ -0,0 +1,90 @@
+import React, { act } from 'react';
+import { render, screen } from '@testing-library/react';
+import { Provider } from 'react-redux';
+import { configureStore } from '@reduxjs/toolkit';
+import userEvent from '@testing-library/user-event';
+import { axe } from 'jest-axe';
+import TagManager from '../TagManager';
+import filtersReducer, { defaultFilters } from '../../store/slices/filtersSlice';
+import tasksReducer, { selectTagCounts, tasksAdapter } from '../../store/slices/tasksSlice';
+import apiClient from '../../api/client';
+
+const tasks = [
+  { _id: '1', title: 'Task 1', tags: ['k8s', 'infra'] },
+  { _id: '2', title: 'Task 2', tags: ['k8s', 'fe'] }
+];
+
+const setupManager = (filters = {}) => {
+  const store = configureStore({
+    reducer: {
+      tasks: tasksReducer,
+      filters: filtersReducer
+    },
+    preloadedState: {
+      tasks: tasksAdapter.setAll(tasksReducer(undefined, { type: 'init' }), tasks),
+      filters: { ...defaultFilters, ...filters }
+    }
+  });
+  const onClose = jest.fn();
+  render(
+    <Provider store={store}>
+      <TagManager onClose={onClose} />
+    </Provider>
+  );
+  return { store, onClose, user: userEvent.setup() };
+};
+
+describe('TagManager', () => {
+  test('opens as a modal dialog with the focus on the first tag', async () => {
+    setupManager();
+
+    const dialog = screen.getByRole('dialog', { name: 'Manage tags' });
+    expect(dialog).toHaveAttribute('aria-modal', 'true');
+    expect(screen.getByLabelText('New name for fe')).toHaveFocus();
+    expect(dialog).toHaveTextContent('Tasks not loaded yet keep the old name.');
+    expect(await axe(dialog)).toHaveNoViolations();
+  });
+
+  test('closes on Escape, even from a tag field', async () => {
+    const { onClose, user } = setupManager();
+
+    await act(async () => {
+      await user.keyboard('{Escape}');
+    });
+
+    expect(onClose).toHaveBeenCalledTimes(1);
+  });
+
+  test('keeps the focus inside the dialog', async () => {
+    const { user } = setupManager();
+
+    await act(async () => {
+      await user.tab({ shift: true });
+    });
+
+    expect(screen.getByRole('button', { name: 'Done' })).toHaveFocus();
+  });
+
+  test('merges a tag and follows it in the filter', async () => {
+    apiClient.put.mockImplementation((url, taskData) => Promise.resolve({
+      data: { ...tasks.find((task) => url.endsWith(task._id)), ...taskData }
+    }));
+    const { store, user } = setupManager({ tag: 'infra' });
+
+    const input = screen.getByLabelText('New name for infra');
+    await act(async () => {
+      await user.clear(input);
+      await user.type(input, 'k8s');
+    });
+    await act(async () => {
+      await user.click(screen.getByRole('button', { name: 'Merge' }));
+    });
+
+    expect(apiClient.put).toHaveBeenCalledWith('/tasks/1', { tags: ['k8s'] });
+    expect(store.getState().filters.tag).toBe('k8s');
+    expect(selectTagCounts(store.getState())).toEqual([
+      { tag: 'fe', count: 1 },
+      { tag: 'k8s', count: 2 }
+    ]);
+  });
+});
@@ -3,21 +3,53 @@ import { render, screen, fireEvent, waitFor, act } from '@testing-library/react'
 import { Provider } from 'react-redux';
 import { configureStore } from '@reduxjs/toolkit';
 import userEvent from '@testing-library/user-event';
+import { axe } from 'jest-axe';
 import TaskForm from '../TaskForm';
-import tasksReducer from '../../store/slices/tasksSlice';
+import filtersReducer from '../../store/slices/filtersSlice';
+import tasksReducer, { tasksAdapter } from '../../store/slices/tasksSlice';
+import listsReducer, { listsAdapter } from '../../store/slices/listsSlice';
+import notificationsReducer from '../../store/slices/notificationsSlice';
+import apiClient from '../../api/client';
 
 // Mock store
 const createMockStore = (initialState = {}) => {
+  const {
+    tasks = [],
+    lists = [],
+    selectedListId = null,
+    ...taskState
+  } = initialState;
   return configureStore({
     reducer: {
-      tasks: tasksReducer
+      tasks: tasksReducer,
+      filters: filtersReducer,
+      lists: listsReducer,
+      notifications: notificationsReducer
     },
     preloadedState: {
       tasks: {
-        tasks: [],
-        loading: false,
+        ...tasksAdapter.setAll(tasksAdapter.getInitialState(), tasks),
+        status: {
+          fetch: 'idle',
+          add: 'idle',
+          hasFetched: false,
+          byId: {}
+        },
+        pagination: {
+          page: 1,
+          limit: 20,
+          hasMore: false,
+          nextCursor: null
+        },
         error: null,
-        ...initialState
+        listId: null,
+        rollbacks: {},
+        scheduledDeletes: {},
+        ...taskState
+      },
+      lists: {
+        ...listsAdapter.setAll(listsReducer(undefined, { type: 'init' }), lists),
+        selectedListId
       }
     }
   });
@@ -54,6 +86,59 @@ describe('TaskForm', () => {
     expect(screen.getByRole('button', { name: 'Cancel' })).toBeInTheDocument();
   });
 
+  test('is a labelled modal dialog that takes the focus', () => {
+    renderWithProvider(<TaskForm />);
+
+    const dialog = screen.getByRole('dialog', { name: 'Add New Task' });
+    expect(dialog).toHaveAttribute('aria-modal', 'true');
+    expect(screen.getByLabelText('Title *')).toHaveFocus();
+  });
+
+  test('keeps Tab inside the dialog', async () => {
+    const user = userEvent.setup();
+    renderWithProvider(<TaskForm />);
+
+    await act(async () => {
+      await user.tab({ shift: true });
+    });
+    expect(screen.getByRole('button', { name: 'Add Task' })).toHaveFocus();
+
+    await act(async () => {
+      await user.tab();
+    });
+    expect(screen.getByLabelText('Title *')).toHaveFocus();
+  });
+
+  test('closes on Escape and hands the focus back to the opener', () => {
+    const Harness = () => {
+      const [open, setOpen] = React.useState(false);
+      return (
+        <>
+          <button onClick={() => setOpen(true)} type="button">Open form</button>
+          {open && <TaskForm onCancel={() => setOpen(false)} />}
+        </>
+      );
+    };
+    renderWithProvider(<Harness />);
+    const opener = screen.getByRole('button', { name: 'Open form' });
+    opener.focus();
+
+    fireEvent.click(opener);
+    expect(screen.getByLabelText('Title *')).toHaveFocus();
+
+    fireEvent.keyDown(screen.getByLabelText('Title *'), { key: 'Escape' });
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+    expect(opener).toHaveFocus();
+  });
+
+  test('has no accessibility violations', async () => {
+    const { container } = renderWithProvider(
+      <TaskForm task={{ _id: '1', title: 'Test Task', tags: ['infra'] }} />
+    );
+
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
   test('renders edit task form when task prop is provided', () => {
     const task = {
       _id: '1',
@@ -69,6 +154,89 @@ describe('TaskForm', () => {
     expect(screen.getByRole('button', { name: 'Update Task' })).toBeInTheDocument();
   });
 
+  test('prefills and clears the due date', async () => {
+    const user = userEvent.setup();
+    const dueDate = new Date(2024, 4, 10, 9, 30).toISOString();
+
+    renderWithProvider(<TaskForm task={{ _id: '1', title: 'Test Task', dueDate }} />);
+
+    const input = screen.getByLabelText('Due date');
+    expect(input).toHaveValue('2024-05-10T09:30');
+
+    await act(async () => {
+      await user.clear(input);
+    });
+    expect(input).toHaveValue('');
+  });
+
+  test('defaults the priority to medium and keeps an existing one', () => {
+    const { unmount } = renderWithProvider(<TaskForm />);
+    expect(screen.getByLabelText('Priority')).toHaveValue('medium');
+    unmount();
+
+    renderWithProvider(<TaskForm task={{ _id: '1', title: 'Test Task', priority: 'urgent' }} />);
+    expect(screen.getByLabelText('Priority')).toHaveValue('urgent');
+  });
+
+  test('suggests tags already used by other tasks', async () => {
+    const user = userEvent.setup();
+    renderWithProvider(<TaskForm />, {
+      tasks: [{ _id: '9', title: 'Other', tags: ['frontend', 'infra'] }]
+    });
+
+    await act(async () => {
+      await user.type(screen.getByLabelText('Tags'), 'fr');
+    });
+
+    expect(screen.getByRole('button', { name: '#frontend' })).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: '#infra' })).not.toBeInTheDocument();
+  });
+
+  test('previews the description as Markdown', async () => {
+    const user = userEvent.setup();
+    renderWithProvider(<TaskForm />);
+
+    await act(async () => {
+      await user.type(screen.getByLabelText('Description'), 'Run **kubectl**');
+    });
+    await act(async () => {
+      await user.click(screen.getByRole('tab', { name: 'Preview' }));
+    });
+
+    expect(screen.getByRole('tab', { name: 'Preview' })).toHaveAttribute('aria-selected', 'true');
+    expect(screen.getByText('kubectl').tagName).toBe('STRONG');
+    expect(screen.getByLabelText('Description')).not.toBeVisible();
+
+    await act(async () => {
+      await user.keyboard('{ArrowLeft}');
+    });
+
+    expect(screen.getByRole('tab', { name: 'Write' })).toHaveFocus();
+    expect(screen.getByLabelText('Description')).toBeVisible();
+    expect(screen.queryByText('kubectl')).not.toBeInTheDocument();
+  });
+
+  test('previews a task saved without a description', async () => {
+    const user = userEvent.setup();
+    renderWithProvider(<TaskForm task={{ _id: '1', title: 'Test Task' }} />);
+
+    await act(async () => {
+      await user.click(screen.getByRole('tab', { name: 'Preview' }));
+    });
+
+    expect(screen.getByRole('tab', { name: 'Preview' })).toHaveAttribute('aria-selected', 'true');
+    expect(screen.getByLabelText('Description')).toHaveValue('');
+  });
+
+  test('edits the checklist of an existing task', () => {
+    const subtasks = [{ id: 'a', title: 'Write chart', completed: true }];
+    renderWithProvider(<TaskForm task={{ _id: '1', title: 'Test Task', subtasks }} />);
+
+    expect(screen.getByLabelText('Subtask 1')).toHaveValue('Write chart');
+    expect(screen.getByLabelText('Complete Write chart')).toBeChecked();
+    expect(screen.getByLabelText('New subtask')).toBeInTheDocument();
+  });
+
   test('calls onCancel when cancel button is clicked', async () => {
     const user = userEvent.setup();
     const onCancel = jest.fn();
@@ -208,4 +376,295 @@ describe('TaskForm', () => {
       expect(screen.getByLabelText('Description')).toHaveValue('');
     });
   });
+
+  describe('lists', () => {
+    const lists = [
+      { _id: 'sprint', name: 'Sprint 42', position: 0 },
+      { _id: 'personal', name: 'Personal', position: 1 }
+    ];
+
+    // Runs the form's thunks against a real store
+    const renderWithStore = (component, initialState) => {
+      const store = createMockStore({ lists, ...initialState });
+      mockDispatch.mockImplementation((action) => store.dispatch(action));
+      render(<Provider store={store}>{component}</Provider>);
+      return { user: userEvent.setup() };
+    };
+
+    test('adds new tasks to the selected list', async () => {
+      const { user } = renderWithStore(<TaskForm />, { selectedListId: 'sprint' });
+      apiClient.post.mockResolvedValueOnce({ data: { _id: '1', title: 'Retro' } });
+      expect(screen.getByLabelText('List')).toHaveDisplayValue('Sprint 42');
+
+      await act(async () => {
+        await user.type(screen.getByLabelText('Title *'), 'Retro');
+        await user.click(screen.getByRole('button', { name: 'Add Task' }));
+      });
+
+      expect(apiClient.post).toHaveBeenCalledWith('/tasks', expect.objectContaining({
+        title: 'Retro',
+        listId: 'sprint'
+      }));
+    });
+
+    test('moves a task to another list', async () => {
+      const task = {
+        _id: '1',
+        title: 'Buy milk',
+        description: '',
+        listId: 'sprint'
+      };
+      const { user } = renderWithStore(<TaskForm task={task} />, { tasks: [task] });
+      apiClient.put.mockResolvedValueOnce({ data: { ...task, listId: 'personal' } });
+
+      await act(async () => {
+        await user.selectOptions(screen.getByLabelText('List'), 'Personal');
+        await user.click(screen.getByRole('button', { name: 'Update Task' }));
+      });
+
+      expect(apiClient.put).toHaveBeenCalledWith(
+        '/tasks/1',
+        expect.objectContaining({ listId: 'personal' })
+      );
+    });
+
+    test('takes a task out of its list', async () => {
+      const task = {
+        _id: '1',
+        title: 'Buy milk',
+        description: '',
+        listId: 'sprint'
+      };
+      const { user } = renderWithStore(<TaskForm task={task} />, { tasks: [task] });
+      apiClient.put.mockResolvedValueOnce({ data: { ...task, listId: null } });
+
+      await act(async () => {
+        await user.selectOptions(screen.getByLabelText('List'), 'No list');
+        await user.click(screen.getByRole('button', { name: 'Update Task' }));
+      });
+
+      expect(apiClient.put).toHaveBeenCalledWith(
+        '/tasks/1',
+        expect.objectContaining({ listId: null })
+      );
+    });
+
+    test('has no list field without lists', () => {
+      renderWithProvider(<TaskForm />);
+
+      expect(screen.queryByLabelText('List')).not.toBeInTheDocument();
+    });
+  });
+
+  describe('conflicting edits', () => {
+    const task = {
+      _id: '1',
+      title: 'Original Task',
+      description: 'Original Description',
+      priority: 'medium',
+      updatedAt: '2024-05-01T10:00:00.000Z'
+    };
+    const theirs = {
+      ...task,
+      title: 'Their Task',
+      priority: 'high',
+      updatedAt: '2024-05-01T11:00:00.000Z'
+    };
+    const conflictWith = (serverTask) => ({
+      response: { status: 412, data: { message: 'Task was modified', task: serverTask } }
+    });
+
+    // Runs the form's thunks against a real store; the save conflicts with `serverTask`
+    const setupConflict = async (serverTask = theirs) => {
+      const user = userEvent.setup();
+      const onCancel = jest.fn();
+      const store = createMockStore({ tasks: [task] });
+      mockDispatch.mockImplementation((action) => store.dispatch(action));
+      apiClient.put.mockRejectedValueOnce(conflictWith(serverTask));
+      render(
+        <Provider store={store}>
+          <TaskForm task={task} onCancel={onCancel} />
+        </Provider>
+      );
+
+      await act(async () => {
+        await user.clear(screen.getByLabelText('Title *'));
+        await user.type(screen.getByLabelText('Title *'), 'My Task');
+        await user.click(screen.getByRole('button', { name: 'Update Task' }));
+      });
+
+      return { user, store, onCancel };
+    };
+
+    test('saves against the version the form was opened with', async () => {
+      const onCancel = jest.fn();
+      const user = userEvent.setup();
+      const store = createMockStore({ tasks: [task] });
+      mockDispatch.mockImplementation((action) => store.dispatch(action));
+      apiClient.put.mockResolvedValueOnce({ data: { ...task, title: 'My Task' } });
+      render(
+        <Provider store={store}>
+          <TaskForm task={task} onCancel={onCancel} />
+        </Provider>
+      );
+
+      await act(async () => {
+        await user.clear(screen.getByLabelText('Title *'));
+        await user.type(screen.getByLabelText('Title *'), 'My Task');
+        await user.click(screen.getByRole('button', { name: 'Update Task' }));
+      });
+
+      expect(apiClient.put).toHaveBeenCalledWith(
+        '/tasks/1',
+        expect.objectContaining({ title: 'My Task' }),
+        { headers: { 'If-Match': '"2024-05-01T10:00:00.000Z"' } }
+      );
+      expect(onCancel).toHaveBeenCalledTimes(1);
+    });
+
+    test('shows mine against theirs for each field both of us changed', async () => {
+      const { store, onCancel } = await setupConflict();
+
+      const dialog = screen.getByRole('dialog', { name: 'This task was changed' });
+      expect(onCancel).not.toHaveBeenCalled();
+      expect(screen.getAllByRole('rowheader').map((cell) => cell.textContent)).toEqual(['Title']);
+      expect(screen.getByText('My Task')).toBeInTheDocument();
+      expect(screen.getByText('Their Task')).toBeInTheDocument();
+      expect(screen.getByLabelText('Use my title')).toHaveFocus();
+      expect(store.getState().notifications.items).toEqual([]);
+      expect(await axe(dialog)).toHaveNoViolations();
+    });
+
+    test('keeps mine by saving over their version, with their other changes', async () => {
+      const { user, onCancel } = await setupConflict();
+      apiClient.put.mockResolvedValueOnce({ data: { ...theirs, title: 'My Task' } });
+
+      await act(async () => {
+        await user.click(screen.getByRole('button', { name: 'Keep mine' }));
+      });
+
+      expect(apiClient.put).toHaveBeenLastCalledWith(
+        '/tasks/1',
+        expect.objectContaining({ title: 'My Task', priority: 'high' }),
+        { headers: { 'If-Match': '"2024-05-01T11:00:00.000Z"' } }
+      );
+      expect(onCancel).toHaveBeenCalledTimes(1);
+    });
+
+    test('merges the version picked for each field', async () => {
+      const { user, onCancel } = await setupConflict();
+      apiClient.put.mockResolvedValueOnce({ data: theirs });
+
+      await act(async () => {
+        await user.click(screen.getByLabelText('Use their title'));
+      });
+      await act(async () => {
+        await user.click(screen.getByRole('button', { name: 'Merge' }));
+      });
+
+      expect(apiClient.put).toHaveBeenLastCalledWith(
+        '/tasks/1',
+        expect.objectContaining({ title: 'Their Task', priority: 'high' }),
+        { headers: { 'If-Match': '"2024-05-01T11:00:00.000Z"' } }
+      );
+      expect(onCancel).toHaveBeenCalledTimes(1);
+    });
+
+    test('merges changes to different fields without asking', async () => {
+      const { user } = await setupConflict({ ...theirs, title: task.title });
+      apiClient.put.mockResolvedValueOnce({ data: { ...theirs, title: 'My Task' } });
+
+      expect(screen.queryByRole('table')).not.toBeInTheDocument();
+      await act(async () => {
+        await user.click(screen.getByRole('button', { name: 'Merge' }));
+      });
+
+      expect(apiClient.put).toHaveBeenLastCalledWith(
+        '/tasks/1',
+        expect.objectContaining({ title: 'My Task', priority: 'high' }),
+        { headers: { 'If-Match': '"2024-05-01T11:00:00.000Z"' } }
+      );
+    });
+
+    test('keeps a list move when keeping mine or merging', async () => {
+      const user = userEvent.setup();
+      const lists = [
+        { _id: 'sprint', name: 'Sprint 42', position: 0 },
+        { _id: 'ops', name: 'Ops', position: 1 },
+        { _id: 'personal', name: 'Personal', position: 2 }
+      ];
+      const store = createMockStore({ tasks: [{ ...task, listId: 'sprint' }], lists });
+      mockDispatch.mockImplementation((action) => store.dispatch(action));
+      apiClient.put.mockRejectedValueOnce(conflictWith({ ...theirs, listId: 'personal' }));
+      render(
+        <Provider store={store}>
+          <TaskForm task={{ ...task, listId: 'sprint' }} onCancel={jest.fn()} />
+        </Provider>
+      );
+
+      await act(async () => {
+        await user.selectOptions(screen.getByLabelText('List'), 'Ops');
+        await user.click(screen.getByRole('button', { name: 'Update Task' }));
+      });
+      expect(screen.getByRole('rowheader', { name: 'List' })).toBeInTheDocument();
+      expect(screen.getByLabelText('Use my list')).toBeChecked();
+
+      apiClient.put.mockRejectedValueOnce({ response: { status: 500, data: {} } });
+      await act(async () => {
+        await user.click(screen.getByRole('button', { name: 'Keep mine' }));
+      });
+      expect(apiClient.put).toHaveBeenLastCalledWith(
+        '/tasks/1',
+        expect.objectContaining({ listId: 'ops', priority: 'high' }),
+        expect.anything()
+      );
+
+      apiClient.put.mockResolvedValueOnce({ data: { ...theirs, listId: 'ops' } });
+      await act(async () => {
+        await user.click(screen.getByRole('button', { name: 'Merge' }));
+      });
+      expect(apiClient.put).toHaveBeenLastCalledWith(
+        '/tasks/1',
+        expect.objectContaining({ listId: 'ops', priority: 'high' }),
+        expect.anything()
+      );
+    });
+
+    test('takes theirs without saving again', async () => {
+      const { user, store, onCancel } = await setupConflict();
+
+      await act(async () => {
+        await user.click(screen.getByRole('button', { name: 'Take theirs' }));
+      });
+
+      expect(apiClient.put).toHaveBeenCalledTimes(1);
+      expect(store.getState().tasks.entities['1']).toEqual(theirs);
+      expect(onCancel).toHaveBeenCalledTimes(1);
+    });
+
+    test('goes back to the form on Escape', async () => {
+      const { user, onCancel } = await setupConflict();
+
+      await act(async () => {
+        await user.keyboard('{Escape}');
+      });
+
+      expect(screen.queryByRole('dialog', { name: 'This task was changed' })).not.toBeInTheDocument();
+      expect(screen.getByLabelText('Title *')).toHaveValue('My Task');
+      expect(screen.getByRole('button', { name: 'Update Task' })).toHaveFocus();
+      expect(onCancel).not.toHaveBeenCalled();
+    });
+
+    test('keeps the dialog open when saving fails', async () => {
+      const { user, onCancel } = await setupConflict();
+      apiClient.put.mockRejectedValueOnce({ response: { status: 500, data: {} } });
+
+      await act(async () => {
+        await user.click(screen.getByRole('button', { name: 'Keep mine' }));
+      });
+
+      expect(screen.getByRole('alert')).toHaveTextContent('Failed to update task');
+      expect(onCancel).not.toHaveBeenCalled();
+    });
+  });
 });
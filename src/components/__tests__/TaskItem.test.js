@@ -3,22 +3,43 @@ import { render, screen, fireEvent } from '@testing-library/react';
 import { Provider } from 'react-redux';
 import { configureStore } from '@reduxjs/toolkit';
 import userEvent from '@testing-library/user-event';
+import { axe } from 'jest-axe';
 import TaskItem from '../TaskItem';
-import tasksReducer from '../../store/slices/tasksSlice';
+import filtersReducer from '../../store/slices/filtersSlice';
+import tasksReducer, { tasksAdapter } from '../../store/slices/tasksSlice';
+import listsReducer, { listsAdapter } from '../../store/slices/listsSlice';
 
 // Mock store
 const createMockStore = (initialState = {}) => {
+  const { tasks = [], lists = [], ...taskState } = initialState;
   return configureStore({
     reducer: {
-      tasks: tasksReducer
+      tasks: tasksReducer,
+      filters: filtersReducer,
+      lists: listsReducer
     },
     preloadedState: {
       tasks: {
-        tasks: [],
-        loading: false,
+        ...tasksAdapter.setAll(tasksAdapter.getInitialState(), tasks),
+        status: {
+          fetch: 'idle',
+          add: 'idle',
+          hasFetched: false,
+          byId: {}
+        },
+        pagination: {
+          page: 1,
+          limit: 20,
+          hasMore: false,
+          nextCursor: null
+        },
         error: null,
-        ...initialState
-      }
+        listId: null,
+        rollbacks: {},
+        scheduledDeletes: {},
+        ...taskState
+      },
+      lists: listsAdapter.setAll(listsReducer(undefined, { type: 'init' }), lists)
     }
   });
 };
@@ -112,14 +133,8 @@ describe('TaskItem', () => {
     );
   });
 
-  test('calls deleteTask when delete button is clicked and confirmed', async () => {
+  test('schedules an undoable delete without asking for confirmation', async () => {
     const user = userEvent.setup();
-    mockConfirm.mockReturnValue(true);
-    
-    // Mock successful dispatch
-    mockDispatch.mockReturnValue({
-      unwrap: jest.fn().mockResolvedValue({})
-    });
     
     renderWithProvider(<TaskItem task={mockTask} />);
     
@@ -127,43 +142,208 @@ describe('TaskItem', () => {
       await user.click(screen.getByTitle('Delete task'));
     });
     
-    expect(mockConfirm).toHaveBeenCalledWith('Are you sure you want to delete this task?');
+    expect(mockConfirm).not.toHaveBeenCalled();
     expect(mockDispatch).toHaveBeenCalledWith(
       expect.any(Function)
     );
   });
 
-  test('does not call deleteTask when delete is cancelled', async () => {
+  test('shows loading state when deleting', () => {
+    renderWithProvider(<TaskItem task={mockTask} />, {
+      status: { fetch: 'idle', add: 'idle', hasFetched: true, byId: { 1: { deleting: true } } }
+    });
+
+    expect(screen.getByText('⏳')).toBeInTheDocument();
+    expect(screen.getByTitle('Delete task')).toBeDisabled();
+    expect(screen.getByText('Test Task').closest('.task-item')).toHaveClass('deleting');
+  });
+
+  test('shows its own spinner while toggling', () => {
+    renderWithProvider(<TaskItem task={mockTask} />, {
+      status: { fetch: 'idle', add: 'idle', hasFetched: true, byId: { 1: { toggling: true } } }
+    });
+
+    const toggle = screen.getByTitle('Mark as complete');
+    expect(toggle).toBeDisabled();
+    expect(toggle).toHaveClass('pending');
+    expect(toggle.querySelector('.toggle-spinner')).toBeInTheDocument();
+  });
+
+  test('marks tasks that are waiting to sync', () => {
+    renderWithProvider(<TaskItem task={{ ...mockTask, pendingSync: true }} />);
+
+    expect(screen.getByText('Not synced')).toBeInTheDocument();
+  });
+
+  test('shows the priority badge, defaulting to medium', () => {
+    renderWithProvider(
+      <>
+        <TaskItem task={mockTask} />
+        <TaskItem task={{ ...mockTask, _id: '2', priority: 'urgent' }} />
+      </>
+    );
+
+    expect(screen.getByText('Medium')).toHaveClass('task-priority-badge', 'priority-medium');
+    expect(screen.getByText('Urgent')).toHaveClass('task-priority-badge', 'priority-urgent');
+  });
+
+  test('filters the list by a tag when its chip is clicked', async () => {
     const user = userEvent.setup();
-    mockConfirm.mockReturnValue(false);
-    
-    renderWithProvider(<TaskItem task={mockTask} />);
-    
+    renderWithProvider(<TaskItem task={{ ...mockTask, tags: ['k8s', 'infra'] }} />);
+
     await act(async () => {
-      await user.click(screen.getByTitle('Delete task'));
+      await user.click(screen.getByRole('button', { name: '#infra' }));
     });
-    
-    expect(mockConfirm).toHaveBeenCalledWith('Are you sure you want to delete this task?');
-    expect(mockDispatch).not.toHaveBeenCalled();
+
+    expect(mockDispatch).toHaveBeenCalledWith({ type: 'filters/setTagFilter', payload: 'infra' });
   });
 
-  test('shows loading state when deleting', async () => {
+  test('shows checklist progress and opens the checklist inline', async () => {
+    const user = userEvent.setup();
+    const subtasks = [
+      { id: 'a', title: 'Write chart', completed: true },
+      { id: 'b', title: 'Deploy', completed: false }
+    ];
+    renderWithProvider(<TaskItem task={{ ...mockTask, subtasks }} />);
+
+    expect(screen.getByRole('progressbar', { name: 'Subtasks done' }))
+      .toHaveAttribute('aria-valuenow', '1');
+    expect(screen.queryByLabelText('Complete Deploy')).not.toBeInTheDocument();
+
+    await act(async () => {
+      await user.click(screen.getByRole('button', { name: '1/2' }));
+    });
+    await act(async () => {
+      await user.click(screen.getByLabelText('Complete Deploy'));
+    });
+
+    expect(mockDispatch).toHaveBeenCalledWith(expect.any(Function));
+  });
+
+  test('moves the task to another list', async () => {
+    const user = userEvent.setup();
+    renderWithProvider(<TaskItem task={{ ...mockTask, listId: 'sprint' }} onEdit={jest.fn()} />, {
+      lists: [
+        { _id: 'sprint', name: 'Sprint 42', position: 0 },
+        { _id: 'personal', name: 'Personal', position: 1 }
+      ]
+    });
+    const select = screen.getByRole('combobox', { name: 'Move Test Task to list' });
+    expect(select).toHaveDisplayValue('Sprint 42');
+
+    await act(async () => {
+      await user.selectOptions(select, 'Personal');
+    });
+
+    expect(mockDispatch).toHaveBeenCalledWith(expect.any(Function));
+  });
+
+  test('offers no list to move to without lists', () => {
+    renderWithProvider(<TaskItem task={mockTask} onEdit={jest.fn()} />);
+
+    expect(screen.queryByRole('combobox')).not.toBeInTheDocument();
+  });
+
+  test('edits the title inline and saves it with updateTask', async () => {
+    const user = userEvent.setup();
+    const unwrap = jest.fn().mockResolvedValue({});
+    mockDispatch.mockReturnValue({ unwrap });
+    renderWithProvider(<TaskItem task={mockTask} onEdit={jest.fn()} />);
+
+    await act(async () => {
+      await user.dblClick(screen.getByText('Test Task'));
+    });
+    await act(async () => {
+      await user.type(screen.getByLabelText('Task title'), ' renamed{Enter}');
+    });
+
+    expect(mockDispatch).toHaveBeenCalledWith(expect.any(Function));
+    expect(unwrap).toHaveBeenCalled();
+    expect(screen.queryByLabelText('Task title')).not.toBeInTheDocument();
+  });
+
+  test('shows a failed inline save on the item', async () => {
     const user = userEvent.setup();
-    mockConfirm.mockReturnValue(true);
-    
-    // Mock pending dispatch
     mockDispatch.mockReturnValue({
-      unwrap: jest.fn().mockImplementation(() => new Promise(() => {})) // Never resolves
+      unwrap: jest.fn().mockRejectedValue('Failed to update task')
     });
-    
+    renderWithProvider(<TaskItem task={mockTask} onEdit={jest.fn()} />);
+
+    await act(async () => {
+      await user.dblClick(screen.getByText('Test Description'));
+    });
+    await act(async () => {
+      await user.type(screen.getByLabelText('Task description'), '!{Enter}');
+    });
+
+    expect(screen.getByRole('alert')).toHaveTextContent('Failed to update task');
+    expect(screen.getByLabelText('Task description')).toHaveValue('Test Description!');
+  });
+
+  test('archives a task', async () => {
+    const user = userEvent.setup();
     renderWithProvider(<TaskItem task={mockTask} />);
-    
+
     await act(async () => {
-      await user.click(screen.getByTitle('Delete task'));
+      await user.click(screen.getByTitle('Archive task'));
     });
-    
-    expect(screen.getByText('⏳')).toBeInTheDocument();
-    expect(screen.getByTitle('Delete task')).toBeDisabled();
+
+    expect(mockDispatch).toHaveBeenCalledWith(expect.any(Function));
+  });
+
+  test('only offers restore and permanent delete for archived tasks', () => {
+    renderWithProvider(<TaskItem task={{ ...mockTask, archived: true }} />);
+
+    expect(screen.getByTitle('Restore task')).toBeInTheDocument();
+    expect(screen.getByTitle('Delete permanently')).toBeInTheDocument();
+    expect(screen.queryByTitle('Edit task')).not.toBeInTheDocument();
+    expect(screen.queryByTitle('Mark as complete')).not.toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Test Task' })).not.toBeInTheDocument();
+  });
+
+  test('shows the due date and flags overdue tasks', () => {
+    const overdueTask = { ...mockTask, dueDate: '2020-01-01T09:00:00.000Z' };
+    renderWithProvider(<TaskItem task={overdueTask} />);
+
+    expect(screen.getByText(/Due:/).textContent).toMatch(/2020/);
+    expect(screen.getByText('Overdue')).toBeInTheDocument();
+    expect(screen.getByText('Test Task').closest('.task-item')).toHaveClass('overdue');
+  });
+
+  test('does not flag completed tasks as overdue', () => {
+    renderWithProvider(
+      <TaskItem task={{ ...mockTask, completed: true, dueDate: '2020-01-01T09:00:00.000Z' }} />
+    );
+
+    expect(screen.queryByText('Overdue')).not.toBeInTheDocument();
+  });
+
+  test('exposes the toggle as a checkbox and names the icon buttons', () => {
+    renderWithProvider(<TaskItem task={{ ...mockTask, completed: true }} onMove={jest.fn()} />);
+
+    expect(screen.getByRole('checkbox', { name: 'Complete Test Task' })).toBeChecked();
+    expect(screen.getByRole('button', { name: 'Edit Test Task' })).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Archive Test Task' })).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Delete Test Task' })).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Move Test Task up' })).toBeInTheDocument();
+  });
+
+  test('has no accessibility violations', async () => {
+    const { container } = renderWithProvider(
+      <TaskItem
+        task={{ ...mockTask, tags: ['infra'], subtasks: [{ id: 'a', title: 'Deploy', completed: false }] }}
+        onMove={jest.fn()}
+        onSelect={jest.fn()}
+      />
+    );
+
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  test('has no accessibility violations when archived', async () => {
+    const { container } = renderWithProvider(<TaskItem task={{ ...mockTask, archived: true }} />);
+
+    expect(await axe(container)).toHaveNoViolations();
   });
 
   test('formats date correctly', () => {
@@ -193,6 +373,38 @@ describe('TaskItem', () => {
     expect(screen.queryByText(/Updated:/)).not.toBeInTheDocument();
   });
 
+  test('renders the description as Markdown', () => {
+    renderWithProvider(
+      <TaskItem task={{ ...mockTask, description: 'Run `kubectl get pods`, see [docs](https://k8s.io)' }} />
+    );
+
+    expect(screen.getByText('kubectl get pods').tagName).toBe('CODE');
+    expect(screen.getByRole('link', { name: 'docs' })).toHaveAttribute('target', '_blank');
+  });
+
+  test('collapses long descriptions behind Show more', async () => {
+    const user = userEvent.setup();
+    const description = Array.from({ length: 10 }, (_, index) => `Step ${index + 1}`).join('\n');
+    renderWithProvider(<TaskItem task={{ ...mockTask, description }} />);
+
+    const toggle = screen.getByRole('button', { name: 'Show more' });
+    expect(toggle).toHaveAttribute('aria-expanded', 'false');
+    expect(screen.getByText(/Step 1/).closest('.task-description')).toHaveClass('collapsed');
+
+    await act(async () => {
+      await user.click(toggle);
+    });
+
+    expect(screen.getByRole('button', { name: 'Show less' })).toHaveAttribute('aria-expanded', 'true');
+    expect(screen.getByText(/Step 1/).closest('.task-description')).not.toHaveClass('collapsed');
+  });
+
+  test('does not collapse short descriptions', () => {
+    renderWithProvider(<TaskItem task={mockTask} />);
+
+    expect(screen.queryByRole('button', { name: 'Show more' })).not.toBeInTheDocument();
+  });
+
   test('handles task without description', () => {
     const taskWithoutDescription = { ...mockTask, description: '' };
     renderWithProvider(<TaskItem task={taskWithoutDescription} />);
@@ -220,26 +432,4 @@ describe('TaskItem', () => {
     
     consoleSpy.mockRestore();
   });
-
-  test('handles delete error gracefully', async () => {
-    const user = userEvent.setup();
-    const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
-    mockConfirm.mockReturnValue(true);
-    
-    // Mock failed dispatch
-    mockDispatch.mockReturnValue({
-      unwrap: jest.fn().mockRejectedValue(new Error('Delete failed'))
-    });
-    
-    renderWithProvider(<TaskItem task={mockTask} />);
-    
-    await act(async () => {
-      await user.click(screen.getByTitle('Delete task'));
-    });
-    
-    expect(consoleSpy).toHaveBeenCalledWith('Error deleting task:', expect.any(Error));
-    expect(screen.getByTitle('Delete task')).not.toBeDisabled();
-    
-    consoleSpy.mockRestore();
-  });
 });
@@ -1,29 +1,63 @@
 import React, { act } from 'react';
-import { render, screen } from '@testing-library/react';
+import {
+  fireEvent,
+  render,
+  screen,
+  waitFor,
+  within
+} from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { axe } from 'jest-axe';
 import { Provider } from 'react-redux';
 import { configureStore } from '@reduxjs/toolkit';
 import TaskList from '../TaskList';
-import tasksReducer from '../../store/slices/tasksSlice';
+import filtersReducer, { defaultFilters } from '../../store/slices/filtersSlice';
+import tasksReducer, {
+  tasksAdapter,
+  toggleTask,
+  deleteTask
+} from '../../store/slices/tasksSlice';
+import listsReducer from '../../store/slices/listsSlice';
+import apiClient from '../../api/client';
 
 // Mock store
-const createMockStore = (initialState = {}) => {
+const createMockStore = (initialState = {}, filters = {}) => {
+  const { tasks = [], selectedListId = null, ...taskState } = initialState;
   return configureStore({
     reducer: {
-      tasks: tasksReducer
+      tasks: tasksReducer,
+      filters: filtersReducer,
+      lists: listsReducer
     },
     preloadedState: {
       tasks: {
-        tasks: [],
-        loading: false,
+        ...tasksAdapter.setAll(tasksAdapter.getInitialState(), tasks),
+        status: {
+          fetch: 'idle',
+          add: 'idle',
+          hasFetched: false,
+          byId: {}
+        },
+        pagination: {
+          page: 1,
+          limit: 20,
+          hasMore: false,
+          nextCursor: null
+        },
         error: null,
-        ...initialState
-      }
+        listId: null,
+        rollbacks: {},
+        scheduledDeletes: {},
+        ...taskState
+      },
+      filters: { ...defaultFilters, ...filters },
+      lists: { ...listsReducer(undefined, { type: 'init' }), selectedListId }
     }
   });
 };
 
-const renderWithProvider = (component, initialState = {}) => {
-  const store = createMockStore(initialState);
+const renderWithProvider = (component, initialState = {}, filters = {}) => {
+  const store = createMockStore(initialState, filters);
   return render(
     <Provider store={store}>
       {component}
@@ -61,13 +95,79 @@ describe('TaskList', () => {
 
   test('renders loading state', () => {
     renderWithProvider(<TaskList />, {
-      loading: true
+      status: { fetch: 'pending', add: 'idle', hasFetched: false, byId: {} }
     });
-    
+
     expect(screen.getByText('Loading tasks...')).toBeInTheDocument();
     expect(screen.getByText('Loading tasks...').closest('.loading')).toBeInTheDocument();
   });
 
+  test('keeps showing tasks while refetching after the first load', () => {
+    renderWithProvider(<TaskList />, {
+      tasks: mockTasks,
+      status: { fetch: 'pending', add: 'idle', hasFetched: true, byId: {} }
+    });
+
+    expect(screen.queryByText('Loading tasks...')).not.toBeInTheDocument();
+    expect(screen.getByText('Pending Task 1')).toBeInTheDocument();
+  });
+
+  test('groups pending tasks by due date', () => {
+    const dayMs = 24 * 60 * 60 * 1000;
+    const endOfToday = new Date();
+    endOfToday.setHours(23, 59, 0, 0);
+    const dueTask = (_id, dueDate) => ({ ...mockTasks[0], _id, dueDate: dueDate.toISOString() });
+    renderWithProvider(<TaskList />, {
+      tasks: [
+        ...mockTasks,
+        dueTask('4', new Date(Date.now() - dayMs)),
+        dueTask('5', endOfToday),
+        dueTask('6', new Date(Date.now() + 3 * dayMs))
+      ]
+    });
+
+    expect(screen.getByText('Overdue (1)')).toBeInTheDocument();
+    expect(screen.getByText('Due Today (1)')).toBeInTheDocument();
+    expect(screen.getByText('Upcoming (1)')).toBeInTheDocument();
+    expect(screen.getByText('Pending Tasks (2)')).toBeInTheDocument();
+    expect(screen.getByText('Completed Tasks (1)')).toBeInTheDocument();
+  });
+
+  test('groups pending tasks by priority', () => {
+    renderWithProvider(<TaskList />, {
+      tasks: [
+        { ...mockTasks[0], priority: 'urgent' },
+        mockTasks[1],
+        mockTasks[2]
+      ]
+    }, { groupBy: 'priority' });
+
+    expect(screen.getByText('Urgent (1)')).toBeInTheDocument();
+    expect(screen.getByText('Medium Priority (1)')).toBeInTheDocument();
+    expect(screen.queryByText(/Low Priority/)).not.toBeInTheDocument();
+    expect(screen.getByText('Completed Tasks (1)')).toBeInTheDocument();
+  });
+
+  test('renders only tasks matching the active filters', () => {
+    renderWithProvider(<TaskList />, {
+      tasks: mockTasks
+    }, { search: 'pending task 2' });
+
+    expect(screen.getByLabelText('Search tasks')).toHaveValue('pending task 2');
+    expect(screen.getByText('Pending Tasks (1)')).toBeInTheDocument();
+    expect(screen.queryByText('Pending Task 1')).not.toBeInTheDocument();
+    expect(screen.queryByText('Completed Tasks (1)')).not.toBeInTheDocument();
+  });
+
+  test('renders a no-match state when filters hide every task', () => {
+    renderWithProvider(<TaskList />, {
+      tasks: mockTasks
+    }, { status: 'completed', search: 'nothing like this' });
+
+    expect(screen.getByText('No matching tasks')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Clear filters' })).toBeInTheDocument();
+  });
+
   test('renders error state', () => {
     const errorMessage = 'Failed to fetch tasks';
     renderWithProvider(<TaskList />, {
@@ -75,6 +175,7 @@ describe('TaskList', () => {
     });
     
     expect(screen.getByText(`Error: ${errorMessage}`)).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Try again' })).toBeInTheDocument();
   });
 
   test('renders empty state when no tasks', () => {
@@ -87,6 +188,23 @@ describe('TaskList', () => {
     expect(screen.getByText('📝')).toBeInTheDocument();
   });
 
+  test('renders the empty state for a list whose tasks are all elsewhere', () => {
+    renderWithProvider(<TaskList />, { tasks: mockTasks, selectedListId: 'sprint' });
+
+    expect(screen.getByText('No tasks yet')).toBeInTheDocument();
+    expect(screen.queryByText('Pending Task 1')).not.toBeInTheDocument();
+  });
+
+  test('renders a failed fetch for a list with nothing loaded', () => {
+    renderWithProvider(<TaskList />, {
+      tasks: mockTasks,
+      selectedListId: 'sprint',
+      error: 'Failed to fetch tasks'
+    });
+
+    expect(screen.getByRole('button', { name: 'Try again' })).toBeInTheDocument();
+  });
+
   test('renders tasks grouped by completion status', () => {
     renderWithProvider(<TaskList />, {
       tasks: mockTasks
@@ -100,6 +218,24 @@ describe('TaskList', () => {
     expect(screen.getByText('Completed Task 1')).toBeInTheDocument();
   });
 
+  test('renders each section as a labelled list of tasks', () => {
+    renderWithProvider(<TaskList />, {
+      tasks: mockTasks
+    });
+
+    const pendingList = screen.getByRole('list', { name: 'Pending Tasks' });
+    expect(within(pendingList).getAllByRole('listitem')).toHaveLength(2);
+    expect(screen.getByRole('list', { name: 'Completed Tasks' })).toBeInTheDocument();
+  });
+
+  test('has no accessibility violations', async () => {
+    const { container } = renderWithProvider(<TaskList />, {
+      tasks: mockTasks
+    }, { sortBy: 'position' });
+
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
   test('renders only pending tasks section when no completed tasks', () => {
     const pendingTasks = mockTasks.filter(task => !task.completed);
     
@@ -181,4 +317,217 @@ describe('TaskList', () => {
     expect(screen.getByText('Task without description')).toBeInTheDocument();
     expect(screen.getByText('Pending Tasks (1)')).toBeInTheDocument();
   });
+
+  test('keeps the list on screen while a mutation is in flight', () => {
+    const store = createMockStore({ tasks: mockTasks });
+    render(
+      <Provider store={store}>
+        <TaskList />
+      </Provider>
+    );
+
+    act(() => {
+      store.dispatch({ type: toggleTask.pending.type, meta: { requestId: 'a', arg: '1' } });
+      store.dispatch({ type: deleteTask.pending.type, meta: { requestId: 'b', arg: '2' } });
+    });
+
+    expect(screen.queryByText('Loading tasks...')).not.toBeInTheDocument();
+    expect(screen.getByText('Completed Tasks (2)')).toBeInTheDocument();
+    expect(screen.getByText('Pending Task 1')).toBeInTheDocument();
+    expect(screen.queryByText('Pending Task 2')).not.toBeInTheDocument();
+  });
+
+  test('loads the next page when the sentinel scrolls into view', async () => {
+    let observerCallback;
+    const observe = jest.fn();
+    const disconnect = jest.fn();
+    window.IntersectionObserver = jest.fn((callback) => {
+      observerCallback = callback;
+      return { observe, disconnect };
+    });
+    const store = createMockStore({
+      tasks: mockTasks,
+      pagination: { page: 1, limit: 20, hasMore: true, nextCursor: 'next' }
+    });
+    const dispatchSpy = jest.spyOn(store, 'dispatch');
+    render(
+      <Provider store={store}>
+        <TaskList />
+      </Provider>
+    );
+
+    expect(screen.getByRole('button', { name: 'Load more' })).toBeInTheDocument();
+    expect(observe).toHaveBeenCalled();
+
+    await act(async () => {
+      observerCallback([{ isIntersecting: true }]);
+    });
+
+    expect(dispatchSpy).toHaveBeenCalledWith(expect.any(Function));
+    delete window.IntersectionObserver;
+  });
+
+  test('hides the load more control on the last page', () => {
+    renderWithProvider(<TaskList />, {
+      tasks: mockTasks
+    });
+
+    expect(screen.queryByRole('button', { name: 'Load more' })).not.toBeInTheDocument();
+  });
+
+  describe('manual order', () => {
+    const orderedTasks = [
+      { ...mockTasks[0], position: 0 },
+      { ...mockTasks[1], position: 1 },
+      mockTasks[2]
+    ];
+    const titles = () => screen.getAllByRole('heading', { level: 3 })
+      .map((heading) => heading.textContent);
+    const dataTransfer = { setData: jest.fn() };
+
+    beforeEach(() => {
+      apiClient.put.mockImplementation((url, taskData) => Promise.resolve({
+        data: { ...mockTasks.find((task) => url.endsWith(task._id)), ...taskData }
+      }));
+    });
+
+    test('offers move buttons only when sorted manually', () => {
+      renderWithProvider(<TaskList />, { tasks: orderedTasks });
+
+      expect(screen.queryByTitle('Move up')).not.toBeInTheDocument();
+    });
+
+    test('moves pending tasks with their up and down buttons', async () => {
+      const user = userEvent.setup();
+      renderWithProvider(<TaskList />, { tasks: orderedTasks }, { sortBy: 'position' });
+
+      expect(titles()).toEqual(['Pending Task 1', 'Pending Task 2', 'Completed Task 1']);
+      expect(screen.getAllByTitle('Move up')[0]).toBeDisabled();
+
+      await act(async () => {
+        await user.click(screen.getAllByTitle('Move down')[0]);
+      });
+
+      expect(titles()).toEqual(['Pending Task 2', 'Pending Task 1', 'Completed Task 1']);
+      expect(apiClient.put).toHaveBeenCalledTimes(1);
+      expect(apiClient.put).toHaveBeenCalledWith('/tasks/1', { position: 2 }, {
+        headers: { 'If-Match': '"2023-01-01T00:00:00.000Z"' }
+      });
+    });
+
+    test('reorders a task dropped onto another one', async () => {
+      renderWithProvider(<TaskList />, { tasks: orderedTasks }, { sortBy: 'position' });
+      const first = screen.getByText('Pending Task 1').closest('.task-draggable');
+      const second = screen.getByText('Pending Task 2').closest('.task-draggable');
+
+      fireEvent.dragStart(second, { dataTransfer });
+      fireEvent.dragOver(first, { dataTransfer });
+      fireEvent.drop(first, { dataTransfer });
+
+      expect(dataTransfer.setData).toHaveBeenCalledWith('text/plain', '2');
+      expect(titles()).toEqual(['Pending Task 2', 'Pending Task 1', 'Completed Task 1']);
+      expect(apiClient.put).toHaveBeenCalledWith('/tasks/2', { position: -1 }, expect.anything());
+      await waitFor(() => expect(screen.getByText('Pending Task 2').closest('.task-item'))
+        .not.toHaveClass('updating'));
+    });
+
+    test('completes a task dropped onto the Completed section', async () => {
+      apiClient.patch.mockResolvedValueOnce({ data: { ...mockTasks[0], completed: true } });
+      renderWithProvider(<TaskList />, { tasks: [orderedTasks[0]] }, { sortBy: 'position' });
+
+      fireEvent.dragStart(screen.getByText('Pending Task 1').closest('.task-draggable'), {
+        dataTransfer
+      });
+      const dropZone = screen.getByText('Drop a task here to complete it');
+      fireEvent.dragOver(dropZone, { dataTransfer });
+      fireEvent.drop(dropZone, { dataTransfer });
+
+      expect(screen.getByText('Completed Tasks (1)')).toBeInTheDocument();
+      expect(apiClient.patch).toHaveBeenCalledWith('/tasks/1/toggle');
+      await waitFor(() => expect(screen.getByTitle('Mark as incomplete')).toBeEnabled());
+    });
+  });
+
+  describe('archive', () => {
+    test('clears completed tasks into the archive', async () => {
+      const user = userEvent.setup();
+      apiClient.put.mockResolvedValueOnce({ data: { ...mockTasks[2], archived: true } });
+      renderWithProvider(<TaskList />, { tasks: mockTasks });
+
+      await act(async () => {
+        await user.click(screen.getByRole('button', { name: 'Clear completed' }));
+      });
+
+      expect(apiClient.put).toHaveBeenCalledWith('/tasks/3', { archived: true });
+      expect(screen.queryByText(/Completed Tasks/)).not.toBeInTheDocument();
+    });
+
+    test('shows archived tasks in the archived view', () => {
+      renderWithProvider(<TaskList />, {
+        tasks: [...mockTasks, { ...mockTasks[2], _id: '4', archived: true }]
+      }, { status: 'archived' });
+
+      expect(screen.getByText('Archived (1)')).toBeInTheDocument();
+      expect(screen.queryByText('Pending Task 1')).not.toBeInTheDocument();
+      expect(screen.getByTitle('Restore task')).toBeInTheDocument();
+    });
+  });
+
+  describe('selection mode', () => {
+    test('selects single tasks, ranges and whole sections', async () => {
+      const user = userEvent.setup();
+      renderWithProvider(<TaskList />, { tasks: mockTasks });
+
+      expect(screen.queryByLabelText('Select Pending Task 1')).not.toBeInTheDocument();
+      await act(async () => {
+        await user.click(screen.getByRole('button', { name: 'Select tasks' }));
+      });
+      // Newest first: Pending Task 2, Pending Task 1, Completed Task 1
+      await act(async () => {
+        await user.click(screen.getByLabelText('Select Pending Task 2'));
+      });
+      await act(async () => {
+        await user.keyboard('{Shift>}');
+        await user.click(screen.getByLabelText('Select Completed Task 1'));
+        await user.keyboard('{/Shift}');
+      });
+
+      expect(screen.getByText('3 selected')).toBeInTheDocument();
+      expect(screen.getByLabelText('Select all Pending Tasks')).toBeChecked();
+
+      await act(async () => {
+        await user.click(screen.getByLabelText('Select all Pending Tasks'));
+      });
+      expect(screen.getByText('1 selected')).toBeInTheDocument();
+      expect(screen.getByLabelText('Select Completed Task 1')).toBeChecked();
+    });
+
+    test('runs bulk actions on the selection and leaves selection mode', async () => {
+      const user = userEvent.setup();
+      apiClient.put.mockImplementation((url, taskData) => Promise.resolve({
+        data: { ...mockTasks.find((task) => url.endsWith(task._id)), ...taskData }
+      }));
+      renderWithProvider(<TaskList />, { tasks: mockTasks });
+
+      await act(async () => {
+        await user.click(screen.getByRole('button', { name: 'Select tasks' }));
+      });
+      await act(async () => {
+        await user.click(screen.getByLabelText('Select all Pending Tasks'));
+      });
+      await act(async () => {
+        await user.click(screen.getByRole('button', { name: 'Complete' }));
+      });
+
+      expect(apiClient.put).toHaveBeenCalledWith('/tasks/1', { completed: true });
+      expect(apiClient.put).toHaveBeenCalledWith('/tasks/2', { completed: true });
+      expect(screen.getByText('Completed Tasks (3)')).toBeInTheDocument();
+      expect(screen.getByText('0 selected')).toBeInTheDocument();
+
+      await act(async () => {
+        await user.click(screen.getByRole('button', { name: 'Done' }));
+      });
+      expect(screen.queryByRole('toolbar', { name: 'Bulk actions' })).not.toBeInTheDocument();
+    });
+  });
 });
@@ -0,0 +1,78 @@
+import React, { act } from 'react';
+import { render, screen } from '@testing-library/react';
+import { Provider } from 'react-redux';
+import { configureStore } from '@reduxjs/toolkit';
+import userEvent from '@testing-library/user-event';
+import TaskToolbar from '../TaskToolbar';
+import filtersReducer, { defaultFilters } from '../../store/slices/filtersSlice';
+import tasksReducer from '../../store/slices/tasksSlice';
+
+const setupToolbar = (filters = {}) => {
+  const store = configureStore({
+    reducer: {
+      tasks: tasksReducer,
+      filters: filtersReducer
+    },
+    preloadedState: {
+      filters: { ...defaultFilters, ...filters }
+    }
+  });
+  render(
+    <Provider store={store}>
+      <TaskToolbar />
+    </Provider>
+  );
+  return store;
+};
+
+describe('TaskToolbar', () => {
+  test('renders search, status and sort controls', () => {
+    setupToolbar();
+
+    expect(screen.getByLabelText('Search tasks')).toBeInTheDocument();
+    expect(screen.getByLabelText('Filter by status')).toHaveValue('all');
+    expect(screen.getByLabelText('Sort by')).toHaveValue('createdAt');
+    expect(screen.getByTitle('Descending')).toBeInTheDocument();
+    expect(screen.queryByText('Clear filters')).not.toBeInTheDocument();
+  });
+
+  test('updates the filters in the store', async () => {
+    const user = userEvent.setup();
+    const store = setupToolbar();
+
+    await act(async () => {
+      await user.type(screen.getByLabelText('Search tasks'), 'k8s');
+      await user.selectOptions(screen.getByLabelText('Filter by status'), 'completed');
+      await user.selectOptions(screen.getByLabelText('Sort by'), 'title');
+      await user.click(screen.getByTitle('Descending'));
+      await user.selectOptions(screen.getByLabelText('Group by'), 'priority');
+    });
+
+    expect(store.getState().filters).toEqual({
+      search: 'k8s',
+      status: 'completed',
+      tag: '',
+      sortBy: 'title',
+      sortOrder: 'asc',
+      groupBy: 'priority'
+    });
+  });
+
+  test('drops the sort direction for the manual order', () => {
+    setupToolbar({ sortBy: 'position' });
+
+    expect(screen.getByLabelText('Sort by')).toHaveValue('position');
+    expect(screen.queryByTitle('Descending')).not.toBeInTheDocument();
+  });
+
+  test('clears active filters', async () => {
+    const user = userEvent.setup();
+    const store = setupToolbar({ search: 'k8s', status: 'pending' });
+
+    await act(async () => {
+      await user.click(screen.getByRole('button', { name: 'Clear filters' }));
+    });
+
+    expect(store.getState().filters).toEqual(defaultFilters);
+  });
+});
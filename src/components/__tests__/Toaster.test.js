@@ -0,0 +1,144 @@
+import React, { act } from 'react';
+import { render, screen } from '@testing-library/react';
+import { Provider } from 'react-redux';
+import { configureStore } from '@reduxjs/toolkit';
+import userEvent from '@testing-library/user-event';
+import { axe } from 'jest-axe';
+import Toaster from '../Toaster';
+import tasksReducer, { tasksAdapter } from '../../store/slices/tasksSlice';
+import notificationsReducer, { notificationAdded } from '../../store/slices/notificationsSlice';
+import apiClient from '../../api/client';
+
+const createStore = (tasks = []) => configureStore({
+  reducer: {
+    tasks: tasksReducer,
+    notifications: notificationsReducer
+  },
+  preloadedState: {
+    tasks: tasksAdapter.setAll(tasksReducer(undefined, { type: 'init' }), tasks)
+  }
+});
+
+const setupToaster = (store) => render(
+  <Provider store={store}>
+    <Toaster />
+  </Provider>
+);
+
+describe('Toaster', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('renders nothing without notifications', () => {
+    const { container } = setupToaster(createStore());
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  test('shows notifications and dismisses them', async () => {
+    const user = userEvent.setup();
+    const store = createStore();
+    store.dispatch(notificationAdded({ message: 'Task deleted', severity: 'success' }));
+    setupToaster(store);
+
+    expect(screen.getByRole('status')).toHaveClass('toast-success');
+    expect(screen.getByRole('status')).toHaveTextContent('Task deleted');
+
+    await user.click(screen.getByTitle('Dismiss'));
+    expect(screen.queryByText('Task deleted')).not.toBeInTheDocument();
+  });
+
+  test('dismisses notifications after their duration', () => {
+    jest.useFakeTimers();
+    const store = createStore();
+    store.dispatch(notificationAdded({ message: 'Short lived', duration: 1000 }));
+    setupToaster(store);
+
+    act(() => {
+      jest.advanceTimersByTime(1000);
+    });
+    expect(screen.queryByText('Short lived')).not.toBeInTheDocument();
+  });
+
+  test('runs the notification action and closes the toast', async () => {
+    const user = userEvent.setup();
+    const store = createStore([{ _id: '1', title: 'Rotate certs', completed: false }]);
+    apiClient.patch.mockResolvedValueOnce({ data: { _id: '1', completed: true } });
+    store.dispatch(notificationAdded({
+      message: 'Task reopened',
+      action: { label: 'Undo', type: 'undoToggle', arg: { id: '1', completed: true } }
+    }));
+    setupToaster(store);
+
+    await user.click(screen.getByRole('button', { name: 'Undo' }));
+
+    expect(apiClient.patch).toHaveBeenCalledWith('/tasks/1/toggle');
+    expect(screen.queryByText('Task reopened')).not.toBeInTheDocument();
+  });
+
+  test('shows request details and dismisses everything at once', async () => {
+    const user = userEvent.setup();
+    const store = createStore();
+    store.dispatch(notificationAdded({
+      message: 'Failed to delete task',
+      severity: 'error',
+      source: 'tasks/deleteTask',
+      httpStatus: 404,
+      requestId: 'srv-9'
+    }));
+    store.dispatch(notificationAdded({ message: 'Task deleted' }));
+    setupToaster(store);
+
+    expect(screen.getByRole('alert')).toHaveTextContent('deleteTask · HTTP 404 · Request srv-9');
+
+    await user.click(screen.getByRole('button', { name: 'Dismiss all' }));
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+    expect(screen.queryByText('Task deleted')).not.toBeInTheDocument();
+  });
+
+  test('lists the per-task failures of a bulk action', () => {
+    const store = createStore();
+    store.dispatch(notificationAdded({
+      message: 'Couldn\'t delete 1 of 2 tasks',
+      severity: 'error',
+      failures: [{
+        id: '2',
+        title: 'Rotate certs',
+        message: 'Task is locked',
+        httpStatus: 409
+      }]
+    }));
+    setupToaster(store);
+
+    expect(screen.getByRole('listitem')).toHaveTextContent('Rotate certs: Task is locked (HTTP 409)');
+  });
+
+  test('has no accessibility violations', async () => {
+    const store = createStore();
+    store.dispatch(notificationAdded({
+      message: 'Task deleted',
+      severity: 'success',
+      action: { label: 'Undo', type: 'undoDelete', arg: { id: '1' } }
+    }));
+    store.dispatch(notificationAdded({ message: 'Failed to delete task', severity: 'error' }));
+    const { container } = setupToaster(store);
+
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  test('retries a failed request', async () => {
+    const user = userEvent.setup();
+    const store = createStore();
+    apiClient.delete.mockResolvedValueOnce({});
+    store.dispatch(notificationAdded({
+      message: 'Failed to delete task',
+      severity: 'error',
+      action: { label: 'Retry', type: 'retry', arg: { thunk: 'tasks/deleteTask', arg: '7' } }
+    }));
+    setupToaster(store);
+
+    await user.click(screen.getByRole('button', { name: 'Retry' }));
+
+    expect(apiClient.delete).toHaveBeenCalledWith('/tasks/7');
+  });
+});
@@ -0,0 +1,81 @@
+import React, { act } from 'react';
+import { render, screen } from '@testing-library/react';
+import { Provider } from 'react-redux';
+import { configureStore } from '@reduxjs/toolkit';
+import userEvent from '@testing-library/user-event';
+import { axe } from 'jest-axe';
+import UserMenu from '../UserMenu';
+import authReducer, { sessionRestored } from '../../store/slices/authSlice';
+import tasksReducer from '../../store/slices/tasksSlice';
+import apiClient from '../../api/client';
+
+const setupUserMenu = (user = { id: 'u1', name: 'Ada Lovelace', email: 'ada@example.com' }) => {
+  const store = configureStore({ reducer: { auth: authReducer, tasks: tasksReducer } });
+  store.dispatch(sessionRestored({ user, accessToken: 'access-1', refreshToken: 'refresh-1' }));
+  const { container } = render(
+    <Provider store={store}>
+      <UserMenu />
+      <p>Elsewhere</p>
+    </Provider>
+  );
+  return { store, container, user: userEvent.setup() };
+};
+
+describe('UserMenu', () => {
+  test('shows the user\'s name and opens a menu to log out', async () => {
+    const { container, user } = setupUserMenu();
+    const button = screen.getByRole('button', { name: 'Ada Lovelace' });
+    expect(button).toHaveAttribute('aria-expanded', 'false');
+
+    await act(async () => {
+      await user.click(button);
+    });
+
+    expect(button).toHaveAttribute('aria-expanded', 'true');
+    expect(screen.getByRole('menuitem', { name: 'Log out' })).toHaveFocus();
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  test('falls back to the email without a name', () => {
+    setupUserMenu({ id: 'u1', email: 'ada@example.com' });
+
+    expect(screen.getByRole('button', { name: 'ada@example.com' })).toBeInTheDocument();
+  });
+
+  test('logs out', async () => {
+    const { store, user } = setupUserMenu();
+    apiClient.post.mockResolvedValueOnce({ data: {} });
+
+    await act(async () => {
+      await user.click(screen.getByRole('button', { name: 'Ada Lovelace' }));
+    });
+    await act(async () => {
+      await user.click(screen.getByRole('menuitem', { name: 'Log out' }));
+    });
+
+    expect(apiClient.post).toHaveBeenCalledWith('/auth/logout', { refreshToken: 'refresh-1' });
+    expect(store.getState().auth.user).toBeNull();
+  });
+
+  test('closes on Escape and on clicks elsewhere', async () => {
+    const { user } = setupUserMenu();
+    const button = screen.getByRole('button', { name: 'Ada Lovelace' });
+
+    await act(async () => {
+      await user.click(button);
+    });
+    await act(async () => {
+      await user.keyboard('{Escape}');
+    });
+    expect(screen.queryByRole('menu')).not.toBeInTheDocument();
+    expect(button).toHaveFocus();
+
+    await act(async () => {
+      await user.click(button);
+    });
+    await act(async () => {
+      await user.click(screen.getByText('Elsewhere'));
+    });
+    expect(screen.queryByRole('menu')).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,49 @@
+import { getAppConfig } from '../appConfig';
+
+describe('appConfig', () => {
+  const originalEnv = process.env.REACT_APP_API_BASE_URL;
+
+  afterEach(() => {
+    delete window.__APP_CONFIG__;
+    if (originalEnv === undefined) {
+      delete process.env.REACT_APP_API_BASE_URL;
+    } else {
+      process.env.REACT_APP_API_BASE_URL = originalEnv;
+    }
+  });
+
+  test('falls back to the local development API', () => {
+    delete process.env.REACT_APP_API_BASE_URL;
+
+    expect(getAppConfig().apiBaseUrl).toBe('http://localhost:5000/api');
+  });
+
+  test('uses the build-time env var when no runtime config is present', () => {
+    process.env.REACT_APP_API_BASE_URL = 'https://staging.example.com/api';
+
+    expect(getAppConfig().apiBaseUrl).toBe('https://staging.example.com/api');
+  });
+
+  test('prefers the runtime config injected into the page', () => {
+    process.env.REACT_APP_API_BASE_URL = 'https://staging.example.com/api';
+    window.__APP_CONFIG__ = { apiBaseUrl: '/api' };
+
+    expect(getAppConfig().apiBaseUrl).toBe('/api');
+  });
+
+  test('ignores an empty runtime config', () => {
+    delete process.env.REACT_APP_API_BASE_URL;
+    window.__APP_CONFIG__ = {};
+
+    expect(getAppConfig().apiBaseUrl).toBe('http://localhost:5000/api');
+  });
+
+  test('serves task events next to the API unless configured otherwise', () => {
+    delete process.env.REACT_APP_API_BASE_URL;
+    window.__APP_CONFIG__ = { apiBaseUrl: '/api' };
+    expect(getAppConfig().eventsUrl).toBe('/api/tasks/events');
+
+    window.__APP_CONFIG__ = { apiBaseUrl: '/api', eventsUrl: 'https://events.example.com/stream' };
+    expect(getAppConfig().eventsUrl).toBe('https://events.example.com/stream');
+  });
+});
@@ -0,0 +1,26 @@
+const DEFAULT_API_BASE_URL = 'http://localhost:5000/api';
+
+// Runtime configuration is injected by public/config.js, which is meant to be
+// replaced per environment (e.g. mounted from a ConfigMap) so that the same
+// build can be promoted across clusters. Build-time env vars are the fallback.
+const getRuntimeConfig = () => {
+  if (typeof window === 'undefined' || !window.__APP_CONFIG__) {
+    return {};
+  }
+  return window.__APP_CONFIG__;
+};
+
+export const getAppConfig = () => {
+  const runtimeConfig = getRuntimeConfig();
+  const apiBaseUrl = runtimeConfig.apiBaseUrl
+    || process.env.REACT_APP_API_BASE_URL
+    || DEFAULT_API_BASE_URL;
+
+  return {
+    apiBaseUrl,
+    // Server-sent task events (see src/realtime), served next to the API by default
+    eventsUrl: runtimeConfig.eventsUrl
+      || process.env.REACT_APP_EVENTS_URL
+      || `${apiBaseUrl}/tasks/events`
+  };
+};
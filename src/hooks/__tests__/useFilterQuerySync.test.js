@@ -0,0 +1,50 @@
+import React, { act } from 'react';
+import { renderHook } from '@testing-library/react';
+import { Provider } from 'react-redux';
+import { configureStore } from '@reduxjs/toolkit';
+import useFilterQuerySync from '../useFilterQuerySync';
+import filtersReducer, { setSearch } from '../../store/slices/filtersSlice';
+
+const mountSyncHook = () => {
+  const store = configureStore({ reducer: { filters: filtersReducer } });
+  const wrapper = ({ children }) => <Provider store={store}>{children}</Provider>;
+  renderHook(() => useFilterQuerySync(), { wrapper });
+  return store;
+};
+
+describe('useFilterQuerySync', () => {
+  afterEach(() => {
+    window.history.replaceState(null, '', '/');
+  });
+
+  test('restores filters from the URL on mount', () => {
+    window.history.replaceState(null, '', '/?q=ingress&status=pending');
+
+    const store = mountSyncHook();
+
+    expect(store.getState().filters.search).toBe('ingress');
+    expect(store.getState().filters.status).toBe('pending');
+    expect(window.location.search).toBe('?q=ingress&status=pending');
+  });
+
+  test('writes filter changes back to the URL', () => {
+    const store = mountSyncHook();
+
+    act(() => {
+      store.dispatch(setSearch('k8s'));
+    });
+
+    expect(window.location.search).toBe('?q=k8s');
+  });
+
+  test('follows browser navigation', () => {
+    const store = mountSyncHook();
+
+    act(() => {
+      window.history.pushState(null, '', '/?status=completed');
+      window.dispatchEvent(new PopStateEvent('popstate'));
+    });
+
+    expect(store.getState().filters.status).toBe('completed');
+  });
+});
@@ -0,0 +1,46 @@
+import React from 'react';
+import { fireEvent, render, screen } from '@testing-library/react';
+import useKeyboardShortcuts from '../useKeyboardShortcuts';
+
+const Harness = ({ bindings, enabled }) => {
+  useKeyboardShortcuts(bindings, enabled);
+  return <input aria-label="Field" />;
+};
+
+describe('useKeyboardShortcuts', () => {
+  test('runs the binding for a key pressed anywhere', () => {
+    const bindings = { n: jest.fn(), '#': jest.fn() };
+    render(<Harness bindings={bindings} />);
+
+    fireEvent.keyDown(document.body, { key: 'n' });
+    fireEvent.keyDown(document.body, { key: '#' });
+    fireEvent.keyDown(document.body, { key: 'n', altKey: true });
+
+    expect(bindings.n).toHaveBeenCalledTimes(1);
+    expect(bindings['#']).toHaveBeenCalledTimes(1);
+  });
+
+  test('leaves plain keys alone while typing, but not Escape or mod bindings', () => {
+    const bindings = { n: jest.fn(), Escape: jest.fn(), 'mod+k': jest.fn() };
+    render(<Harness bindings={bindings} />);
+    const field = screen.getByLabelText('Field');
+
+    fireEvent.keyDown(field, { key: 'n' });
+    fireEvent.keyDown(field, { key: 'Escape' });
+    fireEvent.keyDown(field, { key: 'k', ctrlKey: true });
+    fireEvent.keyDown(field, { key: 'K', metaKey: true });
+
+    expect(bindings.n).not.toHaveBeenCalled();
+    expect(bindings.Escape).toHaveBeenCalledTimes(1);
+    expect(bindings['mod+k']).toHaveBeenCalledTimes(2);
+  });
+
+  test('does nothing while disabled', () => {
+    const bindings = { n: jest.fn() };
+    render(<Harness bindings={bindings} enabled={false} />);
+
+    fireEvent.keyDown(document.body, { key: 'n' });
+
+    expect(bindings.n).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,38 @@
+import { act } from 'react';
+import { renderHook } from '@testing-library/react';
+import useSelection from '../useSelection';
+
+describe('useSelection', () => {
+  const orderedIds = ['a', 'b', 'c', 'd'];
+
+  test('toggles single ids', () => {
+    const { result } = renderHook(() => useSelection());
+
+    act(() => result.current.toggle('b', orderedIds));
+    act(() => result.current.toggle('c', orderedIds));
+    act(() => result.current.toggle('b', orderedIds));
+
+    expect(result.current.selectedIds).toEqual(['c']);
+  });
+
+  test('selects the range since the last clicked id', () => {
+    const { result } = renderHook(() => useSelection());
+
+    act(() => result.current.toggle('d', orderedIds));
+    act(() => result.current.toggle('b', orderedIds, true));
+
+    expect(result.current.selectedIds).toEqual(['d', 'b', 'c']);
+  });
+
+  test('adds and removes whole groups', () => {
+    const { result } = renderHook(() => useSelection());
+
+    act(() => result.current.setMany(['a', 'b'], true));
+    act(() => result.current.setMany(['b', 'c'], true));
+    act(() => result.current.setMany(['a'], false));
+    expect(result.current.selectedIds).toEqual(['b', 'c']);
+
+    act(() => result.current.replace([]));
+    expect(result.current.selectedIds).toEqual([]);
+  });
+});
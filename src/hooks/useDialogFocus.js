@@ -0,0 +1,57 @@
+import { useEffect, useRef } from 'react';
+
+const FOCUSABLE = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+const getFocusable = (container) => Array.from(container.querySelectorAll(FOCUSABLE));
+
+// Focus management for modal dialogs: moves the focus into the dialog when it
+// opens, keeps Tab / Shift+Tab cycling inside it and hands the focus back to
+// whatever had it (usually the button that opened the dialog) once it closes.
+// Attach the returned ref to the dialog element.
+const useDialogFocus = () => {
+  const dialogRef = useRef(null);
+
+  useEffect(() => {
+    const dialog = dialogRef.current;
+    const opener = document.activeElement;
+    const [first] = getFocusable(dialog);
+    (first || dialog).focus();
+
+    const handleKeyDown = (event) => {
+      if (event.key !== 'Tab') return;
+      const focusable = getFocusable(dialog);
+      if (focusable.length === 0) {
+        event.preventDefault();
+        return;
+      }
+      const firstFocusable = focusable[0];
+      const lastFocusable = focusable[focusable.length - 1];
+      if (event.shiftKey && document.activeElement === firstFocusable) {
+        event.preventDefault();
+        lastFocusable.focus();
+      } else if (!event.shiftKey && document.activeElement === lastFocusable) {
+        event.preventDefault();
+        firstFocusable.focus();
+      }
+    };
+
+    dialog.addEventListener('keydown', handleKeyDown);
+    return () => {
+      dialog.removeEventListener('keydown', handleKeyDown);
+      if (opener && opener.isConnected && typeof opener.focus === 'function') {
+        opener.focus();
+      }
+    };
+  }, []);
+
+  return dialogRef;
+};
+
+export default useDialogFocus;
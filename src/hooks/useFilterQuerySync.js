@@ -0,0 +1,37 @@
+import { useEffect, useRef } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { selectFilters, setFilters } from '../store/slices/filtersSlice';
+import { filtersFromQuery, filtersToQuery } from '../utils/filterQuery';
+
+// Keeps the filter state and the URL query string in sync so filtered views can be shared
+const useFilterQuerySync = () => {
+  const dispatch = useDispatch();
+  const filters = useSelector(selectFilters);
+  const hydrated = useRef(false);
+
+  useEffect(() => {
+    const restoreFromUrl = () => {
+      dispatch(setFilters(filtersFromQuery(window.location.search)));
+    };
+
+    restoreFromUrl();
+    window.addEventListener('popstate', restoreFromUrl);
+    return () => window.removeEventListener('popstate', restoreFromUrl);
+  }, [dispatch]);
+
+  useEffect(() => {
+    // The first run still sees the defaults; wait for the URL state to land
+    if (!hydrated.current) {
+      hydrated.current = true;
+      return;
+    }
+
+    const query = filtersToQuery(filters, window.location.search);
+    if (query !== window.location.search) {
+      const { pathname, hash } = window.location;
+      window.history.replaceState(window.history.state, '', `${pathname}${query}${hash}`);
+    }
+  }, [filters]);
+};
+
+export default useFilterQuerySync;
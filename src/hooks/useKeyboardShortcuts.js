@@ -0,0 +1,43 @@
+import { useEffect, useRef } from 'react';
+
+const isTypingTarget = (target) => target.isContentEditable
+  || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+
+// Key name used in `bindings`: the plain key ('n', '/', '#', '?', 'Escape'),
+// or 'mod+k' for Ctrl+K / Cmd+K
+const bindingFor = (event) => {
+  if (event.ctrlKey || event.metaKey) {
+    return `mod+${event.key.toLowerCase()}`;
+  }
+  return event.altKey ? null : event.key;
+};
+
+// Runs `bindings[key]` for keys pressed anywhere on the page. Plain keys are
+// left alone while the user types in a field; Escape and 'mod+' bindings
+// always fire.
+const useKeyboardShortcuts = (bindings, enabled = true) => {
+  const bindingsRef = useRef(bindings);
+  bindingsRef.current = bindings;
+
+  useEffect(() => {
+    if (!enabled) {
+      return undefined;
+    }
+
+    const handleKeyDown = (event) => {
+      const key = bindingFor(event);
+      const handler = key && bindingsRef.current[key];
+      if (!handler || event.defaultPrevented) return;
+      const alwaysOn = key === 'Escape' || key.startsWith('mod+');
+      if (!alwaysOn && isTypingTarget(event.target)) return;
+
+      event.preventDefault();
+      handler(event);
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [enabled]);
+};
+
+export default useKeyboardShortcuts;
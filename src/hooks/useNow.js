@@ -0,0 +1,18 @@
+import { useEffect, useState } from 'react';
+
+const MINUTE_MS = 60 * 1000;
+
+// Current time that re-renders the caller every `intervalMs`, so due-date
+// groupings and badges move along while the tab stays open
+const useNow = (intervalMs = MINUTE_MS) => {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), intervalMs);
+    return () => clearInterval(timer);
+  }, [intervalMs]);
+
+  return now;
+};
+
+export default useNow;
@@ -0,0 +1,47 @@
+import { useCallback, useRef, useState } from 'react';
+
+// Selected ids for the list's selection mode. `toggle(id, orderedIds, range)`
+// flips one id; with `range` (shift-click) it instead selects everything in
+// `orderedIds` between the previously clicked id and this one.
+const useSelection = () => {
+  const [selectedIds, setSelectedIds] = useState([]);
+  const anchorRef = useRef(null);
+
+  const toggle = useCallback((id, orderedIds, range = false) => {
+    const anchorIndex = orderedIds.indexOf(anchorRef.current);
+    const index = orderedIds.indexOf(id);
+    if (range && anchorIndex !== -1 && index !== -1) {
+      const between = orderedIds.slice(
+        Math.min(anchorIndex, index),
+        Math.max(anchorIndex, index) + 1
+      );
+      setSelectedIds((current) => [...new Set([...current, ...between])]);
+    } else {
+      setSelectedIds((current) => (current.includes(id)
+        ? current.filter((selectedId) => selectedId !== id)
+        : [...current, id]));
+    }
+    anchorRef.current = id;
+  }, []);
+
+  // Adds or removes several ids at once, e.g. a whole section
+  const setMany = useCallback((ids, selected) => {
+    setSelectedIds((current) => (selected
+      ? [...new Set([...current, ...ids])]
+      : current.filter((id) => !ids.includes(id))));
+  }, []);
+
+  const replace = useCallback((ids) => {
+    setSelectedIds(ids);
+    anchorRef.current = null;
+  }, []);
+
+  return {
+    selectedIds,
+    toggle,
+    setMany,
+    replace
+  };
+};
+
+export default useSelection;
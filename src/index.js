@@ -2,14 +2,30 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import { Provider } from 'react-redux';
 import { store } from './store/store';
+import { setupAuth } from './auth';
+import { setupOffline } from './offline';
+import { flushScheduledDeletes } from './notifications/undo';
+import { setupReminders } from './reminders';
+import { setupRealtime } from './realtime';
+import AuthGate from './components/AuthGate';
 import App from './App';
 import './index.css';
 
+// First, so the other setups' requests go out logged in
+setupAuth(store);
+setupOffline(store);
+setupReminders(store);
+setupRealtime(store);
+// Don't lose deletes that are still waiting out their undo window
+window.addEventListener('pagehide', () => store.dispatch(flushScheduledDeletes()));
+
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
     <Provider store={store}>
-      <App />
+      <AuthGate>
+        <App />
+      </AuthGate>
     </Provider>
   </React.StrictMode>
 );
\ No newline at end of file
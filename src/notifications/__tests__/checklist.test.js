@@ -0,0 +1,78 @@
+import { configureStore } from '@reduxjs/toolkit';
+import apiClient from '../../api/client';
+import tasksReducer, { tasksAdapter, selectTaskById } from '../../store/slices/tasksSlice';
+import notificationsReducer, { selectNotifications } from '../../store/slices/notificationsSlice';
+import { updateChecklist } from '../checklist';
+import { runNotificationAction } from '../actions';
+
+const subtasks = [
+  { id: 'a', title: 'Write chart', completed: true },
+  { id: 'b', title: 'Deploy', completed: false }
+];
+const task = {
+  _id: '1',
+  title: 'Ship release',
+  completed: false,
+  subtasks
+};
+
+const createStore = () => configureStore({
+  reducer: {
+    tasks: tasksReducer,
+    notifications: notificationsReducer
+  },
+  preloadedState: {
+    tasks: tasksAdapter.setAll(tasksReducer(undefined, { type: 'init' }), [task])
+  }
+});
+
+describe('updateChecklist', () => {
+  const allDone = subtasks.map((subtask) => ({ ...subtask, completed: true }));
+
+  test('offers to complete the task once the last subtask is checked', async () => {
+    const store = createStore();
+    apiClient.put.mockResolvedValueOnce({ data: { ...task, subtasks: allDone } });
+    apiClient.patch.mockResolvedValueOnce({
+      data: { ...task, subtasks: allDone, completed: true }
+    });
+
+    await store.dispatch(updateChecklist('1', allDone));
+
+    const [notification] = selectNotifications(store.getState());
+    expect(notification).toEqual(expect.objectContaining({
+      action: { label: 'Complete task', type: 'completeTask', arg: '1' }
+    }));
+
+    await store.dispatch(runNotificationAction(notification));
+    expect(apiClient.patch).toHaveBeenCalledWith('/tasks/1/toggle');
+    expect(selectTaskById(store.getState(), '1').completed).toBe(true);
+  });
+
+  test('applies the change right away and rolls it back if saving fails', async () => {
+    const store = createStore();
+    let rejectSave;
+    apiClient.put.mockReturnValueOnce(new Promise((_resolve, reject) => {
+      rejectSave = reject;
+    }));
+
+    const saving = store.dispatch(updateChecklist('1', allDone));
+    expect(selectTaskById(store.getState(), '1').subtasks).toEqual(allDone);
+
+    rejectSave({ response: { status: 500, data: {} } });
+    await saving;
+
+    expect(selectTaskById(store.getState(), '1').subtasks).toEqual(subtasks);
+    expect(selectNotifications(store.getState())).toEqual([
+      expect.objectContaining({ source: 'tasks/updateTask' })
+    ]);
+  });
+
+  test('does not prompt when the checklist was not finished by this change', async () => {
+    const store = createStore();
+    apiClient.put.mockResolvedValueOnce({ data: task });
+
+    await store.dispatch(updateChecklist('1', [...subtasks].reverse()));
+
+    expect(selectNotifications(store.getState())).toEqual([]);
+  });
+});
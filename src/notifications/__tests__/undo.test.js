@@ -0,0 +1,199 @@
+import { configureStore } from '@reduxjs/toolkit';
+import apiClient from '../../api/client';
+import tasksReducer, {
+  tasksAdapter,
+  selectAllTasks,
+  deleteTask
+} from '../../store/slices/tasksSlice';
+import notificationsReducer, { selectNotifications } from '../../store/slices/notificationsSlice';
+import { sessionExpired } from '../../store/slices/authSlice';
+import {
+  UNDO_WINDOW_MS,
+  deleteTaskWithUndo,
+  deleteTasksWithUndo,
+  undoDeleteTask,
+  undoMiddleware,
+  flushScheduledDeletes,
+  toggleTaskWithUndo
+} from '../undo';
+import { runNotificationAction } from '../actions';
+
+const task = {
+  _id: '1',
+  title: 'Write docs',
+  description: 'Ingress notes',
+  completed: false
+};
+
+const createStore = (tasks = [task]) => {
+  const tasksState = tasksReducer(undefined, { type: 'init' });
+  return configureStore({
+    reducer: {
+      tasks: tasksReducer,
+      notifications: notificationsReducer
+    },
+    preloadedState: {
+      tasks: tasksAdapter.setAll(tasksState, tasks)
+    },
+    middleware: (getDefaultMiddleware) => getDefaultMiddleware().prepend(undoMiddleware)
+  });
+};
+
+describe('undoable task actions', () => {
+  let store;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    store = createStore();
+    apiClient.delete.mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    store.dispatch(flushScheduledDeletes());
+    jest.useRealTimers();
+  });
+
+  test('hides the task and only sends the DELETE after the undo window', () => {
+    store.dispatch(deleteTaskWithUndo('1'));
+
+    expect(selectAllTasks(store.getState())).toEqual([]);
+    expect(selectNotifications(store.getState())[0]).toEqual(expect.objectContaining({
+      message: 'Task deleted',
+      action: { label: 'Undo', type: 'undoDelete', arg: { id: '1', task } }
+    }));
+    expect(apiClient.delete).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(UNDO_WINDOW_MS);
+    expect(apiClient.delete).toHaveBeenCalledWith('/tasks/1');
+  });
+
+  test('undo inside the window restores the task without any request', () => {
+    store.dispatch(deleteTaskWithUndo('1'));
+    store.dispatch(runNotificationAction(selectNotifications(store.getState())[0]));
+
+    jest.advanceTimersByTime(UNDO_WINDOW_MS);
+    expect(apiClient.delete).not.toHaveBeenCalled();
+    expect(selectAllTasks(store.getState())).toEqual([task]);
+    expect(selectNotifications(store.getState())).toEqual([]);
+  });
+
+  test('undo after the DELETE was sent re-creates the task', async () => {
+    const recreated = { ...task, _id: '2' };
+    apiClient.post.mockResolvedValueOnce({ data: recreated });
+    await store.dispatch(deleteTask('1'));
+
+    await store.dispatch(undoDeleteTask({ id: '1', task }));
+
+    expect(apiClient.post).toHaveBeenCalledWith('/tasks', {
+      title: 'Write docs',
+      description: 'Ingress notes',
+      completed: false
+    });
+    expect(selectAllTasks(store.getState())).toContainEqual(recreated);
+  });
+
+  test('re-creates the task with everything but its id and timestamps', async () => {
+    const saved = {
+      title: 'Rotate certs',
+      description: 'Before Friday',
+      completed: true,
+      dueDate: '2024-05-10T09:00:00.000Z',
+      priority: 'high',
+      tags: ['ops'],
+      subtasks: [{ id: 'a', title: 'Renew', completed: true }],
+      position: 3,
+      archived: true,
+      listId: 'sprint'
+    };
+    const deleted = {
+      ...saved,
+      _id: '1',
+      createdAt: '2024-05-01T10:00:00.000Z',
+      updatedAt: '2024-05-02T10:00:00.000Z',
+      pendingSync: true
+    };
+    apiClient.post.mockResolvedValueOnce({ data: { ...saved, _id: '2' } });
+    await store.dispatch(deleteTask('1'));
+
+    await store.dispatch(undoDeleteTask({ id: '1', task: deleted }));
+
+    expect(apiClient.post).toHaveBeenCalledWith('/tasks', saved);
+  });
+
+  test('leaves a task whose DELETE failed alone', async () => {
+    apiClient.delete.mockRejectedValueOnce({ response: { status: 500, data: {} } });
+    await store.dispatch(deleteTask('1'));
+
+    await store.dispatch(undoDeleteTask({ id: '1', task }));
+
+    expect(apiClient.post).not.toHaveBeenCalled();
+    expect(selectAllTasks(store.getState())).toEqual([task]);
+  });
+
+  test('undoing one of several tasks deleted together still deletes the rest', () => {
+    store = createStore([task, { ...task, _id: '2' }]);
+    store.dispatch(deleteTasksWithUndo(['1', '2']));
+    const [notification] = selectNotifications(store.getState());
+    expect(notification.action.arg.map((item) => item.id)).toEqual(['1', '2']);
+
+    store.dispatch(undoDeleteTask(notification.action.arg[0]));
+    jest.advanceTimersByTime(UNDO_WINDOW_MS);
+
+    expect(apiClient.delete).toHaveBeenCalledTimes(1);
+    expect(apiClient.delete).toHaveBeenCalledWith('/tasks/2');
+    expect(selectAllTasks(store.getState())).toEqual([task]);
+  });
+
+  test('flushes pending deletes immediately', () => {
+    store.dispatch(deleteTaskWithUndo('1'));
+    store.dispatch(flushScheduledDeletes());
+
+    expect(apiClient.delete).toHaveBeenCalledWith('/tasks/1');
+  });
+
+  test('drops pending deletes when the session ends', () => {
+    store.dispatch(deleteTaskWithUndo('1'));
+    store.dispatch(sessionExpired());
+
+    jest.advanceTimersByTime(UNDO_WINDOW_MS);
+    expect(apiClient.delete).not.toHaveBeenCalled();
+    expect(selectNotifications(store.getState())).toEqual([]);
+  });
+
+  test('offers to undo a toggle once it succeeds', async () => {
+    apiClient.patch.mockResolvedValueOnce({ data: { ...task, completed: true } });
+
+    await store.dispatch(toggleTaskWithUndo('1'));
+
+    expect(selectNotifications(store.getState())[0]).toEqual(expect.objectContaining({
+      message: 'Task completed',
+      action: { label: 'Undo', type: 'undoToggle', arg: { id: '1', completed: false } }
+    }));
+  });
+
+  test('undoing a toggle leaves a task already back in that state alone', async () => {
+    apiClient.patch
+      .mockResolvedValueOnce({ data: { ...task, completed: true } })
+      .mockResolvedValueOnce({ data: { ...task, completed: false } });
+    await store.dispatch(toggleTaskWithUndo('1'));
+    const [notification] = selectNotifications(store.getState());
+    await store.dispatch(toggleTaskWithUndo('1'));
+
+    await store.dispatch(runNotificationAction(notification));
+
+    expect(apiClient.patch).toHaveBeenCalledTimes(2);
+    expect(selectAllTasks(store.getState())[0].completed).toBe(false);
+  });
+
+  test('undoing a toggle puts the task back', async () => {
+    apiClient.patch
+      .mockResolvedValueOnce({ data: { ...task, completed: true } })
+      .mockResolvedValueOnce({ data: { ...task, completed: false } });
+    await store.dispatch(toggleTaskWithUndo('1'));
+
+    await store.dispatch(runNotificationAction(selectNotifications(store.getState())[0]));
+
+    expect(apiClient.patch).toHaveBeenCalledTimes(2);
+    expect(selectAllTasks(store.getState())[0].completed).toBe(false);
+  });
+});
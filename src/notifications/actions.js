@@ -0,0 +1,35 @@
+import {
+  fetchTasks,
+  addTask,
+  updateTask,
+  toggleTask,
+  deleteTask,
+  bulkUpdateTasks
+} from '../store/slices/tasksSlice';
+import { notificationDismissed } from '../store/slices/notificationsSlice';
+import { undoDeleteTask, undoDeleteTasks, undoToggleTask } from './undo';
+import { completeTask } from './checklist';
+
+// Thunks a failed-request notification can re-dispatch, by type prefix
+const retryableThunks = [fetchTasks, addTask, updateTask, toggleTask, deleteTask, bulkUpdateTasks]
+  .reduce((thunks, thunk) => ({ ...thunks, [thunk.typePrefix]: thunk }), {});
+
+// Maps the serializable `action.type` stored on a notification to what it does
+const actionHandlers = {
+  undoDelete: (arg) => undoDeleteTask(arg),
+  undoDeleteTasks: (arg) => undoDeleteTasks(arg),
+  undoToggle: (arg) => undoToggleTask(arg),
+  completeTask: (arg) => completeTask(arg),
+  restoreTasks: (arg) => bulkUpdateTasks({ action: 'restore', ids: arg }),
+  retry: ({ thunk, arg }) => retryableThunks[thunk](arg)
+};
+
+export const runNotificationAction = (notification) => (dispatch) => {
+  dispatch(notificationDismissed(notification.id));
+
+  const handler = notification.action && actionHandlers[notification.action.type];
+  if (!handler) {
+    return null;
+  }
+  return dispatch(handler(notification.action.arg));
+};
@@ -0,0 +1,32 @@
+import { saveSubtasks, selectTaskById } from '../store/slices/tasksSlice';
+import { notificationAdded } from '../store/slices/notificationsSlice';
+import { allSubtasksDone, getSubtasks } from '../utils/subtasks';
+import { toggleTaskWithUndo } from './undo';
+
+// Saves an inline checklist change. When it checks off the last open
+// subtask, offers to complete the task itself.
+export const updateChecklist = (id, subtasks) => async (dispatch, getState) => {
+  const task = selectTaskById(getState(), id);
+  const finishesChecklist = task && !task.completed
+    && !allSubtasksDone(getSubtasks(task))
+    && allSubtasksDone(subtasks);
+
+  const result = await dispatch(saveSubtasks({ id, subtasks }));
+  if (finishesChecklist && !result.error) {
+    dispatch(notificationAdded({
+      message: `All subtasks of "${task.title}" are done`,
+      action: { label: 'Complete task', type: 'completeTask', arg: id }
+    }));
+  }
+  return result;
+};
+
+// Completes the task through the regular undoable toggle, unless it was
+// completed in the meantime
+export const completeTask = (id) => (dispatch, getState) => {
+  const task = selectTaskById(getState(), id);
+  if (!task || task.completed) {
+    return null;
+  }
+  return dispatch(toggleTaskWithUndo(id));
+};
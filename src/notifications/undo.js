@@ -0,0 +1,167 @@
+import { createListenerMiddleware } from '@reduxjs/toolkit';
+import {
+  addTask,
+  bulkUpdateTasks,
+  deleteTask,
+  deletionCancelled,
+  deletionScheduled,
+  toggleTask
+} from '../store/slices/tasksSlice';
+import { notificationAdded } from '../store/slices/notificationsSlice';
+import { isSessionEnded } from '../store/slices/authSlice';
+
+export const UNDO_WINDOW_MS = 5000;
+
+// Set by the server or the offline queue, so a re-created task gets its own
+const ASSIGNED_FIELDS = ['_id', 'createdAt', 'updatedAt', 'pendingSync'];
+
+// Timers for deletes still inside their undo window, keyed by task id. Tasks
+// deleted together share one timer.
+const scheduledDeletes = new Map();
+
+// Added to the store (see store/store.js). Deletes still waiting when the
+// session ends are dropped along with its tasks: sent later they would go out
+// without a token, and their failures would show up for whoever logs in next.
+// Logging out from the user menu flushes them first.
+const listener = createListenerMiddleware();
+export const undoMiddleware = listener.middleware;
+listener.startListening({
+  matcher: isSessionEnded,
+  effect: () => {
+    scheduledDeletes.forEach((timer) => clearTimeout(timer));
+    scheduledDeletes.clear();
+  }
+});
+
+// Hides the tasks right away and, once the undo window closes, passes the ids
+// of those not undone in the meantime to `send`
+const scheduleDeletes = (ids, send) => (dispatch) => {
+  const timer = setTimeout(() => {
+    const due = ids.filter((id) => scheduledDeletes.get(id) === timer);
+    due.forEach((id) => scheduledDeletes.delete(id));
+    if (due.length > 0) {
+      send(due);
+    }
+  }, UNDO_WINDOW_MS);
+
+  ids.forEach((id) => {
+    dispatch(deletionScheduled(id));
+    scheduledDeletes.set(id, timer);
+  });
+};
+
+// Loaded tasks not already waiting out an undo window
+const getDeletableTasks = (getState, ids) => ids
+  .map((id) => getState().tasks.entities[id])
+  .filter((task) => task && !scheduledDeletes.has(task._id));
+
+// Hides the task right away and only sends the DELETE once the undo window closes
+export const deleteTaskWithUndo = (id) => (dispatch, getState) => {
+  const [task] = getDeletableTasks(getState, [id]);
+  if (!task) {
+    return;
+  }
+
+  dispatch(scheduleDeletes([id], () => dispatch(deleteTask(id))));
+
+  dispatch(notificationAdded({
+    message: 'Task deleted',
+    severity: 'success',
+    action: { label: 'Undo', type: 'undoDelete', arg: { id, task } },
+    duration: UNDO_WINDOW_MS
+  }));
+};
+
+// Bulk version of deleteTaskWithUndo: the DELETEs go out as one bulk delete,
+// which reports and restores the tasks that failed
+export const deleteTasksWithUndo = (ids) => (dispatch, getState) => {
+  const tasks = getDeletableTasks(getState, ids);
+  if (tasks.length === 0) {
+    return;
+  }
+
+  dispatch(scheduleDeletes(
+    tasks.map((task) => task._id),
+    (due) => dispatch(bulkUpdateTasks({ action: 'delete', ids: due }))
+  ));
+
+  dispatch(notificationAdded({
+    message: tasks.length === 1 ? 'Task deleted' : `${tasks.length} tasks deleted`,
+    severity: 'success',
+    action: {
+      label: 'Undo',
+      type: 'undoDeleteTasks',
+      arg: tasks.map((task) => ({ id: task._id, task }))
+    },
+    duration: UNDO_WINDOW_MS
+  }));
+};
+
+// Cancels a scheduled delete, or re-creates the task if the DELETE already went
+// out. A task whose DELETE failed is back in the list and left alone.
+export const undoDeleteTask = ({ id, task }) => (dispatch, getState) => {
+  if (scheduledDeletes.has(id)) {
+    const timer = scheduledDeletes.get(id);
+    scheduledDeletes.delete(id);
+    // The timer may still be due for tasks deleted along with this one
+    if (![...scheduledDeletes.values()].includes(timer)) {
+      clearTimeout(timer);
+    }
+    dispatch(deletionCancelled(id));
+    return null;
+  }
+
+  if (getState().tasks.entities[id]) {
+    return null;
+  }
+
+  const saved = Object.fromEntries(
+    Object.entries(task).filter(([field]) => !ASSIGNED_FIELDS.includes(field))
+  );
+  return dispatch(addTask(saved));
+};
+
+// Each hidden task remembers its index after the ones hidden before it were
+// removed, so they go back last first
+export const undoDeleteTasks = (deleted) => (dispatch) => Promise.all(
+  [...deleted].reverse().map((item) => dispatch(undoDeleteTask(item)))
+);
+
+// Sends any deletes still waiting on their undo window, e.g. before the page unloads
+export const flushScheduledDeletes = () => (dispatch) => {
+  scheduledDeletes.forEach((timer, id) => {
+    clearTimeout(timer);
+    dispatch(deleteTask(id));
+  });
+  scheduledDeletes.clear();
+};
+
+// Returns the toggleTask promise so callers can still unwrap() it
+export const toggleTaskWithUndo = (id) => (dispatch) => {
+  const request = dispatch(toggleTask(id));
+  request.then((result) => {
+    if (toggleTask.fulfilled.match(result)) {
+      dispatch(notificationAdded({
+        message: result.payload.completed ? 'Task completed' : 'Task reopened',
+        severity: 'success',
+        action: {
+          label: 'Undo',
+          type: 'undoToggle',
+          arg: { id, completed: !result.payload.completed }
+        },
+        duration: UNDO_WINDOW_MS
+      }));
+    }
+  });
+  return request;
+};
+
+// Puts a toggled task back to `completed`, unless it is already there, e.g.
+// because it was toggled again since
+export const undoToggleTask = ({ id, completed }) => (dispatch, getState) => {
+  const task = getState().tasks.entities[id];
+  if (!task || Boolean(task.completed) === completed) {
+    return null;
+  }
+  return dispatch(toggleTask(id));
+};
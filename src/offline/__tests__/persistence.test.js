@@ -0,0 +1,36 @@
+import { loadOfflineState, saveOfflineState, clearOfflineState } from '../persistence';
+
+describe('offline persistence', () => {
+  afterEach(() => {
+    window.localStorage.clear();
+  });
+
+  test('round-trips tasks and queue through localStorage', () => {
+    const tasks = [{ _id: '1', title: 'Cached' }];
+    const queue = [{ id: 'q1', kind: 'toggle', taskId: '1' }];
+
+    saveOfflineState({ tasks, queue });
+
+    expect(loadOfflineState()).toEqual({ tasks, queue });
+  });
+
+  test('returns null when nothing usable is stored', () => {
+    expect(loadOfflineState()).toBeNull();
+
+    window.localStorage.setItem('k8-todo:offline', '{not json');
+    expect(loadOfflineState()).toBeNull();
+
+    window.localStorage.setItem('k8-todo:offline', JSON.stringify({ version: 0, tasks: [] }));
+    expect(loadOfflineState()).toBeNull();
+  });
+
+  test('ignores storage failures', () => {
+    const storage = {
+      setItem: jest.fn(() => { throw new Error('QuotaExceededError'); }),
+      removeItem: jest.fn(() => { throw new Error('SecurityError'); })
+    };
+
+    expect(() => saveOfflineState({ tasks: [], queue: [] }, storage)).not.toThrow();
+    expect(() => clearOfflineState(storage)).not.toThrow();
+  });
+});
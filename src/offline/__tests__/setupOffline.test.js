@@ -0,0 +1,54 @@
+import { configureStore } from '@reduxjs/toolkit';
+import tasksReducer, { addTask } from '../../store/slices/tasksSlice';
+import offlineReducer, { connectionLost } from '../../store/slices/offlineSlice';
+import { setupOffline } from '..';
+import { loadOfflineState, saveOfflineState } from '../persistence';
+
+const createStore = () => configureStore({
+  reducer: {
+    tasks: tasksReducer,
+    offline: offlineReducer
+  }
+});
+
+describe('setupOffline', () => {
+  let cleanup;
+
+  afterEach(() => {
+    cleanup();
+    window.localStorage.clear();
+  });
+
+  test('hydrates the store from the cache', () => {
+    const queue = [{ id: 'q1', kind: 'toggle', taskId: '1' }];
+    saveOfflineState({ tasks: [{ _id: '1', title: 'Cached', completed: false }], queue });
+    const store = createStore();
+    store.dispatch(connectionLost());
+
+    cleanup = setupOffline(store);
+
+    expect(store.getState().tasks.ids).toEqual(['1']);
+    expect(store.getState().offline.queue).toEqual(queue);
+  });
+
+  test('persists tasks and queue as they change', async () => {
+    const store = createStore();
+    cleanup = setupOffline(store);
+    store.dispatch(connectionLost());
+
+    await store.dispatch(addTask({ title: 'Offline task' }));
+
+    const saved = loadOfflineState();
+    expect(saved.tasks[0].title).toBe('Offline task');
+    expect(saved.queue[0].kind).toBe('add');
+  });
+
+  test('tracks browser connectivity events', () => {
+    const store = createStore();
+    cleanup = setupOffline(store);
+
+    window.dispatchEvent(new Event('offline'));
+
+    expect(store.getState().offline.isOnline).toBe(false);
+  });
+});
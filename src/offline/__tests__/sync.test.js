@@ -0,0 +1,110 @@
+import { configureStore } from '@reduxjs/toolkit';
+import apiClient from '../../api/client';
+import tasksReducer, { addTask, toggleTask, selectAllTasks } from '../../store/slices/tasksSlice';
+import offlineReducer, { connectionLost } from '../../store/slices/offlineSlice';
+import { syncOfflineQueue, reconnect } from '../sync';
+
+const createStore = () => configureStore({
+  reducer: {
+    tasks: tasksReducer,
+    offline: offlineReducer
+  }
+});
+
+const networkError = () => Object.assign(new Error('Network Error'), { request: {} });
+
+describe('offline sync', () => {
+  let store;
+
+  beforeEach(() => {
+    store = createStore();
+    apiClient.get.mockReset();
+    apiClient.post.mockReset();
+    apiClient.patch.mockReset();
+    apiClient.delete.mockReset();
+    apiClient.get.mockResolvedValue({ data: [] });
+  });
+
+  test('queues mutations with temp ids while offline', async () => {
+    store.dispatch(connectionLost());
+
+    const result = await store.dispatch(addTask({ title: 'Offline task' }));
+
+    expect(apiClient.post).not.toHaveBeenCalled();
+    expect(result.payload._id).toMatch(/^temp-/);
+    expect(selectAllTasks(store.getState())[0]).toEqual(expect.objectContaining({
+      title: 'Offline task',
+      pendingSync: true
+    }));
+    expect(store.getState().offline.queue).toEqual([
+      expect.objectContaining({ kind: 'add', taskId: result.payload._id })
+    ]);
+  });
+
+  test('goes offline and queues when the backend is unreachable', async () => {
+    apiClient.post.mockRejectedValueOnce(networkError());
+
+    const result = await store.dispatch(addTask({ title: 'Flaky' }));
+
+    expect(result.type).toBe('tasks/addTask/fulfilled');
+    expect(store.getState().offline.isOnline).toBe(false);
+    expect(store.getState().offline.queue).toHaveLength(1);
+  });
+
+  test('replays the queue in order and remaps temp ids', async () => {
+    store.dispatch(connectionLost());
+    const { payload: tempTask } = await store.dispatch(addTask({ title: 'Offline task' }));
+    await store.dispatch(toggleTask(tempTask._id));
+
+    const saved = { _id: 'server-1', title: 'Offline task', completed: false };
+    apiClient.post.mockResolvedValueOnce({ data: saved });
+    apiClient.patch.mockResolvedValueOnce({ data: { ...saved, completed: true } });
+
+    const result = await store.dispatch(syncOfflineQueue());
+
+    expect(result).toEqual({ synced: 2, failed: [] });
+    expect(apiClient.post).toHaveBeenCalledWith('/tasks', { title: 'Offline task' });
+    expect(apiClient.patch).toHaveBeenCalledWith('/tasks/server-1/toggle');
+    expect(store.getState().offline).toEqual(expect.objectContaining({
+      isOnline: true,
+      queue: [],
+      syncing: false
+    }));
+    expect(store.getState().tasks.ids).toEqual(['server-1']);
+    expect(store.getState().tasks.entities['server-1'].completed).toBe(true);
+  });
+
+  test('stops at the first network error and keeps the rest queued', async () => {
+    store.dispatch(connectionLost());
+    await store.dispatch(toggleTask('1'));
+    await store.dispatch(toggleTask('2'));
+    apiClient.patch.mockRejectedValueOnce(networkError());
+
+    const result = await store.dispatch(syncOfflineQueue());
+
+    expect(result).toEqual({ synced: 0, failed: [] });
+    expect(store.getState().offline.isOnline).toBe(false);
+    expect(store.getState().offline.queue).toHaveLength(2);
+  });
+
+  test('drops and reports mutations the server rejects', async () => {
+    store.dispatch(connectionLost());
+    await store.dispatch(toggleTask('gone'));
+    apiClient.patch.mockRejectedValueOnce({ request: {}, response: { data: { message: 'Task not found' } } });
+
+    const result = await store.dispatch(syncOfflineQueue());
+
+    expect(result.failed).toHaveLength(1);
+    expect(store.getState().offline.queue).toEqual([]);
+    expect(store.getState().offline.syncErrors).toEqual(['Task not found']);
+  });
+
+  test('reconnect probes the API when the queue is empty', async () => {
+    store.dispatch(connectionLost());
+
+    await store.dispatch(reconnect());
+
+    expect(apiClient.get).toHaveBeenCalledWith('/tasks', { params: { page: 1, limit: 1 } });
+    expect(store.getState().offline.isOnline).toBe(true);
+  });
+});
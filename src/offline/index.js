@@ -0,0 +1,58 @@
+import {
+  connectionLost,
+  queueHydrated,
+  selectQueuedMutations
+} from '../store/slices/offlineSlice';
+import { selectAllTasks, tasksHydrated } from '../store/slices/tasksSlice';
+import { loadOfflineState, saveOfflineState } from './persistence';
+import { reconnect, syncOfflineQueue } from './sync';
+
+const RECONNECT_INTERVAL_MS = 15000;
+
+// Wires the store up for offline use: hydrates the cached tasks and queue,
+// persists them on change, and replays the queue when connectivity returns.
+// Returns a cleanup function.
+export const setupOffline = (store) => {
+  const saved = loadOfflineState();
+  if (saved) {
+    store.dispatch(tasksHydrated(saved.tasks));
+    store.dispatch(queueHydrated(saved.queue));
+  }
+
+  let lastTasks;
+  let lastQueue;
+  const unsubscribe = store.subscribe(() => {
+    const state = store.getState();
+    const tasks = selectAllTasks(state);
+    const queue = selectQueuedMutations(state);
+    if (tasks !== lastTasks || queue !== lastQueue) {
+      lastTasks = tasks;
+      lastQueue = queue;
+      saveOfflineState({ tasks, queue });
+    }
+  });
+
+  const handleOnline = () => store.dispatch(reconnect());
+  const handleOffline = () => store.dispatch(connectionLost());
+  window.addEventListener('online', handleOnline);
+  window.addEventListener('offline', handleOffline);
+
+  // navigator.onLine stays true when only the backend is down (e.g. a dropped
+  // port-forward), so keep probing while we think we're offline
+  const timer = setInterval(() => {
+    if (!store.getState().offline.isOnline && navigator.onLine !== false) {
+      store.dispatch(reconnect());
+    }
+  }, RECONNECT_INTERVAL_MS);
+
+  if (store.getState().offline.isOnline && selectQueuedMutations(store.getState()).length > 0) {
+    store.dispatch(syncOfflineQueue());
+  }
+
+  return () => {
+    unsubscribe();
+    window.removeEventListener('online', handleOnline);
+    window.removeEventListener('offline', handleOffline);
+    clearInterval(timer);
+  };
+};
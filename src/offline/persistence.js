@@ -0,0 +1,35 @@
+const STORAGE_KEY = 'k8-todo:offline';
+const STORAGE_VERSION = 1;
+
+// Reads the cached tasks and offline queue, or null if there is nothing usable
+export const loadOfflineState = (storage = window.localStorage) => {
+  try {
+    const raw = storage.getItem(STORAGE_KEY);
+    if (!raw) return null;
+
+    const saved = JSON.parse(raw);
+    if (saved.version !== STORAGE_VERSION) return null;
+    return {
+      tasks: Array.isArray(saved.tasks) ? saved.tasks : [],
+      queue: Array.isArray(saved.queue) ? saved.queue : []
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+export const saveOfflineState = ({ tasks, queue }, storage = window.localStorage) => {
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify({ version: STORAGE_VERSION, tasks, queue }));
+  } catch (error) {
+    // Storage full or disabled (e.g. private mode): keep working without a cache
+  }
+};
+
+export const clearOfflineState = (storage = window.localStorage) => {
+  try {
+    storage.removeItem(STORAGE_KEY);
+  } catch (error) {
+    // Nothing to clear
+  }
+};
@@ -0,0 +1,100 @@
+import apiClient from '../api/client';
+import {
+  connectionLost,
+  connectionRestored,
+  dequeueMutation,
+  isNetworkError,
+  remapQueuedTaskId,
+  syncFinished,
+  syncStarted
+} from '../store/slices/offlineSlice';
+import {
+  fetchTasks,
+  taskIdReplaced,
+  taskSynced
+} from '../store/slices/tasksSlice';
+
+// Sends one queued mutation to the API and applies the server's answer
+const replayMutation = async (dispatch, { kind, taskId, data }) => {
+  switch (kind) {
+  case 'add': {
+    const { data: task } = await apiClient.post('/tasks', data);
+    dispatch(taskIdReplaced({ tempId: taskId, task }));
+    dispatch(remapQueuedTaskId({ tempId: taskId, id: task._id }));
+    break;
+  }
+  case 'update': {
+    const { data: task } = await apiClient.put(`/tasks/${taskId}`, data);
+    dispatch(taskSynced(task));
+    break;
+  }
+  case 'toggle': {
+    const { data: task } = await apiClient.patch(`/tasks/${taskId}/toggle`);
+    dispatch(taskSynced(task));
+    break;
+  }
+  case 'delete':
+    await apiClient.delete(`/tasks/${taskId}`);
+    break;
+  default:
+    break;
+  }
+};
+
+// Replays the offline queue in order. Stops (and stays offline) at the first
+// network error; mutations the server rejects are dropped and reported.
+export const syncOfflineQueue = () => async (dispatch, getState) => {
+  if (getState().offline.syncing) {
+    return { synced: 0, failed: [] };
+  }
+
+  dispatch(syncStarted());
+  let synced = 0;
+  const failed = [];
+
+  try {
+    // Read the queue fresh each time: replaying an add remaps ids of later entries
+    while (getState().offline.queue.length > 0) {
+      const mutation = getState().offline.queue[0];
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        await replayMutation(dispatch, mutation);
+        synced += 1;
+      } catch (error) {
+        if (isNetworkError(error)) {
+          dispatch(connectionLost());
+          return { synced, failed };
+        }
+        failed.push({ mutation, message: error.response?.data?.message || 'Sync failed' });
+      }
+      dispatch(dequeueMutation(mutation.id));
+    }
+
+    dispatch(connectionRestored());
+    if (synced > 0 || failed.length > 0) {
+      // Pick up the server's view of anything the replay touched
+      dispatch(fetchTasks());
+    }
+    return { synced, failed };
+  } finally {
+    dispatch(syncFinished(failed.map(({ message }) => message)));
+  }
+};
+
+// Checks whether the backend is reachable again, then flushes the queue
+export const reconnect = () => async (dispatch, getState) => {
+  if (getState().offline.queue.length > 0) {
+    return dispatch(syncOfflineQueue());
+  }
+
+  try {
+    await apiClient.get('/tasks', { params: { page: 1, limit: 1 } });
+    dispatch(connectionRestored());
+    dispatch(fetchTasks());
+  } catch (error) {
+    if (!isNetworkError(error)) {
+      dispatch(connectionRestored());
+    }
+  }
+  return { synced: 0, failed: [] };
+};
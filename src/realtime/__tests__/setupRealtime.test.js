@@ -0,0 +1,208 @@
+import { configureStore } from '@reduxjs/toolkit';
+import { waitFor } from '@testing-library/react';
+import tasksReducer, {
+  deletionScheduled,
+  fetchMoreTasks,
+  fetchTasks,
+  tasksAdapter,
+  toggleTask
+} from '../../store/slices/tasksSlice';
+import offlineReducer, { connectionLost } from '../../store/slices/offlineSlice';
+import authReducer, { login, sessionRestored } from '../../store/slices/authSlice';
+import { CHANNEL_NAME, realtimeMiddleware, setupRealtime } from '..';
+import { createMockChannelHub, createMockEventServer } from '../mockTransports';
+import apiClient from '../../api/client';
+
+const task = {
+  _id: '1',
+  title: 'Deploy ingress',
+  completed: false,
+  createdAt: '2024-05-01T00:00:00.000Z',
+  updatedAt: '2024-05-01T00:00:00.000Z'
+};
+
+const createStore = (tasks = [task]) => configureStore({
+  reducer: {
+    tasks: tasksReducer,
+    offline: offlineReducer,
+    auth: authReducer
+  },
+  preloadedState: {
+    tasks: {
+      ...tasksReducer(undefined, { type: 'init' }),
+      ...tasksAdapter.setAll(tasksAdapter.getInitialState(), tasks)
+    }
+  },
+  middleware: (getDefaultMiddleware) => getDefaultMiddleware().prepend(realtimeMiddleware)
+});
+
+describe('setupRealtime', () => {
+  let server;
+  let hub;
+  let cleanups;
+
+  const setupTab = (store = createStore()) => {
+    cleanups.push(setupRealtime(store, {
+      createEventSource: server.createEventSource,
+      createChannel: hub.createChannel
+    }));
+    return store;
+  };
+
+  beforeEach(() => {
+    server = createMockEventServer();
+    hub = createMockChannelHub();
+    cleanups = [];
+  });
+
+  afterEach(() => {
+    cleanups.forEach((cleanup) => cleanup());
+    jest.useRealTimers();
+  });
+
+  test('subscribes to the task event stream and the tab channel', () => {
+    setupTab();
+
+    expect(server.sources[0].url).toBe('http://localhost:5000/api/tasks/events');
+    expect(hub.channels[0].name).toBe(CHANNEL_NAME);
+  });
+
+  test('opens the stream with the access token', () => {
+    const store = createStore();
+    store.dispatch(sessionRestored({ user: { id: 'u1' }, accessToken: 'a b' }));
+    setupTab(store);
+
+    expect(server.sources[0].url).toBe('http://localhost:5000/api/tasks/events?access_token=a%20b');
+  });
+
+  test('reopens the stream for a new session', async () => {
+    const store = setupTab();
+    apiClient.post.mockResolvedValueOnce({ data: { user: { id: 'u1' }, accessToken: 'access-1' } });
+
+    await store.dispatch(login({ email: 'ada@example.com', password: 'secret' }));
+
+    expect(server.sources).toHaveLength(2);
+    expect(server.sources[0].readyState).toBe(2);
+    expect(server.sources[1].url).toMatch(/access_token=access-1$/);
+  });
+
+  test('applies tasks created, updated and deleted by other clients', () => {
+    const store = setupTab();
+    server.open();
+
+    server.emit('task.created', { task: { ...task, _id: '2', title: 'Rotate certs' } });
+    expect(store.getState().tasks.ids).toEqual(['2', '1']);
+
+    server.emit('task.updated', { task: { ...task, completed: true } });
+    expect(store.getState().tasks.entities['1'].completed).toBe(true);
+
+    server.emit('task.deleted', { id: '2' });
+    expect(store.getState().tasks.ids).toEqual(['1']);
+  });
+
+  test('ignores malformed events', () => {
+    const store = setupTab();
+    server.open();
+
+    server.sources[0].listeners['task.updated'][0]({ type: 'task.updated', data: '{oops' });
+    server.emit('task.updated', {});
+
+    expect(store.getState().tasks.entities['1']).toEqual(task);
+  });
+
+  test('keeps local changes that are still waiting to sync', () => {
+    const store = setupTab(createStore([{ ...task, title: 'Local title', pendingSync: true }]));
+    server.open();
+
+    server.emit('task.updated', { task: { ...task, title: 'Server title' } });
+
+    expect(store.getState().tasks.entities['1'].title).toBe('Local title');
+  });
+
+  test('keeps tasks hidden while their delete can be undone', () => {
+    const store = setupTab();
+    store.dispatch(deletionScheduled('1'));
+    server.open();
+
+    server.emit('task.updated', { task: { ...task, title: 'Renamed' } });
+
+    expect(store.getState().tasks.ids).toEqual([]);
+    expect(store.getState().tasks.scheduledDeletes['1'].task.title).toBe('Renamed');
+  });
+
+  test('shares this tab\'s saved changes with the other tabs', async () => {
+    const tab = setupTab();
+    const otherTab = setupTab();
+    apiClient.patch.mockResolvedValueOnce({ data: { ...task, completed: true } });
+
+    await tab.dispatch(toggleTask('1'));
+
+    expect(otherTab.getState().tasks.entities['1'].completed).toBe(true);
+    // Applying a change from another tab doesn't send it back
+    expect(hub.channels[1].sent).toEqual([]);
+  });
+
+  test('keeps changes saved only locally to this tab', async () => {
+    const tab = setupTab();
+    const otherTab = setupTab();
+    tab.dispatch(connectionLost());
+
+    await tab.dispatch(toggleTask('1'));
+
+    expect(tab.getState().tasks.entities['1'].completed).toBe(true);
+    expect(otherTab.getState().tasks.entities['1'].completed).toBe(false);
+  });
+
+  test('refetches after the stream reconnects', () => {
+    setupTab();
+    server.open();
+    expect(apiClient.get).not.toHaveBeenCalled();
+
+    server.drop();
+    server.open();
+
+    expect(apiClient.get).toHaveBeenCalledWith('/tasks', expect.anything());
+  });
+
+  test('refetches every page loaded so far after a reconnect', async () => {
+    const store = setupTab(createStore());
+    const loaded = Array.from({ length: 40 }, (_, index) => ({ ...task, _id: String(index + 1) }));
+    apiClient.get
+      .mockResolvedValueOnce({ data: { tasks: loaded.slice(0, 20), hasMore: true } })
+      .mockResolvedValueOnce({ data: { tasks: loaded.slice(20), page: 2, hasMore: true } })
+      .mockResolvedValueOnce({
+        data: { tasks: [...loaded.slice(0, 39), { ...loaded[39], title: 'Missed' }], hasMore: true }
+      });
+    await store.dispatch(fetchTasks());
+    await store.dispatch(fetchMoreTasks());
+
+    server.open();
+    server.drop();
+    server.open();
+
+    expect(apiClient.get).toHaveBeenLastCalledWith('/tasks', { params: { page: 1, limit: 40 } });
+    await waitFor(() => expect(store.getState().tasks.entities['40'].title).toBe('Missed'));
+    expect(store.getState().tasks.ids).toHaveLength(40);
+    expect(store.getState().tasks.pagination)
+      .toEqual(expect.objectContaining({ page: 2, limit: 20, hasMore: true }));
+  });
+
+  test('tries again later when the server refuses the stream', () => {
+    jest.useFakeTimers();
+    setupTab();
+
+    server.drop({ refuse: true });
+    expect(server.sources).toHaveLength(1);
+
+    jest.advanceTimersByTime(30000);
+    expect(server.sources).toHaveLength(2);
+  });
+
+  test('closes everything on cleanup', () => {
+    setupTab();
+    cleanups.pop()();
+
+    expect(server.sources[0].readyState).toBe(2);
+    expect(hub.channels[0].closed).toBe(true);
+  });
+});
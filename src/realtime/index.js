@@ -0,0 +1,173 @@
+import { createListenerMiddleware, isAnyOf } from '@reduxjs/toolkit';
+import { getAppConfig } from '../config/appConfig';
+import { isSessionEnded, login, register } from '../store/slices/authSlice';
+import {
+  addTask,
+  bulkUpdateTasks,
+  deleteTask,
+  refetchLoadedTasks,
+  remoteTasksChanged,
+  remoteTasksRemoved,
+  taskIdReplaced,
+  taskSynced,
+  toggleTask,
+  updateTask
+} from '../store/slices/tasksSlice';
+
+// Live updates from two sources, applied with remoteTasksChanged/Removed:
+//  - the server's event stream (SSE at `eventsUrl`), with named events
+//    `task.created` / `task.updated` carrying { task } and `task.deleted`
+//    carrying { id }, for changes made by other clients;
+//  - a BroadcastChannel shared by this app's tabs, so tabs see each other's
+//    changes right away, even while the event stream is down.
+
+export const CHANNEL_NAME = 'k8-todo:tasks';
+const RETRY_INTERVAL_MS = 30000;
+// EventSource.CLOSED, for sources that aren't real EventSources
+const CLOSED = 2;
+
+// Added to the store (see store/store.js); setupRealtime listens through it
+// for the changes this tab makes
+const listener = createListenerMiddleware();
+export const realtimeMiddleware = listener.middleware;
+
+const createDefaultEventSource = (url) => (
+  typeof window.EventSource === 'function' ? new window.EventSource(url) : null
+);
+
+const createDefaultChannel = (name) => (
+  typeof window.BroadcastChannel === 'function' ? new window.BroadcastChannel(name) : null
+);
+
+// Server copies of tasks this tab changed, as { upserted, removed }. Tasks only
+// saved locally (pendingSync) are left out; they follow once they are synced.
+const changesOf = (action) => {
+  if (bulkUpdateTasks.fulfilled.match(action)) {
+    return { upserted: action.payload.tasks, removed: action.payload.deletedIds };
+  }
+  if (deleteTask.fulfilled.match(action)) {
+    return { upserted: [], removed: [action.payload] };
+  }
+  const task = taskIdReplaced.match(action) ? action.payload.task : action.payload;
+  return { upserted: [task], removed: [] };
+};
+
+const isLocalChange = isAnyOf(
+  addTask.fulfilled,
+  updateTask.fulfilled,
+  toggleTask.fulfilled,
+  deleteTask.fulfilled,
+  bulkUpdateTasks.fulfilled,
+  taskSynced,
+  taskIdReplaced
+);
+
+// EventSource can't send an Authorization header, so the access token goes
+// in the query string
+const withAccessToken = (url, accessToken) => {
+  if (!accessToken) return url;
+  const separator = url.includes('?') ? '&' : '?';
+  return `${url}${separator}access_token=${encodeURIComponent(accessToken)}`;
+};
+
+const parseEventData = (event) => {
+  try {
+    return JSON.parse(event.data);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Subscribes the store to the server event stream and to the other tabs, and
+// refetches after the stream reconnects to pick up anything missed while it
+// was down. Returns a cleanup function.
+export const setupRealtime = (store, {
+  createEventSource = createDefaultEventSource,
+  createChannel = createDefaultChannel
+} = {}) => {
+  const channel = createChannel(CHANNEL_NAME);
+  let source = null;
+  let retryTimer = null;
+  let hasDropped = false;
+
+  const applyChanges = ({ upserted = [], removed = [] }) => {
+    if (upserted.length > 0) store.dispatch(remoteTasksChanged(upserted));
+    if (removed.length > 0) store.dispatch(remoteTasksRemoved(removed));
+  };
+
+  if (channel) {
+    channel.onmessage = (event) => applyChanges(event.data || {});
+  }
+
+  const stopListening = listener.startListening({
+    matcher: isLocalChange,
+    effect: (action, listenerApi) => {
+      // The middleware is shared by every store it is added to, so skip
+      // actions dispatched to another one
+      if (!channel || listenerApi.getState() !== store.getState()) return;
+      const { upserted, removed } = changesOf(action);
+      const synced = upserted.filter((task) => task && !task.pendingSync);
+      if (synced.length > 0 || removed.length > 0) {
+        channel.postMessage({ upserted: synced, removed });
+      }
+    }
+  });
+
+  const handleTaskEvent = (event) => {
+    const data = parseEventData(event);
+    if (!data) return;
+    if (event.type === 'task.deleted') {
+      applyChanges({ removed: [data.id] });
+    } else if (data.task) {
+      applyChanges({ upserted: [data.task] });
+    }
+  };
+
+  const connect = () => {
+    retryTimer = null;
+    const accessToken = store.getState().auth?.accessToken;
+    source = createEventSource(withAccessToken(getAppConfig().eventsUrl, accessToken));
+    if (!source) return;
+
+    source.addEventListener('task.created', handleTaskEvent);
+    source.addEventListener('task.updated', handleTaskEvent);
+    source.addEventListener('task.deleted', handleTaskEvent);
+    source.onopen = () => {
+      if (hasDropped) {
+        hasDropped = false;
+        store.dispatch(refetchLoadedTasks());
+      }
+    };
+    // EventSource retries on its own after a dropped connection, but gives up
+    // (CLOSED) when the server refuses it; try again later in that case
+    source.onerror = () => {
+      hasDropped = true;
+      if (source.readyState === CLOSED && !retryTimer) {
+        source.close();
+        retryTimer = setTimeout(connect, RETRY_INTERVAL_MS);
+      }
+    };
+  };
+
+  connect();
+
+  // The stream only carries the logged-in user's tasks, so it's reopened
+  // whenever a session starts or ends
+  const stopListeningForSession = listener.startListening({
+    matcher: isAnyOf(login.fulfilled, register.fulfilled, isSessionEnded),
+    effect: (action, listenerApi) => {
+      if (listenerApi.getState() !== store.getState()) return;
+      clearTimeout(retryTimer);
+      if (source) source.close();
+      connect();
+    }
+  });
+
+  return () => {
+    stopListening();
+    stopListeningForSession();
+    clearTimeout(retryTimer);
+    if (source) source.close();
+    if (channel) channel.close();
+  };
+};
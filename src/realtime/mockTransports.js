@@ -0,0 +1,87 @@
+// In-memory stand-ins for the realtime transports, passed to setupRealtime in
+// tests: an event server whose EventSources receive whatever it emits, and a
+// hub of BroadcastChannels that deliver to each other like browser tabs do.
+
+const CONNECTING = 0;
+const OPEN = 1;
+const CLOSED = 2;
+
+export const createMockEventServer = () => {
+  const sources = [];
+
+  const createEventSource = (url) => {
+    const listeners = {};
+    const source = {
+      url,
+      readyState: CONNECTING,
+      listeners,
+      onopen: null,
+      onerror: null,
+      addEventListener: (type, handler) => {
+        listeners[type] = [...(listeners[type] || []), handler];
+      },
+      close: () => {
+        source.readyState = CLOSED;
+      }
+    };
+    sources.push(source);
+    return source;
+  };
+
+  const openSources = () => sources.filter((source) => source.readyState !== CLOSED);
+
+  return {
+    sources,
+    createEventSource,
+    // Accepts the pending connections
+    open: () => openSources().forEach((source) => {
+      source.readyState = OPEN;
+      if (source.onopen) source.onopen({ type: 'open' });
+    }),
+    // Sends a named event with a JSON body to every open connection
+    emit: (type, data) => openSources()
+      .filter((source) => source.readyState === OPEN)
+      .forEach((source) => {
+        (source.listeners[type] || []).forEach((handler) => handler({
+          type,
+          data: JSON.stringify(data)
+        }));
+      }),
+    // Drops the connections; `refuse` makes them give up like a refused
+    // EventSource does, otherwise they wait to reconnect
+    drop: ({ refuse = false } = {}) => openSources().forEach((source) => {
+      source.readyState = refuse ? CLOSED : CONNECTING;
+      if (source.onerror) source.onerror({ type: 'error' });
+    })
+  };
+};
+
+export const createMockChannelHub = () => {
+  const channels = [];
+
+  const createChannel = (name) => {
+    const channel = {
+      name,
+      onmessage: null,
+      closed: false,
+      sent: [],
+      // Like the real thing: delivered to the other channels of the same
+      // name, never back to the sender, as a copy
+      postMessage: (data) => {
+        channel.sent.push(data);
+        channels
+          .filter((other) => other !== channel && other.name === name && !other.closed)
+          .forEach((other) => {
+            if (other.onmessage) other.onmessage({ data: JSON.parse(JSON.stringify(data)) });
+          });
+      },
+      close: () => {
+        channel.closed = true;
+      }
+    };
+    channels.push(channel);
+    return channel;
+  };
+
+  return { channels, createChannel };
+};
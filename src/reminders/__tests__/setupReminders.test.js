@@ -0,0 +1,105 @@
+import { configureStore } from '@reduxjs/toolkit';
+import tasksReducer, { tasksHydrated } from '../../store/slices/tasksSlice';
+import remindersReducer, {
+  remindersToggled,
+  reminderLeadTimeChanged
+} from '../../store/slices/remindersSlice';
+import { setupReminders } from '..';
+
+const createStorage = (initial = {}) => {
+  const data = { ...initial };
+  return {
+    getItem: (key) => (key in data ? data[key] : null),
+    setItem: (key, value) => {
+      data[key] = value;
+    }
+  };
+};
+
+const createStore = () => configureStore({
+  reducer: {
+    tasks: tasksReducer,
+    reminders: remindersReducer
+  }
+});
+
+describe('setupReminders', () => {
+  const MockNotification = jest.fn();
+  let cleanup;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2024-05-10T12:00:00.000Z'));
+    MockNotification.permission = 'granted';
+    window.Notification = MockNotification;
+  });
+
+  afterEach(() => {
+    if (cleanup) cleanup();
+    delete window.Notification;
+    jest.useRealTimers();
+  });
+
+  const dueIn = (minutes) => new Date(Date.now() + minutes * 60 * 1000).toISOString();
+
+  test('notifies the configured lead time before a task is due', () => {
+    const store = createStore();
+    store.dispatch(tasksHydrated([
+      {
+        _id: '1',
+        title: 'Rotate certs',
+        completed: false,
+        dueDate: dueIn(60)
+      },
+      {
+        _id: '2',
+        title: 'Done already',
+        completed: true,
+        dueDate: dueIn(60)
+      }
+    ]));
+    store.dispatch(remindersToggled(true));
+    store.dispatch(reminderLeadTimeChanged(15));
+    cleanup = setupReminders(store, createStorage());
+
+    jest.advanceTimersByTime(44 * 60 * 1000);
+    expect(MockNotification).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(60 * 1000);
+    expect(MockNotification).toHaveBeenCalledTimes(1);
+    expect(MockNotification).toHaveBeenCalledWith('Rotate certs', expect.objectContaining({ tag: '1' }));
+  });
+
+  test('does nothing while reminders are off or permission is missing', () => {
+    const store = createStore();
+    store.dispatch(tasksHydrated([
+      {
+        _id: '1',
+        title: 'Rotate certs',
+        completed: false,
+        dueDate: dueIn(1)
+      }
+    ]));
+    cleanup = setupReminders(store, createStorage());
+    jest.advanceTimersByTime(60 * 1000);
+
+    MockNotification.permission = 'denied';
+    store.dispatch(remindersToggled(true));
+    jest.advanceTimersByTime(60 * 1000);
+
+    expect(MockNotification).not.toHaveBeenCalled();
+  });
+
+  test('restores and persists the settings', () => {
+    const storage = createStorage({
+      'k8-todo:reminders': JSON.stringify({ enabled: true, leadMinutes: 30 })
+    });
+    const store = createStore();
+    cleanup = setupReminders(store, storage);
+
+    expect(store.getState().reminders).toEqual({ enabled: true, leadMinutes: 30 });
+
+    store.dispatch(reminderLeadTimeChanged(60));
+    expect(JSON.parse(storage.getItem('k8-todo:reminders')).leadMinutes).toBe(60);
+  });
+});
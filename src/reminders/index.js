@@ -0,0 +1,105 @@
+import { selectAllTasks } from '../store/slices/tasksSlice';
+import { remindersHydrated, selectReminderSettings } from '../store/slices/remindersSlice';
+
+const STORAGE_KEY = 'k8-todo:reminders';
+// setTimeout overflows past ~24.8 days; later reminders are scheduled on a later pass
+const MAX_TIMEOUT_MS = 2147483647;
+
+export const isNotificationSupported = () => typeof window !== 'undefined'
+  && 'Notification' in window;
+
+const loadSettings = (storage) => {
+  try {
+    const raw = storage.getItem(STORAGE_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const saveSettings = (settings, storage) => {
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (error) {
+    // Storage disabled: settings just won't survive a reload
+  }
+};
+
+const showReminder = (task) => {
+  const due = new Date(task.dueDate).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+  // The tag keeps a task from stacking several reminders in the OS tray
+  // eslint-disable-next-line no-new
+  new window.Notification(task.title, { body: `Due ${due}`, tag: task._id });
+};
+
+// Schedules browser notifications `leadMinutes` before each pending task's
+// due date while the tab is open. Timers are rebuilt whenever tasks or the
+// settings change. Returns a cleanup function.
+export const setupReminders = (store, storage = window.localStorage) => {
+  const saved = loadSettings(storage);
+  if (saved) {
+    store.dispatch(remindersHydrated(saved));
+  }
+
+  const timers = new Map();
+  // `${id}@${dueDate}` of reminders already shown, so rescheduling doesn't repeat them
+  const shown = new Set();
+
+  const clearTimers = () => {
+    timers.forEach((timer) => clearTimeout(timer));
+    timers.clear();
+  };
+
+  const schedule = (tasks, { enabled, leadMinutes }) => {
+    clearTimers();
+    if (!enabled || !isNotificationSupported() || window.Notification.permission !== 'granted') {
+      return;
+    }
+
+    const now = Date.now();
+    tasks.forEach((task) => {
+      const key = `${task._id}@${task.dueDate}`;
+      if (task.completed || task.archived || !task.dueDate || shown.has(key)) return;
+
+      const due = Date.parse(task.dueDate);
+      const delay = due - leadMinutes * 60 * 1000 - now;
+      // Nothing to remind about once the due date has passed
+      if (Number.isNaN(due) || due <= now || delay > MAX_TIMEOUT_MS) return;
+
+      timers.set(task._id, setTimeout(() => {
+        timers.delete(task._id);
+        shown.add(key);
+        showReminder(task);
+      }, Math.max(delay, 0)));
+    });
+  };
+
+  let lastTasks;
+  let lastSettings;
+  const update = () => {
+    const state = store.getState();
+    const tasks = selectAllTasks(state);
+    const settings = selectReminderSettings(state);
+    if (tasks === lastTasks && settings === lastSettings) return;
+
+    if (settings !== lastSettings && lastSettings !== undefined) {
+      saveSettings(settings, storage);
+    }
+    lastTasks = tasks;
+    lastSettings = settings;
+    schedule(tasks, settings);
+  };
+
+  const unsubscribe = store.subscribe(update);
+  update();
+
+  return () => {
+    unsubscribe();
+    clearTimers();
+  };
+};
@@ -3,6 +3,11 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+// jest-axe adds `expect(await axe(container)).toHaveNoViolations()` for the
+// accessibility checks in the component tests
+import { toHaveNoViolations } from 'jest-axe';
+
+expect.extend(toHaveNoViolations);
 
 // Suppress ReactDOMTestUtils.act deprecation warnings
 const originalError = console.error;
@@ -0,0 +1,46 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import { focusSearch, getFocusedTaskId, moveTaskFocus } from '..';
+
+const TaskRows = () => (
+  <>
+    <input id="task-search" aria-label="Search tasks" defaultValue="k8s" />
+    {['1', '2', '3'].map((id) => (
+      <div key={id} className="task-item" data-task-id={id} tabIndex={-1}>
+        <button type="button">{`Edit ${id}`}</button>
+      </div>
+    ))}
+  </>
+);
+
+describe('shortcuts', () => {
+  test('moves the focus between tasks, stopping at the ends', () => {
+    render(<TaskRows />);
+
+    moveTaskFocus(-1);
+    expect(getFocusedTaskId()).toBe('3');
+    moveTaskFocus(1);
+    expect(getFocusedTaskId()).toBe('3');
+    moveTaskFocus(-1);
+    moveTaskFocus(-1);
+    expect(getFocusedTaskId()).toBe('1');
+  });
+
+  test('finds the task around a focused control', () => {
+    render(<TaskRows />);
+
+    screen.getByRole('button', { name: 'Edit 2' }).focus();
+    expect(getFocusedTaskId()).toBe('2');
+    moveTaskFocus(1);
+    expect(getFocusedTaskId()).toBe('3');
+  });
+
+  test('focuses the search field', () => {
+    render(<TaskRows />);
+
+    focusSearch();
+
+    expect(screen.getByLabelText('Search tasks')).toHaveFocus();
+    expect(getFocusedTaskId()).toBeNull();
+  });
+});
@@ -0,0 +1,48 @@
+// Global keyboard shortcuts, listed in the `?` help overlay
+export const SHORTCUTS = [
+  { keys: ['n'], description: 'New task' },
+  { keys: ['/'], description: 'Search tasks' },
+  { keys: ['j', 'k'], description: 'Focus the next / previous task' },
+  { keys: ['x'], description: 'Complete or reopen the focused task' },
+  { keys: ['e'], description: 'Edit the focused task' },
+  { keys: ['#'], description: 'Delete the focused task' },
+  { keys: ['Ctrl', 'K'], description: 'Command palette' },
+  { keys: ['?'], description: 'Show keyboard shortcuts' },
+  { keys: ['Esc'], description: 'Close the open dialog' }
+];
+
+// id of the toolbar's search field, focused by `/`
+export const SEARCH_INPUT_ID = 'task-search';
+
+export const focusSearch = () => {
+  const input = document.getElementById(SEARCH_INPUT_ID);
+  if (input) {
+    input.focus();
+    input.select();
+  }
+};
+
+const TASK_SELECTOR = '.task-item[data-task-id]';
+
+const closestTask = (element) => (element?.closest ? element.closest(TASK_SELECTOR) : null);
+
+// Id of the task that has the focus, or of the task around the focused control
+export const getFocusedTaskId = () => closestTask(document.activeElement)?.dataset.taskId ?? null;
+
+// Moves the focus `offset` tasks down (or up) the rendered list. Without a
+// focused task, j starts at the top and k at the bottom.
+export const moveTaskFocus = (offset) => {
+  const tasks = Array.from(document.querySelectorAll(TASK_SELECTOR));
+  if (tasks.length === 0) return;
+
+  const current = tasks.indexOf(closestTask(document.activeElement));
+  let next = current + offset;
+  if (current === -1) {
+    next = offset > 0 ? 0 : tasks.length - 1;
+  }
+  const target = tasks[Math.max(0, Math.min(next, tasks.length - 1))];
+  target.focus();
+  if (target.scrollIntoView) {
+    target.scrollIntoView({ block: 'nearest' });
+  }
+};
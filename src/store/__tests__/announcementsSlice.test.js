@@ -0,0 +1,45 @@
+import announcementsReducer from '../slices/announcementsSlice';
+import {
+  addTask,
+  deleteTask,
+  deletionScheduled,
+  toggleTask
+} from '../slices/tasksSlice';
+
+describe('announcementsSlice', () => {
+  const initialState = { message: '', id: 0 };
+  const task = { _id: '1', title: 'Rotate certs', completed: true };
+
+  test('should return initial state', () => {
+    expect(announcementsReducer(undefined, {})).toEqual(initialState);
+  });
+
+  test('should announce added and toggled tasks', () => {
+    let state = announcementsReducer(initialState, addTask.fulfilled(task, 'req', {}));
+    expect(state).toEqual({ message: 'Added task Rotate certs', id: 1 });
+
+    state = announcementsReducer(state, toggleTask.fulfilled(task, 'req', '1'));
+    expect(state.message).toBe('Completed task Rotate certs');
+
+    state = announcementsReducer(state, toggleTask.fulfilled({ ...task, completed: false }, 'req', '1'));
+    expect(state.message).toBe('Reopened task Rotate certs');
+  });
+
+  test('should announce deletes when they are scheduled', () => {
+    const state = announcementsReducer(initialState, deletionScheduled('1'));
+    expect(state.message).toBe('Task deleted');
+  });
+
+  test('should announce failures', () => {
+    expect(announcementsReducer(initialState, addTask.rejected(null, 'req', {})).message)
+      .toBe('Couldn\'t add the task');
+    expect(announcementsReducer(initialState, deleteTask.rejected(null, 'req', '1')).message)
+      .toBe('Couldn\'t delete the task');
+  });
+
+  test('should bump the id when the same message repeats', () => {
+    const once = announcementsReducer(initialState, deletionScheduled('1'));
+    const twice = announcementsReducer(once, deletionScheduled('2'));
+    expect(twice).toEqual({ message: 'Task deleted', id: 2 });
+  });
+});
@@ -0,0 +1,200 @@
+import { configureStore } from '@reduxjs/toolkit';
+import apiClient from '../../api/client';
+import authReducer, {
+  login,
+  logout,
+  refreshSession,
+  register,
+  selectCurrentUser,
+  selectIsAuthenticated,
+  sessionExpired,
+  sessionRestored
+} from '../slices/authSlice';
+import tasksReducer, { tasksHydrated } from '../slices/tasksSlice';
+import offlineReducer, { enqueueMutation } from '../slices/offlineSlice';
+import notificationsReducer, { notificationAdded } from '../slices/notificationsSlice';
+
+const user = { id: 'u1', name: 'Ada Lovelace', email: 'ada@example.com' };
+const session = {
+  user,
+  accessToken: 'access-1',
+  refreshToken: 'refresh-1',
+  expiresAt: null
+};
+
+const createStore = () => configureStore({
+  reducer: {
+    auth: authReducer,
+    tasks: tasksReducer,
+    offline: offlineReducer,
+    notifications: notificationsReducer
+  }
+});
+
+describe('authSlice', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2024-05-10T12:00:00.000Z'));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('starts logged out', () => {
+    const store = createStore();
+
+    expect(selectIsAuthenticated(store.getState())).toBe(false);
+    expect(selectCurrentUser(store.getState())).toBeNull();
+  });
+
+  test('logs in and works out when the access token runs out', async () => {
+    const store = createStore();
+    apiClient.post.mockResolvedValueOnce({
+      data: {
+        user,
+        accessToken: 'access-1',
+        refreshToken: 'refresh-1',
+        expiresIn: 900
+      }
+    });
+
+    const promise = store.dispatch(login({ email: 'ada@example.com', password: 'secret' }));
+    expect(store.getState().auth.status).toBe('pending');
+    await promise;
+
+    expect(apiClient.post).toHaveBeenCalledWith('/auth/login', {
+      email: 'ada@example.com',
+      password: 'secret'
+    });
+    expect(store.getState().auth).toEqual(expect.objectContaining({
+      ...session,
+      expiresAt: Date.now() + 900000,
+      status: 'idle'
+    }));
+    expect(selectIsAuthenticated(store.getState())).toBe(true);
+  });
+
+  test('keeps the reason a login failed', async () => {
+    const store = createStore();
+    apiClient.post.mockRejectedValueOnce({
+      response: { status: 401, data: { message: 'Wrong email or password' } }
+    });
+
+    await store.dispatch(login({ email: 'ada@example.com', password: 'nope' }));
+
+    expect(store.getState().auth.error).toBe('Wrong email or password');
+    expect(selectIsAuthenticated(store.getState())).toBe(false);
+  });
+
+  test('registers and starts a session', async () => {
+    const store = createStore();
+    apiClient.post.mockResolvedValueOnce({
+      data: { user, accessToken: 'access-1', refreshToken: 'refresh-1' }
+    });
+
+    await store.dispatch(register({
+      name: 'Ada Lovelace',
+      email: 'ada@example.com',
+      password: 'secret'
+    }));
+
+    expect(apiClient.post).toHaveBeenCalledWith('/auth/register', {
+      name: 'Ada Lovelace',
+      email: 'ada@example.com',
+      password: 'secret'
+    });
+    expect(selectCurrentUser(store.getState())).toEqual(user);
+  });
+
+  describe('refreshSession', () => {
+    test('only runs with a refresh token', async () => {
+      const store = createStore();
+
+      const result = await store.dispatch(refreshSession());
+
+      expect(result.meta.condition).toBe(true);
+      expect(apiClient.post).not.toHaveBeenCalled();
+    });
+
+    test('swaps in the new tokens and keeps what the server left out', async () => {
+      const store = createStore();
+      store.dispatch(sessionRestored(session));
+      apiClient.post.mockResolvedValueOnce({ data: { accessToken: 'access-2', expiresIn: 900 } });
+
+      await store.dispatch(refreshSession());
+
+      expect(apiClient.post).toHaveBeenCalledWith('/auth/refresh', { refreshToken: 'refresh-1' });
+      expect(store.getState().auth).toEqual(expect.objectContaining({
+        user,
+        accessToken: 'access-2',
+        refreshToken: 'refresh-1',
+        expiresAt: Date.now() + 900000
+      }));
+    });
+
+    test('ends the session when the server refuses it', async () => {
+      const store = createStore();
+      store.dispatch(sessionRestored(session));
+      store.dispatch(tasksHydrated([{ _id: '1', title: 'Rotate certs', completed: false }]));
+      apiClient.post.mockRejectedValueOnce({ response: { status: 401, data: {} } });
+
+      await store.dispatch(refreshSession());
+
+      expect(selectIsAuthenticated(store.getState())).toBe(false);
+      expect(store.getState().auth.sessionExpired).toBe(true);
+      expect(store.getState().tasks.ids).toEqual([]);
+    });
+
+    test('keeps the session when the server can\'t be reached', async () => {
+      const store = createStore();
+      store.dispatch(sessionRestored(session));
+      apiClient.post.mockRejectedValueOnce(new Error('Network Error'));
+
+      await store.dispatch(refreshSession());
+
+      expect(store.getState().auth.accessToken).toBe('access-1');
+    });
+  });
+
+  test('marks an expired session for the login screen', () => {
+    const store = createStore();
+    store.dispatch(sessionRestored(session));
+
+    store.dispatch(sessionExpired());
+
+    expect(selectIsAuthenticated(store.getState())).toBe(false);
+    expect(store.getState().auth.sessionExpired).toBe(true);
+  });
+
+  describe('logout', () => {
+    test('revokes the refresh token and drops the user\'s data', async () => {
+      const store = createStore();
+      store.dispatch(sessionRestored(session));
+      store.dispatch(tasksHydrated([{ _id: '1', title: 'Rotate certs', completed: false }]));
+      store.dispatch(enqueueMutation({ kind: 'toggle', taskId: '1' }));
+      store.dispatch(notificationAdded({ message: 'Task completed' }));
+      apiClient.post.mockResolvedValueOnce({ data: {} });
+
+      await store.dispatch(logout());
+
+      expect(apiClient.post).toHaveBeenCalledWith('/auth/logout', { refreshToken: 'refresh-1' });
+      expect(selectIsAuthenticated(store.getState())).toBe(false);
+      expect(store.getState().auth.sessionExpired).toBe(false);
+      expect(store.getState().tasks.ids).toEqual([]);
+      expect(store.getState().offline.queue).toEqual([]);
+      expect(store.getState().notifications.items).toEqual([]);
+    });
+
+    test('logs out even when the server call fails', async () => {
+      const store = createStore();
+      store.dispatch(sessionRestored(session));
+      apiClient.post.mockRejectedValueOnce({ response: { status: 500, data: {} } });
+
+      const result = await store.dispatch(logout());
+
+      expect(result.type).toBe('auth/logout/fulfilled');
+      expect(selectIsAuthenticated(store.getState())).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,174 @@
+import { tasksAdapter } from '../slices/tasksSlice';
+import filtersReducer, {
+  defaultFilters,
+  setSearch,
+  setStatusFilter,
+  setSort,
+  setGroupBy,
+  setTagFilter,
+  setFilters,
+  resetFilters,
+  selectFilteredTasks,
+  selectVisibleTaskSections,
+  selectHasActiveFilters
+} from '../slices/filtersSlice';
+
+describe('filtersSlice', () => {
+  const tasks = [
+    {
+      _id: '1',
+      title: 'Deploy ingress',
+      description: 'Configure TLS',
+      completed: false,
+      priority: 'low',
+      tags: ['k8s', 'infra'],
+      createdAt: '2023-01-01T00:00:00.000Z',
+      updatedAt: '2023-01-05T00:00:00.000Z'
+    },
+    {
+      _id: '2',
+      title: 'buy milk',
+      description: '',
+      completed: true,
+      createdAt: '2023-01-03T00:00:00.000Z',
+      updatedAt: '2023-01-03T00:00:00.000Z'
+    },
+    {
+      _id: '3',
+      title: 'Cluster upgrade',
+      description: 'Drain nodes before the ingress rollout',
+      completed: false,
+      priority: 'urgent',
+      tags: ['k8s'],
+      createdAt: '2023-01-02T00:00:00.000Z',
+      updatedAt: '2023-01-02T00:00:00.000Z'
+    }
+  ];
+
+  const stateWith = (filters) => ({
+    tasks: tasksAdapter.setAll(tasksAdapter.getInitialState(), tasks),
+    filters: { ...defaultFilters, ...filters }
+  });
+
+  const ids = (list) => list.map((task) => task._id);
+
+  describe('reducers', () => {
+    test('should return initial state', () => {
+      expect(filtersReducer(undefined, {})).toEqual(defaultFilters);
+    });
+
+    test('should handle setSearch', () => {
+      expect(filtersReducer(defaultFilters, setSearch('ingress')).search).toBe('ingress');
+    });
+
+    test('should ignore unknown status filters', () => {
+      const state = filtersReducer(defaultFilters, setStatusFilter('completed'));
+      expect(state.status).toBe('completed');
+      expect(filtersReducer(state, setStatusFilter('bogus')).status).toBe('completed');
+    });
+
+    test('should handle setSort', () => {
+      const state = filtersReducer(defaultFilters, setSort({ sortBy: 'title', sortOrder: 'asc' }));
+      expect(state.sortBy).toBe('title');
+      expect(state.sortOrder).toBe('asc');
+    });
+
+    test('should handle setTagFilter', () => {
+      const state = filtersReducer(defaultFilters, setTagFilter('k8s'));
+      expect(state.tag).toBe('k8s');
+      expect(filtersReducer(state, setTagFilter(null)).tag).toBe('');
+    });
+
+    test('should handle setGroupBy', () => {
+      const state = filtersReducer(defaultFilters, setGroupBy('priority'));
+      expect(state.groupBy).toBe('priority');
+      expect(filtersReducer(state, setGroupBy('bogus')).groupBy).toBe('priority');
+    });
+
+    test('should replace all filters with setFilters and restore with resetFilters', () => {
+      const state = filtersReducer(
+        { ...defaultFilters, search: 'old' },
+        setFilters({ status: 'pending' })
+      );
+      expect(state).toEqual({ ...defaultFilters, status: 'pending' });
+      expect(filtersReducer(state, resetFilters())).toEqual(defaultFilters);
+    });
+  });
+
+  describe('selectFilteredTasks', () => {
+    test('sorts by newest first by default', () => {
+      expect(ids(selectFilteredTasks(stateWith({})))).toEqual(['2', '3', '1']);
+    });
+
+    test('searches title and description case-insensitively', () => {
+      expect(ids(selectFilteredTasks(stateWith({ search: 'INGRESS' })))).toEqual(['3', '1']);
+    });
+
+    test('filters by status', () => {
+      expect(ids(selectFilteredTasks(stateWith({ status: 'completed' })))).toEqual(['2']);
+      expect(ids(selectFilteredTasks(stateWith({ status: 'pending' })))).toEqual(['3', '1']);
+    });
+
+    test('sorts by title and updated date', () => {
+      expect(ids(selectFilteredTasks(stateWith({ sortBy: 'title', sortOrder: 'asc' }))))
+        .toEqual(['2', '3', '1']);
+      expect(ids(selectFilteredTasks(stateWith({ sortBy: 'updatedAt', sortOrder: 'desc' }))))
+        .toEqual(['1', '2', '3']);
+    });
+
+    test('sorts by priority, treating a missing priority as medium', () => {
+      expect(ids(selectFilteredTasks(stateWith({ sortBy: 'priority', sortOrder: 'desc' }))))
+        .toEqual(['3', '2', '1']);
+    });
+
+    test('filters by tag', () => {
+      expect(ids(selectFilteredTasks(stateWith({ tag: 'k8s' })))).toEqual(['3', '1']);
+      expect(ids(selectFilteredTasks(stateWith({ tag: 'infra' })))).toEqual(['1']);
+    });
+
+    test('is memoized on the same inputs', () => {
+      const state = stateWith({ search: 'ingress' });
+      expect(selectFilteredTasks(state)).toBe(selectFilteredTasks(state));
+    });
+  });
+
+  test('selectVisibleTaskSections splits visible tasks by completion', () => {
+    const sections = selectVisibleTaskSections(stateWith({ search: 'ingress' }));
+
+    expect(ids(sections.pending)).toEqual(['3', '1']);
+    expect(ids(sections.completed)).toEqual([]);
+  });
+
+  test('selectHasActiveFilters ignores sort order', () => {
+    expect(selectHasActiveFilters(stateWith({ sortBy: 'title' }))).toBe(false);
+    expect(selectHasActiveFilters(stateWith({ search: ' x ' }))).toBe(true);
+    expect(selectHasActiveFilters(stateWith({ status: 'pending' }))).toBe(true);
+    expect(selectHasActiveFilters(stateWith({ tag: 'k8s' }))).toBe(true);
+  });
+
+  test('selectVisibleTaskSections can group pending tasks by priority', () => {
+    const sections = selectVisibleTaskSections(stateWith({ groupBy: 'priority' }));
+
+    expect(ids(sections.urgent)).toEqual(['3']);
+    expect(ids(sections.low)).toEqual(['1']);
+    expect(ids(sections.medium)).toEqual([]);
+    expect(ids(sections.completed)).toEqual(['2']);
+  });
+
+  test('keeps archived tasks out of every view but the archived one', () => {
+    const state = {
+      ...stateWith({}),
+      tasks: tasksAdapter.setAll(tasksAdapter.getInitialState(), [
+        ...tasks,
+        { ...tasks[1], _id: '4', archived: true }
+      ])
+    };
+
+    expect(ids(selectFilteredTasks(state))).not.toContain('4');
+
+    const archivedView = { ...state, filters: { ...defaultFilters, status: 'archived' } };
+    const sections = selectVisibleTaskSections(archivedView);
+    expect(ids(sections.archived)).toEqual(['4']);
+    expect(ids(sections.completed)).toEqual([]);
+  });
+});
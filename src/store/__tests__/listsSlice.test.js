@@ -0,0 +1,161 @@
+import { configureStore } from '@reduxjs/toolkit';
+import apiClient from '../../api/client';
+import listsReducer, {
+  createList,
+  deleteList,
+  fetchLists,
+  listSelected,
+  listsAdapter,
+  moveList,
+  selectAllLists,
+  selectListsError,
+  selectSelectedList,
+  selectSelectedListId,
+  updateList
+} from '../slices/listsSlice';
+import { logout } from '../slices/authSlice';
+
+const lists = [
+  { _id: 'sprint', name: 'Sprint 42', position: 0 },
+  { _id: 'cluster', name: 'Cluster migration', position: 1 },
+  { _id: 'personal', name: 'Personal', position: 2 }
+];
+
+const createStore = (selectedListId = null) => configureStore({
+  reducer: { lists: listsReducer },
+  preloadedState: {
+    lists: {
+      ...listsAdapter.setAll(listsReducer(undefined, { type: 'init' }), lists),
+      selectedListId
+    }
+  }
+});
+
+const listNames = (store) => selectAllLists(store.getState()).map((list) => list.name);
+
+// Answers PUT /lists/:id with the list as saved
+const saveLists = () => apiClient.put.mockImplementation((url, changes) => {
+  const id = url.split('/').pop();
+  return Promise.resolve({ data: { ...lists.find((list) => list._id === id), ...changes } });
+});
+
+describe('listsSlice', () => {
+  test('has no lists and no selection without the slice', () => {
+    const state = {};
+
+    expect(selectAllLists(state)).toEqual([]);
+    expect(selectSelectedListId(state)).toBeNull();
+  });
+
+  test('loads the lists in their position order', async () => {
+    const store = configureStore({ reducer: { lists: listsReducer } });
+    apiClient.get.mockResolvedValueOnce({ data: [lists[2], lists[0], lists[1]] });
+
+    await store.dispatch(fetchLists());
+
+    expect(apiClient.get).toHaveBeenCalledWith('/lists');
+    expect(listNames(store)).toEqual(['Sprint 42', 'Cluster migration', 'Personal']);
+    expect(store.getState().lists.status).toBe('succeeded');
+  });
+
+  test('goes back to all tasks when the selected list is gone after a fetch', async () => {
+    const store = createStore('cluster');
+    apiClient.get.mockResolvedValueOnce({ data: [lists[0]] });
+
+    await store.dispatch(fetchLists());
+
+    expect(selectSelectedListId(store.getState())).toBeNull();
+  });
+
+  test('selects a list', () => {
+    const store = createStore();
+
+    store.dispatch(listSelected('cluster'));
+
+    expect(selectSelectedList(store.getState())).toEqual(lists[1]);
+  });
+
+  test('creates lists at the bottom', async () => {
+    const store = createStore();
+    apiClient.post.mockResolvedValueOnce({ data: { _id: 'ops', name: 'Ops', position: 3 } });
+
+    await store.dispatch(createList('Ops'));
+
+    expect(apiClient.post).toHaveBeenCalledWith('/lists', { name: 'Ops', position: 3 });
+    expect(listNames(store)).toEqual(['Sprint 42', 'Cluster migration', 'Personal', 'Ops']);
+  });
+
+  test('renames a list', async () => {
+    const store = createStore();
+    saveLists();
+
+    await store.dispatch(updateList({ id: 'personal', changes: { name: 'Home' } }));
+
+    expect(apiClient.put).toHaveBeenCalledWith('/lists/personal', { name: 'Home' });
+    expect(listNames(store)).toEqual(['Sprint 42', 'Cluster migration', 'Home']);
+  });
+
+  test('keeps why a list request failed', async () => {
+    const store = createStore();
+    apiClient.put.mockRejectedValueOnce({
+      response: { status: 409, data: { message: 'A list with that name already exists' } }
+    });
+
+    await store.dispatch(updateList({ id: 'personal', changes: { name: 'Sprint 42' } }));
+
+    expect(selectListsError(store.getState())).toBe('A list with that name already exists');
+  });
+
+  test('deletes a list and leaves it selected no more', async () => {
+    const store = createStore('cluster');
+    apiClient.delete.mockResolvedValueOnce({ data: {} });
+
+    await store.dispatch(deleteList('cluster'));
+
+    expect(apiClient.delete).toHaveBeenCalledWith('/lists/cluster');
+    expect(listNames(store)).toEqual(['Sprint 42', 'Personal']);
+    expect(selectSelectedListId(store.getState())).toBeNull();
+  });
+
+  describe('moveList', () => {
+    test('places only the moved list between its new neighbours', async () => {
+      const store = createStore();
+      saveLists();
+
+      await store.dispatch(moveList({ id: 'personal', offset: -1 }));
+
+      expect(listNames(store)).toEqual(['Sprint 42', 'Personal', 'Cluster migration']);
+      expect(apiClient.put).toHaveBeenCalledTimes(1);
+      expect(apiClient.put).toHaveBeenCalledWith('/lists/personal', { position: 0.5 });
+    });
+
+    test('puts back positions that fail to save', async () => {
+      const store = createStore();
+      apiClient.put.mockRejectedValue({ response: { status: 500, data: {} } });
+
+      const moving = store.dispatch(moveList({ id: 'sprint', offset: 1 }));
+      expect(listNames(store)).toEqual(['Cluster migration', 'Sprint 42', 'Personal']);
+      await moving;
+
+      expect(listNames(store)).toEqual(['Sprint 42', 'Cluster migration', 'Personal']);
+    });
+
+    test('does nothing past either end', async () => {
+      const store = createStore();
+
+      await store.dispatch(moveList({ id: 'sprint', offset: -1 }));
+
+      expect(apiClient.put).not.toHaveBeenCalled();
+    });
+  });
+
+  test('forgets the lists on logout', () => {
+    const state = listsReducer(
+      createStore('sprint').getState().lists,
+      { type: logout.fulfilled.type }
+    );
+
+    expect(state.ids).toEqual([]);
+    expect(state.selectedListId).toBeNull();
+  });
+});
@@ -0,0 +1,253 @@
+import { configureStore } from '@reduxjs/toolkit';
+import apiClient from '../../api/client';
+import tasksReducer, {
+  toggleTask,
+  addTask,
+  updateTask,
+  bulkUpdateTasks,
+  tasksAdapter
+} from '../slices/tasksSlice';
+import notificationsReducer, {
+  notificationAdded,
+  notificationDismissed,
+  notificationsCleared,
+  selectNotifications,
+  DEFAULT_NOTIFICATION_DURATION_MS
+} from '../slices/notificationsSlice';
+import { runNotificationAction } from '../../notifications/actions';
+
+describe('notificationsSlice', () => {
+  test('should return initial state', () => {
+    expect(notificationsReducer(undefined, {})).toEqual({ items: [] });
+  });
+
+  test('should add notifications with defaults', () => {
+    const state = notificationsReducer(undefined, notificationAdded({ message: 'Saved' }));
+
+    expect(state.items).toEqual([{
+      id: expect.any(String),
+      message: 'Saved',
+      severity: 'info',
+      action: null,
+      duration: DEFAULT_NOTIFICATION_DURATION_MS,
+      source: null,
+      httpStatus: null,
+      requestId: null,
+      failures: [],
+      createdAt: expect.any(String)
+    }]);
+  });
+
+  test('should keep several notifications and dismiss them by id', () => {
+    let state = notificationsReducer(undefined, notificationAdded({ message: 'First' }));
+    state = notificationsReducer(state, notificationAdded({
+      message: 'Second',
+      severity: 'success',
+      action: { label: 'Undo', type: 'undoToggle', arg: { id: '1', completed: false } }
+    }));
+    expect(selectNotifications({ notifications: state })).toHaveLength(2);
+
+    state = notificationsReducer(state, notificationDismissed(state.items[0].id));
+    expect(state.items.map((item) => item.message)).toEqual(['Second']);
+  });
+
+  test('should clear all notifications', () => {
+    const state = notificationsReducer(undefined, notificationAdded({ message: 'First' }));
+    expect(notificationsReducer(state, notificationsCleared()).items).toEqual([]);
+  });
+
+  describe('failed task requests', () => {
+    const createStore = () => configureStore({
+      reducer: {
+        tasks: tasksReducer,
+        notifications: notificationsReducer
+      }
+    });
+
+    test('records each failure with its source, status and a retry action', async () => {
+      const store = createStore();
+      apiClient.patch.mockRejectedValueOnce({
+        response: { status: 500, headers: { 'x-request-id': 'srv-1' }, data: {} }
+      });
+      apiClient.post.mockRejectedValueOnce({
+        response: { status: 422, headers: {}, data: { message: 'Title is required' } }
+      });
+
+      await store.dispatch(toggleTask('1'));
+      const added = await store.dispatch(addTask({ title: '' }));
+
+      expect(selectNotifications(store.getState())).toEqual([
+        expect.objectContaining({
+          message: 'Failed to toggle task',
+          severity: 'error',
+          source: 'tasks/toggleTask',
+          httpStatus: 500,
+          requestId: 'srv-1',
+          duration: null,
+          action: {
+            label: 'Retry',
+            type: 'retry',
+            arg: { thunk: 'tasks/toggleTask', arg: '1' }
+          }
+        }),
+        expect.objectContaining({
+          message: 'Title is required',
+          source: 'tasks/addTask',
+          httpStatus: 422,
+          requestId: added.meta.requestId
+        })
+      ]);
+    });
+
+    test('reports unanswered requests as warnings', async () => {
+      const store = createStore();
+      apiClient.patch.mockRejectedValueOnce(new Error('Timeout'));
+
+      await store.dispatch(toggleTask('1'));
+
+      expect(selectNotifications(store.getState())[0]).toEqual(expect.objectContaining({
+        severity: 'warning',
+        httpStatus: null
+      }));
+    });
+
+    test('replaces the entry for a request that fails again', async () => {
+      const store = createStore();
+      apiClient.patch.mockRejectedValue({ response: { status: 500, data: {} } });
+
+      await store.dispatch(toggleTask('1'));
+      await store.dispatch(toggleTask('1'));
+      await store.dispatch(toggleTask('2'));
+
+      expect(selectNotifications(store.getState()).map((item) => item.action.arg.arg))
+        .toEqual(['1', '2']);
+    });
+
+    test('leaves conflicting edits to the caller handling them', async () => {
+      const store = createStore();
+      apiClient.put.mockRejectedValueOnce({
+        response: { status: 409, data: { task: { _id: '1', title: 'Theirs' } } }
+      });
+
+      await store.dispatch(updateTask({
+        id: '1',
+        taskData: { title: 'Mine' },
+        handlesConflict: true
+      }));
+
+      expect(selectNotifications(store.getState())).toEqual([]);
+    });
+
+    test('says when an edit lost to someone else\'s, without a retry', async () => {
+      const store = createStore();
+      apiClient.put.mockRejectedValueOnce({
+        response: { status: 409, data: { task: { _id: '1', title: 'Theirs' } } }
+      });
+
+      await store.dispatch(updateTask({ id: '1', taskData: { title: 'Mine' } }));
+
+      expect(selectNotifications(store.getState())).toEqual([expect.objectContaining({
+        message: 'This task was changed by someone else',
+        severity: 'warning',
+        action: null,
+        httpStatus: 409
+      })]);
+    });
+  });
+
+  describe('bulk actions', () => {
+    const createStore = () => configureStore({
+      reducer: {
+        tasks: tasksReducer,
+        notifications: notificationsReducer
+      },
+      preloadedState: {
+        tasks: tasksAdapter.setAll(tasksReducer(undefined, { type: 'init' }), [
+          { _id: '1', title: 'Drain node', completed: false },
+          { _id: '2', title: 'Rotate certs', completed: false },
+          { _id: '3', title: 'Bump chart', completed: false }
+        ])
+      }
+    });
+
+    test('confirms a batch that fully succeeded', async () => {
+      const store = createStore();
+      apiClient.put.mockImplementation((url, taskData) => Promise.resolve({
+        data: { _id: url.split('/').pop(), title: 'Task', ...taskData }
+      }));
+
+      await store.dispatch(bulkUpdateTasks({ action: 'complete', ids: ['1', '2'] }));
+
+      expect(selectNotifications(store.getState())).toEqual([
+        expect.objectContaining({ message: 'Completed 2 tasks', severity: 'success' })
+      ]);
+    });
+
+    test('leaves confirming deletes to their undo notice', async () => {
+      const store = createStore();
+      apiClient.delete.mockResolvedValue({});
+
+      await store.dispatch(bulkUpdateTasks({ action: 'delete', ids: ['1', '2'] }));
+
+      expect(selectNotifications(store.getState())).toEqual([]);
+    });
+
+    test('offers to undo archiving', async () => {
+      const store = createStore();
+      apiClient.put.mockImplementation((url, taskData) => Promise.resolve({
+        data: { _id: url.split('/').pop(), title: 'Task', ...taskData }
+      }));
+
+      await store.dispatch(bulkUpdateTasks({ action: 'archive', ids: ['1', '2'] }));
+      const [notification] = selectNotifications(store.getState());
+      expect(notification).toEqual(expect.objectContaining({
+        message: 'Archived 2 tasks',
+        action: { label: 'Undo', type: 'restoreTasks', arg: ['1', '2'] }
+      }));
+
+      await store.dispatch(runNotificationAction(notification));
+      expect(apiClient.put).toHaveBeenCalledWith('/tasks/1', { archived: false });
+      expect(apiClient.put).toHaveBeenCalledWith('/tasks/2', { archived: false });
+    });
+
+    test('lists the tasks that failed and retries only those', async () => {
+      const store = createStore();
+      apiClient.put
+        .mockResolvedValueOnce({ data: { _id: '1', title: 'Drain node', completed: true } })
+        .mockRejectedValueOnce({ response: { status: 409, data: { message: 'Task is locked' } } })
+        .mockRejectedValueOnce(new Error('Network Error'));
+
+      await store.dispatch(bulkUpdateTasks({ action: 'complete', ids: ['1', '2', '3'] }));
+
+      const [notification] = selectNotifications(store.getState());
+      expect(notification).toEqual(expect.objectContaining({
+        message: 'Couldn\'t complete 2 of 3 tasks',
+        severity: 'error',
+        duration: null,
+        source: 'tasks/bulkUpdateTasks',
+        action: {
+          label: 'Retry',
+          type: 'retry',
+          arg: {
+            thunk: 'tasks/bulkUpdateTasks',
+            arg: { action: 'complete', ids: ['2', '3'] }
+          }
+        },
+        failures: [
+          {
+            id: '2',
+            title: 'Rotate certs',
+            message: 'Task is locked',
+            httpStatus: 409
+          },
+          {
+            id: '3',
+            title: 'Bump chart',
+            message: 'Failed to complete task',
+            httpStatus: null
+          }
+        ]
+      }));
+    });
+  });
+});
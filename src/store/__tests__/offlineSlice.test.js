@@ -0,0 +1,93 @@
+import offlineReducer, {
+  connectionLost,
+  connectionRestored,
+  enqueueMutation,
+  dequeueMutation,
+  remapQueuedTaskId,
+  queueHydrated,
+  syncStarted,
+  syncFinished,
+  createTempId,
+  isTempId,
+  isNetworkError
+} from '../slices/offlineSlice';
+
+describe('offlineSlice', () => {
+  const initialState = {
+    isOnline: true,
+    queue: [],
+    syncing: false,
+    syncErrors: []
+  };
+
+  test('should return initial state', () => {
+    expect(offlineReducer(undefined, {})).toEqual(initialState);
+  });
+
+  test('should track connectivity', () => {
+    const offline = offlineReducer(initialState, connectionLost());
+    expect(offline.isOnline).toBe(false);
+    expect(offlineReducer(offline, connectionRestored()).isOnline).toBe(true);
+  });
+
+  test('should queue mutations in order', () => {
+    let state = offlineReducer(initialState, enqueueMutation({ kind: 'toggle', taskId: '1' }));
+    state = offlineReducer(state, enqueueMutation({
+      kind: 'update',
+      taskId: '2',
+      data: { title: 'New' }
+    }));
+
+    expect(state.queue.map((mutation) => mutation.kind)).toEqual(['toggle', 'update']);
+    expect(state.queue[1]).toEqual(expect.objectContaining({
+      id: expect.any(String),
+      taskId: '2',
+      data: { title: 'New' },
+      queuedAt: expect.any(String)
+    }));
+  });
+
+  test('should drop every queued mutation for a temp task that gets deleted', () => {
+    const tempId = createTempId();
+    let state = offlineReducer(initialState, enqueueMutation({ kind: 'add', taskId: tempId }));
+    state = offlineReducer(state, enqueueMutation({ kind: 'toggle', taskId: tempId }));
+    state = offlineReducer(state, enqueueMutation({ kind: 'toggle', taskId: '1' }));
+    state = offlineReducer(state, enqueueMutation({ kind: 'delete', taskId: tempId }));
+
+    expect(state.queue).toHaveLength(1);
+    expect(state.queue[0].taskId).toBe('1');
+  });
+
+  test('should dequeue and remap mutations', () => {
+    let state = offlineReducer(initialState, enqueueMutation({ kind: 'add', taskId: 'temp-a' }));
+    state = offlineReducer(state, enqueueMutation({ kind: 'toggle', taskId: 'temp-a' }));
+    state = offlineReducer(state, dequeueMutation(state.queue[0].id));
+    state = offlineReducer(state, remapQueuedTaskId({ tempId: 'temp-a', id: 'server-1' }));
+
+    expect(state.queue).toHaveLength(1);
+    expect(state.queue[0].taskId).toBe('server-1');
+  });
+
+  test('should hydrate the queue and record sync results', () => {
+    const queue = [{ id: 'q1', kind: 'delete', taskId: '1' }];
+    let state = offlineReducer(initialState, queueHydrated(queue));
+    state = offlineReducer(state, syncStarted());
+    expect(state.syncing).toBe(true);
+
+    state = offlineReducer(state, syncFinished(['Task not found']));
+    expect(state).toEqual({
+      isOnline: true,
+      queue,
+      syncing: false,
+      syncErrors: ['Task not found']
+    });
+  });
+
+  test('helpers recognise temp ids and network errors', () => {
+    expect(isTempId(createTempId())).toBe(true);
+    expect(isTempId('64f0c0ffee')).toBe(false);
+    expect(isNetworkError({ request: {}, message: 'Network Error' })).toBe(true);
+    expect(isNetworkError({ request: {}, response: { status: 500 } })).toBe(false);
+    expect(isNetworkError(new Error('boom'))).toBe(false);
+  });
+});
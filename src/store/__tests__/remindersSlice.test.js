@@ -0,0 +1,30 @@
+import remindersReducer, {
+  remindersToggled,
+  reminderLeadTimeChanged,
+  remindersHydrated
+} from '../slices/remindersSlice';
+
+describe('remindersSlice', () => {
+  const initialState = { enabled: false, leadMinutes: 15 };
+
+  test('should return initial state', () => {
+    expect(remindersReducer(undefined, {})).toEqual(initialState);
+  });
+
+  test('should toggle reminders', () => {
+    expect(remindersReducer(initialState, remindersToggled(true)).enabled).toBe(true);
+  });
+
+  test('should only accept known lead times', () => {
+    expect(remindersReducer(initialState, reminderLeadTimeChanged(60)).leadMinutes).toBe(60);
+    expect(remindersReducer(initialState, reminderLeadTimeChanged(7)).leadMinutes).toBe(15);
+  });
+
+  test('should hydrate saved settings', () => {
+    const state = remindersReducer(
+      initialState,
+      remindersHydrated({ enabled: true, leadMinutes: 5 })
+    );
+    expect(state).toEqual({ enabled: true, leadMinutes: 5 });
+  });
+});
@@ -1,4 +1,10 @@
 import { store } from '../store';
+import apiClient from '../../api/client';
+import { login, sessionExpired, sessionRestored } from '../slices/authSlice';
+import { tasksHydrated } from '../slices/tasksSlice';
+import { fetchLists, listSelected } from '../slices/listsSlice';
+import { enqueueMutation } from '../slices/offlineSlice';
+import { notificationAdded } from '../slices/notificationsSlice';
 
 describe('Store', () => {
   test('should have the correct initial state', () => {
@@ -6,8 +12,77 @@ describe('Store', () => {
     
     expect(state).toHaveProperty('tasks');
     expect(state.tasks).toEqual({
-      tasks: [],
-      loading: false,
+      ids: [],
+      entities: {},
+      status: {
+        fetch: 'idle',
+        add: 'idle',
+        hasFetched: false,
+        byId: {}
+      },
+      pagination: {
+        page: 1,
+        limit: 20,
+        hasMore: false,
+        nextCursor: null
+      },
+      error: null,
+      listId: null,
+      rollbacks: {},
+      scheduledDeletes: {}
+    });
+  });
+
+  test('should have filters reducer configured', () => {
+    expect(store.getState().filters).toEqual({
+      search: '',
+      status: 'all',
+      tag: '',
+      sortBy: 'createdAt',
+      sortOrder: 'desc',
+      groupBy: 'dueDate'
+    });
+  });
+
+  test('should have offline reducer configured', () => {
+    expect(store.getState().offline).toEqual({
+      isOnline: true,
+      queue: [],
+      syncing: false,
+      syncErrors: []
+    });
+  });
+
+  test('should have notifications reducer configured', () => {
+    expect(store.getState().notifications).toEqual({ items: [] });
+  });
+
+  test('should have reminders reducer configured', () => {
+    expect(store.getState().reminders).toEqual({ enabled: false, leadMinutes: 15 });
+  });
+
+  test('should have announcements reducer configured', () => {
+    expect(store.getState().announcements).toEqual({ message: '', id: 0 });
+  });
+
+  test('should have auth reducer configured', () => {
+    expect(store.getState().auth).toEqual({
+      user: null,
+      accessToken: null,
+      refreshToken: null,
+      expiresAt: null,
+      status: 'idle',
+      error: null,
+      sessionExpired: false
+    });
+  });
+
+  test('should have lists reducer configured', () => {
+    expect(store.getState().lists).toEqual({
+      ids: [],
+      entities: {},
+      selectedListId: null,
+      status: 'idle',
       error: null
     });
   });
@@ -22,12 +97,46 @@ describe('Store', () => {
   test('should be able to dispatch actions', () => {
     const initialState = store.getState();
     
-    // Dispatch a clearError action
-    store.dispatch({ type: 'tasks/clearError' });
+    // Dispatch a notificationsCleared action
+    store.dispatch({ type: 'notifications/notificationsCleared' });
     
     const newState = store.getState();
     expect(newState).toBeDefined();
     expect(newState.tasks).toBeDefined();
   });
+
+  test('carries none of an expired session\'s data over to the next user', async () => {
+    store.dispatch(sessionRestored({
+      user: { id: 'u1', name: 'Ada Lovelace', email: 'ada@example.com' },
+      accessToken: 'access-1',
+      refreshToken: 'refresh-1',
+      expiresAt: null
+    }));
+    apiClient.get.mockResolvedValueOnce({ data: [{ _id: 'sprint', name: 'Sprint 42', position: 0 }] });
+    await store.dispatch(fetchLists());
+    store.dispatch(listSelected('sprint'));
+    store.dispatch(tasksHydrated([{ _id: '1', title: 'Rotate certs', completed: false }]));
+    store.dispatch(enqueueMutation({ kind: 'toggle', taskId: '1' }));
+    store.dispatch(notificationAdded({ message: 'Task completed' }));
+
+    store.dispatch(sessionExpired());
+    apiClient.post.mockResolvedValueOnce({
+      data: {
+        user: { id: 'u2', name: 'Grace Hopper', email: 'grace@example.com' },
+        accessToken: 'access-2',
+        refreshToken: 'refresh-2'
+      }
+    });
+    await store.dispatch(login({ email: 'grace@example.com', password: 'secret' }));
+
+    const state = store.getState();
+    expect(state.auth.user.id).toBe('u2');
+    expect(state.tasks.ids).toEqual([]);
+    expect(state.tasks.listId).toBeNull();
+    expect(state.lists.ids).toEqual([]);
+    expect(state.lists.selectedListId).toBeNull();
+    expect(state.offline.queue).toEqual([]);
+    expect(state.notifications.items).toEqual([]);
+  });
 });
 
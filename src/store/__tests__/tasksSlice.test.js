@@ -1,17 +1,38 @@
 import tasksReducer, { 
   fetchTasks, 
+  fetchMoreTasks,
   addTask, 
   updateTask, 
   toggleTask, 
   deleteTask, 
-  clearError 
+  tasksHydrated,
+  taskIdReplaced,
+  taskSynced,
+  deletionScheduled,
+  deletionCancelled,
+  subtasksChanged,
+  selectTaskStatus,
+  selectIsInitialLoading,
+  selectAllTasks,
+  selectTaskById,
+  selectPendingTasks,
+  selectCompletedTasks,
+  selectTaskCounts,
+  selectTagCounts,
+  selectManualOrder,
+  renameTag,
+  moveTask,
+  bulkUpdateTasks,
+  remoteTasksChanged,
+  remoteTasksRemoved,
+  tasksAdapter
 } from '../slices/tasksSlice';
-import axios from 'axios';
+import listsReducer, { deleteList, listSelected } from '../slices/listsSlice';
 import { configureStore } from '@reduxjs/toolkit';
+import apiClient from '../../api/client';
 
-// Mock axios
-jest.mock('axios');
-const mockedAxios = axios;
+// axios is mapped to src/__mocks__/axios.js, whose create() returns the mock itself
+const mockedAxios = apiClient;
 
 // Create a mock store for testing
 const createMockStore = () => {
@@ -24,33 +45,106 @@ const createMockStore = () => {
 
 describe('tasksSlice', () => {
   const initialState = {
-    tasks: [],
-    loading: false,
-    error: null
+    ids: [],
+    entities: {},
+    status: {
+      fetch: 'idle',
+      add: 'idle',
+      hasFetched: false,
+      byId: {}
+    },
+    pagination: {
+      page: 1,
+      limit: 20,
+      hasMore: false,
+      nextCursor: null
+    },
+    error: null,
+    listId: null,
+    rollbacks: {},
+    scheduledDeletes: {}
   };
 
+  // Builds slice state holding the given tasks, in order
+  const withTasks = (tasks) => ({
+    ...initialState,
+    ...tasksAdapter.setAll(tasksAdapter.getInitialState(), tasks)
+  });
+
+  // Reads the tasks back out of slice state, in order
+  const tasksOf = (state) => state.ids.map((id) => state.entities[id]);
+
+  const page = (tasks, extra = {}) => ({
+    tasks,
+    page: 1,
+    hasMore: false,
+    nextCursor: null,
+    ...extra
+  });
+  // Fetches for all tasks, no list selected
+  const fetchPending = { type: fetchTasks.pending.type, meta: { listId: null } };
+
   describe('reducers', () => {
     test('should return initial state', () => {
       expect(tasksReducer(undefined, {})).toEqual(initialState);
     });
 
-    test('should handle clearError', () => {
-      const stateWithError = {
-        ...initialState,
-        error: 'Some error message'
-      };
+    test('should hydrate cached tasks only before the first fetch', () => {
+      const cached = [{ _id: '1', title: 'Cached', completed: false }];
+      const hydrated = tasksReducer(initialState, tasksHydrated(cached));
+      expect(tasksOf(hydrated)).toEqual(cached);
 
-      const newState = tasksReducer(stateWithError, clearError());
-      expect(newState.error).toBeNull();
+      const fetched = { ...initialState, status: { ...initialState.status, hasFetched: true } };
+      expect(tasksOf(tasksReducer(fetched, tasksHydrated(cached)))).toEqual([]);
+    });
+
+    test('should replace a temp task with the saved one in place', () => {
+      const state = withTasks([
+        { _id: '1', title: 'First' },
+        { _id: 'temp-a', title: 'Offline', pendingSync: true }
+      ]);
+      const saved = { _id: 'server-a', title: 'Offline' };
+      const newState = tasksReducer(state, taskIdReplaced({ tempId: 'temp-a', task: saved }));
+
+      expect(newState.ids).toEqual(['1', 'server-a']);
+      expect(newState.entities['server-a']).toEqual(saved);
+    });
+
+    test('should apply synced tasks only when they are still loaded', () => {
+      const state = withTasks([{ _id: '1', title: 'Local', pendingSync: true }]);
+
+      expect(tasksReducer(state, taskSynced({ _id: '1', title: 'Server' })).entities['1'])
+        .toEqual({ _id: '1', title: 'Server' });
+      expect(tasksReducer(state, taskSynced({ _id: '2', title: 'Gone' })).ids).toEqual(['1']);
+    });
+
+    test('should replace a task checklist locally', () => {
+      const subtasks = [{ id: 'a', title: 'Step', completed: true }];
+      const state = tasksReducer(withTasks([{ _id: '1', title: 'First' }]), subtasksChanged({ id: '1', subtasks }));
+
+      expect(state.entities['1'].subtasks).toEqual(subtasks);
+    });
+
+    test('should hide a task while its delete can be undone', () => {
+      const state = withTasks([{ _id: '1', title: 'First' }, { _id: '2', title: 'Second' }]);
+      const scheduled = tasksReducer(state, deletionScheduled('1'));
+
+      expect(scheduled.ids).toEqual(['2']);
+      expect(scheduled.scheduledDeletes['1'])
+        .toEqual({ task: { _id: '1', title: 'First' }, index: 0 });
+
+      const cancelled = tasksReducer(scheduled, deletionCancelled('1'));
+      expect(cancelled.ids).toEqual(['1', '2']);
+      expect(cancelled.scheduledDeletes).toEqual({});
     });
   });
 
   describe('fetchTasks', () => {
     test('should handle fetchTasks.pending', () => {
-      const action = { type: fetchTasks.pending.type };
+      const action = fetchPending;
       const newState = tasksReducer(initialState, action);
       
-      expect(newState.loading).toBe(true);
+      expect(newState.status.fetch).toBe('pending');
       expect(newState.error).toBeNull();
     });
 
@@ -59,25 +153,87 @@ describe('tasksSlice', () => {
         { _id: '1', title: 'Task 1', completed: false },
         { _id: '2', title: 'Task 2', completed: true }
       ];
-      const action = { 
-        type: fetchTasks.fulfilled.type, 
-        payload: tasks 
+      const action = {
+        type: fetchTasks.fulfilled.type,
+        payload: page(tasks, { hasMore: true, nextCursor: 'abc' }),
+        meta: { arg: undefined, listId: null }
       };
       const newState = tasksReducer(initialState, action);
-      
-      expect(newState.loading).toBe(false);
-      expect(newState.tasks).toEqual(tasks);
+
+      expect(newState.status.fetch).toBe('succeeded');
+      expect(newState.status.hasFetched).toBe(true);
+      expect(tasksOf(newState)).toEqual(tasks);
+      expect(newState.pagination).toEqual({
+        page: 1,
+        limit: 20,
+        hasMore: true,
+        nextCursor: 'abc'
+      });
+    });
+
+    test('should append later pages without duplicates', () => {
+      const stateWithTasks = withTasks([
+        { _id: '9', title: 'Added locally', completed: false },
+        { _id: '1', title: 'Task 1', completed: false }
+      ]);
+      const action = {
+        type: fetchTasks.fulfilled.type,
+        payload: page([
+          { _id: '9', title: 'Added locally (server)', completed: false },
+          { _id: '2', title: 'Task 2', completed: false }
+        ], { page: 2 }),
+        meta: { arg: { page: 2, limit: 2 }, listId: null }
+      };
+      const newState = tasksReducer(stateWithTasks, action);
+
+      expect(tasksOf(newState).map((task) => task._id)).toEqual(['9', '1', '2']);
+      expect(tasksOf(newState)[0].title).toBe('Added locally (server)');
+      expect(newState.pagination.limit).toBe(2);
+    });
+
+    test('should keep unsynced local changes when the first page is refetched', () => {
+      const stateWithTasks = withTasks([
+        { _id: 'temp-1', title: 'Offline task', completed: false, pendingSync: true },
+        { _id: '1', title: 'Renamed offline', completed: false, pendingSync: true }
+      ]);
+      const action = {
+        type: fetchTasks.fulfilled.type,
+        payload: page([
+          { _id: '1', title: 'Server title', completed: false },
+          { _id: '2', title: 'Task 2', completed: false }
+        ]),
+        meta: { listId: null }
+      };
+      const newState = tasksReducer(stateWithTasks, action);
+
+      expect(newState.ids).toEqual(['temp-1', '1', '2']);
+      expect(newState.entities['1'].title).toBe('Renamed offline');
+    });
+
+    test('should replace the list when the first page is refetched', () => {
+      const stateWithTasks = withTasks([{ _id: '1', title: 'Stale', completed: false }]);
+      const action = {
+        type: fetchTasks.fulfilled.type,
+        payload: page([{ _id: '2', title: 'Fresh', completed: false }]),
+        meta: { arg: { page: 1 }, listId: null }
+      };
+
+      expect(tasksOf(tasksReducer(stateWithTasks, action))).toEqual([
+        { _id: '2', title: 'Fresh', completed: false }
+      ]);
     });
 
     test('should handle fetchTasks.rejected', () => {
       const error = 'Failed to fetch tasks';
       const action = { 
         type: fetchTasks.rejected.type, 
-        payload: error 
+        payload: error,
+        meta: { listId: null }
       };
       const newState = tasksReducer(initialState, action);
       
-      expect(newState.loading).toBe(false);
+      expect(newState.status.fetch).toBe('failed');
+      expect(newState.status.hasFetched).toBe(false);
       expect(newState.error).toBe(error);
     });
   });
@@ -87,7 +243,7 @@ describe('tasksSlice', () => {
       const action = { type: addTask.pending.type };
       const newState = tasksReducer(initialState, action);
       
-      expect(newState.loading).toBe(true);
+      expect(newState.status.add).toBe('pending');
       expect(newState.error).toBeNull();
     });
 
@@ -95,10 +251,7 @@ describe('tasksSlice', () => {
       const existingTasks = [
         { _id: '1', title: 'Existing Task', completed: false }
       ];
-      const stateWithTasks = {
-        ...initialState,
-        tasks: existingTasks
-      };
+      const stateWithTasks = withTasks(existingTasks);
       
       const newTask = { _id: '2', title: 'New Task', completed: false };
       const action = { 
@@ -107,10 +260,22 @@ describe('tasksSlice', () => {
       };
       const newState = tasksReducer(stateWithTasks, action);
       
-      expect(newState.loading).toBe(false);
-      expect(newState.tasks).toHaveLength(2);
-      expect(newState.tasks[0]).toEqual(newTask); // Should be added to beginning
-      expect(newState.tasks[1]).toEqual(existingTasks[0]);
+      expect(newState.status.add).toBe('succeeded');
+      expect(tasksOf(newState)).toHaveLength(2);
+      expect(tasksOf(newState)[0]).toEqual(newTask); // Should be added to beginning
+      expect(tasksOf(newState)[1]).toEqual(existingTasks[0]);
+    });
+
+    test('should not duplicate a task that is already loaded', () => {
+      const task = { _id: '1', title: 'Task', completed: false };
+      const stateWithTasks = withTasks([{ _id: '2', title: 'Other', completed: false }, task]);
+      const action = {
+        type: addTask.fulfilled.type,
+        payload: task
+      };
+      const newState = tasksReducer(stateWithTasks, action);
+
+      expect(tasksOf(newState).map((item) => item._id)).toEqual(['1', '2']);
     });
 
     test('should handle addTask.rejected', () => {
@@ -121,17 +286,20 @@ describe('tasksSlice', () => {
       };
       const newState = tasksReducer(initialState, action);
       
-      expect(newState.loading).toBe(false);
-      expect(newState.error).toBe(error);
+      expect(newState.status.add).toBe('failed');
+      // Mutation failures are reported by the notification center
+      expect(newState.error).toBeNull();
     });
   });
 
   describe('updateTask', () => {
+    const meta = { requestId: 'req-1', arg: { id: '1', taskData: {} } };
+
     test('should handle updateTask.pending', () => {
-      const action = { type: updateTask.pending.type };
+      const action = { type: updateTask.pending.type, meta };
       const newState = tasksReducer(initialState, action);
-      
-      expect(newState.loading).toBe(true);
+
+      expect(newState.status.byId['1']).toEqual({ updating: true });
       expect(newState.error).toBeNull();
     });
 
@@ -140,120 +308,393 @@ describe('tasksSlice', () => {
         { _id: '1', title: 'Original Task', completed: false },
         { _id: '2', title: 'Another Task', completed: false }
       ];
-      const stateWithTasks = {
-        ...initialState,
-        tasks: existingTasks
-      };
+      const stateWithTasks = withTasks(existingTasks);
       
       const updatedTask = { _id: '1', title: 'Updated Task', completed: true };
       const action = { 
         type: updateTask.fulfilled.type, 
-        payload: updatedTask 
+        payload: updatedTask,
+        meta
       };
       const newState = tasksReducer(stateWithTasks, action);
-      
-      expect(newState.loading).toBe(false);
-      expect(newState.tasks[0]).toEqual(updatedTask);
-      expect(newState.tasks[1]).toEqual(existingTasks[1]); // Unchanged
+
+      expect(newState.status.byId).toEqual({});
+      expect(tasksOf(newState)[0]).toEqual(updatedTask);
+      expect(tasksOf(newState)[1]).toEqual(existingTasks[1]); // Unchanged
     });
 
     test('should handle updateTask.rejected', () => {
       const error = 'Failed to update task';
       const action = { 
         type: updateTask.rejected.type, 
-        payload: error 
+        payload: error,
+        meta
       };
       const newState = tasksReducer(initialState, action);
-      
-      expect(newState.loading).toBe(false);
-      expect(newState.error).toBe(error);
+
+      expect(newState.status.byId).toEqual({});
+      expect(newState.error).toBeNull();
+    });
+
+    describe('conflicts', () => {
+      const task = {
+        _id: '1',
+        title: 'Original Task',
+        completed: false,
+        updatedAt: '2024-05-01T10:00:00.000Z'
+      };
+      const theirs = { ...task, title: 'Their Task', updatedAt: '2024-05-01T11:00:00.000Z' };
+      const createStoreWith = (tasks) => configureStore({
+        reducer: { tasks: tasksReducer },
+        preloadedState: { tasks: withTasks(tasks) }
+      });
+
+      test('sends the version the change was made against', async () => {
+        const store = createStoreWith([task]);
+        mockedAxios.put.mockResolvedValue({ data: task });
+
+        await store.dispatch(updateTask({ id: '1', taskData: { title: 'Mine' } }));
+        await store.dispatch(updateTask({
+          id: '1',
+          taskData: { title: 'Mine' },
+          baseUpdatedAt: '2024-04-30T00:00:00.000Z'
+        }));
+
+        expect(mockedAxios.put).toHaveBeenNthCalledWith(1, '/tasks/1', { title: 'Mine' }, {
+          headers: { 'If-Match': '"2024-05-01T10:00:00.000Z"' }
+        });
+        expect(mockedAxios.put).toHaveBeenNthCalledWith(2, '/tasks/1', { title: 'Mine' }, {
+          headers: { 'If-Match': '"2024-04-30T00:00:00.000Z"' }
+        });
+      });
+
+      test('sends overlapping updates one after another, each against the last saved', async () => {
+        const store = createStoreWith([task]);
+        let resolveFirst;
+        mockedAxios.put
+          .mockReturnValueOnce(new Promise((resolve) => {
+            resolveFirst = resolve;
+          }))
+          .mockResolvedValueOnce({ data: { ...task, position: 2, updatedAt: 'third' } });
+
+        const first = store.dispatch(updateTask({ id: '1', taskData: { position: 1 } }));
+        const second = store.dispatch(updateTask({ id: '1', taskData: { position: 2 } }));
+        await Promise.resolve();
+        expect(mockedAxios.put).toHaveBeenCalledTimes(1);
+
+        resolveFirst({ data: { ...task, position: 1, updatedAt: 'second' } });
+        const results = await Promise.all([first, second]);
+
+        expect(results.map((result) => result.type))
+          .toEqual([updateTask.fulfilled.type, updateTask.fulfilled.type]);
+        expect(mockedAxios.put).toHaveBeenLastCalledWith('/tasks/1', { position: 2 }, {
+          headers: { 'If-Match': '"second"' }
+        });
+        expect(selectTaskById(store.getState(), '1').updatedAt).toBe('third');
+      });
+
+      test('sends no version for tasks only changed locally', async () => {
+        const store = createStoreWith([{ ...task, pendingSync: true }]);
+        mockedAxios.put.mockResolvedValue({ data: task });
+
+        await store.dispatch(updateTask({ id: '1', taskData: { title: 'Mine' } }));
+
+        expect(mockedAxios.put).toHaveBeenCalledWith('/tasks/1', { title: 'Mine' });
+      });
+
+      test.each([409, 412])('rejects a %s with the server\'s copy of the task', async (status) => {
+        const store = createStoreWith([task]);
+        mockedAxios.put.mockRejectedValue({ response: { status, data: { task: theirs } } });
+
+        const result = await store.dispatch(updateTask({ id: '1', taskData: { title: 'Mine' } }));
+
+        expect(result.payload).toBe('This task was changed by someone else');
+        expect(result.meta).toEqual(expect.objectContaining({
+          httpStatus: status,
+          serverTask: theirs
+        }));
+        expect(selectTaskById(store.getState(), '1')).toEqual(theirs);
+        expect(mockedAxios.get).not.toHaveBeenCalled();
+      });
+
+      test('fetches the server\'s copy when the conflict response lacks it', async () => {
+        const store = createStoreWith([task]);
+        mockedAxios.put.mockRejectedValue({
+          response: { status: 412, data: { message: 'Precondition failed' } }
+        });
+        mockedAxios.get.mockResolvedValue({ data: theirs });
+
+        const result = await store.dispatch(updateTask({ id: '1', taskData: { title: 'Mine' } }));
+
+        expect(mockedAxios.get).toHaveBeenCalledWith('/tasks/1');
+        expect(result.payload).toBe('Precondition failed');
+        expect(result.meta.serverTask).toEqual(theirs);
+      });
+
+      test('rejects as a plain failure when the server\'s copy can\'t be fetched', async () => {
+        const store = createStoreWith([task]);
+        mockedAxios.put.mockRejectedValue({ response: { status: 409, data: {} } });
+        mockedAxios.get.mockRejectedValue({ response: { status: 500, data: {} } });
+
+        const result = await store.dispatch(updateTask({ id: '1', taskData: { title: 'Mine' } }));
+
+        expect(result.payload).toBe('Failed to update task');
+        expect(result.meta.serverTask).toBeUndefined();
+        expect(selectTaskById(store.getState(), '1')).toEqual(task);
+      });
     });
   });
 
   describe('toggleTask', () => {
-    test('should handle toggleTask.pending', () => {
-      const action = { type: toggleTask.pending.type };
-      const newState = tasksReducer(initialState, action);
-      
-      expect(newState.loading).toBe(true);
+    const existingTasks = [
+      { _id: '1', title: 'Task 1', completed: false },
+      { _id: '2', title: 'Task 2', completed: true }
+    ];
+    const stateWithTasks = withTasks(existingTasks);
+    const meta = { requestId: 'req-1', arg: '1' };
+
+    test('should optimistically flip completed on toggleTask.pending', () => {
+      const action = { type: toggleTask.pending.type, meta };
+      const newState = tasksReducer(stateWithTasks, action);
+
+      expect(newState.status.byId['1']).toEqual({ toggling: true });
       expect(newState.error).toBeNull();
+      expect(tasksOf(newState)[0].completed).toBe(true);
+      expect(tasksOf(newState)[1]).toEqual(existingTasks[1]); // Unchanged
+      expect(newState.rollbacks['req-1']).toEqual({ id: '1', completed: false });
     });
 
     test('should handle toggleTask.fulfilled', () => {
-      const existingTasks = [
-        { _id: '1', title: 'Task 1', completed: false },
-        { _id: '2', title: 'Task 2', completed: true }
-      ];
-      const stateWithTasks = {
-        ...initialState,
-        tasks: existingTasks
-      };
-      
-      const toggledTask = { _id: '1', title: 'Task 1', completed: true };
-      const action = { 
-        type: toggleTask.fulfilled.type, 
-        payload: toggledTask 
+      const pendingState = tasksReducer(stateWithTasks, { type: toggleTask.pending.type, meta });
+
+      const toggledTask = { _id: '1', title: 'Task 1', completed: true, updatedAt: 'now' };
+      const action = {
+        type: toggleTask.fulfilled.type,
+        payload: toggledTask,
+        meta
       };
-      const newState = tasksReducer(stateWithTasks, action);
-      
-      expect(newState.loading).toBe(false);
-      expect(newState.tasks[0]).toEqual(toggledTask);
-      expect(newState.tasks[1]).toEqual(existingTasks[1]); // Unchanged
+      const newState = tasksReducer(pendingState, action);
+
+      expect(newState.status.byId).toEqual({});
+      expect(tasksOf(newState)[0]).toEqual(toggledTask);
+      expect(tasksOf(newState)[1]).toEqual(existingTasks[1]); // Unchanged
+      expect(newState.rollbacks).toEqual({});
     });
 
-    test('should handle toggleTask.rejected', () => {
+    test('should roll back on toggleTask.rejected', () => {
       const error = 'Failed to toggle task';
-      const action = { 
-        type: toggleTask.rejected.type, 
-        payload: error 
+      const pendingState = tasksReducer(stateWithTasks, { type: toggleTask.pending.type, meta });
+
+      const action = {
+        type: toggleTask.rejected.type,
+        payload: error,
+        meta
       };
-      const newState = tasksReducer(initialState, action);
-      
-      expect(newState.loading).toBe(false);
-      expect(newState.error).toBe(error);
+      const newState = tasksReducer(pendingState, action);
+
+      expect(newState.status.byId).toEqual({});
+      expect(newState.error).toBeNull();
+      expect(tasksOf(newState)).toEqual(existingTasks);
+      expect(newState.rollbacks).toEqual({});
+    });
+
+    test('should only roll back the rejected request', () => {
+      const first = { requestId: 'req-1', arg: '1' };
+      const second = { requestId: 'req-2', arg: '2' };
+      let state = tasksReducer(stateWithTasks, { type: toggleTask.pending.type, meta: first });
+      state = tasksReducer(state, { type: toggleTask.pending.type, meta: second });
+      state = tasksReducer(state, { type: toggleTask.rejected.type, payload: 'error', meta: second });
+
+      expect(tasksOf(state)[0].completed).toBe(true);
+      expect(tasksOf(state)[1].completed).toBe(true);
+      expect(state.rollbacks).toEqual({ 'req-1': { id: '1', completed: false } });
     });
   });
 
   describe('deleteTask', () => {
-    test('should handle deleteTask.pending', () => {
-      const action = { type: deleteTask.pending.type };
-      const newState = tasksReducer(initialState, action);
-      
-      expect(newState.loading).toBe(true);
+    const existingTasks = [
+      { _id: '1', title: 'Task 1', completed: false },
+      { _id: '2', title: 'Task 2', completed: true }
+    ];
+    const stateWithTasks = withTasks(existingTasks);
+    const meta = { requestId: 'req-1', arg: '1' };
+
+    test('should optimistically remove the task on deleteTask.pending', () => {
+      const action = { type: deleteTask.pending.type, meta };
+      const newState = tasksReducer(stateWithTasks, action);
+
+      expect(newState.status.byId['1']).toEqual({ deleting: true });
       expect(newState.error).toBeNull();
+      expect(tasksOf(newState)).toEqual([existingTasks[1]]);
+      expect(newState.rollbacks['req-1']).toEqual({ task: existingTasks[0], index: 0 });
     });
 
     test('should handle deleteTask.fulfilled', () => {
-      const existingTasks = [
+      const pendingState = tasksReducer(stateWithTasks, { type: deleteTask.pending.type, meta });
+
+      const action = {
+        type: deleteTask.fulfilled.type,
+        payload: '1', // Task ID to delete
+        meta
+      };
+      const newState = tasksReducer(pendingState, action);
+
+      expect(newState.status.byId).toEqual({});
+      expect(tasksOf(newState)).toHaveLength(1);
+      expect(tasksOf(newState)[0]).toEqual(existingTasks[1]); // Only remaining task
+      expect(newState.rollbacks).toEqual({});
+    });
+
+    test('should restore the task at its position on deleteTask.rejected', () => {
+      const error = 'Failed to delete task';
+      const pendingState = tasksReducer(stateWithTasks, { type: deleteTask.pending.type, meta });
+
+      const action = {
+        type: deleteTask.rejected.type,
+        payload: error,
+        meta
+      };
+      const newState = tasksReducer(pendingState, action);
+
+      expect(newState.status.byId).toEqual({});
+      expect(newState.error).toBeNull();
+      expect(tasksOf(newState)).toEqual(existingTasks);
+      expect(newState.rollbacks).toEqual({});
+    });
+
+    test('should restore a scheduled delete if the request fails', () => {
+      const scheduled = tasksReducer(stateWithTasks, deletionScheduled('1'));
+      const pendingState = tasksReducer(scheduled, { type: deleteTask.pending.type, meta });
+      expect(pendingState.scheduledDeletes).toEqual({});
+
+      const newState = tasksReducer(pendingState, {
+        type: deleteTask.rejected.type,
+        payload: 'Failed to delete task',
+        meta
+      });
+      expect(tasksOf(newState)).toEqual(existingTasks);
+    });
+  });
+
+  describe('per-task status', () => {
+    test('tracks concurrent operations on the same task independently', () => {
+      let state = tasksReducer(initialState, {
+        type: updateTask.pending.type,
+        meta: { requestId: 'a', arg: { id: '1', taskData: {} } }
+      });
+      state = tasksReducer(state, {
+        type: toggleTask.pending.type,
+        meta: { requestId: 'b', arg: '1' }
+      });
+
+      expect(state.status.byId['1']).toEqual({ updating: true, toggling: true });
+
+      state = tasksReducer(state, {
+        type: toggleTask.rejected.type,
+        payload: 'error',
+        meta: { requestId: 'b', arg: '1' }
+      });
+
+      expect(state.status.byId['1']).toEqual({ updating: true });
+    });
+
+    test('entity selectors read tasks by id and by completion', () => {
+      const tasks = [
         { _id: '1', title: 'Task 1', completed: false },
-        { _id: '2', title: 'Task 2', completed: true }
+        { _id: '2', title: 'Task 2', completed: true },
+        { _id: '3', title: 'Task 3', completed: false }
       ];
-      const stateWithTasks = {
-        ...initialState,
-        tasks: existingTasks
+      const rootState = { tasks: withTasks(tasks) };
+
+      expect(selectAllTasks(rootState)).toEqual(tasks);
+      expect(selectTaskById(rootState, '2')).toEqual(tasks[1]);
+      expect(selectPendingTasks(rootState)).toEqual([tasks[0], tasks[2]]);
+      expect(selectCompletedTasks(rootState)).toEqual([tasks[1]]);
+      expect(selectTaskCounts(rootState)).toEqual({
+        pending: 2,
+        completed: 1,
+        total: 3,
+        highPriorityPending: 0
+      });
+    });
+
+    test('selectTaskCounts counts pending high and urgent tasks', () => {
+      const rootState = {
+        tasks: withTasks([
+          { _id: '1', title: 'Task 1', completed: false, priority: 'urgent' },
+          { _id: '2', title: 'Task 2', completed: false, priority: 'high' },
+          { _id: '3', title: 'Task 3', completed: true, priority: 'high' },
+          { _id: '4', title: 'Task 4', completed: false }
+        ])
       };
-      
-      const action = { 
-        type: deleteTask.fulfilled.type, 
-        payload: '1' // Task ID to delete
+
+      expect(selectTaskCounts(rootState).highPriorityPending).toBe(2);
+    });
+
+    test('selectTaskCounts and selectTagCounts leave archived tasks out', () => {
+      const rootState = {
+        tasks: withTasks([
+          { _id: '1', title: 'Task 1', completed: true },
+          {
+            _id: '2',
+            title: 'Task 2',
+            completed: true,
+            archived: true,
+            tags: ['old']
+          }
+        ])
       };
-      const newState = tasksReducer(stateWithTasks, action);
-      
-      expect(newState.loading).toBe(false);
-      expect(newState.tasks).toHaveLength(1);
-      expect(newState.tasks[0]).toEqual(existingTasks[1]); // Only remaining task
+
+      expect(selectTaskCounts(rootState)).toEqual(expect.objectContaining({
+        completed: 1,
+        total: 1
+      }));
+      expect(selectTagCounts(rootState)).toEqual([]);
     });
 
-    test('should handle deleteTask.rejected', () => {
-      const error = 'Failed to delete task';
-      const action = { 
-        type: deleteTask.rejected.type, 
-        payload: error 
+    test('selectTagCounts counts tasks per tag alphabetically', () => {
+      const rootState = {
+        tasks: withTasks([
+          { _id: '1', title: 'Task 1', tags: ['k8s', 'infra'] },
+          { _id: '2', title: 'Task 2', tags: ['frontend', 'k8s'] },
+          { _id: '3', title: 'Task 3' }
+        ])
       };
-      const newState = tasksReducer(initialState, action);
-      
-      expect(newState.loading).toBe(false);
-      expect(newState.error).toBe(error);
+
+      expect(selectTagCounts(rootState)).toEqual([
+        { tag: 'frontend', count: 1 },
+        { tag: 'infra', count: 1 },
+        { tag: 'k8s', count: 2 }
+      ]);
+    });
+
+    test('derived selectors are memoized across unrelated changes', () => {
+      const rootState = { tasks: withTasks([{ _id: '1', title: 'Task 1', completed: false }]) };
+      const afterStatusChange = {
+        tasks: tasksReducer(rootState.tasks, fetchPending)
+      };
+
+      expect(selectPendingTasks(afterStatusChange)).toBe(selectPendingTasks(rootState));
+      expect(selectTaskCounts(afterStatusChange)).toBe(selectTaskCounts(rootState));
+    });
+
+    test('selectTaskStatus returns an empty status for idle tasks', () => {
+      const rootState = { tasks: initialState };
+
+      expect(selectTaskStatus(rootState, '1')).toEqual({});
+    });
+
+    test('selectIsInitialLoading is only true before the first successful fetch', () => {
+      let state = tasksReducer(initialState, fetchPending);
+      expect(selectIsInitialLoading({ tasks: state })).toBe(true);
+
+      state = tasksReducer(state, {
+        type: fetchTasks.fulfilled.type,
+        payload: page([]),
+        meta: { listId: null }
+      });
+      state = tasksReducer(state, fetchPending);
+      expect(selectIsInitialLoading({ tasks: state })).toBe(false);
     });
   });
 
@@ -319,6 +760,24 @@ describe('tasksSlice', () => {
       expect(result.payload).toBe(errorMessage);
     });
 
+    test('keeps the HTTP status and server request id on the rejected action', async () => {
+      mockedAxios.patch.mockRejectedValueOnce({
+        response: {
+          status: 503,
+          headers: { 'x-request-id': 'srv-42' },
+          data: { message: 'Maintenance' }
+        }
+      });
+
+      const result = await store.dispatch(toggleTask('1'));
+
+      expect(result.payload).toBe('Maintenance');
+      expect(result.meta).toEqual(expect.objectContaining({
+        httpStatus: 503,
+        serverRequestId: 'srv-42'
+      }));
+    });
+
     test('fetchTasks should handle API error without response message', async () => {
       mockedAxios.get.mockRejectedValueOnce(new Error('Network error'));
 
@@ -447,4 +906,393 @@ describe('tasksSlice', () => {
       expect(result.payload).toBe('Failed to delete task');
     });
   });
+
+  describe('pagination', () => {
+    let store;
+
+    beforeEach(() => {
+      store = createMockStore();
+      mockedAxios.get.mockReset();
+    });
+
+    test('fetchTasks requests the first page and accepts an unpaginated array', async () => {
+      mockedAxios.get.mockResolvedValueOnce({ data: [{ _id: '1', title: 'Task 1' }] });
+
+      await store.dispatch(fetchTasks());
+
+      expect(mockedAxios.get).toHaveBeenCalledWith('/tasks', { params: { page: 1, limit: 20 } });
+      expect(selectAllTasks(store.getState())).toEqual([{ _id: '1', title: 'Task 1' }]);
+      expect(store.getState().tasks.pagination.hasMore).toBe(false);
+    });
+
+    test('fetchMoreTasks follows the cursor returned by the server', async () => {
+      mockedAxios.get
+        .mockResolvedValueOnce({
+          data: { tasks: [{ _id: '1' }], hasMore: true, nextCursor: 'c1' }
+        })
+        .mockResolvedValueOnce({
+          data: { tasks: [{ _id: '2' }], hasMore: false, nextCursor: null }
+        });
+
+      await store.dispatch(fetchTasks());
+      await store.dispatch(fetchMoreTasks());
+
+      expect(mockedAxios.get).toHaveBeenLastCalledWith('/tasks', {
+        params: { cursor: 'c1', limit: 20 }
+      });
+      expect(selectAllTasks(store.getState())).toEqual([{ _id: '1' }, { _id: '2' }]);
+      expect(store.getState().tasks.pagination).toEqual({
+        page: 2,
+        limit: 20,
+        hasMore: false,
+        nextCursor: null
+      });
+    });
+
+    test('fetchMoreTasks does nothing when there are no more pages', async () => {
+      const result = store.dispatch(fetchMoreTasks());
+
+      expect(result).toBeNull();
+      expect(mockedAxios.get).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('renameTag', () => {
+    test('updates every task carrying the tag, merging duplicates', async () => {
+      const store = configureStore({
+        reducer: { tasks: tasksReducer },
+        preloadedState: {
+          tasks: withTasks([
+            { _id: '1', title: 'Task 1', tags: ['fe', 'frontend'] },
+            { _id: '2', title: 'Task 2', tags: ['fe'] },
+            { _id: '3', title: 'Task 3', tags: ['k8s'] }
+          ])
+        }
+      });
+      mockedAxios.put.mockImplementation((url, taskData) => Promise.resolve({
+        data: { _id: url.split('/').pop(), title: 'Updated', ...taskData }
+      }));
+
+      await store.dispatch(renameTag({ from: 'fe', to: 'Frontend' }));
+
+      expect(mockedAxios.put).toHaveBeenCalledTimes(2);
+      expect(mockedAxios.put).toHaveBeenCalledWith('/tasks/1', { tags: ['frontend'] });
+      expect(mockedAxios.put).toHaveBeenCalledWith('/tasks/2', { tags: ['frontend'] });
+      expect(selectTagCounts(store.getState())).toEqual([
+        { tag: 'frontend', count: 2 },
+        { tag: 'k8s', count: 1 }
+      ]);
+    });
+
+    test('does nothing when the name does not change', async () => {
+      const store = configureStore({
+        reducer: { tasks: tasksReducer },
+        preloadedState: { tasks: withTasks([{ _id: '1', title: 'Task 1', tags: ['fe'] }]) }
+      });
+
+      await store.dispatch(renameTag({ from: 'fe', to: ' FE ' }));
+
+      expect(mockedAxios.put).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('moveTask', () => {
+    const createStoreWith = (tasks) => configureStore({
+      reducer: { tasks: tasksReducer },
+      preloadedState: { tasks: withTasks(tasks) }
+    });
+    const manualIds = (store) => selectManualOrder(store.getState()).map((task) => task._id);
+
+    const savePositions = () => mockedAxios.put.mockImplementation((url, taskData) => (
+      Promise.resolve({ data: { _id: url.split('/').pop(), title: 'Updated', ...taskData } })
+    ));
+
+    test('saves only the moved task, placed between its new neighbours', async () => {
+      const store = createStoreWith([
+        { _id: '1', title: 'Task 1', position: 0 },
+        { _id: '2', title: 'Task 2', position: 1 },
+        { _id: '3', title: 'Task 3', position: 2 },
+        { _id: '4', title: 'Done', completed: true }
+      ]);
+      savePositions();
+
+      await store.dispatch(moveTask({ id: '3', toId: '2' }));
+
+      expect(manualIds(store)).toEqual(['1', '3', '2']);
+      expect(mockedAxios.put).toHaveBeenCalledTimes(1);
+      expect(mockedAxios.put).toHaveBeenCalledWith('/tasks/3', { position: 0.5 });
+    });
+
+    test('places a task moved to either end past its neighbour', async () => {
+      const store = createStoreWith([
+        { _id: '1', title: 'Task 1', position: 0 },
+        { _id: '2', title: 'Task 2', position: 1 },
+        { _id: '3', title: 'Task 3', position: 2 }
+      ]);
+      savePositions();
+
+      await store.dispatch(moveTask({ id: '3', toId: '1' }));
+      await store.dispatch(moveTask({ id: '1', toId: '2' }));
+
+      expect(manualIds(store)).toEqual(['3', '2', '1']);
+      expect(mockedAxios.put).toHaveBeenCalledTimes(2);
+      expect(mockedAxios.put).toHaveBeenCalledWith('/tasks/3', { position: -1 });
+      expect(mockedAxios.put).toHaveBeenCalledWith('/tasks/1', { position: 2 });
+    });
+
+    test('moves tasks right away and puts back positions that fail to save', async () => {
+      const store = createStoreWith([
+        { _id: '1', title: 'Task 1', position: 0 },
+        { _id: '2', title: 'Task 2' }
+      ]);
+      let rejectSave;
+      mockedAxios.put.mockReturnValueOnce(new Promise((_resolve, reject) => {
+        rejectSave = reject;
+      }));
+      expect(manualIds(store)).toEqual(['2', '1']);
+
+      const moving = store.dispatch(moveTask({ id: '1', toId: '2' }));
+      expect(manualIds(store)).toEqual(['1', '2']);
+      expect(mockedAxios.put).toHaveBeenCalledWith('/tasks/2', { position: 1 });
+
+      rejectSave({ response: { status: 500, data: {} } });
+      await moving;
+
+      expect(selectTaskById(store.getState(), '2').position).toBeUndefined();
+      expect(manualIds(store)).toEqual(['2', '1']);
+    });
+  });
+
+  describe('bulkUpdateTasks', () => {
+    const createStoreWith = (tasks) => configureStore({
+      reducer: { tasks: tasksReducer },
+      preloadedState: { tasks: withTasks(tasks) }
+    });
+    const tasks = [
+      {
+        _id: '1',
+        title: 'Task 1',
+        completed: false,
+        tags: ['k8s']
+      },
+      { _id: '2', title: 'Task 2', completed: true },
+      { _id: '3', title: 'Task 3', completed: false }
+    ];
+
+    test('only sends requests for tasks the action changes', async () => {
+      const store = createStoreWith(tasks);
+      mockedAxios.put.mockImplementation((url, taskData) => Promise.resolve({
+        data: { ...tasks.find((task) => url.endsWith(task._id)), ...taskData }
+      }));
+
+      await store.dispatch(bulkUpdateTasks({ action: 'tag', ids: ['1', '2'], tag: 'K8s' }));
+      await store.dispatch(bulkUpdateTasks({ action: 'complete', ids: ['1', '2', '3'] }));
+
+      expect(mockedAxios.put).toHaveBeenCalledTimes(3);
+      expect(mockedAxios.put).toHaveBeenCalledWith('/tasks/2', { tags: ['k8s'] });
+      expect(mockedAxios.put).toHaveBeenCalledWith('/tasks/1', { completed: true });
+      expect(mockedAxios.put).toHaveBeenCalledWith('/tasks/3', { completed: true });
+      expect(selectCompletedTasks(store.getState())).toHaveLength(3);
+    });
+
+    test('reports failures per task and applies the rest', async () => {
+      const store = createStoreWith(tasks);
+      mockedAxios.delete
+        .mockResolvedValueOnce({})
+        .mockRejectedValueOnce({ response: { status: 500, data: {} } });
+
+      const promise = store.dispatch(bulkUpdateTasks({ action: 'delete', ids: ['1', '3'] }));
+      expect(selectTaskStatus(store.getState(), '3')).toEqual({ deleting: true });
+      const result = await promise;
+
+      expect(result.type).toBe('tasks/bulkUpdateTasks/fulfilled');
+      expect(result.payload).toEqual({
+        tasks: [],
+        deletedIds: ['1'],
+        failures: [{
+          id: '3',
+          title: 'Task 3',
+          message: 'Failed to delete task',
+          httpStatus: 500
+        }]
+      });
+      expect(selectAllTasks(store.getState()).map((task) => task._id)).toEqual(['2', '3']);
+      expect(selectTaskStatus(store.getState(), '3')).toEqual({});
+    });
+
+    test('skips blank tags', async () => {
+      const store = createStoreWith(tasks);
+
+      const result = await store.dispatch(bulkUpdateTasks({ action: 'tag', ids: ['1'], tag: ' ' }));
+
+      expect(result.meta.condition).toBe(true);
+      expect(mockedAxios.put).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('remote changes', () => {
+    const tasks = [
+      { _id: '1', title: 'Task 1', completed: false },
+      {
+        _id: '2',
+        title: 'Task 2',
+        completed: false,
+        pendingSync: true
+      }
+    ];
+
+    test('adds new tasks to the top and updates known ones', () => {
+      const state = tasksReducer(withTasks(tasks), remoteTasksChanged([
+        { _id: '3', title: 'Task 3', completed: false },
+        { _id: '1', title: 'Task 1', completed: true }
+      ]));
+
+      expect(state.ids).toEqual(['3', '1', '2']);
+      expect(state.entities['1'].completed).toBe(true);
+    });
+
+    test('leaves tasks with unsynced local changes alone', () => {
+      const state = tasksReducer(withTasks(tasks), remoteTasksChanged([
+        { _id: '2', title: 'Server title', completed: false }
+      ]));
+
+      expect(state.entities['2']).toEqual(tasks[1]);
+    });
+
+    test('removes deleted tasks, including ones waiting to be deleted here', () => {
+      const scheduled = tasksReducer(withTasks(tasks), deletionScheduled('1'));
+
+      const state = tasksReducer(scheduled, remoteTasksRemoved(['1', '2']));
+
+      expect(state.ids).toEqual([]);
+      expect(state.scheduledDeletes).toEqual({});
+    });
+  });
+
+  describe('task lists', () => {
+    const listTasks = [
+      {
+        _id: '1',
+        title: 'Plan sprint',
+        completed: false,
+        listId: 'sprint'
+      },
+      {
+        _id: '2',
+        title: 'Migrate etcd',
+        completed: true,
+        listId: 'cluster'
+      },
+      { _id: '3', title: 'Buy milk', completed: false }
+    ];
+    const createStoreWith = (selectedListId) => configureStore({
+      reducer: { tasks: tasksReducer, lists: listsReducer },
+      preloadedState: {
+        tasks: withTasks(listTasks),
+        lists: { ...listsReducer(undefined, { type: 'init' }), selectedListId }
+      }
+    });
+
+    test('fetches the tasks of the selected list', async () => {
+      const store = createStoreWith('sprint');
+      mockedAxios.get.mockResolvedValueOnce({ data: [] });
+
+      await store.dispatch(fetchTasks());
+
+      expect(mockedAxios.get).toHaveBeenCalledWith('/tasks', {
+        params: { page: 1, limit: 20, listId: 'sprint' }
+      });
+    });
+
+    test('drops a late answer for a list that is no longer selected', async () => {
+      const store = createStoreWith('sprint');
+      const answers = {};
+      mockedAxios.get.mockImplementation((url, { params }) => new Promise((resolve, reject) => {
+        answers[params.listId] = { resolve, reject };
+      }));
+
+      const sprintFetch = store.dispatch(fetchTasks());
+      store.dispatch(listSelected('cluster'));
+      const clusterFetch = store.dispatch(fetchTasks());
+      answers.cluster.resolve({ data: [listTasks[1]] });
+      await clusterFetch;
+      answers.sprint.resolve({ data: [listTasks[0], { ...listTasks[0], _id: '4' }] });
+      await sprintFetch;
+
+      expect(store.getState().tasks.ids).toEqual(['2']);
+      expect(selectTaskCounts(store.getState()).total).toBe(1);
+    });
+
+    test('ignores a late failure for a list that is no longer selected', async () => {
+      const store = createStoreWith('sprint');
+      const answers = {};
+      mockedAxios.get.mockImplementation((url, { params }) => new Promise((resolve, reject) => {
+        answers[params.listId] = { resolve, reject };
+      }));
+
+      const sprintFetch = store.dispatch(fetchTasks());
+      store.dispatch(listSelected('cluster'));
+      const clusterFetch = store.dispatch(fetchTasks());
+      answers.cluster.resolve({ data: [listTasks[1]] });
+      await clusterFetch;
+      answers.sprint.reject({ response: { status: 500, data: {} } });
+      await sprintFetch;
+
+      expect(store.getState().tasks.status.fetch).toBe('succeeded');
+      expect(store.getState().tasks.error).toBeNull();
+    });
+
+    test('adds new tasks to the selected list unless told otherwise', async () => {
+      const store = createStoreWith('sprint');
+      mockedAxios.post.mockResolvedValue({ data: { _id: '4', title: 'Retro' } });
+
+      await store.dispatch(addTask({ title: 'Retro' }));
+      await store.dispatch(addTask({ title: 'Groceries', listId: null }));
+
+      expect(mockedAxios.post).toHaveBeenCalledWith('/tasks', { listId: 'sprint', title: 'Retro' });
+      expect(mockedAxios.post).toHaveBeenCalledWith('/tasks', { title: 'Groceries', listId: null });
+    });
+
+    test('only shows and counts the selected list\'s tasks', () => {
+      const store = createStoreWith('sprint');
+
+      expect(selectPendingTasks(store.getState()).map((task) => task._id)).toEqual(['1']);
+      expect(selectTaskCounts(store.getState()).total).toBe(1);
+
+      store.dispatch(listSelected(null));
+      expect(selectTaskCounts(store.getState()).total).toBe(3);
+    });
+
+    test('drops a task moved to another list from the view', async () => {
+      const store = createStoreWith('sprint');
+      mockedAxios.put.mockResolvedValueOnce({ data: { ...listTasks[0], listId: 'cluster' } });
+
+      await store.dispatch(updateTask({ id: '1', taskData: { listId: 'cluster' } }));
+
+      expect(selectPendingTasks(store.getState())).toEqual([]);
+      expect(selectTaskById(store.getState(), '1').listId).toBe('cluster');
+    });
+
+    test('starts over from the first page when another list is selected', () => {
+      const fetched = {
+        ...withTasks(listTasks),
+        status: { ...initialState.status, fetch: 'succeeded', hasFetched: true },
+        pagination: { ...initialState.pagination, page: 3, hasMore: true }
+      };
+
+      const state = tasksReducer(fetched, listSelected('cluster'));
+
+      expect(state.status.hasFetched).toBe(false);
+      expect(state.pagination).toEqual(initialState.pagination);
+      expect(state.ids).toEqual(['1', '2', '3']);
+    });
+
+    test('removes the tasks of a deleted list', () => {
+      const action = { type: deleteList.fulfilled.type, payload: 'cluster' };
+
+      const state = tasksReducer(withTasks(listTasks), action);
+
+      expect(state.ids).toEqual(['1', '3']);
+    });
+  });
 });
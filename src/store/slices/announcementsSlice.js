@@ -0,0 +1,53 @@
+import { createSlice } from '@reduxjs/toolkit';
+import {
+  addTask,
+  deleteTask,
+  deletionScheduled,
+  toggleTask
+} from './tasksSlice';
+
+// Screen reader announcements for add/delete/toggle results, read out by the
+// polite live region in src/components/Announcer. `id` changes on every
+// announcement so repeating the same message is read again.
+const announce = (state, message) => {
+  state.message = message;
+  state.id += 1;
+};
+
+const announcementsSlice = createSlice({
+  name: 'announcements',
+  initialState: {
+    message: '',
+    id: 0
+  },
+  reducers: {},
+  extraReducers: (builder) => {
+    builder
+      .addCase(addTask.fulfilled, (state, action) => {
+        announce(state, `Added task ${action.payload.title}`);
+      })
+      .addCase(addTask.rejected, (state) => {
+        announce(state, 'Couldn\'t add the task');
+      })
+      .addCase(toggleTask.fulfilled, (state, action) => {
+        const { completed, title } = action.payload;
+        announce(state, `${completed ? 'Completed' : 'Reopened'} task ${title}`);
+      })
+      .addCase(toggleTask.rejected, (state) => {
+        announce(state, 'Couldn\'t update the task');
+      })
+      // Deletes are announced when the task disappears, not when the undo
+      // window closes and the request goes out
+      .addCase(deletionScheduled, (state) => {
+        announce(state, 'Task deleted');
+      })
+      .addCase(deleteTask.rejected, (state) => {
+        announce(state, 'Couldn\'t delete the task');
+      });
+  }
+});
+
+// Selectors
+export const selectAnnouncement = (state) => state.announcements;
+
+export default announcementsSlice.reducer;
@@ -0,0 +1,172 @@
+import { createSlice, createAsyncThunk, isAnyOf } from '@reduxjs/toolkit';
+import apiClient from '../../api/client';
+
+// The auth endpoints answer with { user, accessToken, refreshToken, expiresIn },
+// `expiresIn` being the access token's lifetime in seconds. /auth/refresh may
+// leave out the user and the refresh token, which then stay as they were.
+const toSession = (data) => ({
+  user: data.user,
+  accessToken: data.accessToken,
+  refreshToken: data.refreshToken,
+  expiresAt: data.expiresIn ? Date.now() + data.expiresIn * 1000 : null
+});
+
+const rejectAuthRequest = (rejectWithValue, error, fallbackMessage) => rejectWithValue(
+  error.response?.data?.message || fallbackMessage,
+  { httpStatus: error.response?.status ?? null }
+);
+
+export const login = createAsyncThunk(
+  'auth/login',
+  async ({ email, password }, { rejectWithValue }) => {
+    try {
+      return toSession((await apiClient.post('/auth/login', { email, password })).data);
+    } catch (error) {
+      return rejectAuthRequest(rejectWithValue, error, 'Couldn\'t log in');
+    }
+  }
+);
+
+export const register = createAsyncThunk(
+  'auth/register',
+  async ({ name, email, password }, { rejectWithValue }) => {
+    try {
+      const response = await apiClient.post('/auth/register', { name, email, password });
+      return toSession(response.data);
+    } catch (error) {
+      return rejectAuthRequest(rejectWithValue, error, 'Couldn\'t create the account');
+    }
+  }
+);
+
+// Trades the refresh token for a new access token. Run by src/auth before the
+// access token runs out and when a request comes back 401.
+export const refreshSession = createAsyncThunk(
+  'auth/refreshSession',
+  async (_, { getState, rejectWithValue }) => {
+    try {
+      const { refreshToken } = getState().auth;
+      return toSession((await apiClient.post('/auth/refresh', { refreshToken })).data);
+    } catch (error) {
+      return rejectAuthRequest(rejectWithValue, error, 'Couldn\'t refresh the session');
+    }
+  },
+  {
+    condition: (_, { getState }) => Boolean(getState().auth.refreshToken)
+  }
+);
+
+// Always ends the session here; telling the server to revoke the refresh
+// token is best effort. Tasks, lists, notifications and queued offline changes
+// are dropped with it (see isSessionEnded), as they belong to the user logging out.
+export const logout = createAsyncThunk(
+  'auth/logout',
+  async (_, { getState }) => {
+    const { refreshToken } = getState().auth;
+    try {
+      if (refreshToken) {
+        await apiClient.post('/auth/logout', { refreshToken });
+      }
+    } catch (error) {
+      // The session ends here either way
+    }
+  }
+);
+
+const startSession = (state, action) => {
+  state.status = 'idle';
+  state.error = null;
+  state.sessionExpired = false;
+  state.user = action.payload.user;
+  state.accessToken = action.payload.accessToken;
+  state.refreshToken = action.payload.refreshToken;
+  state.expiresAt = action.payload.expiresAt;
+};
+
+const endSession = (state, { expired }) => {
+  state.user = null;
+  state.accessToken = null;
+  state.refreshToken = null;
+  state.expiresAt = null;
+  state.sessionExpired = expired;
+};
+
+const authSlice = createSlice({
+  name: 'auth',
+  initialState: {
+    user: null,
+    accessToken: null,
+    refreshToken: null,
+    // When the access token runs out, in ms since the epoch; null if unknown
+    expiresAt: null,
+    // Login / register request: 'idle' | 'pending'
+    status: 'idle',
+    // Why the last login or register failed
+    error: null,
+    // Set when the server ended the session, so the login screen can say so
+    sessionExpired: false
+  },
+  reducers: {
+    // Restores the session persisted by src/auth
+    sessionRestored: (state, action) => {
+      startSession(state, action);
+    },
+    // The server turned the session down (401) and it couldn't be refreshed
+    sessionExpired: (state) => {
+      endSession(state, { expired: true });
+    }
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(login.pending, (state) => {
+        state.status = 'pending';
+        state.error = null;
+      })
+      .addCase(login.fulfilled, startSession)
+      .addCase(login.rejected, (state, action) => {
+        state.status = 'idle';
+        state.error = action.payload;
+      })
+      .addCase(register.pending, (state) => {
+        state.status = 'pending';
+        state.error = null;
+      })
+      .addCase(register.fulfilled, startSession)
+      .addCase(register.rejected, (state, action) => {
+        state.status = 'idle';
+        state.error = action.payload;
+      })
+      .addCase(refreshSession.fulfilled, (state, action) => {
+        state.accessToken = action.payload.accessToken;
+        state.refreshToken = action.payload.refreshToken || state.refreshToken;
+        state.user = action.payload.user || state.user;
+        state.expiresAt = action.payload.expiresAt;
+      })
+      .addCase(refreshSession.rejected, (state, action) => {
+        // Unanswered refreshes are tried again later; refused ones end the session
+        if (action.meta.httpStatus) {
+          endSession(state, { expired: true });
+        }
+      })
+      .addCase(logout.fulfilled, (state) => {
+        endSession(state, { expired: false });
+      });
+  }
+});
+
+// Selectors
+export const selectAuth = (state) => state.auth;
+export const selectCurrentUser = (state) => state.auth.user;
+export const selectIsAuthenticated = (state) => Boolean(state.auth.accessToken);
+
+export const { sessionRestored, sessionExpired } = authSlice.actions;
+
+// Matches every way a session ends: logging out, the server expiring it, or a
+// refused refresh. The slices holding the user's data reset on it so none of
+// it carries over to whoever logs in next.
+export const isSessionEnded = isAnyOf(
+  logout.fulfilled,
+  sessionExpired,
+  (action) => refreshSession.rejected.match(action) && Boolean(action.meta.httpStatus)
+);
+export default authSlice.reducer;
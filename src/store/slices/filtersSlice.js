@@ -0,0 +1,150 @@
+import { createSlice, createSelector } from '@reduxjs/toolkit';
+import { selectListTasks } from './tasksSlice';
+import { getDueStatus } from '../../utils/dueDates';
+import { getPriority, getPriorityRank } from '../../utils/priority';
+import { getTags } from '../../utils/tags';
+import { comparePositions } from '../../utils/ordering';
+
+// 'archived' switches the list to the archived tasks
+export const STATUS_FILTERS = ['all', 'pending', 'completed', 'archived'];
+// 'position' is the manual drag-and-drop order
+export const SORT_FIELDS = ['createdAt', 'updatedAt', 'title', 'priority', 'position'];
+export const SORT_ORDERS = ['asc', 'desc'];
+export const GROUP_BY_OPTIONS = ['dueDate', 'priority'];
+
+export const defaultFilters = {
+  search: '',
+  status: 'all',
+  tag: '',
+  sortBy: 'createdAt',
+  sortOrder: 'desc',
+  groupBy: 'dueDate'
+};
+
+const filtersSlice = createSlice({
+  name: 'filters',
+  initialState: defaultFilters,
+  reducers: {
+    setSearch: (state, action) => {
+      state.search = action.payload;
+    },
+    setStatusFilter: (state, action) => {
+      if (STATUS_FILTERS.includes(action.payload)) {
+        state.status = action.payload;
+      }
+    },
+    // '' shows every task
+    setTagFilter: (state, action) => {
+      state.tag = action.payload || '';
+    },
+    setSort: (state, action) => {
+      const { sortBy, sortOrder } = action.payload;
+      if (SORT_FIELDS.includes(sortBy)) {
+        state.sortBy = sortBy;
+      }
+      if (SORT_ORDERS.includes(sortOrder)) {
+        state.sortOrder = sortOrder;
+      }
+    },
+    setGroupBy: (state, action) => {
+      if (GROUP_BY_OPTIONS.includes(action.payload)) {
+        state.groupBy = action.payload;
+      }
+    },
+    // Replaces the whole filter state, e.g. when restoring it from the URL
+    setFilters: (_state, action) => ({ ...defaultFilters, ...action.payload }),
+    resetFilters: () => defaultFilters
+  }
+});
+
+const compareValues = (a, b, sortBy) => {
+  if (sortBy === 'title') {
+    return (a.title || '').localeCompare(b.title || '', undefined, { sensitivity: 'base' });
+  }
+  if (sortBy === 'priority') {
+    return getPriorityRank(a) - getPriorityRank(b);
+  }
+  if (sortBy === 'position') {
+    return comparePositions(a, b);
+  }
+  return (Date.parse(a[sortBy]) || 0) - (Date.parse(b[sortBy]) || 0);
+};
+
+// Selectors
+export const selectFilters = (state) => state.filters;
+
+export const selectFilteredTasks = createSelector(
+  [selectListTasks, selectFilters],
+  (tasks, {
+    search,
+    status,
+    tag,
+    sortBy,
+    sortOrder
+  }) => {
+    const query = search.trim().toLowerCase();
+    // The manual order has no direction
+    const direction = sortOrder === 'asc' || sortBy === 'position' ? 1 : -1;
+
+    return tasks
+      .filter((task) => {
+        if (Boolean(task.archived) !== (status === 'archived')) return false;
+        if (status === 'pending' && task.completed) return false;
+        if (status === 'completed' && !task.completed) return false;
+        if (tag && !getTags(task).includes(tag)) return false;
+        if (!query) return true;
+        return `${task.title || ''} ${task.description || ''}`.toLowerCase().includes(query);
+      })
+      .sort((a, b) => direction * compareValues(a, b, sortBy));
+  }
+);
+
+// Section keys of the list, in display order, for each grouping. Grouped by
+// due date, pending tasks without one stay in `pending`. `archived` is only
+// filled in the archived view.
+export const TASK_SECTIONS = {
+  dueDate: ['overdue', 'today', 'upcoming', 'pending', 'completed', 'archived'],
+  priority: ['urgent', 'high', 'medium', 'low', 'completed', 'archived']
+};
+
+// Visible tasks split into the sections of the current grouping.
+// Pass `now` so the due-date grouping moves along with the clock.
+export const selectVisibleTaskSections = createSelector(
+  [selectFilteredTasks, (state) => state.filters.groupBy, (_state, now) => now],
+  (tasks, groupBy, now = Date.now()) => {
+    const byPriority = groupBy === 'priority';
+    const sections = Object.fromEntries(
+      TASK_SECTIONS[byPriority ? 'priority' : 'dueDate'].map((key) => [key, []])
+    );
+    tasks.forEach((task) => {
+      if (task.archived) {
+        sections.archived.push(task);
+      } else if (task.completed) {
+        sections.completed.push(task);
+      } else if (byPriority) {
+        sections[getPriority(task)].push(task);
+      } else {
+        sections[getDueStatus(task, now) || 'pending'].push(task);
+      }
+    });
+    return sections;
+  }
+);
+
+export const selectHasActiveFilters = createSelector(
+  [selectFilters],
+  (filters) => filters.search.trim() !== ''
+    || filters.status !== defaultFilters.status
+    || filters.tag !== defaultFilters.tag
+);
+
+export const {
+  setSearch,
+  setStatusFilter,
+  setTagFilter,
+  setSort,
+  setGroupBy,
+  setFilters,
+  resetFilters
+} = filtersSlice.actions;
+export default filtersSlice.reducer;
@@ -0,0 +1,197 @@
+import {
+  createSlice,
+  createAsyncThunk,
+  createEntityAdapter,
+  createSelector,
+  isPending,
+  isRejected
+} from '@reduxjs/toolkit';
+import apiClient from '../../api/client';
+import { comparePositions, getMoveChanges, getPosition } from '../../utils/ordering';
+import { isSessionEnded } from './authSlice';
+
+// Named lists tasks are sorted into ({ _id, name, position }); tasks point at
+// theirs with `listId`. With no list selected every task is shown.
+
+const rejectListRequest = (rejectWithValue, error, fallbackMessage) => rejectWithValue(
+  error.response?.data?.message || fallbackMessage,
+  { httpStatus: error.response?.status ?? null }
+);
+
+// Lists in their sidebar order
+export const listsAdapter = createEntityAdapter({
+  selectId: (list) => list._id,
+  sortComparer: comparePositions
+});
+
+const initialState = listsAdapter.getInitialState({
+  selectedListId: null,
+  // 'idle' | 'pending' | 'succeeded' | 'failed', for fetchLists
+  status: 'idle',
+  // Why the last list request failed, shown in the sidebar
+  error: null
+});
+
+// Selectors. The lists slice is optional like `offline`: without it there
+// are no lists and all tasks are shown.
+const selectListsState = (state) => state.lists ?? initialState;
+
+export const {
+  selectAll: selectAllLists,
+  selectById: selectListById
+} = listsAdapter.getSelectors(selectListsState);
+
+export const selectSelectedListId = (state) => selectListsState(state).selectedListId;
+
+export const selectSelectedList = createSelector(
+  [selectListsState],
+  (lists) => lists.entities[lists.selectedListId] || null
+);
+
+export const selectListsError = (state) => selectListsState(state).error;
+
+export const fetchLists = createAsyncThunk(
+  'lists/fetchLists',
+  async (_, { rejectWithValue }) => {
+    try {
+      return (await apiClient.get('/lists')).data;
+    } catch (error) {
+      return rejectListRequest(rejectWithValue, error, 'Couldn\'t load your lists');
+    }
+  }
+);
+
+// New lists go to the bottom of the sidebar
+export const createList = createAsyncThunk(
+  'lists/createList',
+  async (name, { getState, rejectWithValue }) => {
+    const positions = selectAllLists(getState()).map(getPosition).filter((p) => p !== null);
+    const position = positions.length > 0 ? Math.max(...positions) + 1 : 0;
+    try {
+      return (await apiClient.post('/lists', { name, position })).data;
+    } catch (error) {
+      return rejectListRequest(rejectWithValue, error, 'Couldn\'t create the list');
+    }
+  }
+);
+
+// Saves a rename or a new position
+export const updateList = createAsyncThunk(
+  'lists/updateList',
+  async ({ id, changes }, { rejectWithValue }) => {
+    try {
+      return (await apiClient.put(`/lists/${id}`, changes)).data;
+    } catch (error) {
+      return rejectListRequest(rejectWithValue, error, 'Couldn\'t save the list');
+    }
+  }
+);
+
+// The server deletes the list's tasks with it
+export const deleteList = createAsyncThunk(
+  'lists/deleteList',
+  async (id, { rejectWithValue }) => {
+    try {
+      await apiClient.delete(`/lists/${id}`);
+      return id;
+    } catch (error) {
+      return rejectListRequest(rejectWithValue, error, 'Couldn\'t delete the list');
+    }
+  }
+);
+
+const listsSlice = createSlice({
+  name: 'lists',
+  initialState,
+  reducers: {
+    // null selects all tasks
+    listSelected: (state, action) => {
+      state.selectedListId = action.payload;
+    },
+    // Local reorder: [{ id, position }]
+    listPositionsChanged: (state, action) => {
+      listsAdapter.updateMany(state, action.payload.map(({ id, position }) => ({
+        id,
+        changes: { position }
+      })));
+    },
+    listsErrorDismissed: (state) => {
+      state.error = null;
+    }
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(fetchLists.pending, (state) => {
+        state.status = 'pending';
+      })
+      .addCase(fetchLists.fulfilled, (state, action) => {
+        state.status = 'succeeded';
+        listsAdapter.setAll(state, action.payload);
+        // The selected list may have been deleted elsewhere
+        if (!state.entities[state.selectedListId]) {
+          state.selectedListId = null;
+        }
+      })
+      .addCase(fetchLists.rejected, (state, action) => {
+        state.status = 'failed';
+        state.error = action.payload;
+      })
+      .addCase(createList.fulfilled, (state, action) => {
+        listsAdapter.addOne(state, action.payload);
+      })
+      .addCase(updateList.fulfilled, (state, action) => {
+        listsAdapter.setOne(state, action.payload);
+      })
+      // Deleting the selected list goes back to all tasks
+      .addCase(deleteList.fulfilled, (state, action) => {
+        listsAdapter.removeOne(state, action.payload);
+        if (state.selectedListId === action.payload) {
+          state.selectedListId = null;
+        }
+      })
+      .addMatcher(isPending(fetchLists, createList, updateList, deleteList), (state) => {
+        state.error = null;
+      })
+      .addMatcher(isRejected(createList, updateList, deleteList), (state, action) => {
+        state.error = action.payload;
+      })
+      // The lists belong to the user whose session ended
+      .addMatcher(isSessionEnded, () => initialState);
+  }
+});
+
+// Moves a list `offset` places up (negative) or down the sidebar, placing
+// only what has to be (see getMoveChanges). The positions change locally right
+// away and positions whose update fails are put back.
+export const moveList = ({ id, offset }) => async (dispatch, getState) => {
+  const ordered = selectAllLists(getState());
+  const from = ordered.findIndex((list) => list._id === id);
+  const to = from + offset;
+  if (from === -1 || to < 0 || to >= ordered.length) {
+    return [];
+  }
+
+  const changes = getMoveChanges(ordered, from, to);
+  dispatch(listsSlice.actions.listPositionsChanged(
+    changes.map((change) => ({ id: change.id, position: change.position }))
+  ));
+
+  const results = await Promise.all(changes.map((change) => dispatch(updateList({
+    id: change.id,
+    changes: { position: change.position }
+  }))));
+  const failed = changes.filter((_change, index) => updateList.rejected.match(results[index]));
+  if (failed.length > 0) {
+    dispatch(listsSlice.actions.listPositionsChanged(
+      failed.map((change) => ({ id: change.id, position: change.previous }))
+    ));
+  }
+  return results;
+};
+
+export const {
+  listSelected,
+  listPositionsChanged,
+  listsErrorDismissed
+} = listsSlice.actions;
+export default listsSlice.reducer;
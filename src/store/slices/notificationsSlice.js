@@ -0,0 +1,164 @@
+import { createSlice, isRejected, nanoid } from '@reduxjs/toolkit';
+import {
+  fetchTasks,
+  addTask,
+  updateTask,
+  toggleTask,
+  deleteTask,
+  bulkUpdateTasks
+} from './tasksSlice';
+import { isSessionEnded } from './authSlice';
+
+export const DEFAULT_NOTIFICATION_DURATION_MS = 5000;
+
+const isTaskRequestRejected = isRejected(fetchTasks, addTask, updateTask, toggleTask, deleteTask);
+
+// Turns `tasks/toggleTask/rejected` into `tasks/toggleTask`
+const sourceOf = (action) => action.type.slice(0, -'/rejected'.length);
+
+const createNotification = ({
+  message,
+  severity = 'info',
+  action = null,
+  duration = DEFAULT_NOTIFICATION_DURATION_MS,
+  source = null,
+  httpStatus = null,
+  requestId = null,
+  failures = []
+}) => ({
+  id: nanoid(),
+  message,
+  severity,
+  action,
+  duration,
+  source,
+  httpStatus,
+  requestId,
+  // Per-task errors of a bulk action: [{ id, title, message, httpStatus }]
+  failures,
+  createdAt: new Date().toISOString()
+});
+
+const BULK_VERBS = {
+  complete: ['Completed', 'complete'],
+  reopen: ['Reopened', 'reopen'],
+  archive: ['Archived', 'archive'],
+  restore: ['Restored', 'restore'],
+  delete: ['Deleted', 'delete'],
+  tag: ['Tagged', 'tag']
+};
+
+const pluralizeTasks = (count) => `${count} ${count === 1 ? 'task' : 'tasks'}`;
+
+const isSameRetry = (item, retry) => item.action?.type === 'retry'
+  && item.action.arg.thunk === retry.thunk
+  && JSON.stringify(item.action.arg.arg) === JSON.stringify(retry.arg);
+
+const notificationsSlice = createSlice({
+  name: 'notifications',
+  initialState: {
+    items: []
+  },
+  reducers: {
+    // `action` is a serializable descriptor run by src/notifications/actions,
+    // e.g. { label: 'Undo', type: 'undoToggle', arg: { id, completed } }
+    notificationAdded: {
+      reducer: (state, action) => {
+        state.items.push(action.payload);
+      },
+      prepare: (notification) => ({ payload: createNotification(notification) })
+    },
+    notificationDismissed: (state, action) => {
+      state.items = state.items.filter((item) => item.id !== action.payload);
+    },
+    notificationsCleared: (state) => {
+      state.items = [];
+    }
+  },
+  extraReducers: (builder) => {
+    builder.addCase(bulkUpdateTasks.fulfilled, (state, action) => {
+      const { tasks, deletedIds, failures } = action.payload;
+      const [done, verb] = BULK_VERBS[action.meta.arg.action];
+      const succeeded = tasks.length + deletedIds.length;
+      if (failures.length === 0) {
+        // Deletes were announced, with an Undo, when they were scheduled
+        if (succeeded > 0 && action.meta.arg.action !== 'delete') {
+          const archivedIds = tasks.filter((task) => task.archived).map((task) => task._id);
+          state.items.push(createNotification({
+            message: `${done} ${pluralizeTasks(succeeded)}`,
+            severity: 'success',
+            action: action.meta.arg.action === 'archive'
+              ? { label: 'Undo', type: 'restoreTasks', arg: archivedIds }
+              : null
+          }));
+        }
+        return;
+      }
+
+      // Only the tasks that failed are retried
+      const retry = {
+        thunk: bulkUpdateTasks.typePrefix,
+        arg: { ...action.meta.arg, ids: failures.map((failure) => failure.id) }
+      };
+      state.items.push(createNotification({
+        message: `Couldn't ${verb} ${failures.length} of ${pluralizeTasks(succeeded + failures.length)}`,
+        severity: failures.some((failure) => failure.httpStatus) ? 'error' : 'warning',
+        action: { label: 'Retry', type: 'retry', arg: retry },
+        duration: null,
+        source: retry.thunk,
+        failures
+      }));
+    });
+
+    builder.addMatcher(isTaskRequestRejected, (state, action) => {
+      // Thunks skipped by their condition never reached the server
+      if (action.meta.condition) {
+        return;
+      }
+      // Retrying a conflicting edit as-is would only conflict again. The task
+      // form resolves its own; elsewhere the edit is lost to theirs, so say so.
+      if (action.meta.serverTask) {
+        if (!action.meta.arg.handlesConflict) {
+          state.items.push(createNotification({
+            message: action.payload,
+            severity: 'warning',
+            duration: null,
+            source: sourceOf(action),
+            httpStatus: action.meta.httpStatus ?? null
+          }));
+        }
+        return;
+      }
+
+      const retry = { thunk: sourceOf(action), arg: action.meta.arg };
+      // A failed retry replaces the entry it was started from instead of stacking
+      state.items = state.items.filter((item) => !isSameRetry(item, retry));
+      state.items.push(createNotification({
+        message: action.payload || action.error.message,
+        // Without an HTTP status the request never got an answer
+        severity: action.meta.httpStatus ? 'error' : 'warning',
+        action: { label: 'Retry', type: 'retry', arg: retry },
+        // Failures stay until they are retried or dismissed
+        duration: null,
+        source: retry.thunk,
+        httpStatus: action.meta.httpStatus ?? null,
+        requestId: action.meta.serverRequestId || action.meta.requestId
+      }));
+    });
+
+    // Retry and undo actions only make sense for the user whose session ended
+    builder.addMatcher(isSessionEnded, (state) => {
+      state.items = [];
+    });
+  }
+});
+
+// Selectors
+export const selectNotifications = (state) => state.notifications.items;
+
+export const {
+  notificationAdded,
+  notificationDismissed,
+  notificationsCleared
+} = notificationsSlice.actions;
+export default notificationsSlice.reducer;
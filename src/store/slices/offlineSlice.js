@@ -0,0 +1,101 @@
+import { createSlice, nanoid } from '@reduxjs/toolkit';
+import { isSessionEnded } from './authSlice';
+
+export const TEMP_ID_PREFIX = 'temp-';
+
+export const createTempId = () => `${TEMP_ID_PREFIX}${nanoid()}`;
+export const isTempId = (id) => typeof id === 'string' && id.startsWith(TEMP_ID_PREFIX);
+
+// Axios sets error.request but no error.response when the server could not be reached
+export const isNetworkError = (error) => Boolean(
+  error && !error.response && (error.request || error.code === 'ERR_NETWORK')
+);
+
+const offlineSlice = createSlice({
+  name: 'offline',
+  initialState: {
+    isOnline: typeof navigator === 'undefined' ? true : navigator.onLine !== false,
+    // Mutations made while offline, replayed in order once the backend is reachable
+    queue: [],
+    syncing: false,
+    // Messages for queued mutations the server rejected during the last sync
+    syncErrors: []
+  },
+  reducers: {
+    connectionRestored: (state) => {
+      state.isOnline = true;
+    },
+    connectionLost: (state) => {
+      state.isOnline = false;
+    },
+    enqueueMutation: {
+      reducer: (state, action) => {
+        const { kind, taskId } = action.payload;
+
+        // A task created and deleted while offline never needs to reach the server
+        if (kind === 'delete' && isTempId(taskId)) {
+          state.queue = state.queue.filter((mutation) => mutation.taskId !== taskId);
+          return;
+        }
+        state.queue.push(action.payload);
+      },
+      prepare: ({ kind, taskId, data = null }) => ({
+        payload: {
+          id: nanoid(),
+          kind,
+          taskId,
+          data,
+          queuedAt: new Date().toISOString()
+        }
+      })
+    },
+    dequeueMutation: (state, action) => {
+      state.queue = state.queue.filter((mutation) => mutation.id !== action.payload);
+    },
+    // Points queued mutations for a temp task at the id the server assigned
+    remapQueuedTaskId: (state, action) => {
+      const { tempId, id } = action.payload;
+      state.queue.forEach((mutation) => {
+        if (mutation.taskId === tempId) {
+          mutation.taskId = id;
+        }
+      });
+    },
+    queueHydrated: (state, action) => {
+      state.queue = action.payload;
+    },
+    syncStarted: (state) => {
+      state.syncing = true;
+      state.syncErrors = [];
+    },
+    syncFinished: (state, action) => {
+      state.syncing = false;
+      state.syncErrors = action.payload || [];
+    }
+  },
+  extraReducers: (builder) => {
+    // Changes queued by the user whose session ended must not be replayed for the next one
+    builder.addMatcher(isSessionEnded, (state) => {
+      state.queue = [];
+      state.syncErrors = [];
+    });
+  }
+});
+
+// Selectors
+export const selectIsOnline = (state) => state.offline.isOnline;
+export const selectQueuedMutations = (state) => state.offline.queue;
+export const selectIsSyncing = (state) => state.offline.syncing;
+export const selectSyncErrors = (state) => state.offline.syncErrors;
+
+export const {
+  connectionRestored,
+  connectionLost,
+  enqueueMutation,
+  dequeueMutation,
+  remapQueuedTaskId,
+  queueHydrated,
+  syncStarted,
+  syncFinished
+} = offlineSlice.actions;
+export default offlineSlice.reducer;
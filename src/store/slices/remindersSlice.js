@@ -0,0 +1,39 @@
+import { createSlice } from '@reduxjs/toolkit';
+
+// Minutes before the due date that a reminder fires
+export const REMINDER_LEAD_TIMES = [0, 5, 15, 30, 60, 1440];
+
+const remindersSlice = createSlice({
+  name: 'reminders',
+  initialState: {
+    enabled: false,
+    leadMinutes: 15
+  },
+  reducers: {
+    remindersToggled: (state, action) => {
+      state.enabled = Boolean(action.payload);
+    },
+    reminderLeadTimeChanged: (state, action) => {
+      if (REMINDER_LEAD_TIMES.includes(action.payload)) {
+        state.leadMinutes = action.payload;
+      }
+    },
+    // Restores the settings persisted by src/reminders
+    remindersHydrated: (state, action) => {
+      state.enabled = Boolean(action.payload.enabled);
+      if (REMINDER_LEAD_TIMES.includes(action.payload.leadMinutes)) {
+        state.leadMinutes = action.payload.leadMinutes;
+      }
+    }
+  }
+});
+
+// Selectors
+export const selectReminderSettings = (state) => state.reminders;
+
+export const {
+  remindersToggled,
+  reminderLeadTimeChanged,
+  remindersHydrated
+} = remindersSlice.actions;
+export default remindersSlice.reducer;
@@ -1,156 +1,844 @@
-import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
-import axios from 'axios';
+import {
+  createSlice,
+  createAsyncThunk,
+  createEntityAdapter,
+  createSelector
+} from '@reduxjs/toolkit';
+import apiClient from '../../api/client';
+import { isHighPriority } from '../../utils/priority';
+import { getTags, normalizeTag, renameTagIn } from '../../utils/tags';
+import { getSubtasks } from '../../utils/subtasks';
+import { comparePositions, getMoveChanges } from '../../utils/ordering';
+import {
+  connectionLost,
+  createTempId,
+  enqueueMutation,
+  isNetworkError
+} from './offlineSlice';
+import { isSessionEnded } from './authSlice';
+import { deleteList, listSelected, selectSelectedListId } from './listsSlice';
 
-const API_BASE_URL = 'http://localhost:5000/api';
+export const DEFAULT_PAGE_SIZE = 20;
+
+// The API answers with either a bare array (unpaginated) or
+// { tasks, hasMore, nextCursor } for paginated requests
+const normalizeTaskPage = (data, page) => {
+  if (Array.isArray(data)) {
+    return {
+      tasks: data,
+      page,
+      hasMore: false,
+      nextCursor: null
+    };
+  }
+
+  return {
+    tasks: data.tasks || [],
+    page: data.page || page,
+    hasMore: Boolean(data.hasMore),
+    nextCursor: data.nextCursor || null
+  };
+};
+
+const isOffline = (getState) => getState().offline?.isOnline === false;
+
+// Runs the request against the API. When the backend is unreachable the
+// mutation is applied locally instead and queued for replay (see src/offline).
+const runOrQueue = async ({ dispatch, getState }, request, queueLocally) => {
+  if (!isOffline(getState)) {
+    try {
+      return await request();
+    } catch (error) {
+      if (!isNetworkError(error)) {
+        throw error;
+      }
+      dispatch(connectionLost());
+    }
+  }
+  return queueLocally();
+};
+
+// Rejects with the user-facing message; the HTTP details ride along on the
+// rejected action's meta for the notification center
+const rejectRequest = (rejectWithValue, error, fallbackMessage, meta = {}) => rejectWithValue(
+  error.response?.data?.message || fallbackMessage,
+  {
+    httpStatus: error.response?.status ?? null,
+    serverRequestId: error.response?.headers?.['x-request-id'] ?? null,
+    ...meta
+  }
+);
 
 // Async thunks for API calls
+
+// Fetches the tasks of the selected list (see listsSlice), or all of them
+// when no list is selected. Every action carries that list as `meta.listId`,
+// so answers for a list that is no longer selected can be dropped. `pages`
+// loads that many pages of `limit` tasks from the first one in one request.
 export const fetchTasks = createAsyncThunk(
   'tasks/fetchTasks',
-  async (_, { rejectWithValue }) => {
+  async (options, {
+    dispatch,
+    getState,
+    rejectWithValue,
+    fulfillWithValue
+  }) => {
+    const {
+      page = 1,
+      limit = DEFAULT_PAGE_SIZE,
+      cursor,
+      pages = 1
+    } = options || {};
+    const listId = selectSelectedListId(getState());
     try {
-      const response = await axios.get(`${API_BASE_URL}/tasks`);
-      return response.data;
+      const params = cursor ? { cursor, limit } : { page, limit: limit * pages };
+      if (listId) {
+        params.listId = listId;
+      }
+      const response = await apiClient.get('/tasks', { params });
+      return fulfillWithValue(normalizeTaskPage(response.data, page), { listId });
     } catch (error) {
-      return rejectWithValue(error.response?.data?.message || 'Failed to fetch tasks');
+      if (isNetworkError(error)) {
+        dispatch(connectionLost());
+        return rejectRequest(
+          rejectWithValue,
+          error,
+          'Server unreachable. Showing cached tasks.',
+          { listId }
+        );
+      }
+      return rejectRequest(rejectWithValue, error, 'Failed to fetch tasks', { listId });
     }
+  },
+  {
+    getPendingMeta: (_, { getState }) => ({ listId: selectSelectedListId(getState()) })
   }
 );
 
+// Loads the page after the last one fetched, if there is one
+export const fetchMoreTasks = () => (dispatch, getState) => {
+  const { status, pagination } = getState().tasks;
+  if (!pagination.hasMore || status.fetch === 'pending') {
+    return null;
+  }
+
+  return dispatch(fetchTasks({
+    page: pagination.page + 1,
+    limit: pagination.limit,
+    cursor: pagination.nextCursor || undefined
+  }));
+};
+
+// Reloads every page loaded so far, e.g. after missing changes while the
+// realtime connection was down, without dropping back to the first page
+export const refetchLoadedTasks = () => (dispatch, getState) => {
+  const { page, limit } = getState().tasks.pagination;
+  return dispatch(fetchTasks({ limit, pages: page }));
+};
+
+// New tasks go into the selected list unless `taskData` names one
 export const addTask = createAsyncThunk(
   'tasks/addTask',
-  async (taskData, { rejectWithValue }) => {
+  async (newTask, thunkApi) => {
+    const listId = selectSelectedListId(thunkApi.getState());
+    const taskData = listId ? { listId, ...newTask } : newTask;
     try {
-      const response = await axios.post(`${API_BASE_URL}/tasks`, taskData);
-      return response.data;
+      return await runOrQueue(
+        thunkApi,
+        async () => (await apiClient.post('/tasks', taskData)).data,
+        () => {
+          const now = new Date().toISOString();
+          const task = {
+            completed: false,
+            ...taskData,
+            _id: createTempId(),
+            createdAt: now,
+            updatedAt: now,
+            pendingSync: true
+          };
+          thunkApi.dispatch(enqueueMutation({ kind: 'add', taskId: task._id, data: taskData }));
+          return task;
+        }
+      );
     } catch (error) {
-      return rejectWithValue(error.response?.data?.message || 'Failed to add task');
+      return rejectRequest(thunkApi.rejectWithValue, error, 'Failed to add task');
     }
   }
 );
 
+// Sends one update, or queues it while offline. Shared by updateTask and
+// bulkUpdateTasks.
+const sendUpdate = (thunkApi, id, taskData, version = null) => runOrQueue(
+  thunkApi,
+  async () => {
+    const config = version ? [{ headers: { 'If-Match': `"${version}"` } }] : [];
+    return (await apiClient.put(`/tasks/${id}`, taskData, ...config)).data;
+  },
+  () => {
+    thunkApi.dispatch(enqueueMutation({ kind: 'update', taskId: id, data: taskData }));
+    return {
+      ...thunkApi.getState().tasks.entities[id],
+      ...taskData,
+      _id: id,
+      updatedAt: new Date().toISOString(),
+      pendingSync: true
+    };
+  }
+);
+
+const sendDelete = (thunkApi, id) => runOrQueue(
+  thunkApi,
+  async () => {
+    await apiClient.delete(`/tasks/${id}`);
+    return id;
+  },
+  () => {
+    thunkApi.dispatch(enqueueMutation({ kind: 'delete', taskId: id }));
+    return id;
+  }
+);
+
+const isConflict = (error) => [409, 412].includes(error.response?.status);
+
+// The server's copy of a task someone else changed: from the conflict response
+// when the server includes it, fetched otherwise
+const fetchServerTask = async (id, error) => (
+  error.response.data?.task || (await apiClient.get(`/tasks/${id}`)).data
+);
+
+// The last update sent for each task id, settled or not
+const updatesInFlight = new Map();
+
+// Runs `send` once the update already sent for task `id`, if any, has settled,
+// with the task that update saved (undefined when it failed)
+const afterUpdatesTo = (id, send) => {
+  const previous = updatesInFlight.get(id);
+  const next = previous ? previous.then(send) : send();
+  const settled = next.catch(() => undefined);
+  updatesInFlight.set(id, settled);
+  settled.then(() => {
+    if (updatesInFlight.get(id) === settled) {
+      updatesInFlight.delete(id);
+    }
+  });
+  return next;
+};
+
+// Sends `If-Match` with the version the change was made against, so the server
+// refuses it (409/412) when someone else changed the task in the meantime.
+// That version is `baseUpdatedAt` when given (the task form passes the one it
+// was opened with), the task's current one otherwise. Updates to the same task
+// go out one after another, so a quick second edit is sent against the version
+// the first one saved rather than conflicting with it. A refused update rejects
+// with the server's copy of the task as `meta.serverTask`. Callers that let the
+// user resolve the conflict pass `handlesConflict: true` so no notice is shown.
 export const updateTask = createAsyncThunk(
   'tasks/updateTask',
-  async ({ id, taskData }, { rejectWithValue }) => {
+  async ({ id, taskData, baseUpdatedAt }, thunkApi) => {
     try {
-      const response = await axios.put(`${API_BASE_URL}/tasks/${id}`, taskData);
-      return response.data;
+      return await afterUpdatesTo(id, (saved) => {
+        // The store only holds `saved` once the earlier thunk has fulfilled
+        const task = saved || thunkApi.getState().tasks.entities[id];
+        // Tasks changed offline only have a local updatedAt
+        const version = baseUpdatedAt || (task && !task.pendingSync ? task.updatedAt : null);
+        return sendUpdate(thunkApi, id, taskData, version);
+      });
     } catch (error) {
-      return rejectWithValue(error.response?.data?.message || 'Failed to update task');
+      if (isConflict(error)) {
+        try {
+          const serverTask = await fetchServerTask(id, error);
+          return rejectRequest(
+            thunkApi.rejectWithValue,
+            error,
+            'This task was changed by someone else',
+            { serverTask }
+          );
+        } catch (fetchError) {
+          return rejectRequest(thunkApi.rejectWithValue, fetchError, 'Failed to update task');
+        }
+      }
+      return rejectRequest(thunkApi.rejectWithValue, error, 'Failed to update task');
     }
   }
 );
 
 export const toggleTask = createAsyncThunk(
   'tasks/toggleTask',
-  async (id, { rejectWithValue }) => {
+  async (id, thunkApi) => {
     try {
-      const response = await axios.patch(`${API_BASE_URL}/tasks/${id}/toggle`);
-      return response.data;
+      return await runOrQueue(
+        thunkApi,
+        async () => (await apiClient.patch(`/tasks/${id}/toggle`)).data,
+        () => {
+          thunkApi.dispatch(enqueueMutation({ kind: 'toggle', taskId: id }));
+          // The pending reducer has already flipped `completed` locally
+          return { ...thunkApi.getState().tasks.entities[id], _id: id, pendingSync: true };
+        }
+      );
     } catch (error) {
-      return rejectWithValue(error.response?.data?.message || 'Failed to toggle task');
+      return rejectRequest(thunkApi.rejectWithValue, error, 'Failed to toggle task');
     }
   }
 );
 
 export const deleteTask = createAsyncThunk(
   'tasks/deleteTask',
-  async (id, { rejectWithValue }) => {
+  async (id, thunkApi) => {
     try {
-      await axios.delete(`${API_BASE_URL}/tasks/${id}`);
-      return id;
+      return await sendDelete(thunkApi, id);
     } catch (error) {
-      return rejectWithValue(error.response?.data?.message || 'Failed to delete task');
+      return rejectRequest(thunkApi.rejectWithValue, error, 'Failed to delete task');
     }
   }
 );
 
+export const BULK_ACTIONS = ['complete', 'reopen', 'archive', 'restore', 'delete', 'tag'];
+
+const BULK_FAILURE_MESSAGES = {
+  complete: 'Failed to complete task',
+  reopen: 'Failed to reopen task',
+  archive: 'Failed to archive task',
+  restore: 'Failed to restore task',
+  delete: 'Failed to delete task',
+  tag: 'Failed to tag task'
+};
+
+// Whether a bulk action would change the task, e.g. completing a done task would not
+const isBulkTarget = (task, { action, tag }) => {
+  if (!task) return false;
+  if (action === 'complete') return !task.completed;
+  if (action === 'reopen') return Boolean(task.completed);
+  if (action === 'archive') return !task.archived;
+  if (action === 'restore') return Boolean(task.archived);
+  if (action === 'tag') return !getTags(task).includes(normalizeTag(tag));
+  return true;
+};
+
+const getBulkTargets = (entities, arg) => arg.ids.filter((id) => isBulkTarget(entities[id], arg));
+
+// Loaded tasks plus the ones hidden while their delete can still be undone,
+// which a bulk delete sends once the undo window closes (see src/notifications/undo)
+const getBulkTasks = ({ entities, scheduledDeletes }) => ({
+  ...entities,
+  ...Object.fromEntries(Object.entries(scheduledDeletes).map(([id, { task }]) => [id, task]))
+});
+
+const getBulkOperation = ({ action }) => (action === 'delete' ? 'deleting' : 'updating');
+
+const getBulkChanges = (task, { action, tag }) => {
+  if (action === 'tag') {
+    return { tags: [...getTags(task), normalizeTag(tag)] };
+  }
+  if (action === 'archive' || action === 'restore') {
+    return { archived: action === 'archive' };
+  }
+  return { completed: action === 'complete' };
+};
+
+// Runs one of BULK_ACTIONS on several tasks
+// with a request per task. Partial failures don't reject the batch; it
+// fulfills with a per-task report:
+// { tasks: [saved task], deletedIds: [id], failures: [{ id, title, message, httpStatus }] }
+export const bulkUpdateTasks = createAsyncThunk(
+  'tasks/bulkUpdateTasks',
+  async (arg, thunkApi) => {
+    const entities = getBulkTasks(thunkApi.getState().tasks);
+    const targets = getBulkTargets(entities, arg);
+    const results = await Promise.allSettled(targets.map((id) => (arg.action === 'delete'
+      ? sendDelete(thunkApi, id)
+      : sendUpdate(thunkApi, id, getBulkChanges(entities[id], arg)))));
+
+    const report = { tasks: [], deletedIds: [], failures: [] };
+    results.forEach((result, index) => {
+      const id = targets[index];
+      if (result.status === 'rejected') {
+        report.failures.push({
+          id,
+          title: entities[id].title,
+          message: result.reason.response?.data?.message || BULK_FAILURE_MESSAGES[arg.action],
+          httpStatus: result.reason.response?.status ?? null
+        });
+      } else if (arg.action === 'delete') {
+        report.deletedIds.push(id);
+      } else {
+        report.tasks.push(result.value);
+      }
+    });
+    return report;
+  },
+  {
+    // Skips unknown actions and blank tags
+    condition: ({ action, tag }) => BULK_ACTIONS.includes(action)
+      && (action !== 'tag' || normalizeTag(tag) !== '')
+  }
+);
+
+// Tasks are normalized into { ids, entities } keyed by _id. No sortComparer:
+// ids keep server order, with newly added tasks placed first.
+export const tasksAdapter = createEntityAdapter({
+  selectId: (task) => task._id
+});
+
+// Marks a per-task operation (updating, toggling, deleting) as in flight or done
+const setTaskStatus = (state, id, operation, inFlight) => {
+  const current = state.status.byId[id] || {};
+  if (inFlight) {
+    state.status.byId[id] = { ...current, [operation]: true };
+    return;
+  }
+
+  const rest = { ...current };
+  delete rest[operation];
+  if (Object.keys(rest).length > 0) {
+    state.status.byId[id] = rest;
+  } else {
+    delete state.status.byId[id];
+  }
+};
+
+// Inserts a task at a given position in the ordered ids, replacing any existing copy
+const insertTaskAt = (state, task, index) => {
+  tasksAdapter.removeOne(state, task._id);
+  state.ids.splice(Math.min(index, state.ids.length), 0, task._id);
+  state.entities[task._id] = task;
+};
+
+// Shows a task hidden by an undoable delete again where it was
+const restoreScheduledDelete = (state, id) => {
+  const scheduled = state.scheduledDeletes[id];
+  if (scheduled) {
+    insertTaskAt(state, scheduled.task, scheduled.index);
+    delete state.scheduledDeletes[id];
+  }
+};
+
+const initialState = tasksAdapter.getInitialState({
+  // Request status per operation: 'idle' | 'pending' | 'succeeded' | 'failed'
+  status: {
+    fetch: 'idle',
+    add: 'idle',
+    hasFetched: false,
+    byId: {}
+  },
+  pagination: {
+    page: 1,
+    limit: DEFAULT_PAGE_SIZE,
+    hasMore: false,
+    nextCursor: null
+  },
+  // Why the last fetch failed; other failures only go to the notification center
+  error: null,
+  // The list the loaded pages belong to: the selected one when the latest
+  // fetch went out (null for all tasks)
+  listId: null,
+  // Pre-mutation snapshots for optimistic updates, keyed by thunk requestId
+  rollbacks: {},
+  // Tasks hidden while their delete can still be undone, keyed by task id
+  scheduledDeletes: {}
+});
+
 const tasksSlice = createSlice({
   name: 'tasks',
-  initialState: {
-    tasks: [],
-    loading: false,
-    error: null
-  },
+  initialState,
   reducers: {
-    clearError: (state) => {
-      state.error = null;
+    // Restores the cached task list persisted by src/offline
+    tasksHydrated: (state, action) => {
+      if (!state.status.hasFetched) {
+        tasksAdapter.setAll(state, action.payload);
+      }
+    },
+    // A task created offline was saved by the server under its real id
+    taskIdReplaced: (state, action) => {
+      const { tempId, task } = action.payload;
+      const index = state.ids.indexOf(tempId);
+      tasksAdapter.removeOne(state, tempId);
+      insertTaskAt(state, task, index === -1 ? 0 : index);
+    },
+    // Hides a task while its delete waits out the undo window (see src/notifications/undo)
+    deletionScheduled: (state, action) => {
+      const id = action.payload;
+      const index = state.ids.indexOf(id);
+      if (index !== -1) {
+        state.scheduledDeletes[id] = { task: state.entities[id], index };
+        tasksAdapter.removeOne(state, id);
+      }
+    },
+    deletionCancelled: (state, action) => {
+      restoreScheduledDelete(state, action.payload);
+    },
+    // Local checklist change, applied before the server confirms it
+    subtasksChanged: (state, action) => {
+      const task = state.entities[action.payload.id];
+      if (task) {
+        task.subtasks = action.payload.subtasks;
+      }
+    },
+    // Local manual-order change: [{ id, position }], a null position unplaces the task
+    positionsChanged: (state, action) => {
+      action.payload.forEach(({ id, position }) => {
+        const task = state.entities[id];
+        if (!task) return;
+        if (position === null) {
+          delete task.position;
+        } else {
+          task.position = position;
+        }
+      });
+    },
+    // A queued mutation reached the server; take its copy of the task
+    taskSynced: (state, action) => {
+      if (state.entities[action.payload._id]) {
+        tasksAdapter.setOne(state, action.payload);
+      }
+    },
+    // Tasks created or changed by another client or tab (see src/realtime).
+    // Local changes still waiting to sync win, like they do over a fetch, and
+    // tasks waiting out their undo window stay hidden.
+    remoteTasksChanged: (state, action) => {
+      action.payload.forEach((task) => {
+        const scheduled = state.scheduledDeletes[task._id];
+        if (scheduled) {
+          scheduled.task = task;
+        } else if (!state.entities[task._id]) {
+          insertTaskAt(state, task, 0);
+        } else if (!state.entities[task._id].pendingSync) {
+          tasksAdapter.setOne(state, task);
+        }
+      });
+    },
+    remoteTasksRemoved: (state, action) => {
+      tasksAdapter.removeMany(state, action.payload);
+      action.payload.forEach((id) => {
+        delete state.scheduledDeletes[id];
+      });
     }
   },
   extraReducers: (builder) => {
     builder
+      // The newly selected list is fetched from its first page. Loaded tasks
+      // stay cached but only the list's own are shown (see selectListTasks).
+      .addCase(listSelected, (state, action) => {
+        state.listId = action.payload;
+        state.status.hasFetched = false;
+        state.pagination = initialState.pagination;
+      })
+      // The server deleted the list's tasks along with it
+      .addCase(deleteList.fulfilled, (state, action) => {
+        const listTaskIds = Object.values(state.entities)
+          .filter((task) => task.listId === action.payload)
+          .map((task) => task._id);
+        tasksAdapter.removeMany(state, listTaskIds);
+      })
       // Fetch tasks
-      .addCase(fetchTasks.pending, (state) => {
-        state.loading = true;
+      .addCase(fetchTasks.pending, (state, action) => {
+        state.listId = action.meta.listId;
+        state.status.fetch = 'pending';
         state.error = null;
       })
       .addCase(fetchTasks.fulfilled, (state, action) => {
-        state.loading = false;
-        state.tasks = action.payload;
+        // A late answer for a list the user has since left
+        if (action.meta.listId !== state.listId) {
+          return;
+        }
+        const {
+          tasks,
+          page,
+          hasMore,
+          nextCursor
+        } = action.payload;
+        const isNextPage = Boolean(action.meta.arg?.cursor) || page > 1;
+
+        state.status.fetch = 'succeeded';
+        state.status.hasFetched = true;
+        if (isNextPage) {
+          // Tasks already loaded (e.g. added locally) are replaced in place, not duplicated
+          tasksAdapter.setMany(state, tasks);
+        } else {
+          // Local changes still waiting in the offline queue win over the server copy
+          const unsynced = Object.values(state.entities).filter(task => task.pendingSync);
+          tasksAdapter.setAll(state, tasks);
+          unsynced.forEach((task) => {
+            if (state.entities[task._id]) {
+              tasksAdapter.setOne(state, task);
+            } else {
+              insertTaskAt(state, task, 0);
+            }
+          });
+        }
+        // Tasks waiting out their undo window stay hidden
+        tasksAdapter.removeMany(state, Object.keys(state.scheduledDeletes));
+        state.pagination = {
+          page: page + (action.meta.arg?.pages || 1) - 1,
+          limit: action.meta.arg?.limit || DEFAULT_PAGE_SIZE,
+          hasMore,
+          nextCursor
+        };
       })
       .addCase(fetchTasks.rejected, (state, action) => {
-        state.loading = false;
+        if (action.meta.listId !== state.listId) {
+          return;
+        }
+        state.status.fetch = 'failed';
         state.error = action.payload;
       })
       // Add task
       .addCase(addTask.pending, (state) => {
-        state.loading = true;
-        state.error = null;
+        state.status.add = 'pending';
       })
       .addCase(addTask.fulfilled, (state, action) => {
-        state.loading = false;
-        state.tasks.unshift(action.payload);
+        state.status.add = 'succeeded';
+        insertTaskAt(state, action.payload, 0);
       })
-      .addCase(addTask.rejected, (state, action) => {
-        state.loading = false;
-        state.error = action.payload;
+      .addCase(addTask.rejected, (state) => {
+        state.status.add = 'failed';
       })
       // Update task
-      .addCase(updateTask.pending, (state) => {
-        state.loading = true;
-        state.error = null;
+      .addCase(updateTask.pending, (state, action) => {
+        setTaskStatus(state, action.meta.arg.id, 'updating', true);
       })
       .addCase(updateTask.fulfilled, (state, action) => {
-        state.loading = false;
-        const index = state.tasks.findIndex(task => task._id === action.payload._id);
-        if (index !== -1) {
-          state.tasks[index] = action.payload;
+        setTaskStatus(state, action.meta.arg.id, 'updating', false);
+        if (state.entities[action.payload._id]) {
+          tasksAdapter.setOne(state, action.payload);
         }
       })
       .addCase(updateTask.rejected, (state, action) => {
-        state.loading = false;
-        state.error = action.payload;
+        setTaskStatus(state, action.meta.arg.id, 'updating', false);
+        // Someone else's change won; show it while the conflict is resolved
+        const { serverTask } = action.meta;
+        if (serverTask && state.entities[serverTask._id]) {
+          tasksAdapter.setOne(state, serverTask);
+        }
       })
-      // Toggle task
-      .addCase(toggleTask.pending, (state) => {
-        state.loading = true;
-        state.error = null;
+      // Toggle task (optimistic)
+      .addCase(toggleTask.pending, (state, action) => {
+        setTaskStatus(state, action.meta.arg, 'toggling', true);
+        const task = state.entities[action.meta.arg];
+        if (task) {
+          state.rollbacks[action.meta.requestId] = { id: task._id, completed: task.completed };
+          task.completed = !task.completed;
+        }
       })
       .addCase(toggleTask.fulfilled, (state, action) => {
-        state.loading = false;
-        const index = state.tasks.findIndex(task => task._id === action.payload._id);
-        if (index !== -1) {
-          state.tasks[index] = action.payload;
+        setTaskStatus(state, action.meta.arg, 'toggling', false);
+        delete state.rollbacks[action.meta.requestId];
+        if (state.entities[action.payload._id]) {
+          tasksAdapter.setOne(state, action.payload);
         }
       })
       .addCase(toggleTask.rejected, (state, action) => {
-        state.loading = false;
-        state.error = action.payload;
+        setTaskStatus(state, action.meta.arg, 'toggling', false);
+        const rollback = state.rollbacks[action.meta.requestId];
+        if (rollback) {
+          const task = state.entities[rollback.id];
+          if (task) {
+            task.completed = rollback.completed;
+          }
+          delete state.rollbacks[action.meta.requestId];
+        }
       })
-      // Delete task
-      .addCase(deleteTask.pending, (state) => {
-        state.loading = true;
-        state.error = null;
+      // Delete task (optimistic)
+      .addCase(deleteTask.pending, (state, action) => {
+        setTaskStatus(state, action.meta.arg, 'deleting', true);
+        const index = state.ids.indexOf(action.meta.arg);
+        if (index !== -1) {
+          state.rollbacks[action.meta.requestId] = { task: state.entities[action.meta.arg], index };
+          tasksAdapter.removeOne(state, action.meta.arg);
+        } else if (state.scheduledDeletes[action.meta.arg]) {
+          // Already hidden by an undoable delete; restore from there if the request fails
+          state.rollbacks[action.meta.requestId] = state.scheduledDeletes[action.meta.arg];
+        }
+        delete state.scheduledDeletes[action.meta.arg];
       })
       .addCase(deleteTask.fulfilled, (state, action) => {
-        state.loading = false;
-        state.tasks = state.tasks.filter(task => task._id !== action.payload);
+        setTaskStatus(state, action.meta.arg, 'deleting', false);
+        delete state.rollbacks[action.meta.requestId];
+        tasksAdapter.removeOne(state, action.payload);
       })
       .addCase(deleteTask.rejected, (state, action) => {
-        state.loading = false;
-        state.error = action.payload;
-      });
+        setTaskStatus(state, action.meta.arg, 'deleting', false);
+        const rollback = state.rollbacks[action.meta.requestId];
+        if (rollback) {
+          insertTaskAt(state, rollback.task, rollback.index);
+          delete state.rollbacks[action.meta.requestId];
+        }
+      })
+      // Bulk actions (not optimistic; each task shows its own pending state)
+      .addCase(bulkUpdateTasks.pending, (state, action) => {
+        const operation = getBulkOperation(action.meta.arg);
+        getBulkTargets(getBulkTasks(state), action.meta.arg).forEach((id) => {
+          setTaskStatus(state, id, operation, true);
+        });
+      })
+      .addCase(bulkUpdateTasks.fulfilled, (state, action) => {
+        const operation = getBulkOperation(action.meta.arg);
+        action.meta.arg.ids.forEach((id) => setTaskStatus(state, id, operation, false));
+        const saved = action.payload.tasks.filter((task) => state.entities[task._id]);
+        tasksAdapter.setMany(state, saved);
+        tasksAdapter.removeMany(state, action.payload.deletedIds);
+        action.payload.deletedIds.forEach((id) => {
+          delete state.scheduledDeletes[id];
+        });
+        // Hidden tasks whose delete failed show up again
+        if (action.meta.arg.action === 'delete') {
+          action.payload.failures.forEach(({ id }) => restoreScheduledDelete(state, id));
+        }
+      })
+      .addCase(bulkUpdateTasks.rejected, (state, action) => {
+        const operation = getBulkOperation(action.meta.arg);
+        action.meta.arg.ids.forEach((id) => setTaskStatus(state, id, operation, false));
+      })
+      // The tasks belong to the user whose session ended
+      .addMatcher(isSessionEnded, () => initialState);
   }
 });
 
-export const { clearError } = tasksSlice.actions;
-export default tasksSlice.reducer;
\ No newline at end of file
+const NO_TASK_STATUS = {};
+
+// Selectors
+export const {
+  selectAll: selectAllTasks,
+  selectById: selectTaskById,
+  selectTotal: selectTotalTasks
+} = tasksAdapter.getSelectors((state) => state.tasks);
+
+// Loaded tasks of the selected list, or all of them when none is selected.
+// Tasks moved to another list or added to one from elsewhere drop out here.
+export const selectListTasks = createSelector(
+  [selectAllTasks, selectSelectedListId],
+  (tasks, listId) => (listId ? tasks.filter((task) => task.listId === listId) : tasks)
+);
+
+// Archived tasks are kept (and can be restored) but left out of the list,
+// counts and tags
+export const selectActiveTasks = createSelector(
+  [selectListTasks],
+  (tasks) => tasks.filter((task) => !task.archived)
+);
+
+export const selectArchivedTasks = createSelector(
+  [selectListTasks],
+  (tasks) => tasks.filter((task) => task.archived)
+);
+
+export const selectPendingTasks = createSelector(
+  [selectActiveTasks],
+  (tasks) => tasks.filter(task => !task.completed)
+);
+
+export const selectCompletedTasks = createSelector(
+  [selectActiveTasks],
+  (tasks) => tasks.filter(task => task.completed)
+);
+
+export const selectTaskCounts = createSelector(
+  [selectPendingTasks, selectCompletedTasks],
+  (pending, completed) => ({
+    pending: pending.length,
+    completed: completed.length,
+    total: pending.length + completed.length,
+    highPriorityPending: pending.filter(isHighPriority).length
+  })
+);
+
+// [{ tag, count }] across the loaded, unarchived tasks of the selected list, alphabetically
+export const selectTagCounts = createSelector(
+  [selectActiveTasks],
+  (tasks) => {
+    const counts = {};
+    tasks.forEach((task) => {
+      getTags(task).forEach((tag) => {
+        counts[tag] = (counts[tag] || 0) + 1;
+      });
+    });
+    return Object.keys(counts)
+      .sort()
+      .map((tag) => ({ tag, count: counts[tag] }));
+  }
+);
+
+// Pending tasks in their manual (drag-and-drop) order
+export const selectManualOrder = createSelector(
+  [selectPendingTasks],
+  (tasks) => [...tasks].sort(comparePositions)
+);
+
+export const selectTaskStatus = (state, id) => state.tasks.status.byId[id] || NO_TASK_STATUS;
+export const selectIsFetchingMore = (state) => (
+  state.tasks.status.fetch === 'pending' && state.tasks.status.hasFetched
+);
+export const selectHasMoreTasks = (state) => state.tasks.pagination.hasMore;
+export const selectIsInitialLoading = (state) => (
+  state.tasks.status.fetch === 'pending' && !state.tasks.status.hasFetched
+);
+
+// Renames a tag on every loaded task, in any list; tasks not loaded yet keep
+// the old name. Renaming onto an existing tag merges the two. Sends one
+// updateTask per affected task and resolves with their results.
+export const renameTag = ({ from, to }) => (dispatch, getState) => {
+  const target = normalizeTag(to);
+  if (!target || target === from) {
+    return Promise.resolve([]);
+  }
+
+  const affected = selectAllTasks(getState()).filter((task) => getTags(task).includes(from));
+  return Promise.all(affected.map((task) => dispatch(updateTask({
+    id: task._id,
+    taskData: { tags: renameTagIn(getTags(task), from, target) }
+  }))));
+};
+
+// Saves a task's checklist optimistically, putting the old one back if the
+// update fails
+export const saveSubtasks = ({ id, subtasks }) => async (dispatch, getState) => {
+  const previous = getSubtasks(selectTaskById(getState(), id));
+  dispatch(tasksSlice.actions.subtasksChanged({ id, subtasks }));
+
+  const result = await dispatch(updateTask({ id, taskData: { subtasks } }));
+  if (updateTask.rejected.match(result)) {
+    dispatch(tasksSlice.actions.subtasksChanged({ id, subtasks: previous }));
+  }
+  return result;
+};
+
+// Moves a pending task into the place of `toId` in the manual order, placing
+// only what has to be (see getMoveChanges). The positions change locally right
+// away and are saved with updateTask; positions whose update fails are put back.
+export const moveTask = ({ id, toId }) => async (dispatch, getState) => {
+  const ordered = selectManualOrder(getState());
+  const from = ordered.findIndex((task) => task._id === id);
+  const to = ordered.findIndex((task) => task._id === toId);
+  if (from === -1 || to === -1 || from === to) {
+    return [];
+  }
+
+  const changes = getMoveChanges(ordered, from, to);
+  dispatch(tasksSlice.actions.positionsChanged(
+    changes.map((change) => ({ id: change.id, position: change.position }))
+  ));
+
+  const results = await Promise.all(changes.map((change) => dispatch(updateTask({
+    id: change.id,
+    taskData: { position: change.position }
+  }))));
+  const failed = changes.filter((_change, index) => updateTask.rejected.match(results[index]));
+  if (failed.length > 0) {
+    dispatch(tasksSlice.actions.positionsChanged(
+      failed.map((change) => ({ id: change.id, position: change.previous }))
+    ));
+  }
+  return results;
+};
+
+export const {
+  tasksHydrated,
+  taskIdReplaced,
+  taskSynced,
+  deletionScheduled,
+  deletionCancelled,
+  subtasksChanged,
+  positionsChanged,
+  remoteTasksChanged,
+  remoteTasksRemoved
+} = tasksSlice.actions;
+export default tasksSlice.reducer;
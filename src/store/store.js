@@ -1,8 +1,26 @@
-import { configureStore } from '@reduxjs/toolkit';
-import tasksReducer from './slices/tasksSlice';
-
-export const store = configureStore({
-  reducer: {
-    tasks: tasksReducer
-  }
-});
\ No newline at end of file
+import { configureStore } from '@reduxjs/toolkit';
+import tasksReducer from './slices/tasksSlice';
+import filtersReducer from './slices/filtersSlice';
+import offlineReducer from './slices/offlineSlice';
+import notificationsReducer from './slices/notificationsSlice';
+import remindersReducer from './slices/remindersSlice';
+import announcementsReducer from './slices/announcementsSlice';
+import authReducer from './slices/authSlice';
+import listsReducer from './slices/listsSlice';
+import { realtimeMiddleware } from '../realtime';
+import { undoMiddleware } from '../notifications/undo';
+
+export const store = configureStore({
+  reducer: {
+    tasks: tasksReducer,
+    filters: filtersReducer,
+    offline: offlineReducer,
+    notifications: notificationsReducer,
+    reminders: remindersReducer,
+    announcements: announcementsReducer,
+    auth: authReducer,
+    lists: listsReducer
+  },
+  middleware: (getDefaultMiddleware) => getDefaultMiddleware()
+    .prepend(realtimeMiddleware, undoMiddleware)
+});
@@ -0,0 +1,70 @@
+import { getConflictingFields, getEditableFields, mergeFields } from '../conflicts';
+
+describe('conflicts', () => {
+  const mine = {
+    title: 'Rotate certs',
+    description: 'Before Friday',
+    dueDate: null,
+    priority: 'high',
+    listId: null,
+    tags: ['ops'],
+    subtasks: []
+  };
+  const theirs = {
+    _id: '1',
+    title: 'Rotate TLS certs',
+    description: 'Before Friday',
+    priority: 'high',
+    tags: ['ops', 'security'],
+    completed: false,
+    updatedAt: '2024-05-01T11:00:00.000Z'
+  };
+
+  test('fills in the form defaults for missing fields', () => {
+    expect(getEditableFields({ title: 'Deploy' })).toEqual({
+      title: 'Deploy',
+      description: '',
+      dueDate: null,
+      priority: 'medium',
+      listId: null,
+      tags: [],
+      subtasks: []
+    });
+  });
+
+  test('lists the fields that differ, in form order', () => {
+    expect(getConflictingFields(mine, theirs)).toEqual(['title', 'tags']);
+    expect(getConflictingFields(mine, { ...mine, updatedAt: 'later' })).toEqual([]);
+    expect(getConflictingFields({ ...mine, listId: 'sprint' }, mine)).toEqual(['listId']);
+  });
+
+  test('merges the picked side of each field, mine by default', () => {
+    expect(mergeFields(mine, theirs, { tags: 'theirs' })).toEqual({
+      ...mine,
+      tags: ['ops', 'security']
+    });
+    expect(mergeFields(mine, theirs)).toEqual(mine);
+  });
+
+  describe('against the version both were edited from', () => {
+    const base = { ...theirs, title: 'Rotate certs', tags: ['ops'] };
+
+    test('only lists the fields both sides changed', () => {
+      const edited = { ...mine, title: 'Rotate all certs' };
+
+      expect(getConflictingFields(mine, theirs, base)).toEqual([]);
+      expect(getConflictingFields(edited, theirs, base)).toEqual(['title']);
+    });
+
+    test('keeps the changes only one side made', () => {
+      const edited = { ...mine, priority: 'low' };
+
+      expect(mergeFields(edited, theirs, {}, base)).toEqual({
+        ...mine,
+        title: 'Rotate TLS certs',
+        priority: 'low',
+        tags: ['ops', 'security']
+      });
+    });
+  });
+});
@@ -0,0 +1,38 @@
+import {
+  fromDateTimeInputValue,
+  getDueStatus,
+  isOverdue,
+  toDateTimeInputValue
+} from '../dueDates';
+
+describe('dueDates', () => {
+  const now = new Date(2024, 4, 10, 12, 0).getTime();
+  const at = (...args) => new Date(...args).toISOString();
+
+  test('round-trips datetime-local input values', () => {
+    const iso = at(2024, 4, 10, 9, 5);
+
+    expect(toDateTimeInputValue(iso)).toBe('2024-05-10T09:05');
+    expect(fromDateTimeInputValue('2024-05-10T09:05')).toBe(iso);
+  });
+
+  test('treats empty or invalid values as no due date', () => {
+    expect(toDateTimeInputValue(null)).toBe('');
+    expect(toDateTimeInputValue('not a date')).toBe('');
+    expect(fromDateTimeInputValue('')).toBeNull();
+  });
+
+  test('groups pending tasks by due date', () => {
+    expect(getDueStatus({ dueDate: at(2024, 4, 10, 11, 59) }, now)).toBe('overdue');
+    expect(getDueStatus({ dueDate: at(2024, 4, 10, 23, 0) }, now)).toBe('today');
+    expect(getDueStatus({ dueDate: at(2024, 4, 11, 0, 0) }, now)).toBe('upcoming');
+    expect(getDueStatus({ dueDate: null }, now)).toBeNull();
+  });
+
+  test('never marks completed tasks as overdue', () => {
+    const past = at(2024, 4, 1);
+
+    expect(isOverdue({ dueDate: past, completed: false }, now)).toBe(true);
+    expect(isOverdue({ dueDate: past, completed: true }, now)).toBe(false);
+  });
+});
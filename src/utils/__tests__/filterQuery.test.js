@@ -0,0 +1,41 @@
+import { filtersFromQuery, filtersToQuery } from '../filterQuery';
+import { defaultFilters } from '../../store/slices/filtersSlice';
+
+describe('filterQuery', () => {
+  test('reads known filter params from the query string', () => {
+    expect(filtersFromQuery('?q=ingress&status=pending&sort=title&order=asc')).toEqual({
+      search: 'ingress',
+      status: 'pending',
+      sortBy: 'title',
+      sortOrder: 'asc'
+    });
+  });
+
+  test('drops invalid values', () => {
+    expect(filtersFromQuery('?status=done&sort=size&order=up&group=tags&q=x'))
+      .toEqual({ search: 'x' });
+  });
+
+  test('omits default values from the query string', () => {
+    expect(filtersToQuery(defaultFilters)).toBe('');
+    expect(filtersToQuery({ ...defaultFilters, search: 'k8s', status: 'completed' }))
+      .toBe('?q=k8s&status=completed');
+  });
+
+  test('preserves unrelated params', () => {
+    expect(filtersToQuery({ ...defaultFilters, sortOrder: 'asc' }, '?debug=1&q=old'))
+      .toBe('?debug=1&order=asc');
+  });
+
+  test('round-trips filters', () => {
+    const filters = {
+      search: 'a b',
+      status: 'pending',
+      tag: 'k8s',
+      sortBy: 'priority',
+      sortOrder: 'asc',
+      groupBy: 'priority'
+    };
+    expect(filtersFromQuery(filtersToQuery(filters))).toEqual(filters);
+  });
+});
@@ -0,0 +1,23 @@
+import { fuzzyFilter, fuzzyScore } from '../fuzzy';
+
+describe('fuzzy', () => {
+  test('matches characters in order, ignoring case', () => {
+    expect(fuzzyScore('clup', 'Cluster upgrade')).not.toBeNull();
+    expect(fuzzyScore('upcl', 'Cluster upgrade')).toBeNull();
+    expect(fuzzyScore('', 'Anything')).toBe(0);
+  });
+
+  test('ranks word starts and runs of characters first', () => {
+    const titles = ['Rescue pods', 'Cluster upgrade', 'cu'];
+
+    expect(fuzzyFilter(titles, 'cu', (title) => title)).toEqual([
+      'cu',
+      'Cluster upgrade',
+      'Rescue pods'
+    ]);
+  });
+
+  test('keeps the original order without a query', () => {
+    expect(fuzzyFilter(['b', 'a'], ' ', (item) => item)).toEqual(['b', 'a']);
+  });
+});
@@ -0,0 +1,72 @@
+import { isLongText, renderMarkdown } from '../markdown';
+
+const parse = (text) => {
+  const container = document.createElement('div');
+  container.innerHTML = renderMarkdown(text);
+  return container;
+};
+
+describe('renderMarkdown', () => {
+  test('renders Markdown with line breaks', () => {
+    const container = parse('**Bold** and `kubectl`\nnext line');
+    expect(container.querySelector('strong')).toHaveTextContent('Bold');
+    expect(container.querySelector('code')).toHaveTextContent('kubectl');
+    expect(container.querySelector('br')).not.toBeNull();
+  });
+
+  test('strips scripts, event handlers and script URLs', () => {
+    const container = parse([
+      '<script>alert(1)</script>',
+      '<img src="x" onerror="alert(1)">',
+      '[click](javascript:alert(1))',
+      '<a href="javascript:alert(1)">raw</a>'
+    ].join('\n\n'));
+
+    expect(container.querySelector('script')).toBeNull();
+    expect(container.querySelector('img').hasAttribute('onerror')).toBe(false);
+    container.querySelectorAll('a').forEach((link) => {
+      expect(link.getAttribute('href') || '').not.toMatch(/javascript:/);
+    });
+  });
+
+  test('opens links in a new tab without an opener', () => {
+    const link = parse('[docs](https://kubernetes.io)').querySelector('a');
+    expect(link).toHaveAttribute('href', 'https://kubernetes.io');
+    expect(link).toHaveAttribute('target', '_blank');
+    expect(link).toHaveAttribute('rel', 'noopener noreferrer');
+  });
+
+  test('renders task lists as labelled, read-only checkboxes', () => {
+    const boxes = parse('- [x] Write chart\n- [ ] Deploy').querySelectorAll('input');
+    expect(boxes).toHaveLength(2);
+    expect(boxes[0]).toBeChecked();
+    expect(boxes[0]).toBeDisabled();
+    expect(boxes[0]).toHaveAttribute('aria-label', 'Done');
+    expect(boxes[1]).toHaveAttribute('aria-label', 'Not done');
+  });
+
+  test('highlights known languages and adds a copy button to code blocks', () => {
+    const container = parse('```bash\nkubectl get pods -n "prod"\n```');
+    const block = container.querySelector('.code-block');
+
+    expect(block.querySelector('button.code-copy')).toHaveTextContent('Copy');
+    expect(block.querySelector('code')).toHaveClass('hljs', 'language-bash');
+    expect(block.querySelector('.hljs-string')).toHaveTextContent('"prod"');
+    expect(block.querySelector('pre')).toHaveTextContent('kubectl get pods -n "prod"');
+  });
+
+  test('escapes code in unknown languages', () => {
+    const code = parse('```nope\n<b>not bold</b>\n```').querySelector('code');
+    expect(code.querySelector('b')).toBeNull();
+    expect(code).toHaveTextContent('<b>not bold</b>');
+  });
+});
+
+describe('isLongText', () => {
+  test('flags text over the character or line limit', () => {
+    expect(isLongText('')).toBe(false);
+    expect(isLongText('short')).toBe(false);
+    expect(isLongText('x'.repeat(281))).toBe(true);
+    expect(isLongText('1\n2\n3\n4\n5\n6\n7')).toBe(true);
+  });
+});
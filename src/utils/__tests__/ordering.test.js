@@ -0,0 +1,49 @@
+import {
+  comparePositions,
+  getMoveChanges,
+  getPosition,
+  moveItem
+} from '../ordering';
+
+describe('ordering', () => {
+  test('moves items within bounds', () => {
+    expect(moveItem(['a', 'b', 'c'], 0, 2)).toEqual(['b', 'c', 'a']);
+    expect(moveItem(['a', 'b', 'c'], 2, 1)).toEqual(['a', 'c', 'b']);
+    expect(moveItem(['a', 'b'], 0, -1)).toEqual(['a', 'b']);
+  });
+
+  test('reads only numeric positions', () => {
+    expect(getPosition({ position: 0 })).toBe(0);
+    expect(getPosition({ position: '2' })).toBeNull();
+    expect(getPosition({})).toBeNull();
+  });
+
+  test('puts unplaced tasks first and keeps their relative order', () => {
+    const tasks = [
+      { _id: 'a', position: 1 },
+      { _id: 'b' },
+      { _id: 'c', position: 0 },
+      { _id: 'd' }
+    ];
+
+    expect([...tasks].sort(comparePositions).map((task) => task._id))
+      .toEqual(['b', 'd', 'c', 'a']);
+  });
+
+  test('gives only the moved item a position between its new neighbours', () => {
+    const items = [{ _id: 'a', position: 0 }, { _id: 'b', position: 1 }, { _id: 'c', position: 2 }];
+
+    expect(getMoveChanges(items, 2, 1)).toEqual([{ id: 'c', position: 0.5, previous: 2 }]);
+    expect(getMoveChanges(items, 0, 2)).toEqual([{ id: 'a', position: 3, previous: 0 }]);
+    expect(getMoveChanges(items, 2, 0)).toEqual([{ id: 'c', position: -1, previous: 2 }]);
+  });
+
+  test('places the unplaced items a move passes after the moved one', () => {
+    const items = [{ _id: 'a' }, { _id: 'b' }, { _id: 'c', position: 4 }];
+
+    expect(getMoveChanges(items, 1, 0)).toEqual([
+      { id: 'b', position: 2, previous: null },
+      { id: 'a', position: 3, previous: null }
+    ]);
+  });
+});
@@ -0,0 +1,84 @@
+import { parseQuickAdd, parseTime } from '../quickAdd';
+
+// Wednesday 2024-05-08, 10:00 local time
+const now = new Date(2024, 4, 8, 10, 0);
+const at = (day, hours, minutes = 0) => new Date(2024, 4, day, hours, minutes).toISOString();
+
+describe('parseTime', () => {
+  test('reads 12- and 24-hour times', () => {
+    expect(parseTime('5pm')).toEqual({ hours: 17, minutes: 0 });
+    expect(parseTime('5:30am')).toEqual({ hours: 5, minutes: 30 });
+    expect(parseTime('12am')).toEqual({ hours: 0, minutes: 0 });
+    expect(parseTime('12pm')).toEqual({ hours: 12, minutes: 0 });
+    expect(parseTime('17:45')).toEqual({ hours: 17, minutes: 45 });
+  });
+
+  test('rejects anything else', () => {
+    expect(parseTime('13pm')).toBeNull();
+    expect(parseTime('24:00')).toBeNull();
+    expect(parseTime('5')).toBeNull();
+    expect(parseTime('ingress')).toBeNull();
+  });
+});
+
+describe('parseQuickAdd', () => {
+  test('pulls the due date, tags and priority out of the title', () => {
+    expect(parseQuickAdd('Deploy ingress tomorrow 5pm #infra !high', now)).toEqual({
+      title: 'Deploy ingress',
+      dueDate: at(9, 17),
+      tags: ['infra'],
+      priority: 'high'
+    });
+  });
+
+  test('leaves plain text alone', () => {
+    expect(parseQuickAdd('  Write the runbook  ', now)).toEqual({
+      title: 'Write the runbook',
+      dueDate: null,
+      tags: [],
+      priority: null
+    });
+  });
+
+  test('normalizes and de-duplicates tags', () => {
+    expect(parseQuickAdd('Fix #K8s #k8s #Infra', now).tags).toEqual(['k8s', 'infra']);
+  });
+
+  test('ignores unknown priorities and lone symbols', () => {
+    const parsed = parseQuickAdd('Ship it ! #  !soon', now);
+    expect(parsed.title).toBe('Ship it ! # !soon');
+    expect(parsed.priority).toBeNull();
+  });
+
+  test('makes a day without a time due at the end of that day', () => {
+    expect(parseQuickAdd('Renew certs today', now).dueDate).toBe(at(8, 23, 59));
+    expect(parseQuickAdd('Renew certs 2024-05-20', now).dueDate).toBe(at(20, 23, 59));
+  });
+
+  test('makes a time without a day due today, or tomorrow once it has passed', () => {
+    expect(parseQuickAdd('Standup at 11:30am', now).dueDate).toBe(at(8, 11, 30));
+    expect(parseQuickAdd('Standup 9am', now).dueDate).toBe(at(9, 9));
+  });
+
+  test('reads weekdays, next weekdays and relative days', () => {
+    expect(parseQuickAdd('Demo friday', now).dueDate).toBe(at(10, 23, 59));
+    expect(parseQuickAdd('Demo wed', now).dueDate).toBe(at(8, 23, 59));
+    expect(parseQuickAdd('Demo next wednesday', now).dueDate).toBe(at(15, 23, 59));
+    expect(parseQuickAdd('Demo in 3 days 2pm', now).dueDate).toBe(at(11, 14));
+    expect(parseQuickAdd('Demo in 2 weeks', now).dueDate).toBe(at(22, 23, 59));
+  });
+
+  test('keeps words that only look like dates in the title', () => {
+    expect(parseQuickAdd('Meet at noon in 3 hours', now)).toMatchObject({
+      title: 'Meet at noon in 3 hours',
+      dueDate: null
+    });
+    expect(parseQuickAdd('Check 2024-02-31 logs', now).title).toBe('Check 2024-02-31 logs');
+  });
+
+  test('only takes the first day and time', () => {
+    const parsed = parseQuickAdd('Move standup from today 9am to tomorrow 10am', now);
+    expect(parsed.title).toBe('Move standup from to tomorrow 10am');
+    expect(parsed.dueDate).toBe(at(8, 9));
+  });
+});
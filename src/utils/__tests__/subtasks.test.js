@@ -0,0 +1,32 @@
+import {
+  allSubtasksDone,
+  createSubtask,
+  getSubtaskProgress,
+  getSubtasks
+} from '../subtasks';
+
+describe('subtasks', () => {
+  const subtasks = [
+    { id: 'a', title: 'Write chart', completed: true },
+    { id: 'b', title: 'Deploy', completed: false }
+  ];
+
+  test('creates open subtasks with an id', () => {
+    expect(createSubtask('  Drain nodes ')).toEqual({
+      id: expect.any(String),
+      title: 'Drain nodes',
+      completed: false
+    });
+  });
+
+  test('reports progress, treating a missing checklist as empty', () => {
+    expect(getSubtasks({})).toEqual([]);
+    expect(getSubtaskProgress({ subtasks })).toEqual({ done: 1, total: 2 });
+  });
+
+  test('knows when every subtask is done', () => {
+    expect(allSubtasksDone(subtasks)).toBe(false);
+    expect(allSubtasksDone(subtasks.map((item) => ({ ...item, completed: true })))).toBe(true);
+    expect(allSubtasksDone([])).toBe(false);
+  });
+});
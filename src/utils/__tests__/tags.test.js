@@ -0,0 +1,27 @@
+import {
+  getTags,
+  normalizeTag,
+  renameTagIn,
+  uniqueTags
+} from '../tags';
+
+describe('tags', () => {
+  test('normalizes case and whitespace', () => {
+    expect(normalizeTag('  K8s Infra ')).toBe('k8s-infra');
+    expect(normalizeTag('')).toBe('');
+  });
+
+  test('treats a missing tags field as no tags', () => {
+    expect(getTags({})).toEqual([]);
+    expect(getTags({ tags: ['k8s'] })).toEqual(['k8s']);
+  });
+
+  test('de-duplicates tags in order', () => {
+    expect(uniqueTags(['infra', 'K8s', 'infra', ' ', 'k8s'])).toEqual(['infra', 'k8s']);
+  });
+
+  test('renames and merges tags', () => {
+    expect(renameTagIn(['fe', 'k8s'], 'fe', 'frontend')).toEqual(['frontend', 'k8s']);
+    expect(renameTagIn(['fe', 'frontend'], 'fe', 'frontend')).toEqual(['frontend']);
+  });
+});
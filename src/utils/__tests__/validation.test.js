@@ -0,0 +1,9 @@
+import { validateTitle } from '../validation';
+
+describe('validateTitle', () => {
+  test('requires a non-blank title', () => {
+    expect(validateTitle('Rotate certs')).toBeNull();
+    expect(validateTitle('   ')).toBe('Please enter a task title');
+    expect(validateTitle(undefined)).toBe('Please enter a task title');
+  });
+});
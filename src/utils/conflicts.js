@@ -0,0 +1,68 @@
+import { getPriority } from './priority';
+import { getTags } from './tags';
+import { getSubtasks } from './subtasks';
+
+// The task fields the task form edits, in the order the conflict dialog lists them
+export const CONFLICT_FIELDS = [
+  'title',
+  'description',
+  'dueDate',
+  'priority',
+  'listId',
+  'tags',
+  'subtasks'
+];
+
+export const CONFLICT_FIELD_LABELS = {
+  title: 'Title',
+  description: 'Description',
+  dueDate: 'Due date',
+  priority: 'Priority',
+  listId: 'List',
+  tags: 'Tags',
+  subtasks: 'Subtasks'
+};
+
+// A task's editable fields, with the defaults the form fills in for missing ones
+export const getEditableFields = (task) => ({
+  title: task.title || '',
+  description: task.description || '',
+  dueDate: task.dueDate || null,
+  priority: getPriority(task),
+  listId: task.listId || null,
+  tags: getTags(task),
+  subtasks: getSubtasks(task)
+});
+
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Fields whose value in `mine` differs from `theirs`. Given `base`, the
+// version both were edited from, only fields that both sides changed count:
+// a field only one side changed has nothing to choose.
+export const getConflictingFields = (mine, theirs, base = null) => {
+  const mineFields = getEditableFields(mine);
+  const theirFields = getEditableFields(theirs);
+  const baseFields = base && getEditableFields(base);
+  return CONFLICT_FIELDS.filter((field) => (
+    !isSameValue(mineFields[field], theirFields[field])
+    && (!baseFields || (
+      !isSameValue(mineFields[field], baseFields[field])
+      && !isSameValue(theirFields[field], baseFields[field])
+    ))
+  ));
+};
+
+// Editable fields taken from `theirs` where `choices[field]` is 'theirs', from
+// `mine` everywhere else. Given `base`, fields only they changed are theirs
+// whatever the choice, so their change isn't undone.
+export const mergeFields = (mine, theirs, choices = {}, base = null) => {
+  const mineFields = getEditableFields(mine);
+  const theirFields = getEditableFields(theirs);
+  const baseFields = base && getEditableFields(base);
+  const takeTheirs = (field) => choices[field] === 'theirs'
+    || Boolean(baseFields && isSameValue(mineFields[field], baseFields[field]));
+  return CONFLICT_FIELDS.reduce((merged, field) => ({
+    ...merged,
+    [field]: takeTheirs(field) ? theirFields[field] : mineFields[field]
+  }), {});
+};
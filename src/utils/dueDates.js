@@ -0,0 +1,36 @@
+export const DUE_STATUSES = ['overdue', 'today', 'upcoming'];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// `<input type="datetime-local">` works in local time without a zone, while
+// tasks store dueDate as an ISO string
+export const toDateTimeInputValue = (isoString) => {
+  if (!isoString) return '';
+  const date = new Date(isoString);
+  if (Number.isNaN(date.getTime())) return '';
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+    + `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+export const fromDateTimeInputValue = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+const isSameDay = (a, b) => a.getFullYear() === b.getFullYear()
+  && a.getMonth() === b.getMonth()
+  && a.getDate() === b.getDate();
+
+// 'overdue', 'today' or 'upcoming' for pending tasks with a due date, otherwise null
+export const getDueStatus = (task, now = Date.now()) => {
+  if (task.completed || !task.dueDate) return null;
+  const due = new Date(task.dueDate);
+  if (Number.isNaN(due.getTime())) return null;
+
+  if (due.getTime() < now) return 'overdue';
+  if (isSameDay(due, new Date(now))) return 'today';
+  return 'upcoming';
+};
+
+export const isOverdue = (task, now) => getDueStatus(task, now) === 'overdue';
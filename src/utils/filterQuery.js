@@ -0,0 +1,55 @@
+import {
+  defaultFilters,
+  STATUS_FILTERS,
+  SORT_FIELDS,
+  SORT_ORDERS,
+  GROUP_BY_OPTIONS
+} from '../store/slices/filtersSlice';
+
+const QUERY_KEYS = {
+  search: 'q',
+  status: 'status',
+  tag: 'tag',
+  sortBy: 'sort',
+  sortOrder: 'order',
+  groupBy: 'group'
+};
+
+const ALLOWED_VALUES = {
+  status: STATUS_FILTERS,
+  sortBy: SORT_FIELDS,
+  sortOrder: SORT_ORDERS,
+  groupBy: GROUP_BY_OPTIONS
+};
+
+// Reads filter values from a query string, ignoring unknown or invalid params
+export const filtersFromQuery = (queryString) => {
+  const params = new URLSearchParams(queryString);
+  const filters = {};
+
+  Object.entries(QUERY_KEYS).forEach(([field, key]) => {
+    const value = params.get(key);
+    if (value === null) return;
+    if (ALLOWED_VALUES[field] && !ALLOWED_VALUES[field].includes(value)) return;
+    filters[field] = value;
+  });
+
+  return filters;
+};
+
+// Merges the filters into an existing query string, leaving defaults out of the URL
+export const filtersToQuery = (filters, queryString = '') => {
+  const params = new URLSearchParams(queryString);
+
+  Object.entries(QUERY_KEYS).forEach(([field, key]) => {
+    const value = filters[field];
+    if (value === undefined || value === defaultFilters[field] || value === '') {
+      params.delete(key);
+    } else {
+      params.set(key, value);
+    }
+  });
+
+  const query = params.toString();
+  return query ? `?${query}` : '';
+};
@@ -0,0 +1,30 @@
+const WORD_BOUNDARY = /[\s\-_/#]/;
+
+// Scores `text` against `query` when the query's characters appear in it in
+// order, or returns null. Consecutive characters and word starts score higher,
+// so "cu" ranks "Cluster upgrade" above "Rescue".
+export const fuzzyScore = (query, text) => {
+  const needle = query.trim().toLowerCase();
+  const haystack = String(text || '').toLowerCase();
+  if (!needle) return 0;
+
+  let score = 0;
+  let previous = -2;
+  for (let i = 0; i < needle.length; i += 1) {
+    const index = haystack.indexOf(needle[i], previous + 1);
+    if (index === -1) return null;
+
+    score += 1;
+    if (index === previous + 1) score += 2;
+    if (index === 0 || WORD_BOUNDARY.test(haystack[index - 1])) score += 3;
+    previous = index;
+  }
+  return score;
+};
+
+// Items matching `query`, best first; ties keep their original order
+export const fuzzyFilter = (items, query, getText) => items
+  .map((item) => ({ item, score: fuzzyScore(query, getText(item)) }))
+  .filter(({ score }) => score !== null)
+  .sort((a, b) => b.score - a.score)
+  .map(({ item }) => item);
@@ -0,0 +1,74 @@
+import { Marked } from 'marked';
+import DOMPurify from 'dompurify';
+import hljs from 'highlight.js/lib/core';
+import bash from 'highlight.js/lib/languages/bash';
+import dockerfile from 'highlight.js/lib/languages/dockerfile';
+import go from 'highlight.js/lib/languages/go';
+import javascript from 'highlight.js/lib/languages/javascript';
+import json from 'highlight.js/lib/languages/json';
+import plaintext from 'highlight.js/lib/languages/plaintext';
+import python from 'highlight.js/lib/languages/python';
+import yaml from 'highlight.js/lib/languages/yaml';
+
+// Only the languages task descriptions tend to contain, to keep the bundle small
+hljs.registerLanguage('bash', bash);
+hljs.registerLanguage('dockerfile', dockerfile);
+hljs.registerLanguage('go', go);
+hljs.registerLanguage('javascript', javascript);
+hljs.registerLanguage('json', json);
+hljs.registerLanguage('plaintext', plaintext);
+hljs.registerLanguage('python', python);
+hljs.registerLanguage('yaml', yaml);
+hljs.registerAliases(['sh', 'shell', 'console', 'kubectl'], { languageName: 'bash' });
+
+// Descriptions longer than this collapse behind "Show more" in the list
+export const COLLAPSED_MAX_CHARS = 280;
+export const COLLAPSED_MAX_LINES = 6;
+
+export const isLongText = (text) => Boolean(text) && (
+  text.length > COLLAPSED_MAX_CHARS || text.split('\n').length > COLLAPSED_MAX_LINES
+);
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Known languages are highlighted, anything else is shown as plain text.
+// Each block gets a copy button, wired up by the Markdown component.
+const renderCode = (code, infostring) => {
+  const language = (infostring || '').trim().split(/\s+/)[0].toLowerCase();
+  const highlighted = hljs.getLanguage(language)
+    ? hljs.highlight(code, { language, ignoreIllegals: true }).value
+    : escapeHtml(code);
+  return '<div class="code-block">'
+    + '<button type="button" class="code-copy">Copy</button>'
+    + `<pre><code class="hljs${language ? ` language-${escapeHtml(language)}` : ''}">`
+    + `${highlighted}</code></pre></div>`;
+};
+
+const marked = new Marked({
+  gfm: true,
+  breaks: true,
+  renderer: { code: renderCode }
+});
+
+// Links leave the app, and GFM task list checkboxes are display-only
+DOMPurify.addHook('afterSanitizeAttributes', (node) => {
+  if (node.tagName === 'A' && node.getAttribute('href')) {
+    node.setAttribute('target', '_blank');
+    node.setAttribute('rel', 'noopener noreferrer');
+  }
+  if (node.tagName === 'INPUT') {
+    node.setAttribute('disabled', '');
+    node.setAttribute('aria-label', node.hasAttribute('checked') ? 'Done' : 'Not done');
+  }
+});
+
+// Markdown to HTML that is safe to put in the page: raw HTML in the source is
+// sanitized away along with script URLs and event handler attributes
+export const renderMarkdown = (text) => DOMPurify.sanitize(marked.parse(String(text || '')), {
+  ADD_ATTR: ['target'],
+  FORBID_TAGS: ['style', 'form', 'textarea', 'select']
+});
@@ -0,0 +1,61 @@
+// Copy of `list` with the item at `from` moved to `to`
+export const moveItem = (list, from, to) => {
+  if (to < 0 || to >= list.length || from === to) return list;
+  const next = [...list];
+  const [item] = next.splice(from, 1);
+  next.splice(to, 0, item);
+  return next;
+};
+
+// Manual order of a task, or null if it was never placed (e.g. just added)
+export const getPosition = (task) => (Number.isFinite(task?.position) ? task.position : null);
+
+// Unplaced tasks come first, like new tasks at the top of the list; the
+// rest ascend by position
+export const comparePositions = (a, b) => {
+  const first = getPosition(a);
+  const second = getPosition(b);
+  if (first === null || second === null) {
+    return (first === null ? 0 : 1) - (second === null ? 0 : 1);
+  }
+  return first - second;
+};
+
+// Positions for `count` items placed in order between `lower` and `upper`,
+// either of which may be null for no bound
+export const spreadPositions = (count, lower, upper) => Array.from(
+  { length: count },
+  (_, index) => {
+    if (lower !== null && upper !== null) {
+      return lower + ((upper - lower) * (index + 1)) / (count + 1);
+    }
+    if (upper !== null) {
+      return upper - (count - index);
+    }
+    return (lower === null ? 0 : lower + 1) + index;
+  }
+);
+
+// Position changes, [{ id, position, previous }], for moving the item at
+// `from` in `ordered` (sorted with comparePositions) to `to`. Only the moved
+// item gets a new position, between its new neighbours', so the rest keep
+// theirs. Unplaced items always sort first, so any it passes are placed after
+// it as well.
+export const getMoveChanges = (ordered, from, to) => {
+  const next = moveItem(ordered, from, to);
+  const after = next.slice(to + 1);
+  const firstPlaced = after.findIndex((item) => getPosition(item) !== null);
+  const placing = [next[to], ...(firstPlaced === -1 ? after : after.slice(0, firstPlaced))];
+  const positions = spreadPositions(
+    placing.length,
+    to > 0 ? getPosition(next[to - 1]) : null,
+    firstPlaced === -1 ? null : getPosition(after[firstPlaced])
+  );
+  return placing
+    .map((item, index) => ({
+      id: item._id,
+      position: positions[index],
+      previous: getPosition(item)
+    }))
+    .filter((change) => change.position !== change.previous);
+};
@@ -0,0 +1,20 @@
+// Lowest to highest; the index doubles as the sort rank
+export const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+// Tasks created before priorities existed have no field and count as medium
+export const DEFAULT_PRIORITY = 'medium';
+
+export const PRIORITY_LABELS = {
+  low: 'Low',
+  medium: 'Medium',
+  high: 'High',
+  urgent: 'Urgent'
+};
+
+export const getPriority = (task) => (
+  PRIORITIES.includes(task.priority) ? task.priority : DEFAULT_PRIORITY
+);
+
+export const getPriorityRank = (task) => PRIORITIES.indexOf(getPriority(task));
+
+export const isHighPriority = (task) => getPriorityRank(task) >= PRIORITIES.indexOf('high');
@@ -0,0 +1,139 @@
+import { PRIORITIES } from './priority';
+import { normalizeTag, uniqueTags } from './tags';
+
+// Parses quick-add text such as "Deploy ingress tomorrow 5pm #infra !high"
+// into task fields. Recognized words are taken out of the title:
+//   #tag                       a tag (normalized like the tag input does)
+//   !low !medium !high !urgent the priority
+//   today, tomorrow            the due day
+//   monday ... sunday (mon)    the next such day, today included;
+//                              "next friday" skips today
+//   in 3 days, in 2 weeks      relative due day
+//   2024-05-10                 an exact due day
+//   5pm, 5:30pm, 17:00, at 5pm the due time
+// A day without a time is due at the end of that day; a time without a day is
+// due today, or tomorrow if that time has already passed.
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const END_OF_DAY = { hours: 23, minutes: 59 };
+
+// Full names or the usual three-letter abbreviations
+const weekdayIndex = (word) => WEEKDAYS.findIndex(
+  (day) => word === day || word === day.slice(0, 3)
+);
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+const addDays = (date, days) => new Date(
+  date.getFullYear(),
+  date.getMonth(),
+  date.getDate() + days
+);
+
+// { hours, minutes } for "5pm", "5:30pm", "12am" or "17:00", otherwise null
+export const parseTime = (word) => {
+  const twelveHour = /^(\d{1,2})(?::(\d{2}))?(am|pm)$/.exec(word);
+  if (twelveHour) {
+    const hour = Number(twelveHour[1]);
+    const minutes = Number(twelveHour[2] || 0);
+    if (hour < 1 || hour > 12 || minutes > 59) return null;
+    return { hours: (hour % 12) + (twelveHour[3] === 'pm' ? 12 : 0), minutes };
+  }
+  const twentyFourHour = /^(\d{1,2}):(\d{2})$/.exec(word);
+  if (twentyFourHour) {
+    const hours = Number(twentyFourHour[1]);
+    const minutes = Number(twentyFourHour[2]);
+    if (hours > 23 || minutes > 59) return null;
+    return { hours, minutes };
+  }
+  return null;
+};
+
+// How many words starting at `index` name a day, and which day; null if none
+const parseDay = (words, index, today) => {
+  const word = words[index];
+  if (word === 'today') return { day: today, length: 1 };
+  if (word === 'tomorrow') return { day: addDays(today, 1), length: 1 };
+
+  const isNext = word === 'next';
+  const weekday = weekdayIndex(isNext ? words[index + 1] || '' : word);
+  if (weekday !== -1) {
+    const ahead = (weekday - today.getDay() + 7) % 7;
+    return {
+      day: addDays(today, isNext && ahead === 0 ? 7 : ahead),
+      length: isNext ? 2 : 1
+    };
+  }
+
+  if (word === 'in' && /^\d+$/.test(words[index + 1] || '')) {
+    const count = Number(words[index + 1]);
+    const unit = words[index + 2] || '';
+    if (/^days?$/.test(unit)) return { day: addDays(today, count), length: 3 };
+    if (/^weeks?$/.test(unit)) return { day: addDays(today, count * 7), length: 3 };
+  }
+
+  const exact = /^(\d{4})-(\d{2})-(\d{2})$/.exec(word);
+  if (exact) {
+    const day = new Date(Number(exact[1]), Number(exact[2]) - 1, Number(exact[3]));
+    // Rejects dates like 2024-02-31 that Date would roll over
+    if (day.getMonth() === Number(exact[2]) - 1) return { day, length: 1 };
+  }
+  return null;
+};
+
+// { title, dueDate, tags, priority }; dueDate is an ISO string or null, and
+// priority is null unless one was given
+export const parseQuickAdd = (text, now = new Date()) => {
+  const words = String(text || '').trim().split(/\s+/).filter(Boolean);
+  const lowerWords = words.map((word) => word.toLowerCase());
+  const today = startOfDay(now);
+  const titleWords = [];
+  const tags = [];
+  let priority = null;
+  let day = null;
+  let time = null;
+
+  let index = 0;
+  while (index < words.length) {
+    const word = words[index];
+    const lower = lowerWords[index];
+    const nextTime = lower === 'at' ? parseTime(lowerWords[index + 1] || '') : null;
+    const parsedDay = day ? null : parseDay(lowerWords, index, today);
+    let consumed = 1;
+
+    if (word.length > 1 && word.startsWith('#') && normalizeTag(word.slice(1))) {
+      tags.push(word.slice(1));
+    } else if (lower.startsWith('!') && PRIORITIES.includes(lower.slice(1))) {
+      priority = lower.slice(1);
+    } else if (!time && nextTime) {
+      time = nextTime;
+      consumed = 2;
+    } else if (!time && parseTime(lower)) {
+      time = parseTime(lower);
+    } else if (parsedDay) {
+      day = parsedDay.day;
+      consumed = parsedDay.length;
+    } else {
+      titleWords.push(word);
+    }
+    index += consumed;
+  }
+
+  let dueDate = null;
+  if (day || time) {
+    const { hours, minutes } = time || END_OF_DAY;
+    const due = new Date(day || today);
+    due.setHours(hours, minutes, 0, 0);
+    if (!day && due.getTime() <= now.getTime()) {
+      due.setDate(due.getDate() + 1);
+    }
+    dueDate = due.toISOString();
+  }
+
+  return {
+    title: titleWords.join(' '),
+    dueDate,
+    tags: uniqueTags(tags),
+    priority
+  };
+};
@@ -0,0 +1,21 @@
+import { nanoid } from '@reduxjs/toolkit';
+
+export const getSubtasks = (task) => (Array.isArray(task?.subtasks) ? task.subtasks : []);
+
+export const createSubtask = (title) => ({
+  id: nanoid(),
+  title: title.trim(),
+  completed: false
+});
+
+// { done, total } for the "3/5" progress display
+export const getSubtaskProgress = (task) => {
+  const subtasks = getSubtasks(task);
+  return {
+    done: subtasks.filter((subtask) => subtask.completed).length,
+    total: subtasks.length
+  };
+};
+
+export const allSubtasksDone = (subtasks) => subtasks.length > 0
+  && subtasks.every((subtask) => subtask.completed);
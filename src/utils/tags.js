@@ -0,0 +1,17 @@
+// Tags are stored lowercase with dashes for spaces, so "K8s Infra" and
+// "k8s-infra" end up as the same tag
+export const normalizeTag = (tag) => String(tag || '')
+  .trim()
+  .toLowerCase()
+  .replace(/\s+/g, '-');
+
+export const getTags = (task) => (Array.isArray(task.tags) ? task.tags : []);
+
+// Normalized, de-duplicated tags in their original order
+export const uniqueTags = (tags) => [...new Set(tags.map(normalizeTag).filter(Boolean))];
+
+// The task's tags with `from` replaced by `to`; merging into a tag the task
+// already has leaves a single copy
+export const renameTagIn = (tags, from, to) => uniqueTags(
+  tags.map((tag) => (tag === from ? to : tag))
+);
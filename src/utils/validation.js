@@ -0,0 +1,5 @@
+// Shared by the task form and inline editing; returns the message to show, or
+// null when the value is fine
+export const validateTitle = (title) => (String(title || '').trim()
+  ? null
+  : 'Please enter a task title');